@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const Category = require('../models/categoryModel');
+const Product = require('../models/productModel');
+const search = require('../services/search');
+const { updateCategory } = require('../controllers/categoryController');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// A small tree held in memory: electronics > audio > headphones, and books
+const buildTree = () => {
+  const make = (name, parent) => {
+    const category = new Category({ name, slug: name.toLowerCase(), parent: parent ? parent._id : null });
+    category.path = `${parent ? parent.path : ','}${category._id},`;
+    return category;
+  };
+  
+  const electronics = make('Electronics');
+  const audio = make('Audio', electronics);
+  const headphones = make('Headphones', audio);
+  const books = make('Books');
+  
+  return { electronics, audio, headphones, books, all: [electronics, audio, headphones, books] };
+};
+
+// Point the model's queries at the in-memory tree
+const useTree = (tree) => {
+  const byId = id => tree.all.find(category => category._id.equals(id)) || null;
+  const query = result => ({ select: () => Promise.resolve(result) });
+  
+  jest.spyOn(Category, 'findById').mockImplementation(async id => byId(id));
+  jest.spyOn(Category, 'find').mockImplementation((filter) => {
+    if (filter.path) {
+      return query(tree.all.filter(category => filter.path.test(category.path)));
+    }
+    const parents = filter.parent.$in.map(String);
+    return query(tree.all.filter(category => category.parent && parents.includes(String(category.parent))));
+  });
+  jest.spyOn(Category, 'bulkWrite').mockImplementation(async (operations) => {
+    operations.forEach(({ updateOne }) => {
+      byId(updateOne.filter._id).path = updateOne.update.$set.path;
+    });
+  });
+  tree.all.forEach(category => jest.spyOn(category, 'save').mockResolvedValue(category));
+};
+
+beforeEach(() => {
+  jest.spyOn(Category, 'exists').mockResolvedValue(null);
+  jest.spyOn(Product, 'updateMany').mockResolvedValue({});
+  jest.spyOn(Product, 'find').mockResolvedValue([]);
+  jest.spyOn(search, 'indexProduct').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Category#moveTo', () => {
+  it('refuses to move a category inside its own subtree', async () => {
+    const tree = buildTree();
+    useTree(tree);
+    const path = tree.electronics.path;
+    
+    await expect(tree.electronics.moveTo(tree.headphones._id)).resolves.toMatch(/inside itself/);
+    await expect(tree.electronics.moveTo(tree.electronics._id)).resolves.toMatch(/inside itself/);
+    expect(tree.electronics.path).toBe(path);
+  });
+  
+  it('refuses moves that would nest the subtree too deep', async () => {
+    const tree = buildTree();
+    useTree(tree);
+    
+    // books > electronics > audio > headphones fits, one more level doesn't
+    await expect(tree.electronics.moveTo(tree.books._id)).resolves.toBeNull();
+    
+    const deeper = buildTree();
+    useTree(deeper);
+    deeper.books.path = `,a,b,${deeper.books._id},`;
+    await expect(deeper.electronics.moveTo(deeper.books._id)).resolves.toMatch(/levels deep/);
+  });
+  
+  it('changes only the document itself', async () => {
+    const tree = buildTree();
+    useTree(tree);
+    
+    await tree.audio.moveTo(tree.books._id);
+    
+    expect(tree.audio.path).toBe(`${tree.books.path}${tree.audio._id},`);
+    expect(String(tree.audio.parent)).toBe(String(tree.books._id));
+    expect(tree.headphones.path.startsWith(tree.electronics.path)).toBe(true);
+    expect(Category.bulkWrite).not.toHaveBeenCalled();
+  });
+});
+
+describe('Category#updateDescendantPaths', () => {
+  it('rebuilds subtree paths from the parent links', async () => {
+    const tree = buildTree();
+    useTree(tree);
+    
+    await tree.audio.moveTo(tree.books._id);
+    await tree.audio.updateDescendantPaths();
+    
+    expect(tree.headphones.path).toBe(`,${tree.books._id},${tree.audio._id},${tree.headphones._id},`);
+  });
+  
+  it('writes nothing when the paths are already right', async () => {
+    const tree = buildTree();
+    useTree(tree);
+    
+    await tree.electronics.updateDescendantPaths();
+    
+    expect(Category.bulkWrite).not.toHaveBeenCalled();
+  });
+});
+
+describe('updateCategory', () => {
+  const request = (category, body) => ({ params: { id: String(category._id) }, body });
+  
+  it('rejects a taken slug before moving anything', async () => {
+    const tree = buildTree();
+    useTree(tree);
+    Category.exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+    const res = mockResponse();
+    
+    await updateCategory(request(tree.audio, { slug: 'books', parent: String(tree.books._id) }), res);
+    
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(tree.audio.save).not.toHaveBeenCalled();
+    expect(Category.bulkWrite).not.toHaveBeenCalled();
+    expect(Product.updateMany).not.toHaveBeenCalled();
+  });
+  
+  it('moves the subtree only after the category is saved', async () => {
+    const tree = buildTree();
+    useTree(tree);
+    tree.audio.save.mockRejectedValue(new Error('connection lost'));
+    const res = mockResponse();
+    
+    await updateCategory(request(tree.audio, { parent: String(tree.books._id) }), res);
+    
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(Category.bulkWrite).not.toHaveBeenCalled();
+  });
+  
+  it('puts products back on the old slug when the save fails', async () => {
+    const tree = buildTree();
+    useTree(tree);
+    tree.audio.save.mockRejectedValue(new Error('connection lost'));
+    const res = mockResponse();
+    
+    await updateCategory(request(tree.audio, { slug: 'sound' }), res);
+    
+    expect(Product.updateMany.mock.calls.map(([filter, update]) => [filter.category, update.category])).toEqual([
+      ['audio', 'sound'],
+      ['sound', 'audio']
+    ]);
+  });
+  
+  it('renames and moves a category with its subtree and products', async () => {
+    const tree = buildTree();
+    useTree(tree);
+    const res = mockResponse();
+    
+    await updateCategory(request(tree.audio, { slug: 'sound', parent: null }), res);
+    
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(tree.audio.path).toBe(`,${tree.audio._id},`);
+    expect(tree.headphones.path).toBe(`,${tree.audio._id},${tree.headphones._id},`);
+    expect(Product.updateMany).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,104 @@
+process.env.CSRF_SECRET = 'csrf-test-secret';
+
+const crypto = require('crypto');
+const { issueCsrfToken, verifyCsrfToken } = require('../middleware/csrf');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.cookie = jest.fn(() => res);
+  return res;
+};
+
+// Issue a token the way a first page load does
+const issuedToken = () => {
+  const req = { cookies: {} };
+  issueCsrfToken(req, mockResponse(), jest.fn());
+  return req.csrfToken;
+};
+
+const verify = (req) => {
+  const res = mockResponse();
+  const next = jest.fn();
+  
+  verifyCsrfToken({ method: 'POST', originalUrl: '/api/auth/login', cookies: {}, headers: {}, ...req }, res, next);
+  
+  return next.mock.calls.length === 1 ? 'allowed' : res.status.mock.calls[0][0];
+};
+
+describe('issueCsrfToken', () => {
+  it('sets a signed, script-readable, strict same-site cookie', () => {
+    const req = { cookies: {} };
+    const res = mockResponse();
+    
+    issueCsrfToken(req, res, jest.fn());
+    
+    const [name, token, options] = res.cookie.mock.calls[0];
+    expect(name).toBe('XSRF-TOKEN');
+    expect(token).toMatch(/^[a-f0-9]{64}\.[a-f0-9]{64}$/);
+    expect(options).toMatchObject({ httpOnly: false, sameSite: 'strict' });
+    expect(req.csrfToken).toBe(token);
+  });
+  
+  it('keeps a valid token for the whole browser session', () => {
+    const token = issuedToken();
+    const req = { cookies: { 'XSRF-TOKEN': token } };
+    const res = mockResponse();
+    
+    issueCsrfToken(req, res, jest.fn());
+    
+    expect(res.cookie).not.toHaveBeenCalled();
+    expect(req.csrfToken).toBe(token);
+  });
+  
+  it('replaces a token it did not sign', () => {
+    const planted = `${'a'.repeat(64)}.${'b'.repeat(64)}`;
+    const req = { cookies: { 'XSRF-TOKEN': planted } };
+    const res = mockResponse();
+    
+    issueCsrfToken(req, res, jest.fn());
+    
+    expect(res.cookie).toHaveBeenCalled();
+    expect(req.csrfToken).not.toBe(planted);
+  });
+});
+
+describe('verifyCsrfToken', () => {
+  it('accepts a state-changing request whose header matches the cookie', () => {
+    const token = issuedToken();
+    
+    expect(verify({ cookies: { 'XSRF-TOKEN': token }, headers: { 'x-csrf-token': token } })).toBe('allowed');
+  });
+  
+  it('rejects a missing or mismatched header', () => {
+    const token = issuedToken();
+    
+    expect(verify({ cookies: { 'XSRF-TOKEN': token } })).toBe(403);
+    expect(verify({ cookies: { 'XSRF-TOKEN': token }, headers: { 'x-csrf-token': issuedToken() } })).toBe(403);
+    expect(verify({ cookies: { 'XSRF-TOKEN': token }, headers: { 'x-csrf-token': [token] } })).toBe(403);
+  });
+  
+  it('rejects a matching pair that was not signed with the server secret', () => {
+    const nonce = crypto.randomBytes(32).toString('hex');
+    const forged = `${nonce}.${crypto.createHmac('sha256', 'other-secret').update(nonce).digest('hex')}`;
+    
+    expect(verify({ cookies: { 'XSRF-TOKEN': forged }, headers: { 'x-csrf-token': forged } })).toBe(403);
+    expect(verify({ cookies: { 'XSRF-TOKEN': `${forged}.x` }, headers: { 'x-csrf-token': `${forged}.x` } })).toBe(403);
+  });
+  
+  it('skips safe methods', () => {
+    expect(verify({ method: 'GET' })).toBe('allowed');
+    expect(verify({ method: 'OPTIONS' })).toBe('allowed');
+  });
+  
+  it('exempts API key requests and signed callbacks only', () => {
+    expect(verify({ headers: { 'x-api-key': 'key' } })).toBe('allowed');
+    expect(verify({ originalUrl: '/api/auth/oidc/google/callback?x=1' })).toBe('allowed');
+    expect(verify({ originalUrl: '/api/orders/webhook', headers: { 'stripe-signature': 'sig' } })).toBe('allowed');
+    
+    // The webhook exemption needs the provider's signature header
+    expect(verify({ originalUrl: '/api/orders/webhook' })).toBe(403);
+    expect(verify({ originalUrl: '/api/auth/oidc/google/callback/extra' })).toBe(403);
+  });
+});
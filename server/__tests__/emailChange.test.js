@@ -0,0 +1,198 @@
+process.env.JWT_SECRET = 'test-secret';
+
+// Breach screening calls out to an external service
+jest.mock('../services/passwordScreening', () => ({
+  screenPassword: jest.fn().mockResolvedValue([])
+}));
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
+const RefreshToken = require('../models/refreshTokenModel');
+const SecurityEvent = require('../models/securityEventModel');
+const Passkey = require('../models/passkeyModel');
+const FederatedIdentity = require('../models/federatedIdentityModel');
+const OidcState = require('../models/oidcStateModel');
+const WebAuthnChallenge = require('../models/webauthnChallengeModel');
+const KnownDevice = require('../models/knownDeviceModel');
+const { requestEmailChange, revertEmailChange } = require('../controllers/userController');
+const { signup } = require('../controllers/authController');
+const { anonymizeUser } = require('../services/accountDeletion');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('User.emailTaken', () => {
+  it('counts deactivated accounts as holding their address', async () => {
+    const exists = jest.spyOn(User, 'exists').mockResolvedValue({ _id: 'other' });
+    const exceptId = new mongoose.Types.ObjectId();
+    
+    expect(await User.emailTaken('taken@example.com', exceptId)).toBe(true);
+    
+    const filter = exists.mock.calls[0][0];
+    expect(filter.email).toBe('taken@example.com');
+    expect(filter.active.$in).toEqual(expect.arrayContaining([true, false]));
+    expect(filter._id).toEqual({ $ne: exceptId });
+  });
+});
+
+describe('requestEmailChange', () => {
+  it('refuses an address held by a deactivated account', async () => {
+    const user = {
+      _id: new mongoose.Types.ObjectId(),
+      email: 'me@example.com',
+      password: 'hash',
+      correctPassword: jest.fn().mockResolvedValue(true),
+      createEmailChangeTokens: jest.fn()
+    };
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(user) });
+    jest.spyOn(User, 'exists').mockImplementation(filter =>
+      Promise.resolve(filter.active && filter.active.$in.includes(false) ? { _id: 'deactivated' } : null)
+    );
+    
+    const res = mockResponse();
+    await requestEmailChange({ user, body: { newEmail: 'Gone@Example.com', password: 'pw' } }, res);
+    
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Email already in use' }));
+    expect(user.createEmailChangeTokens).not.toHaveBeenCalled();
+  });
+});
+
+describe('revertEmailChange', () => {
+  const token = 'a'.repeat(64);
+  const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  
+  // One account whose change to new@ went through, with its revert link outstanding
+  let stored;
+  
+  beforeEach(() => {
+    stored = {
+      _id: new mongoose.Types.ObjectId(),
+      email: 'new@example.com',
+      previousEmail: 'old@example.com',
+      emailRevertToken: tokenHash,
+      emailRevertExpires: new Date(Date.now() + 60000)
+    };
+    
+    const matches = filter => stored.emailRevertToken === filter.emailRevertToken;
+    
+    jest.spyOn(User, 'findOne').mockImplementation(filter => Promise.resolve(matches(filter) ? { ...stored } : null));
+    jest.spyOn(User, 'findOneAndUpdate').mockImplementation((filter, update) => {
+      if (!matches(filter)) return Promise.resolve(null);
+      
+      const before = { ...stored };
+      Object.keys(update.$unset).forEach((field) => {
+        delete stored[field];
+      });
+      return Promise.resolve(before);
+    });
+    jest.spyOn(Session, 'revokeAllForUser').mockResolvedValue();
+    jest.spyOn(SecurityEvent, 'record').mockResolvedValue();
+  });
+  
+  const revert = async () => {
+    const res = mockResponse();
+    await revertEmailChange({ params: { token } }, res);
+    return res;
+  };
+  
+  it('keeps the link usable when the old address is taken', async () => {
+    const taken = jest.spyOn(User, 'emailTaken').mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+    const update = jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue({});
+    
+    expect((await revert()).status).toHaveBeenCalledWith(409);
+    expect(stored.emailRevertToken).toBe(tokenHash);
+    expect(update).not.toHaveBeenCalled();
+    
+    // Once the address is free again the same link restores it
+    expect((await revert()).status).toHaveBeenCalledWith(200);
+    expect(taken).toHaveBeenCalledWith('old@example.com', stored._id);
+    expect(update).toHaveBeenCalledWith(stored._id, expect.objectContaining({
+      $set: { email: 'old@example.com', emailVerified: true }
+    }));
+    expect(stored.emailRevertToken).toBeUndefined();
+  });
+  
+  it('gives the link back when the address is taken between the check and the write', async () => {
+    jest.spyOn(User, 'emailTaken').mockResolvedValue(false);
+    const duplicate = Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    const update = jest.spyOn(User, 'findByIdAndUpdate').mockImplementation((id, changes) => {
+      if (changes.$set.email) return Promise.reject(duplicate);
+      
+      Object.assign(stored, changes.$set);
+      return Promise.resolve({});
+    });
+    
+    expect((await revert()).status).toHaveBeenCalledWith(409);
+    expect(stored.emailRevertToken).toBe(tokenHash);
+    expect(update).toHaveBeenCalledTimes(2);
+    expect(Session.revokeAllForUser).not.toHaveBeenCalled();
+  });
+  
+  it('works only once', async () => {
+    jest.spyOn(User, 'emailTaken').mockResolvedValue(false);
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue({});
+    
+    expect((await revert()).status).toHaveBeenCalledWith(200);
+    expect((await revert()).status).toHaveBeenCalledWith(400);
+  });
+});
+
+describe('signup', () => {
+  it('refuses the address of an account awaiting deletion', async () => {
+    const exists = jest.spyOn(User, 'exists').mockImplementation(filter =>
+      Promise.resolve(filter.active && filter.active.$in.includes(false) ? { _id: 'deactivated' } : null)
+    );
+    const create = jest.spyOn(User, 'create');
+    
+    const res = mockResponse();
+    await signup({
+      body: {
+        name: 'New Person',
+        email: 'gone@example.com',
+        password: 'Correct-Horse-Battery-9',
+        passwordConfirm: 'Correct-Horse-Battery-9',
+        acceptTerms: true
+      },
+      ip: '127.0.0.1'
+    }, res);
+    
+    expect(exists).toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Email already in use' }));
+    expect(create).not.toHaveBeenCalled();
+  });
+});
+
+describe('anonymizeUser', () => {
+  it('erases email change history and pending change tokens', async () => {
+    const update = jest.spyOn(User, 'updateOne').mockResolvedValue({});
+    for (const Model of [Session, RefreshToken, Passkey, FederatedIdentity, OidcState, WebAuthnChallenge, KnownDevice]) {
+      jest.spyOn(Model, 'deleteMany').mockResolvedValue({});
+    }
+    jest.spyOn(SecurityEvent, 'anonymizeForUser').mockResolvedValue();
+    jest.spyOn(SecurityEvent, 'create').mockResolvedValue({});
+    
+    await anonymizeUser(new mongoose.Types.ObjectId());
+    
+    const { $unset } = update.mock.calls[0][1];
+    expect(Object.keys($unset)).toEqual(expect.arrayContaining([
+      'previousEmail',
+      'pendingEmail',
+      'emailChangeToken',
+      'emailChangeExpires',
+      'emailRevertToken',
+      'emailRevertExpires'
+    ]));
+  });
+});
@@ -0,0 +1,82 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const mongoose = require('mongoose');
+const User = require('../models/userModel');
+const Role = require('../models/roleModel');
+const Session = require('../models/sessionModel');
+const { protect, signImpersonationToken } = require('../controllers/authController');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const customerId = new mongoose.Types.ObjectId();
+const staffId = new mongoose.Types.ObjectId();
+
+// An impersonation session by staffId acting as customerId
+const impersonationSession = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  user: customerId,
+  impersonator: staffId,
+  expiresAt: new Date(Date.now() + 30 * 60 * 1000),
+  isActive: () => true,
+  touch: jest.fn()
+});
+
+const callAs = async (session, method, originalUrl) => {
+  const token = signImpersonationToken(customerId, staffId, session);
+  const req = { method, originalUrl, headers: { authorization: `Bearer ${token}` }, cookies: {} };
+  const res = mockResponse();
+  const next = jest.fn();
+  
+  await protect(req, res, next);
+  
+  return { res, next };
+};
+
+beforeEach(() => {
+  jest.spyOn(User, 'findById').mockImplementation(id => Promise.resolve(
+    String(id) === String(staffId)
+      ? { _id: staffId, role: 'support' }
+      : { _id: customerId, changedPasswordAfter: () => false }
+  ));
+  jest.spyOn(Role, 'permissionsFor').mockResolvedValue(['users:impersonate']);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('protect during impersonation', () => {
+  it('lets staff view the customer\'s account', async () => {
+    const session = impersonationSession();
+    jest.spyOn(Session, 'findById').mockResolvedValue(session);
+    
+    const { next } = await callAs(session, 'GET', '/api/users/me');
+    
+    expect(next).toHaveBeenCalled();
+  });
+  
+  it('refuses a personal data export', async () => {
+    const session = impersonationSession();
+    jest.spyOn(Session, 'findById').mockResolvedValue(session);
+    
+    const { res, next } = await callAs(session, 'GET', '/api/users/me/export');
+    
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+  
+  it('refuses writes outside the allowed paths', async () => {
+    const session = impersonationSession();
+    jest.spyOn(Session, 'findById').mockResolvedValue(session);
+    
+    const { res, next } = await callAs(session, 'PATCH', '/api/users/me');
+    
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
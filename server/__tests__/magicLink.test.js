@@ -0,0 +1,80 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const User = require('../models/userModel');
+const SecurityEvent = require('../models/securityEventModel');
+const emailService = require('../services/email');
+const { requestMagicLink } = require('../controllers/authController');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const request = () => ({
+  body: { email: 'someone@example.com' },
+  ip: '127.0.0.1',
+  get: () => 'jest'
+});
+
+// Resolves only when the test says so, to see what happens before it does
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(done => {
+    resolve = done;
+  });
+  return { promise, resolve };
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('requestMagicLink', () => {
+  it('responds before any work that only happens for a registered address', async () => {
+    const saved = deferred();
+    const user = {
+      _id: 'user-id',
+      magicLinkExpires: new Date(Date.now() + 60000),
+      createMagicLinkToken: jest.fn(() => 'token'),
+      save: jest.fn(() => saved.promise)
+    };
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    const record = jest.spyOn(SecurityEvent, 'record').mockResolvedValue();
+    const send = jest.spyOn(emailService, 'sendMagicLinkEmail').mockResolvedValue();
+    
+    const res = mockResponse();
+    await requestMagicLink(request(), res);
+    
+    // Answered while the save is still pending
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(record).not.toHaveBeenCalled();
+    
+    saved.resolve();
+    await new Promise(setImmediate);
+    
+    expect(record).toHaveBeenCalledWith('user-id', 'MAGIC_LINK_REQUEST', expect.anything());
+    expect(send).toHaveBeenCalledWith(user, 'token', user.magicLinkExpires);
+  });
+  
+  it('answers unknown addresses the same way', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    jest.spyOn(emailService, 'sendMagicLinkEmail').mockResolvedValue();
+    
+    const known = mockResponse();
+    const unknown = mockResponse();
+    await requestMagicLink(request(), unknown);
+    
+    jest.spyOn(User, 'findOne').mockResolvedValue({
+      _id: 'user-id',
+      createMagicLinkToken: () => 'token',
+      save: () => Promise.resolve()
+    });
+    jest.spyOn(SecurityEvent, 'record').mockResolvedValue();
+    await requestMagicLink(request(), known);
+    
+    expect(unknown.status.mock.calls).toEqual(known.status.mock.calls);
+    expect(unknown.json.mock.calls).toEqual(known.json.mock.calls);
+  });
+});
@@ -0,0 +1,132 @@
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('../utils/webauthn', () => ({
+  ...jest.requireActual('../utils/webauthn'),
+  verifyAuthenticationResponse: jest.fn(),
+  verifyRegistrationResponse: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const User = require('../models/userModel');
+const Passkey = require('../models/passkeyModel');
+const WebAuthnChallenge = require('../models/webauthnChallengeModel');
+const SecurityEvent = require('../models/securityEventModel');
+const emailService = require('../services/email');
+const { verifyAuthenticationResponse, verifyRegistrationResponse } = require('../utils/webauthn');
+const { verifyAuthentication, verifyRegistration } = require('../controllers/passkeyController');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.cookie = jest.fn(() => res);
+  return res;
+};
+
+const userId = new mongoose.Types.ObjectId();
+
+// A stored passkey that last signed with counter 5
+const storedPasskey = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  user: userId,
+  name: 'Laptop',
+  counter: 5,
+  publicKey: 'key'
+});
+
+beforeEach(() => {
+  jest.spyOn(WebAuthnChallenge, 'consume').mockResolvedValue({ challenge: 'challenge' });
+  jest.spyOn(Passkey, 'findOne').mockReturnValue({ select: () => Promise.resolve(storedPasskey()) });
+  jest.spyOn(User, 'findById').mockResolvedValue({ _id: userId, emailVerified: true });
+  jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue({});
+  jest.spyOn(SecurityEvent, 'record').mockResolvedValue();
+  verifyAuthenticationResponse.mockReturnValue({ newCounter: 6, backedUp: false });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('verifyAuthentication', () => {
+  it('only advances the counter from the value that was verified against', async () => {
+    const update = jest.spyOn(Passkey, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+    
+    const res = mockResponse();
+    await verifyAuthentication({ body: { challengeId: 'id', credential: { id: 'cred' } } }, res);
+    
+    expect(update.mock.calls[0][0]).toMatchObject({ counter: 5 });
+    expect(update.mock.calls[0][1]).toMatchObject({ counter: 6 });
+  });
+  
+  it('rejects an assertion that lost the race to a concurrent one', async () => {
+    jest.spyOn(Passkey, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+    
+    const res = mockResponse();
+    await verifyAuthentication({ body: { challengeId: 'id', credential: { id: 'cred' } } }, res);
+    
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.cookie).not.toHaveBeenCalled();
+    expect(SecurityEvent.record).toHaveBeenCalledWith(userId, 'FAILED_LOGIN', expect.anything(), expect.any(String));
+    expect(SecurityEvent.record).not.toHaveBeenCalledWith(userId, 'LOGIN', expect.anything(), expect.anything());
+  });
+  
+  it('counts a failed second-factor assertion towards the account lock', async () => {
+    const user = { _id: userId, loginAttempts: 4, handleFailedLogin: jest.fn().mockResolvedValue(true) };
+    jest.spyOn(emailService, 'sendAccountLockedEmail').mockResolvedValue();
+    WebAuthnChallenge.consume.mockResolvedValue({ challenge: 'challenge', user: userId });
+    User.findById.mockResolvedValue(user);
+    verifyAuthenticationResponse.mockImplementationOnce(() => {
+      throw new Error('Signature is invalid');
+    });
+    
+    const res = mockResponse();
+    await verifyAuthentication({ body: { challengeId: 'id', credential: { id: 'cred' } } }, res);
+    
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Passkey could not be verified' }));
+    expect(user.handleFailedLogin).toHaveBeenCalled();
+    expect(SecurityEvent.record).toHaveBeenCalledWith(userId, 'ACCOUNT_LOCK', expect.anything(), expect.any(String));
+  });
+  
+  it('counts a second-factor attempt with someone else\'s passkey', async () => {
+    const user = { _id: new mongoose.Types.ObjectId(), handleFailedLogin: jest.fn().mockResolvedValue(false) };
+    WebAuthnChallenge.consume.mockResolvedValue({ challenge: 'challenge', user: user._id });
+    User.findById.mockResolvedValue(user);
+    
+    const res = mockResponse();
+    await verifyAuthentication({ body: { challengeId: 'id', credential: { id: 'cred' } } }, res);
+    
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(user.handleFailedLogin).toHaveBeenCalled();
+  });
+  
+  it('only records a failed passwordless assertion', async () => {
+    const handleFailedLogin = jest.fn();
+    User.findById.mockResolvedValue({ _id: userId, handleFailedLogin });
+    verifyAuthenticationResponse.mockImplementationOnce(() => {
+      throw new Error('Signature is invalid');
+    });
+    
+    const res = mockResponse();
+    await verifyAuthentication({ body: { challengeId: 'id', credential: { id: 'cred' } } }, res);
+    
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(handleFailedLogin).not.toHaveBeenCalled();
+    expect(SecurityEvent.record).toHaveBeenCalledWith(userId, 'FAILED_LOGIN', expect.anything(), expect.any(String));
+  });
+});
+
+describe('verifyRegistration', () => {
+  it('does not reveal why an attestation was rejected', async () => {
+    WebAuthnChallenge.consume.mockResolvedValue({ challenge: 'challenge', user: userId });
+    verifyRegistrationResponse.mockImplementationOnce(() => {
+      throw new Error('CBOR: byte string out of range');
+    });
+    
+    const res = mockResponse();
+    await verifyRegistration({ user: { _id: userId }, body: { challengeId: 'id', credential: {} } }, res);
+    
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ status: 'error', message: 'Passkey could not be verified' });
+  });
+});
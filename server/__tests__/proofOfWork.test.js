@@ -0,0 +1,148 @@
+jest.mock('../services/proofOfWork', () => ({
+  ...jest.requireActual('../services/proofOfWork'),
+  requiredDifficulty: jest.fn()
+}));
+
+const crypto = require('crypto');
+const ProofOfWorkChallenge = require('../models/proofOfWorkChallengeModel');
+const { requiredDifficulty, leadingZeroBits, verifySolution } = require('../services/proofOfWork');
+const { requireProofOfWork } = require('../middleware/proofOfWork');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// Brute force a solution the way the browser worker does
+const solve = (challenge) => {
+  for (let n = 0; ; n++) {
+    const digest = crypto.createHash('sha256').update(`${challenge.challenge}:${n}`).digest();
+    if (leadingZeroBits(digest) >= challenge.difficulty) return String(n);
+  }
+};
+
+const storedChallenge = (difficulty) => ({
+  _id: 'challenge-id',
+  challenge: 'a1b2c3d4e5f6a7b8c9d0e1f2a3b4c5d6',
+  action: 'login',
+  difficulty,
+  expiresAt: new Date(Date.now() + 60000)
+});
+
+beforeEach(() => {
+  jest.spyOn(ProofOfWorkChallenge, 'issue').mockImplementation((action, difficulty) =>
+    Promise.resolve({ ...storedChallenge(difficulty), action, _id: 'fresh-id' })
+  );
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('leadingZeroBits', () => {
+  it('counts zero bits across byte boundaries', () => {
+    expect(leadingZeroBits(Buffer.from([0x80]))).toBe(0);
+    expect(leadingZeroBits(Buffer.from([0x01]))).toBe(7);
+    expect(leadingZeroBits(Buffer.from([0x00, 0x00, 0x20]))).toBe(18);
+    expect(leadingZeroBits(Buffer.from([0x00, 0x00]))).toBe(16);
+  });
+});
+
+describe('verifySolution', () => {
+  it('accepts a real solution and rejects others', () => {
+    const challenge = storedChallenge(8);
+    const solution = solve(challenge);
+    
+    const bits = leadingZeroBits(
+      crypto.createHash('sha256').update(`${challenge.challenge}:${solution}`).digest()
+    );
+    
+    expect(verifySolution(challenge, solution)).toBe(true);
+    expect(verifySolution({ ...challenge, difficulty: bits + 1 }, solution)).toBe(false);
+  });
+  
+  it('rejects malformed solutions', () => {
+    const challenge = storedChallenge(0);
+    
+    expect(verifySolution(challenge, 7)).toBe(false);
+    expect(verifySolution(challenge, '1e3')).toBe(false);
+    expect(verifySolution(challenge, '1'.repeat(16))).toBe(false);
+  });
+});
+
+describe('requireProofOfWork', () => {
+  const submit = (challenge, solution) => ({
+    ip: '203.0.113.7',
+    body: { email: 'a@example.com', proofOfWork: { challengeId: challenge._id, solution } }
+  });
+  
+  it('lets requests through when no puzzle is needed', async () => {
+    requiredDifficulty.mockResolvedValue(0);
+    const next = jest.fn();
+    
+    await requireProofOfWork('login')({ ip: '203.0.113.7', body: {} }, mockResponse(), next);
+    
+    expect(next).toHaveBeenCalled();
+  });
+  
+  it('answers 428 with a challenge at the current difficulty', async () => {
+    requiredDifficulty.mockResolvedValue(10);
+    const res = mockResponse();
+    
+    await requireProofOfWork('login')({ ip: '203.0.113.7', body: {} }, res, jest.fn());
+    
+    expect(res.status).toHaveBeenCalledWith(428);
+    expect(res.json.mock.calls[0][0].challenge).toMatchObject({ id: 'fresh-id', difficulty: 10 });
+  });
+  
+  it('accepts a solved challenge issued to the same client for the same action', async () => {
+    requiredDifficulty.mockResolvedValue(8);
+    const challenge = storedChallenge(8);
+    const consume = jest.spyOn(ProofOfWorkChallenge, 'consume').mockResolvedValue(challenge);
+    const req = submit(challenge, solve(challenge));
+    const next = jest.fn();
+    
+    await requireProofOfWork('login')(req, mockResponse(), next);
+    
+    expect(consume).toHaveBeenCalledWith('challenge-id', 'login', req);
+    expect(next).toHaveBeenCalled();
+    expect(req.body.proofOfWork).toBeUndefined();
+  });
+  
+  it('rejects a solved challenge easier than the current difficulty', async () => {
+    requiredDifficulty.mockResolvedValue(12);
+    const challenge = storedChallenge(4);
+    jest.spyOn(ProofOfWorkChallenge, 'consume').mockResolvedValue(challenge);
+    const res = mockResponse();
+    const next = jest.fn();
+    
+    await requireProofOfWork('login')(submit(challenge, solve(challenge)), res, next);
+    
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(428);
+    expect(res.json.mock.calls[0][0].challenge.difficulty).toBe(12);
+  });
+  
+  it('rejects a challenge that is unknown, spent, or belongs to another client or action', async () => {
+    requiredDifficulty.mockResolvedValue(8);
+    const challenge = storedChallenge(8);
+    jest.spyOn(ProofOfWorkChallenge, 'consume').mockResolvedValue(null);
+    const res = mockResponse();
+    const next = jest.fn();
+    
+    await requireProofOfWork('login')(submit(challenge, solve(challenge)), res, next);
+    
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(428);
+  });
+  
+  it('only redeems challenges issued to the requesting IP', async () => {
+    const findOneAndDelete = jest.spyOn(ProofOfWorkChallenge, 'findOneAndDelete').mockResolvedValue(null);
+    
+    await ProofOfWorkChallenge.consume('64b7f0c2a1b2c3d4e5f6a7b8', 'login', { ip: '203.0.113.7' });
+    
+    expect(findOneAndDelete.mock.calls[0][0]).toMatchObject({ action: 'login', ip: '203.0.113.7' });
+  });
+});
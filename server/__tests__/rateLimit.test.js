@@ -0,0 +1,84 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const { rateLimit } = require('../middleware/rateLimit');
+const { setStore } = require('../services/rateLimit');
+const createMemoryStore = require('../services/rateLimit/stores/memory');
+const { signChallengeToken, LOGIN_CODE_PURPOSE } = require('../utils/twoFactor');
+
+const mockResponse = () => {
+  const res = { statusCode: 200 };
+  res.status = jest.fn((code) => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn(() => res);
+  res.set = jest.fn(() => res);
+  res.on = jest.fn();
+  return res;
+};
+
+// Run a limiter and report whether the request got through
+const attempt = async (limiter, req) => {
+  const next = jest.fn();
+  const res = mockResponse();
+  await limiter(req, res, next);
+  return next.mock.calls.length === 1 ? 'allowed' : res.statusCode;
+};
+
+beforeEach(() => {
+  setStore(createMemoryStore());
+});
+
+describe('second-factor limits', () => {
+  it('do not share the password step\'s budget', async () => {
+    const loginLimiter = rateLimit('login', 'loginAccount');
+    const secondFactorLimiter = rateLimit('secondFactor', 'secondFactorAccount');
+    const req = { ip: '198.51.100.1', body: { email: 'a@example.com' } };
+    
+    for (let i = 0; i < 5; i++) {
+      expect(await attempt(loginLimiter, req)).toBe('allowed');
+    }
+    expect(await attempt(loginLimiter, req)).toBe(429);
+    
+    const challengeToken = signChallengeToken('64b7f0c2a1b2c3d4e5f6a7b8');
+    expect(await attempt(secondFactorLimiter, { ip: req.ip, body: { challengeToken } })).toBe('allowed');
+  });
+  
+  it('count guesses per account across addresses and challenge purposes', async () => {
+    const limiter = rateLimit('secondFactor', 'secondFactorAccount');
+    const userId = '64b7f0c2a1b2c3d4e5f6a7b8';
+    
+    for (let i = 0; i < 5; i++) {
+      const challengeToken = signChallengeToken(userId, i % 2 ? LOGIN_CODE_PURPOSE : undefined);
+      expect(await attempt(limiter, { ip: `198.51.100.${i}`, body: { challengeToken } })).toBe('allowed');
+    }
+    
+    const challengeToken = signChallengeToken(userId);
+    expect(await attempt(limiter, { ip: '198.51.100.99', body: { challengeToken } })).toBe(429);
+    
+    // Another account is unaffected
+    const otherToken = signChallengeToken('64b7f0c2a1b2c3d4e5f6a7b9');
+    expect(await attempt(limiter, { ip: '198.51.100.99', body: { challengeToken: otherToken } })).toBe('allowed');
+  });
+  
+  it('leave invalid challenge tokens to the IP count', async () => {
+    const limiter = rateLimit('secondFactorAccount');
+    
+    expect(await attempt(limiter, { ip: '198.51.100.1', body: { challengeToken: 'forged' } })).toBe('allowed');
+    expect(await attempt(limiter, { ip: '198.51.100.1', body: { challengeToken: 42 } })).toBe('allowed');
+  });
+});
+
+describe('passkey limits', () => {
+  it('allow repeated option requests without using up assertions', async () => {
+    const optionsLimiter = rateLimit('passkeyOptions');
+    const verifyLimiter = rateLimit('passkeyLogin');
+    const req = { ip: '198.51.100.1', body: {} };
+    
+    for (let i = 0; i < 12; i++) {
+      expect(await attempt(optionsLimiter, req)).toBe('allowed');
+    }
+    
+    expect(await attempt(verifyLimiter, req)).toBe('allowed');
+  });
+});
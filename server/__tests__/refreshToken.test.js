@@ -0,0 +1,101 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const mongoose = require('mongoose');
+const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
+const RefreshToken = require('../models/refreshTokenModel');
+const SecurityEvent = require('../models/securityEventModel');
+const { refresh } = require('../controllers/authController');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.cookie = jest.fn(() => res);
+  res.clearCookie = jest.fn(() => res);
+  return res;
+};
+
+const refreshRequest = () => ({
+  cookies: { refresh_token: 'raw-refresh-token' },
+  headers: {},
+  ip: '127.0.0.1',
+  get: () => 'jest'
+});
+
+// A token already rotated `ago` milliseconds before it comes back
+const rotatedToken = ago => ({
+  user: new mongoose.Types.ObjectId(),
+  family: String(new mongoose.Types.ObjectId()),
+  revokedAt: new Date(Date.now() - ago),
+  revokedReason: 'rotated'
+});
+
+beforeEach(() => {
+  jest.spyOn(Session, 'revoke').mockResolvedValue();
+  jest.spyOn(SecurityEvent, 'record').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('refresh', () => {
+  it('rotates a live token within its family', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    const family = String(new mongoose.Types.ObjectId());
+    const session = { _id: family, isActive: () => true, touch: jest.fn() };
+    const replacement = { tokenHash: 'next-hash', expiresAt: new Date(Date.now() + 60000) };
+    
+    const retire = jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue({ _id: 'current', user: userId, family });
+    jest.spyOn(User, 'findById').mockResolvedValue({ _id: userId });
+    jest.spyOn(Session, 'findById').mockResolvedValue(session);
+    const issue = jest.spyOn(RefreshToken, 'issue').mockResolvedValue({ token: 'next-token', doc: replacement });
+    jest.spyOn(RefreshToken, 'updateOne').mockResolvedValue({});
+    
+    const res = mockResponse();
+    await refresh(refreshRequest(), res);
+    
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(retire.mock.calls[0][0]).toMatchObject({ tokenHash: RefreshToken.hashToken('raw-refresh-token'), revokedAt: null });
+    expect(issue).toHaveBeenCalledWith(userId, expect.anything(), family);
+    expect(res.cookie).toHaveBeenCalledWith('refresh_token', 'next-token', expect.objectContaining({ httpOnly: true }));
+  });
+  
+  it('leaves the cookies alone when a concurrent request just rotated the token', async () => {
+    jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(rotatedToken(2000));
+    
+    const res = mockResponse();
+    await refresh(refreshRequest(), res);
+    
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.clearCookie).not.toHaveBeenCalled();
+    expect(Session.revoke).not.toHaveBeenCalled();
+  });
+  
+  it('revokes the session when a rotated token comes back after the grace window', async () => {
+    const token = rotatedToken(60 * 1000);
+    jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(token);
+    
+    const res = mockResponse();
+    await refresh(refreshRequest(), res);
+    
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(Session.revoke).toHaveBeenCalledWith(token.family, 'reuse');
+    expect(SecurityEvent.record).toHaveBeenCalledWith(token.user, 'REFRESH_TOKEN_REUSE', expect.anything(), expect.any(String));
+    expect(res.clearCookie).toHaveBeenCalled();
+  });
+  
+  it('rejects unknown tokens without revoking anything', async () => {
+    jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(null);
+    
+    const res = mockResponse();
+    await refresh(refreshRequest(), res);
+    
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(Session.revoke).not.toHaveBeenCalled();
+  });
+});
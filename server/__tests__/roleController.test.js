@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const User = require('../models/userModel');
+const Role = require('../models/roleModel');
+const SecurityEvent = require('../models/securityEventModel');
+const { createRole, updateRole, assignRole } = require('../controllers/roleController');
+
+const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  user: [],
+  support: ['orders:read', 'users:read'],
+  'role-manager': ['roles:manage', 'orders:read', 'users:read']
+};
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// A request from a role manager who holds ROLE_PERMISSIONS['role-manager']
+const managerRequest = (overrides = {}) => ({
+  user: { _id: new mongoose.Types.ObjectId(), role: 'role-manager', email: 'manager@example.com' },
+  permissions: ROLE_PERMISSIONS['role-manager'],
+  params: {},
+  body: {},
+  ip: '127.0.0.1',
+  get: () => 'jest',
+  ...overrides
+});
+
+beforeEach(() => {
+  jest.spyOn(Role, 'ensureDefaults').mockResolvedValue();
+  jest.spyOn(Role, 'permissionsFor').mockImplementation(async name => ROLE_PERMISSIONS[name] || []);
+  jest.spyOn(Role, 'clearPermissionCache').mockImplementation(() => {});
+  jest.spyOn(SecurityEvent, 'record').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createRole', () => {
+  it('refuses permissions the caller does not hold', async () => {
+    const create = jest.spyOn(Role, 'create');
+    const res = mockResponse();
+    
+    await createRole(managerRequest({ body: { name: 'super', permissions: ['*'] } }), res);
+    
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(create).not.toHaveBeenCalled();
+  });
+  
+  it('refuses namespace wildcards wider than what the caller holds', async () => {
+    const res = mockResponse();
+    
+    await createRole(managerRequest({ body: { name: 'orders', permissions: ['orders:*'] } }), res);
+    
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+  
+  it('creates roles within the caller\'s permissions', async () => {
+    const create = jest.spyOn(Role, 'create').mockImplementation(async fields => fields);
+    const res = mockResponse();
+    
+    await createRole(managerRequest({ body: { name: 'viewer', permissions: ['orders:read'] } }), res);
+    
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(create).toHaveBeenCalledWith({ name: 'viewer', permissions: ['orders:read'], system: false });
+  });
+});
+
+describe('updateRole', () => {
+  const roleDocument = (name, permissions) => {
+    const role = new Role({ name, permissions });
+    jest.spyOn(role, 'save').mockResolvedValue(role);
+    jest.spyOn(Role, 'findById').mockResolvedValue(role);
+    return role;
+  };
+  
+  it('refuses to edit the role the caller holds', async () => {
+    const role = roleDocument('role-manager', ROLE_PERMISSIONS['role-manager']);
+    const res = mockResponse();
+    
+    await updateRole(managerRequest({ params: { id: role.id }, body: { permissions: ['*'] } }), res);
+    
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(role.save).not.toHaveBeenCalled();
+  });
+  
+  it('refuses to add permissions the caller does not hold', async () => {
+    const role = roleDocument('support', ROLE_PERMISSIONS.support);
+    const res = mockResponse();
+    
+    await updateRole(managerRequest({ params: { id: role.id }, body: { permissions: ['users:impersonate'] } }), res);
+    
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(role.save).not.toHaveBeenCalled();
+  });
+  
+  it('refuses to edit a role with more permissions than the caller', async () => {
+    const role = roleDocument('auditor', ['security-events:read']);
+    const res = mockResponse();
+    
+    await updateRole(managerRequest({ params: { id: role.id }, body: { description: 'Renamed' } }), res);
+    
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+  
+  it('updates roles within the caller\'s permissions', async () => {
+    const role = roleDocument('support', ROLE_PERMISSIONS.support);
+    const res = mockResponse();
+    
+    await updateRole(managerRequest({ params: { id: role.id }, body: { permissions: ['orders:read'] } }), res);
+    
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(role.permissions).toEqual(['orders:read']);
+  });
+});
+
+describe('assignRole', () => {
+  const targetUser = (role) => {
+    const user = new User({ name: 'Target', email: 'target@example.com', role });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    return user;
+  };
+  
+  beforeEach(() => {
+    jest.spyOn(Role, 'exists').mockResolvedValue(true);
+  });
+  
+  it('refuses to hand out a role with more permissions than the caller', async () => {
+    const update = jest.spyOn(User, 'findByIdAndUpdate');
+    const user = targetUser('user');
+    const res = mockResponse();
+    
+    await assignRole(managerRequest({ params: { id: user.id }, body: { role: 'admin' } }), res);
+    
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(update).not.toHaveBeenCalled();
+  });
+  
+  it('refuses to take away a role with more permissions than the caller', async () => {
+    const update = jest.spyOn(User, 'findByIdAndUpdate');
+    const user = targetUser('admin');
+    const res = mockResponse();
+    
+    await assignRole(managerRequest({ params: { id: user.id }, body: { role: 'user' } }), res);
+    
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(update).not.toHaveBeenCalled();
+  });
+  
+  it('assigns roles within the caller\'s permissions', async () => {
+    const update = jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue();
+    const user = targetUser('user');
+    const res = mockResponse();
+    
+    await assignRole(managerRequest({ params: { id: user.id }, body: { role: 'support' } }), res);
+    
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(update).toHaveBeenCalledWith(user._id, { role: 'support' });
+  });
+});
@@ -0,0 +1,219 @@
+const Product = require('../models/productModel');
+const { search, indexProduct, removeProduct, highlightProduct, PRICE_BUCKETS } = require('../services/search');
+
+const CATALOG = [
+  {
+    _id: 'p1',
+    name: 'Wireless Mouse',
+    brand: 'Logitech',
+    category: 'electronics',
+    price: 29.99,
+    stock: 10,
+    description: 'Ergonomic wireless mouse with a long battery life.'
+  },
+  {
+    _id: 'p2',
+    name: 'Wired Keyboard',
+    brand: 'Logitech',
+    category: 'electronics',
+    price: 49.99,
+    stock: 0,
+    description: 'Mechanical keyboard that pairs well with any mouse.'
+  },
+  {
+    _id: 'p3',
+    name: 'Mouse Pad',
+    brand: 'Acme',
+    category: 'accessories',
+    price: 9.99,
+    stock: 5,
+    description: 'Large cloth pad.'
+  },
+  {
+    _id: 'p4',
+    name: 'Bluetooth Headphones',
+    brand: 'Sony',
+    category: 'electronics',
+    price: 199,
+    stock: 3,
+    features: ['Noise cancelling', '30 hours on rechargeable batteries'],
+    specifications: { colour: 'Black' },
+    description: 'Over-ear headphones.'
+  },
+  {
+    _id: 'p5',
+    name: 'Café Mug',
+    category: 'kitchen',
+    price: 12,
+    stock: 50,
+    description: 'Ceramic mug.'
+  }
+];
+
+const ids = result => result.hits.map(hit => hit.id);
+
+// The index is built once from the catalog on the first search
+beforeAll(() => {
+  jest.spyOn(Product, 'find').mockReturnValue({
+    select: () => ({ lean: () => ({ cursor: () => CATALOG }) })
+  });
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ranking', () => {
+  it('ranks name matches above description matches', async () => {
+    const result = await search('mouse');
+    
+    expect(result.total).toBe(3);
+    expect(ids(result).slice(0, 2).sort()).toEqual(['p1', 'p3']);
+    expect(ids(result)[2]).toBe('p2');
+  });
+  
+  it('requires every query word to match', async () => {
+    expect((await search('wireless mouse')).hits.map(hit => hit.id)).toEqual(['p1']);
+    expect((await search('wireless keyboard')).total).toBe(0);
+  });
+  
+  it('treats the last word as a prefix', async () => {
+    expect(ids(await search('head'))).toEqual(['p4']);
+    expect(ids(await search('wireless mo'))).toEqual(['p1']);
+  });
+  
+  it('tolerates typos, including swapped letters', async () => {
+    expect(ids(await search('headphnoes'))).toEqual(['p4']);
+    expect(ids(await search('keybaord'))).toEqual(['p2']);
+  });
+  
+  it('ranks whole-word matches above prefix completions', async () => {
+    indexProduct({ _id: 'p6', name: 'Padded Case', category: 'accessories', price: 15, stock: 1 });
+    
+    try {
+      expect(ids(await search('pad'))).toEqual(['p3', 'p6']);
+    } finally {
+      removeProduct('p6');
+    }
+  });
+  
+  it('matches plurals, accents and words from features and specifications', async () => {
+    expect(ids(await search('battery')).sort()).toEqual(['p1', 'p4']);
+    expect(ids(await search('cafe'))).toEqual(['p5']);
+    expect(ids(await search('black'))).toEqual(['p4']);
+  });
+  
+  it('returns nothing for a query of only stop words', async () => {
+    const result = await search('the and of');
+    
+    expect(result.total).toBe(0);
+    expect(result.hits).toEqual([]);
+  });
+  
+  it('pages through the ranked results', async () => {
+    const all = ids(await search('mouse'));
+    
+    expect(ids(await search('mouse', { page: 2, limit: 1 }))).toEqual([all[1]]);
+    expect((await search('mouse', { page: 4, limit: 1 })).hits).toEqual([]);
+  });
+});
+
+describe('filters', () => {
+  it('filter by category, brand (ignoring case), price bucket and stock', async () => {
+    expect(ids(await search('mouse', { filters: { category: ['accessories'] } }))).toEqual(['p3']);
+    expect(ids(await search('mouse', { filters: { brand: 'logitech' } })).sort()).toEqual(['p1', 'p2']);
+    expect(ids(await search('mouse', { filters: { price: '0-25' } }))).toEqual(['p3']);
+    expect(ids(await search('mouse', { filters: { inStock: true } })).sort()).toEqual(['p1', 'p3']);
+  });
+  
+  it('combine', async () => {
+    const result = await search('mouse', { filters: { brand: 'Logitech', inStock: true } });
+    
+    expect(ids(result)).toEqual(['p1']);
+    expect(result.total).toBe(1);
+  });
+});
+
+describe('facets', () => {
+  it('count the matches for each value', async () => {
+    const { facets } = await search('mouse');
+    
+    expect(facets.category).toEqual([
+      { value: 'electronics', count: 2 },
+      { value: 'accessories', count: 1 }
+    ]);
+    expect(facets.brand).toEqual([
+      { value: 'Logitech', count: 2 },
+      { value: 'Acme', count: 1 }
+    ]);
+    expect(facets.inStock).toEqual([
+      { value: true, count: 2 },
+      { value: false, count: 1 }
+    ]);
+  });
+  
+  it('list price buckets in price order with their labels', async () => {
+    const { facets } = await search('mouse');
+    const label = key => PRICE_BUCKETS.find(bucket => bucket.key === key).label;
+    
+    expect(facets.price).toEqual([
+      { value: '0-25', label: label('0-25'), count: 1 },
+      { value: '25-50', label: label('25-50'), count: 2 }
+    ]);
+  });
+  
+  it('ignore their own filter but apply the others', async () => {
+    const { facets } = await search('mouse', { filters: { brand: 'Acme' } });
+    
+    // Other brands stay visible so the shopper can switch
+    expect(facets.brand).toEqual([
+      { value: 'Logitech', count: 2 },
+      { value: 'Acme', count: 1 }
+    ]);
+    
+    // Every other facet only counts Acme products
+    expect(facets.category).toEqual([{ value: 'accessories', count: 1 }]);
+    expect(facets.inStock).toEqual([{ value: true, count: 1 }]);
+  });
+});
+
+describe('index updates', () => {
+  it('picks up added, changed and removed products without a rebuild', async () => {
+    indexProduct({ _id: 'p7', name: 'Gaming Mouse', brand: 'Razer', category: 'electronics', price: 79, stock: 2 });
+    expect(ids(await search('gaming'))).toEqual(['p7']);
+    
+    indexProduct({ _id: 'p7', name: 'Trackball', brand: 'Razer', category: 'electronics', price: 79, stock: 2 });
+    expect((await search('gaming')).total).toBe(0);
+    expect(ids(await search('trackball'))).toEqual(['p7']);
+    
+    removeProduct('p7');
+    expect((await search('trackball')).total).toBe(0);
+  });
+});
+
+describe('highlightProduct', () => {
+  it('marks the words that matched, including plurals and accents', () => {
+    const { name, description } = highlightProduct(
+      { name: 'Café Mugs', description: 'Two mugs for your café.' },
+      new Set(['cafe', 'mug'])
+    );
+    
+    expect(name).toEqual([
+      { text: 'Café', match: true },
+      { text: ' ', match: false },
+      { text: 'Mugs', match: true }
+    ]);
+    expect(description.filter(segment => segment.match).map(segment => segment.text)).toEqual(['mugs', 'café']);
+  });
+  
+  it('trims long descriptions to the text around the first match', () => {
+    const filler = 'lorem ipsum dolor sit amet '.repeat(20);
+    const { description } = highlightProduct({ name: 'Lamp', description: `${filler}bright lamp ${filler}` }, new Set(['bright']));
+    const text = description.map(segment => segment.text).join('');
+    
+    expect(text.startsWith('…')).toBe(true);
+    expect(text.endsWith('…')).toBe(true);
+    expect(text.length).toBeLessThanOrEqual(162);
+    expect(description.find(segment => segment.match).text).toBe('bright');
+  });
+});
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const User = require('../models/userModel');
+const SecurityEvent = require('../models/securityEventModel');
+const { migrateUser } = require('../scripts/migrateSecurityEvents');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('SecurityEvent.record', () => {
+  it('truncates over-long details instead of failing validation', async () => {
+    const create = jest.spyOn(SecurityEvent, 'create').mockResolvedValue({});
+    const req = { ip: '127.0.0.1', get: () => 'jest' };
+    
+    await SecurityEvent.record(new mongoose.Types.ObjectId(), 'EMAIL_CHANGE', req, 'x'.repeat(800));
+    
+    const { details } = create.mock.calls[0][0];
+    expect(details).toHaveLength(500);
+    expect(details.endsWith('...')).toBe(true);
+    
+    const event = new SecurityEvent(create.mock.calls[0][0]);
+    expect(event.validateSync()).toBeUndefined();
+  });
+  
+  it('leaves short and missing details alone', () => {
+    expect(SecurityEvent.truncateDetails('Signed in')).toBe('Signed in');
+    expect(SecurityEvent.truncateDetails(undefined)).toBeUndefined();
+  });
+});
+
+describe('migrateSecurityEvents', () => {
+  const legacyUser = () => ({
+    _id: new mongoose.Types.ObjectId(),
+    securityEvents: [
+      { type: 'LOGIN', date: new Date('2024-01-01'), ip: '1.2.3.4', userAgent: 'ua' },
+      { type: 'PASSWORD_CHANGE', date: new Date('2024-02-01'), details: 'y'.repeat(600) }
+    ]
+  });
+  
+  it('copies embedded events into the collection and drops the array', async () => {
+    const bulkWrite = jest.spyOn(SecurityEvent.collection, 'bulkWrite').mockResolvedValue({});
+    const unset = jest.spyOn(User.collection, 'updateOne').mockResolvedValue({});
+    const user = legacyUser();
+    
+    expect(await migrateUser(user)).toBe(2);
+    
+    const ops = bulkWrite.mock.calls[0][0];
+    expect(ops).toHaveLength(2);
+    expect(ops[0].updateOne.update.$setOnInsert).toMatchObject({
+      user: user._id,
+      type: 'LOGIN',
+      ip: '1.2.3.4',
+      createdAt: new Date('2024-01-01')
+    });
+    expect(ops[1].updateOne.update.$setOnInsert.details).toHaveLength(500);
+    expect(unset).toHaveBeenCalledWith({ _id: user._id }, { $unset: { securityEvents: '' } });
+    
+    // Written first, so a failed copy leaves the array in place for a re-run
+    expect(bulkWrite.mock.invocationCallOrder[0]).toBeLessThan(unset.mock.invocationCallOrder[0]);
+  });
+  
+  it('gives each event the same id on every run so re-runs do not duplicate', async () => {
+    const bulkWrite = jest.spyOn(SecurityEvent.collection, 'bulkWrite').mockResolvedValue({});
+    jest.spyOn(User.collection, 'updateOne').mockResolvedValue({});
+    const user = legacyUser();
+    
+    await migrateUser(user);
+    await migrateUser(user);
+    
+    const ids = run => bulkWrite.mock.calls[run][0].map(op => String(op.updateOne.filter._id));
+    expect(ids(1)).toEqual(ids(0));
+    expect(new Set(ids(0)).size).toBe(2);
+    expect(bulkWrite.mock.calls[0][0][0].updateOne.upsert).toBe(true);
+  });
+});
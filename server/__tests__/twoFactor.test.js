@@ -0,0 +1,178 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const jwt = require('jsonwebtoken');
+const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
+const { protect } = require('../controllers/authController');
+const SecurityEvent = require('../models/securityEventModel');
+const { verifyLogin, disableTwoFactor } = require('../controllers/twoFactorController');
+const {
+  generateTOTP,
+  matchTOTP,
+  verifyTOTP,
+  hashRecoveryCode,
+  signChallengeToken,
+  verifyChallengeToken,
+  LOGIN_CODE_PURPOSE
+} = require('../utils/twoFactor');
+
+// RFC 6238 test secret ("12345678901234567890") in base32
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('TOTP', () => {
+  it('matches the RFC 6238 test vectors', () => {
+    // The RFC lists 8-digit codes - ours are the last 6 digits
+    expect(generateTOTP(SECRET, 59 * 1000)).toBe('287082');
+    expect(generateTOTP(SECRET, 1111111109 * 1000)).toBe('081804');
+    expect(generateTOTP(SECRET, 2000000000 * 1000)).toBe('279037');
+  });
+  
+  it('returns the time step a code belongs to, allowing one step of drift', () => {
+    const now = 1111111109 * 1000;
+    const step = Math.floor(now / 30000);
+    
+    expect(matchTOTP(SECRET, generateTOTP(SECRET, now), now)).toBe(step);
+    expect(matchTOTP(SECRET, generateTOTP(SECRET, now - 30000), now)).toBe(step - 1);
+    expect(matchTOTP(SECRET, generateTOTP(SECRET, now + 30000), now)).toBe(step + 1);
+    expect(matchTOTP(SECRET, generateTOTP(SECRET, now - 60000), now)).toBeNull();
+  });
+  
+  it('rejects malformed codes', () => {
+    expect(verifyTOTP(SECRET, '12345')).toBe(false);
+    expect(verifyTOTP(SECRET, 'abcdef')).toBe(false);
+    expect(verifyTOTP(SECRET, 287082)).toBe(false);
+    expect(verifyTOTP(SECRET, ['287082'])).toBe(false);
+    expect(verifyTOTP(undefined, '287082')).toBe(false);
+  });
+});
+
+describe('User#useTotpCode', () => {
+  const userWithSecret = () => {
+    const user = new User({ name: 'Test', email: 'test@example.com' });
+    user.twoFactorSecret = SECRET;
+    return user;
+  };
+  
+  it('claims the code\'s time step only if it is newer than the last one used', async () => {
+    const updateOne = jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const user = userWithSecret();
+    
+    await expect(user.useTotpCode(generateTOTP(SECRET))).resolves.toBe(true);
+    
+    const step = Math.floor(Date.now() / 30000);
+    const [filter, update] = updateOne.mock.calls[0];
+    expect(filter).toEqual({
+      _id: user._id,
+      $or: [{ lastTotpStep: { $lt: step } }, { lastTotpStep: null }]
+    });
+    expect(update).toEqual({ $set: { lastTotpStep: step } });
+  });
+  
+  it('rejects a replayed code', async () => {
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+    
+    await expect(userWithSecret().useTotpCode(generateTOTP(SECRET))).resolves.toBe(false);
+  });
+  
+  it('does not touch the database for a wrong code', async () => {
+    const updateOne = jest.spyOn(User, 'updateOne');
+    const code = generateTOTP(SECRET, Date.now() - 5 * 60 * 1000);
+    
+    await expect(userWithSecret().useTotpCode(code)).resolves.toBe(false);
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('disableTwoFactor', () => {
+  it('forgets the last used time step with the secret', async () => {
+    // Loaded as from the database, with a step already used
+    const user = User.hydrate({
+      _id: '64b7f0c2a1b2c3d4e5f6a7b8',
+      name: 'Test',
+      email: 'test@example.com',
+      password: 'hash',
+      twoFactorEnabled: true,
+      twoFactorSecret: SECRET,
+      lastTotpStep: Math.floor(Date.now() / 30000)
+    });
+    user.correctPassword = jest.fn().mockResolvedValue(true);
+    user.useTotpCode = jest.fn().mockResolvedValue(true);
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(user) });
+    jest.spyOn(SecurityEvent, 'record').mockResolvedValue();
+    
+    let changes;
+    jest.spyOn(user, 'save').mockImplementation(function() {
+      changes = this.getChanges();
+      return Promise.resolve(this);
+    });
+    
+    const res = mockResponse();
+    await disableTwoFactor({ user: { _id: user._id }, body: { password: 'pw', code: '123456' } }, res);
+    
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(Object.keys(changes.$unset)).toEqual(expect.arrayContaining(['twoFactorSecret', 'lastTotpStep']));
+  });
+});
+
+describe('recovery codes', () => {
+  it('hashes codes regardless of case, spaces and dashes', () => {
+    expect(hashRecoveryCode('ABCDE-12345')).toBe(hashRecoveryCode('abcde 12345'));
+  });
+  
+  it('refuses anything that is not a string', () => {
+    expect(() => hashRecoveryCode(12345)).toThrow(TypeError);
+    expect(() => hashRecoveryCode(['abcde-12345'])).toThrow(TypeError);
+    expect(() => hashRecoveryCode({ $ne: null })).toThrow(TypeError);
+  });
+  
+  it('answers 400 when a sign-in sends a non-string code', async () => {
+    const findUser = jest.spyOn(User, 'findById');
+    const res = mockResponse();
+    
+    await verifyLogin({ body: { challengeToken: signChallengeToken('user-1'), recoveryCode: 12345 } }, res);
+    
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(findUser).not.toHaveBeenCalled();
+  });
+});
+
+describe('login challenge tokens', () => {
+  it('round-trips for the purpose it was issued for', async () => {
+    const token = signChallengeToken('user-1');
+    
+    await expect(verifyChallengeToken(token)).resolves.toMatchObject({ id: 'user-1' });
+    await expect(verifyChallengeToken(token, LOGIN_CODE_PURPOSE)).rejects.toThrow();
+  });
+  
+  it('is not signed with the access token secret', () => {
+    expect(() => jwt.verify(signChallengeToken('user-1'), process.env.JWT_SECRET)).toThrow(/signature/);
+  });
+  
+  it('is not accepted by protect, even if signed with the access token secret', async () => {
+    const findUser = jest.spyOn(User, 'findById');
+    const findSession = jest.spyOn(Session, 'findById');
+    const token = jwt.sign({ id: 'user-1', purpose: '2fa-login' }, process.env.JWT_SECRET);
+    
+    const req = { headers: { authorization: `Bearer ${token}` }, cookies: {} };
+    const res = mockResponse();
+    const next = jest.fn();
+    
+    await protect(req, res, next);
+    
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+    expect(findUser).not.toHaveBeenCalled();
+    expect(findSession).not.toHaveBeenCalled();
+  });
+});
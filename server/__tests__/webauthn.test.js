@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const cbor = require('../utils/cbor');
+const {
+  verifyRegistrationResponse,
+  verifyAuthenticationResponse,
+  toBase64Url
+} = require('../utils/webauthn');
+
+const ORIGIN = 'http://localhost:3000';
+const RP_ID = 'localhost';
+const CHALLENGE = toBase64Url(crypto.randomBytes(32));
+
+// Just enough CBOR encoding to play the authenticator's part
+const head = (major, value) => {
+  if (value < 24) return Buffer.from([(major << 5) | value]);
+  if (value < 0x100) return Buffer.from([(major << 5) | 24, value]);
+  
+  const bytes = Buffer.alloc(3);
+  bytes[0] = (major << 5) | 25;
+  bytes.writeUInt16BE(value, 1);
+  return bytes;
+};
+
+const encode = (value) => {
+  if (Buffer.isBuffer(value)) return Buffer.concat([head(2, value.length), value]);
+  if (typeof value === 'string') return Buffer.concat([head(3, Buffer.byteLength(value)), Buffer.from(value)]);
+  if (Number.isInteger(value)) return value >= 0 ? head(0, value) : head(1, -1 - value);
+  if (value instanceof Map) {
+    return Buffer.concat([head(5, value.size), ...[...value].flatMap(([k, v]) => [encode(k), encode(v)])]);
+  }
+  throw new Error(`Can't encode ${value}`);
+};
+
+// A software authenticator holding one P-256 credential
+const createAuthenticator = () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const jwk = publicKey.export({ format: 'jwk' });
+  const credentialId = crypto.randomBytes(16);
+  
+  const coseKey = new Map([
+    [1, 2],
+    [3, -7],
+    [-1, 1],
+    [-2, Buffer.from(jwk.x, 'base64url')],
+    [-3, Buffer.from(jwk.y, 'base64url')]
+  ]);
+  
+  const authData = ({ flags = 0x05, counter = 0, attested = false, rpId = RP_ID } = {}) => {
+    const fixed = Buffer.alloc(37);
+    crypto.createHash('sha256').update(rpId).digest().copy(fixed, 0);
+    fixed[32] = flags | (attested ? 0x40 : 0);
+    fixed.writeUInt32BE(counter, 33);
+    
+    if (!attested) return fixed;
+    
+    const idLength = Buffer.alloc(2);
+    idLength.writeUInt16BE(credentialId.length);
+    return Buffer.concat([fixed, Buffer.alloc(16), idLength, credentialId, encode(coseKey)]);
+  };
+  
+  const clientData = (type, { challenge = CHALLENGE, origin = ORIGIN } = {}) =>
+    Buffer.from(JSON.stringify({ type, challenge, origin }));
+  
+  const hash = data => crypto.createHash('sha256').update(data).digest();
+  
+  const register = ({ fmt = 'none', client = {}, ...options } = {}) => {
+    const data = authData({ ...options, attested: true });
+    const clientDataJSON = clientData('webauthn.create', client);
+    const attStmt = fmt === 'packed'
+      ? new Map([['alg', -7], ['sig', crypto.sign('sha256', Buffer.concat([data, hash(clientDataJSON)]), privateKey)]])
+      : new Map();
+    
+    return {
+      id: toBase64Url(credentialId),
+      type: 'public-key',
+      response: {
+        clientDataJSON: toBase64Url(clientDataJSON),
+        attestationObject: toBase64Url(encode(new Map([['fmt', fmt], ['attStmt', attStmt], ['authData', data]]))),
+        transports: ['internal']
+      }
+    };
+  };
+  
+  const assert = ({ client = {}, ...options } = {}) => {
+    const data = authData(options);
+    const clientDataJSON = clientData('webauthn.get', client);
+    
+    return {
+      id: toBase64Url(credentialId),
+      type: 'public-key',
+      response: {
+        clientDataJSON: toBase64Url(clientDataJSON),
+        authenticatorData: toBase64Url(data),
+        signature: toBase64Url(crypto.sign('sha256', Buffer.concat([data, hash(clientDataJSON)]), privateKey))
+      }
+    };
+  };
+  
+  return { register, assert };
+};
+
+describe('cbor.decode', () => {
+  it('decodes integers, strings, arrays and maps', () => {
+    expect(cbor.decode(Buffer.from([0x17]))).toBe(23);
+    expect(cbor.decode(Buffer.from([0x18, 0x64]))).toBe(100);
+    expect(cbor.decode(Buffer.from([0x19, 0x03, 0xe8]))).toBe(1000);
+    expect(cbor.decode(Buffer.from([0x20]))).toBe(-1);
+    expect(cbor.decode(Buffer.from([0x38, 0x63]))).toBe(-100);
+    expect(cbor.decode(Buffer.from([0x63, 0x61, 0x62, 0x63]))).toBe('abc');
+    expect(cbor.decode(Buffer.from([0x42, 0x01, 0x02]))).toEqual(Buffer.from([1, 2]));
+    expect(cbor.decode(Buffer.from([0x82, 0x01, 0x61, 0x78]))).toEqual([1, 'x']);
+    expect(cbor.decode(Buffer.from([0xa2, 0x01, 0x02, 0x20, 0xf5]))).toEqual(new Map([[1, 2], [-1, true]]));
+  });
+  
+  it('decodes simple values and floats', () => {
+    expect(cbor.decode(Buffer.from([0xf4]))).toBe(false);
+    expect(cbor.decode(Buffer.from([0xf6]))).toBeNull();
+    expect(cbor.decode(Buffer.from([0xf9, 0x3c, 0x00]))).toBe(1);
+    expect(cbor.decode(Buffer.from([0xf9, 0xc4, 0x00]))).toBe(-4);
+    expect(cbor.decode(Buffer.from([0xfb, 0x3f, 0xf1, 0x99, 0x99, 0x99, 0x99, 0x99, 0x9a]))).toBe(1.1);
+  });
+  
+  it('rejects trailing bytes, truncation, indefinite lengths and tags', () => {
+    expect(() => cbor.decode(Buffer.from([0x01, 0x02]))).toThrow('trailing');
+    expect(() => cbor.decode(Buffer.from([0x63, 0x61]))).toThrow('out of range');
+    expect(() => cbor.decode(Buffer.from([0x82, 0x01]))).toThrow('end of input');
+    expect(() => cbor.decode(Buffer.from([0x5f, 0x41, 0x00, 0xff]))).toThrow('indefinite');
+    expect(() => cbor.decode(Buffer.from([0xc1, 0x00]))).toThrow('tags');
+    expect(() => cbor.decode(Buffer.from([0x1b, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff]))).toThrow('too large');
+  });
+  
+  it('reports how much of the buffer the first item used', () => {
+    expect(cbor.decodeFirst(Buffer.from([0x18, 0x64, 0xff]))).toEqual({ value: 100, length: 2 });
+  });
+});
+
+describe('verifyRegistrationResponse', () => {
+  it('accepts a "none" attestation and returns the credential to store', () => {
+    const authenticator = createAuthenticator();
+    const credential = authenticator.register();
+    
+    const stored = verifyRegistrationResponse(credential, CHALLENGE);
+    
+    expect(stored).toMatchObject({ credentialId: credential.id, algorithm: -7, counter: 0, transports: ['internal'] });
+    expect(stored.publicKey).toContain('BEGIN PUBLIC KEY');
+  });
+  
+  it('accepts a packed self attestation and rejects a forged one', () => {
+    const authenticator = createAuthenticator();
+    
+    expect(() => verifyRegistrationResponse(authenticator.register({ fmt: 'packed' }), CHALLENGE)).not.toThrow();
+    
+    const forged = authenticator.register({ fmt: 'packed' });
+    const other = createAuthenticator().register({ fmt: 'packed' });
+    const attestation = cbor.decode(Buffer.from(forged.response.attestationObject, 'base64url'));
+    const otherAttestation = cbor.decode(Buffer.from(other.response.attestationObject, 'base64url'));
+    attestation.set('attStmt', otherAttestation.get('attStmt'));
+    forged.response.attestationObject = toBase64Url(encode(attestation));
+    
+    expect(() => verifyRegistrationResponse(forged, CHALLENGE)).toThrow('Attestation signature is invalid');
+  });
+  
+  it('rejects the wrong challenge, origin, relying party or ceremony', () => {
+    const authenticator = createAuthenticator();
+    
+    expect(() => verifyRegistrationResponse(authenticator.register(), toBase64Url(crypto.randomBytes(32))))
+      .toThrow('Challenge mismatch');
+    expect(() => verifyRegistrationResponse(authenticator.register({ client: { origin: 'https://evil.example' } }), CHALLENGE))
+      .toThrow('Unexpected origin');
+    expect(() => verifyRegistrationResponse(authenticator.register({ rpId: 'evil.example' }), CHALLENGE))
+      .toThrow('Relying party ID mismatch');
+    expect(() => verifyAuthenticationResponse(authenticator.register(), CHALLENGE, {}))
+      .toThrow('Unexpected ceremony type');
+  });
+  
+  it('requires user verification only when asked to', () => {
+    const credential = createAuthenticator().register({ flags: 0x01 });
+    
+    expect(() => verifyRegistrationResponse(credential, CHALLENGE)).not.toThrow();
+    expect(() => verifyRegistrationResponse(credential, CHALLENGE, { requireUserVerification: true }))
+      .toThrow('User verification is required');
+  });
+});
+
+describe('verifyAuthenticationResponse', () => {
+  const registered = (authenticator) => verifyRegistrationResponse(authenticator.register(), CHALLENGE);
+  
+  it('accepts a signed assertion and returns the new counter', () => {
+    const authenticator = createAuthenticator();
+    const stored = { ...registered(authenticator), counter: 4 };
+    
+    expect(verifyAuthenticationResponse(authenticator.assert({ counter: 5 }), CHALLENGE, stored))
+      .toEqual({ newCounter: 5, userVerified: true, backedUp: false });
+  });
+  
+  it('rejects a signature from another key or over other data', () => {
+    const authenticator = createAuthenticator();
+    const stored = registered(authenticator);
+    
+    const tampered = authenticator.assert({ counter: 1 });
+    tampered.response.authenticatorData = authenticator.assert({ counter: 2 }).response.authenticatorData;
+    
+    expect(() => verifyAuthenticationResponse(tampered, CHALLENGE, stored)).toThrow('Signature is invalid');
+    expect(() => verifyAuthenticationResponse(createAuthenticator().assert({ counter: 1 }), CHALLENGE, stored))
+      .toThrow('Signature is invalid');
+  });
+  
+  it('rejects a counter that did not increase, except from authenticators without one', () => {
+    const authenticator = createAuthenticator();
+    const stored = registered(authenticator);
+    
+    expect(() => verifyAuthenticationResponse(authenticator.assert({ counter: 7 }), CHALLENGE, { ...stored, counter: 7 }))
+      .toThrow('possible cloned authenticator');
+    expect(() => verifyAuthenticationResponse(authenticator.assert({ counter: 0 }), CHALLENGE, { ...stored, counter: 3 }))
+      .toThrow('possible cloned authenticator');
+    expect(verifyAuthenticationResponse(authenticator.assert({ counter: 0 }), CHALLENGE, { ...stored, counter: 0 }).newCounter)
+      .toBe(0);
+  });
+  
+  it('requires user presence', () => {
+    const authenticator = createAuthenticator();
+    const stored = registered(authenticator);
+    
+    expect(() => verifyAuthenticationResponse(authenticator.assert({ flags: 0x04, counter: 1 }), CHALLENGE, stored))
+      .toThrow('User presence is required');
+  });
+});
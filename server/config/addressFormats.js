@@ -0,0 +1,186 @@
+/**
+ * Address formats for the countries the shop ships to
+ * Each entry says how postal codes look and whether a state/region is needed.
+ * A summary is served to the frontend to build the address form; the checks
+ * themselves only run here.
+ */
+
+const US_STATES = [
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID',
+  'IL', 'IN', 'IA', 'KS', 'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO',
+  'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA',
+  'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY'
+];
+
+const COUNTRIES = {
+  US: {
+    name: 'United States',
+    postalCode: /^\d{5}(-\d{4})?$/,
+    postalCodeExample: '94103',
+    stateLabel: 'State',
+    states: US_STATES
+  },
+  CA: {
+    name: 'Canada',
+    postalCode: /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] \d[ABCEGHJ-NPRSTV-Z]\d$/,
+    postalCodeExample: 'K1A 0B1',
+    stateLabel: 'Province',
+    states: ['AB', 'BC', 'MB', 'NB', 'NL', 'NS', 'NT', 'NU', 'ON', 'PE', 'QC', 'SK', 'YT']
+  },
+  GB: {
+    name: 'United Kingdom',
+    postalCode: /^[A-Z]{1,2}\d[A-Z\d]? \d[A-Z]{2}$/,
+    postalCodeExample: 'SW1A 1AA',
+    stateLabel: 'County',
+    stateOptional: true
+  },
+  IE: {
+    name: 'Ireland',
+    postalCode: /^(?:[AC-FHKNPRTV-Y]\d{2}|D6W) [\dAC-FHKNPRTV-Y]{4}$/,
+    postalCodeExample: 'D02 X285',
+    postalCodeOptional: true,
+    stateLabel: 'County',
+    stateOptional: true
+  },
+  DE: {
+    name: 'Germany',
+    postalCode: /^\d{5}$/,
+    postalCodeExample: '10115'
+  },
+  FR: {
+    name: 'France',
+    postalCode: /^\d{5}$/,
+    postalCodeExample: '75001'
+  },
+  NL: {
+    name: 'Netherlands',
+    postalCode: /^\d{4} [A-Z]{2}$/,
+    postalCodeExample: '1012 JS'
+  },
+  AU: {
+    name: 'Australia',
+    postalCode: /^\d{4}$/,
+    postalCodeExample: '2000',
+    stateLabel: 'State',
+    states: ['ACT', 'NSW', 'NT', 'QLD', 'SA', 'TAS', 'VIC', 'WA']
+  },
+  IN: {
+    name: 'India',
+    postalCode: /^[1-9]\d{5}$/,
+    postalCodeExample: '110001',
+    stateLabel: 'State'
+  },
+  JP: {
+    name: 'Japan',
+    postalCode: /^\d{3}-\d{4}$/,
+    postalCodeExample: '100-0001',
+    stateLabel: 'Prefecture'
+  }
+};
+
+// Free-text field limits
+const FIELD_LIMITS = {
+  name: 100,
+  addressLine1: 100,
+  addressLine2: 100,
+  city: 60,
+  state: 60
+};
+
+// Tidy a postal code into the country's canonical form (upper case, single
+// space in the right place) so "sw1a1aa" and "SW1A 1AA" are the same thing
+const normalizePostalCode = (country, value) => {
+  const compact = value.toUpperCase().replace(/[\s-]/g, '');
+  
+  switch (country) {
+    case 'CA':
+    case 'GB':
+      return compact.length > 3 ? `${compact.slice(0, -3)} ${compact.slice(-3)}` : compact;
+    case 'IE':
+      return compact.length === 7 ? `${compact.slice(0, 3)} ${compact.slice(3)}` : compact;
+    case 'NL':
+      return compact.length === 6 ? `${compact.slice(0, 4)} ${compact.slice(4)}` : compact;
+    case 'JP':
+      return compact.length === 7 ? `${compact.slice(0, 3)}-${compact.slice(3)}` : compact;
+    case 'US':
+      return compact.length === 9 ? `${compact.slice(0, 5)}-${compact.slice(5)}` : compact;
+    default:
+      return compact;
+  }
+};
+
+// Check an address against its country's rules
+// Returns the cleaned address and a map of field -> error message
+const validateAddress = (input = {}) => {
+  const errors = {};
+  const address = {};
+  
+  const text = field => (typeof input[field] === 'string' ? input[field].trim() : '');
+  
+  // Free-text fields
+  ['name', 'addressLine1', 'addressLine2', 'city'].forEach(field => {
+    address[field] = text(field);
+    if (address[field].length > FIELD_LIMITS[field]) {
+      errors[field] = `Must be no more than ${FIELD_LIMITS[field]} characters`;
+    }
+  });
+  
+  if (!address.name) errors.name = 'Please provide the recipient name';
+  if (!address.addressLine1) errors.addressLine1 = 'Please provide a street address';
+  if (!address.city) errors.city = 'Please provide a city';
+  
+  // Country decides the remaining rules
+  address.country = text('country').toUpperCase();
+  const format = COUNTRIES[address.country];
+  
+  if (!format) {
+    errors.country = 'We do not ship to that country';
+    return { address, errors };
+  }
+  
+  // State / region
+  address.state = text('state');
+  if (format.states) {
+    address.state = address.state.toUpperCase();
+    if (!format.states.includes(address.state)) {
+      errors.state = `Please choose a valid ${format.stateLabel.toLowerCase()}`;
+    }
+  } else if (format.stateLabel && !format.stateOptional && !address.state) {
+    errors.state = `Please provide a ${format.stateLabel.toLowerCase()}`;
+  } else if (address.state.length > FIELD_LIMITS.state) {
+    errors.state = `Must be no more than ${FIELD_LIMITS.state} characters`;
+  }
+  
+  // Postal code
+  address.postalCode = normalizePostalCode(address.country, text('postalCode'));
+  if (!address.postalCode) {
+    if (!format.postalCodeOptional) errors.postalCode = 'Please provide a postal code';
+  } else if (!format.postalCode.test(address.postalCode)) {
+    errors.postalCode = `Please enter a valid postal code, e.g. ${format.postalCodeExample}`;
+  }
+  
+  // Phone - optional, stored as digits with an optional leading +
+  address.phone = text('phone').replace(/[\s().-]/g, '');
+  if (address.phone && !/^\+?\d{7,15}$/.test(address.phone)) {
+    errors.phone = 'Please enter a valid phone number';
+  }
+  
+  return { address, errors };
+};
+
+// Country rules in a form the frontend can use
+const listCountries = () => Object.entries(COUNTRIES).map(([code, format]) => ({
+  code,
+  name: format.name,
+  postalCodeExample: format.postalCodeExample,
+  postalCodeOptional: !!format.postalCodeOptional,
+  stateLabel: format.stateLabel || null,
+  stateRequired: !!format.stateLabel && !format.stateOptional,
+  states: format.states || null
+}));
+
+module.exports = {
+  COUNTRIES,
+  validateAddress,
+  listCountries
+};
@@ -0,0 +1,91 @@
+/**
+ * Password policy - the one place the composition rules are defined
+ * The server enforces it on signup, password change and reset, and serves it
+ * from GET /api/auth/password-policy so the forms show the same rules.
+ * Common, breached and personal passwords are handled separately by
+ * services/passwordScreening.
+ */
+
+// Character classes a policy can require. "symbol" is anything that isn't a
+// letter or digit, so every special character counts the same everywhere.
+const CHARACTER_CLASSES = {
+  lowercase: { pattern: /[a-z]/, label: 'a lowercase letter' },
+  uppercase: { pattern: /[A-Z]/, label: 'an uppercase letter' },
+  number: { pattern: /[0-9]/, label: 'a number' },
+  symbol: { pattern: /[^A-Za-z0-9]/, label: 'a special character' }
+};
+
+// bcrypt only looks at the first 72 bytes, so longer passwords would
+// silently match anything sharing the same prefix
+const BCRYPT_MAX_BYTES = 72;
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const PASSWORD_POLICY = {
+  minLength: envInt('PASSWORD_MIN_LENGTH', 8),
+  maxLength: Math.min(envInt('PASSWORD_MAX_LENGTH', 64), BCRYPT_MAX_BYTES),
+  requiredClasses: (process.env.PASSWORD_REQUIRED_CLASSES || 'lowercase,uppercase,number,symbol')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => CHARACTER_CLASSES[name]),
+  // How many previous passwords can't be reused (0 turns the check off)
+  historyDepth: envInt('PASSWORD_HISTORY_DEPTH', 5)
+};
+
+/**
+ * Check a candidate password against the composition rules
+ * @param {string} password - the candidate password
+ * @returns {Array<{ code: string, message: string }>} reasons - empty when acceptable
+ */
+const checkPasswordPolicy = (password) => {
+  if (typeof password !== 'string' || password.length === 0) {
+    return [{ code: 'PASSWORD_REQUIRED', message: 'Please provide a password' }];
+  }
+  
+  const reasons = [];
+  
+  if (password.length < PASSWORD_POLICY.minLength) {
+    reasons.push({
+      code: 'PASSWORD_TOO_SHORT',
+      message: `Password must be at least ${PASSWORD_POLICY.minLength} characters long`
+    });
+  }
+  
+  if (password.length > PASSWORD_POLICY.maxLength || Buffer.byteLength(password) > BCRYPT_MAX_BYTES) {
+    reasons.push({
+      code: 'PASSWORD_TOO_LONG',
+      message: `Password must be no more than ${PASSWORD_POLICY.maxLength} characters long`
+    });
+  }
+  
+  const missing = PASSWORD_POLICY.requiredClasses.filter(name => !CHARACTER_CLASSES[name].pattern.test(password));
+  if (missing.length > 0) {
+    reasons.push({
+      code: 'PASSWORD_MISSING_CHARACTERS',
+      message: `Password must contain ${missing.map(name => CHARACTER_CLASSES[name].label).join(', ')}`
+    });
+  }
+  
+  return reasons;
+};
+
+// The policy in a form the frontend can evaluate
+const publicPasswordPolicy = () => ({
+  minLength: PASSWORD_POLICY.minLength,
+  maxLength: PASSWORD_POLICY.maxLength,
+  requiredClasses: PASSWORD_POLICY.requiredClasses.map(name => ({
+    name,
+    label: CHARACTER_CLASSES[name].label,
+    pattern: CHARACTER_CLASSES[name].pattern.source
+  })),
+  historyDepth: PASSWORD_POLICY.historyDepth
+});
+
+module.exports = {
+  PASSWORD_POLICY,
+  checkPasswordPolicy,
+  publicPasswordPolicy
+};
@@ -0,0 +1,76 @@
+/**
+ * Permission catalog for the e-commerce backend
+ * Roles are stored in the database as lists of these names. A role may also
+ * grant every permission in a namespace ("products:*") or everything ("*").
+ */
+
+const PERMISSIONS = {
+  'products:write': 'Create and edit products',
+  'products:delete': 'Delete products',
+  'categories:manage': 'Create, edit, move and delete product categories',
+  'orders:read': 'View all customer orders',
+  'orders:refund': 'Refund customer orders',
+  'users:read': 'Look up customer accounts',
+  'users:lock': 'Unlock customer accounts',
+  'users:impersonate': 'View the site as a customer for troubleshooting',
+  'security-events:read': 'View the security audit log',
+  'roles:manage': 'Manage roles and role assignments',
+  'api-keys:manage': 'Create and revoke API keys for integrations',
+  'rate-limits:manage': 'View throttled clients and lift rate limits'
+};
+
+// Roles created on first use. System roles can't be deleted, and the admin
+// role's permissions can't be changed so nobody can lock themselves out.
+const DEFAULT_ROLES = [
+  {
+    name: 'admin',
+    description: 'Full access to everything',
+    permissions: ['*'],
+    system: true
+  },
+  {
+    name: 'user',
+    description: 'Customer account',
+    permissions: [],
+    system: true
+  },
+  {
+    name: 'support',
+    description: 'Customer support - order lookups, refunds and account unlocks',
+    permissions: ['orders:read', 'orders:refund', 'users:read', 'users:lock', 'security-events:read'],
+    system: false
+  }
+];
+
+// Whether a permission entry is something a role may store
+const isValidPermission = (permission) => {
+  if (permission === '*') return true;
+  if (PERMISSIONS[permission]) return true;
+  
+  // Namespace wildcard, only for namespaces that exist
+  const [namespace, action] = permission.split(':');
+  return action === '*' && Object.keys(PERMISSIONS).some(name => name.startsWith(`${namespace}:`));
+};
+
+// Whether a set of granted permissions covers the required one
+const grants = (granted, required) => {
+  const [namespace] = required.split(':');
+  
+  return granted.includes('*') ||
+    granted.includes(required) ||
+    granted.includes(`${namespace}:*`);
+};
+
+// Whether someone holding `granted` may hand a permission on - to an API key
+// or a role. Only holders of everything may hand out everything.
+const canDelegate = (granted, permission) => (
+  permission === '*' ? granted.includes('*') : grants(granted, permission)
+);
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLES,
+  isValidPermission,
+  grants,
+  canDelegate
+};
@@ -0,0 +1,183 @@
+/**
+ * Rate limit policies
+ * Every limiter in the app is one of these, applied with
+ * middleware/rateLimit. Counters live in the shared store chosen by
+ * RATE_LIMIT_STORE (see services/rateLimit), so limits hold across restarts
+ * and every instance behind the load balancer.
+ *
+ * Each policy has:
+ *  - windowMs: length of the counting window
+ *  - max:      requests allowed per window (or a function of the request)
+ *  - keyBy:    what a counter belongs to - every listed part is combined into
+ *              the key, and the policy is skipped when one isn't known:
+ *                ip         the client address
+ *                email      the account a sign-in or reset is for, from the body
+ *                user       the signed-in account
+ *                challenge  the account a second-factor step is for, from the
+ *                           body's challengeToken
+ *                apiKey     the API key the request authenticated with
+ *  - backoff:  optional - after freeFailures rejected attempts (401 responses)
+ *              within windowMs, the key is blocked for baseDelayMs, doubling
+ *              with every further failure up to maxDelayMs. Successes don't
+ *              clear it (any public endpoint would do), the window does.
+ *  - message:  shown when the limit is hit
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const AUTH_BACKOFF = {
+  freeFailures: 3,
+  baseDelayMs: 2 * 1000,
+  maxDelayMs: 15 * MINUTE
+};
+
+const RATE_LIMIT_POLICIES = {
+  // Everything under /api/auth
+  api: {
+    windowMs: envInt('RATE_LIMIT_WINDOW_MS', 15 * MINUTE),
+    max: envInt('RATE_LIMIT_MAX', 100),
+    keyBy: ['ip'],
+    message: 'Too many requests from this IP, please try again later'
+  },
+  
+  // Password and link sign-ins
+  login: {
+    windowMs: 15 * MINUTE,
+    max: 5,
+    keyBy: ['ip'],
+    backoff: AUTH_BACKOFF,
+    message: 'Too many login attempts from this IP, please try again after 15 minutes'
+  },
+  // The same attempts counted per account, so guessing from many addresses
+  // still slows down
+  loginAccount: {
+    windowMs: 15 * MINUTE,
+    max: 10,
+    keyBy: ['email'],
+    backoff: AUTH_BACKOFF,
+    message: 'Too many login attempts for this account, please try again after 15 minutes'
+  },
+  
+  // Authenticator, recovery and emailed codes. Only reachable after the
+  // password step, so they don't share its budget - but a six-digit code is
+  // the easier thing to guess, so the account gets its own tight count.
+  secondFactor: {
+    windowMs: 15 * MINUTE,
+    max: 10,
+    keyBy: ['ip'],
+    backoff: AUTH_BACKOFF,
+    message: 'Too many verification attempts from this IP, please try again after 15 minutes'
+  },
+  secondFactorAccount: {
+    windowMs: 15 * MINUTE,
+    max: 5,
+    keyBy: ['challenge'],
+    backoff: AUTH_BACKOFF,
+    message: 'Too many verification attempts for this account, please sign in again after 15 minutes'
+  },
+  
+  // Passkey sign-in. Fetching options is not an attempt and a browser may
+  // ask more than once (conditional UI, a cancelled prompt); each assertion is.
+  passkeyOptions: {
+    windowMs: 15 * MINUTE,
+    max: 30,
+    keyBy: ['ip'],
+    message: 'Too many passkey requests from this IP, please try again after 15 minutes'
+  },
+  passkeyLogin: {
+    windowMs: 15 * MINUTE,
+    max: 10,
+    keyBy: ['ip'],
+    backoff: AUTH_BACKOFF,
+    message: 'Too many passkey sign-in attempts from this IP, please try again after 15 minutes'
+  },
+  
+  signup: {
+    windowMs: HOUR,
+    max: 3,
+    keyBy: ['ip'],
+    message: 'Too many accounts created from this IP, please try again after an hour'
+  },
+  passwordReset: {
+    windowMs: HOUR,
+    max: 3,
+    keyBy: ['ip'],
+    message: 'Too many password reset attempts from this IP, please try again after an hour'
+  },
+  passwordResetAccount: {
+    windowMs: HOUR,
+    max: 3,
+    keyBy: ['email'],
+    message: 'Too many password reset requests for this account, please try again after an hour'
+  },
+  magicLink: {
+    windowMs: HOUR,
+    max: 3,
+    keyBy: ['ip'],
+    message: 'Too many sign-in link requests from this IP, please try again after an hour'
+  },
+  verification: {
+    windowMs: HOUR,
+    max: 3,
+    keyBy: ['ip'],
+    message: 'Too many verification requests from this IP, please try again after an hour'
+  },
+  
+  // Account actions, counted per account wherever they come from
+  dataExport: {
+    windowMs: HOUR,
+    max: 3,
+    keyBy: ['user'],
+    message: 'Too many export requests, please try again after an hour'
+  },
+  emailChange: {
+    windowMs: HOUR,
+    max: 3,
+    keyBy: ['user'],
+    message: 'Too many email change requests, please try again after an hour'
+  },
+  
+  // Public catalog
+  productApi: {
+    windowMs: 15 * MINUTE,
+    max: 100,
+    keyBy: ['ip'],
+    message: 'Too many requests from this IP, please try again after 15 minutes'
+  },
+  search: {
+    windowMs: 5 * MINUTE,
+    max: 20,
+    keyBy: ['ip'],
+    message: 'Too many search requests from this IP, please try again after 5 minutes'
+  },
+  
+  // Per-key request budget, set on each API key in requests per minute
+  apiKey: {
+    windowMs: MINUTE,
+    max: req => req.apiKey.rateLimit,
+    keyBy: ['apiKey'],
+    message: 'API key rate limit exceeded, please slow down'
+  }
+};
+
+// Look up a policy by name - unknown names are a programming error
+const getPolicy = (name) => {
+  const policy = RATE_LIMIT_POLICIES[name];
+  
+  if (!policy) {
+    throw new Error(`Unknown rate limit policy: ${name}`);
+  }
+  
+  return policy;
+};
+
+module.exports = {
+  RATE_LIMIT_POLICIES,
+  getPolicy
+};
@@ -24,23 +24,14 @@ const cspConfig = {
   reportOnly: false
 };
 
-// Rate limiting configuration
-const rateLimitConfig = {
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
-  legacyHeaders: false, // Disable the `X-RateLimit-*` headers
-  message: 'Too many requests from this IP, please try again later'
-};
-
 // CORS configuration
 const corsConfig = {
   origin: process.env.NODE_ENV === 'production' 
     ? process.env.ALLOWED_ORIGINS?.split(',') || ['https://yourdomain.com']
     : ['http://localhost:3000'],
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-CSRF-Token'],
-  exposedHeaders: ['Content-Length', 'X-RateLimit-Limit', 'X-RateLimit-Remaining'],
+  exposedHeaders: ['Content-Length', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After'],
   credentials: true,
   maxAge: 86400 // 24 hours
 };
@@ -87,7 +78,6 @@ const sanitizeMiddleware = (req, res, next) => {
 
 module.exports = {
   cspConfig,
-  rateLimitConfig,
   corsConfig,
   configureSecurityMiddleware,
   sanitizeMiddleware
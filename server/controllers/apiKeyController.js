@@ -0,0 +1,155 @@
+const ApiKey = require('../models/apiKeyModel');
+const SecurityEvent = require('../models/securityEventModel');
+const { canDelegate } = require('../config/permissions');
+
+// Longest lifetime an API key may be given
+const MAX_KEY_LIFETIME_DAYS = 365;
+
+// Shape a key for the client - the hash never leaves the server
+const formatApiKey = key => ({
+  id: key._id,
+  name: key.name,
+  prefix: key.prefix,
+  scopes: key.scopes,
+  allowedIps: key.allowedIps,
+  rateLimit: key.rateLimit,
+  createdBy: key.createdBy,
+  createdAt: key.createdAt,
+  expiresAt: key.expiresAt,
+  lastUsedAt: key.lastUsedAt,
+  lastUsedIp: key.lastUsedIp,
+  revokedAt: key.revokedAt
+});
+
+// All API keys, newest first
+exports.getApiKeys = async (req, res, next) => {
+  try {
+    const keys = await ApiKey.find()
+      .sort('-createdAt')
+      .populate('createdBy', 'name email');
+    
+    res.status(200).json({
+      status: 'success',
+      results: keys.length,
+      data: {
+        apiKeys: keys.map(formatApiKey)
+      }
+    });
+  } catch (err) {
+    console.error('Get API keys error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error loading API keys. Please try again later.'
+    });
+  }
+};
+
+// Mint a key - the raw key is in this response and nowhere else
+exports.createApiKey = async (req, res, next) => {
+  try {
+    const scopes = Array.isArray(req.body.scopes) ? req.body.scopes : [];
+    
+    // Keys can't be used to escalate beyond what their creator holds
+    const undelegable = scopes.filter(scope => typeof scope !== 'string' || !canDelegate(req.permissions, scope));
+    if (undelegable.length > 0) {
+      return res.status(403).json({
+        status: 'error',
+        message: `You cannot grant scopes you do not hold: ${undelegable.join(', ')}`
+      });
+    }
+    
+    let expiresAt;
+    if (req.body.expiresAt) {
+      expiresAt = new Date(req.body.expiresAt);
+      const latest = Date.now() + MAX_KEY_LIFETIME_DAYS * 24 * 60 * 60 * 1000;
+      
+      if (Number.isNaN(expiresAt.getTime()) || expiresAt <= Date.now() || expiresAt > latest) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Expiry must be a date within the next ${MAX_KEY_LIFETIME_DAYS} days`
+        });
+      }
+    }
+    
+    const { key, doc } = await ApiKey.mint({
+      name: req.body.name,
+      scopes,
+      allowedIps: Array.isArray(req.body.allowedIps) ? req.body.allowedIps : [],
+      rateLimit: req.body.rateLimit,
+      expiresAt,
+      createdBy: req.user._id
+    });
+    
+    await SecurityEvent.record(
+      req.user._id,
+      'API_KEY_CREATED',
+      req,
+      `${doc.name} (${doc.prefix}) with scopes ${doc.scopes.join(', ')}`
+    );
+    
+    res.status(201).json({
+      status: 'success',
+      message: 'Copy this key now - it will not be shown again.',
+      data: {
+        key,
+        apiKey: formatApiKey(doc)
+      }
+    });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: err.message
+      });
+    }
+    
+    console.error('Create API key error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error creating API key. Please try again later.'
+    });
+  }
+};
+
+// Revoke a key - it stops working on its next request
+exports.revokeApiKey = async (req, res, next) => {
+  try {
+    const key = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, revokedAt: null },
+      { revokedAt: Date.now(), revokedBy: req.user._id },
+      { new: true }
+    );
+    
+    if (!key) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No active API key found with that ID'
+      });
+    }
+    
+    await SecurityEvent.record(req.user._id, 'API_KEY_REVOKED', req, `${key.name} (${key.prefix})`);
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        apiKey: formatApiKey(key)
+      }
+    });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid API key ID'
+      });
+    }
+    
+    console.error('Revoke API key error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error revoking API key. Please try again later.'
+    });
+  }
+};
@@ -3,36 +3,144 @@ const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const { promisify } = require('util');
 const User = require('../models/userModel');
+const SecurityEvent = require('../models/securityEventModel');
+const RefreshToken = require('../models/refreshTokenModel');
+const Session = require('../models/sessionModel');
+const KnownDevice = require('../models/knownDeviceModel');
+const Passkey = require('../models/passkeyModel');
+const Role = require('../models/roleModel');
+const ApiKey = require('../models/apiKeyModel');
+const { signChallengeToken, verifyChallengeToken, LOGIN_CODE_PURPOSE } = require('../utils/twoFactor');
+const emailService = require('../services/email');
+const { screenPassword } = require('../services/passwordScreening');
+const { evaluateLoginRisk, describeSignals, rememberDevice } = require('../services/loginRisk');
+const { PASSWORD_POLICY, checkPasswordPolicy, publicPasswordPolicy } = require('../config/passwordPolicy');
+const { PERMISSIONS, grants } = require('../config/permissions');
+const { rateLimit } = require('../middleware/rateLimit');
 
 // Security utility functions
 const createSecureToken = () => crypto.randomBytes(32).toString('hex');
 
-// Generate JWT token
-const signToken = (id) => {
+// Refresh tokens are only ever sent to the auth routes
+const REFRESH_COOKIE = 'refresh_token';
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+// A rotated token presented again within this window is most likely a
+// concurrent request from the same client rather than a stolen copy
+const REFRESH_REUSE_GRACE_MS = 10 * 1000;
+
+// Generate short-lived JWT access token bound to a session
+const signToken = (id, sessionId) => {
+  return jwt.sign(
+    { id, sid: String(sessionId) },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: process.env.JWT_EXPIRES_IN || '15m'
+    }
+  );
+};
+
+// Access token for a staff member acting as a customer - carries both ids
+// and can't outlive the impersonation session
+const signImpersonationToken = (userId, impersonatorId, session) => {
   return jwt.sign(
-    { id },
+    { id: userId, sid: String(session._id), imp: String(impersonatorId) },
     process.env.JWT_SECRET,
     {
-      expiresIn: process.env.JWT_EXPIRES_IN
+      expiresIn: Math.max(Math.floor((session.expiresAt.getTime() - Date.now()) / 1000), 1)
     }
   );
 };
 
-// Send JWT as a secure cookie
-const createSendToken = (user, statusCode, req, res) => {
-  const token = signToken(user._id);
+exports.signImpersonationToken = signImpersonationToken;
+
+// Writes allowed while impersonating - enough to reproduce cart problems.
+// Everything else that changes state (passwords, payment, addresses, 2FA...)
+// is refused so support can look but not touch.
+const IMPERSONATION_WRITE_PATHS = [
+  '/api/cart',
+  '/api/auth/impersonation/stop'
+];
+
+// Reads refused while impersonating - they hand over the customer's data
+// wholesale rather than showing it
+const IMPERSONATION_DENIED_READ_PATHS = [
+  '/api/users/me/export'
+];
+
+const isReadOnlyMethod = method => ['GET', 'HEAD', 'OPTIONS'].includes(method);
+
+const allowedWhileImpersonating = (req) => {
+  if (IMPERSONATION_DENIED_READ_PATHS.some(path => req.originalUrl.startsWith(path))) {
+    return false;
+  }
   
-  // Set secure cookie options
-  const cookieOptions = {
-    expires: new Date(
-      Date.now() + process.env.JWT_COOKIE_EXPIRES_IN * 24 * 60 * 60 * 1000
-    ),
-    httpOnly: true,
-    secure: req.secure || req.headers['x-forwarded-proto'] === 'https'
-  };
+  return isReadOnlyMethod(req.method) ||
+    IMPERSONATION_WRITE_PATHS.some(path => req.originalUrl.startsWith(path));
+};
+
+// API keys act for integrations, not people - they can't touch accounts or carts
+const API_KEY_HEADER = 'x-api-key';
+const API_KEY_DENIED_PATHS = [
+  '/api/auth',
+  '/api/users',
+  '/api/cart'
+];
+
+// Per-key request budget, set on each key in requests per minute
+const apiKeyLimiter = rateLimit('apiKey');
+
+// Shared secure cookie options
+const cookieOptions = (req) => ({
+  httpOnly: true,
+  secure: req.secure || req.headers['x-forwarded-proto'] === 'https',
+  sameSite: 'strict'
+});
+
+// Set the access token cookie - it lives exactly as long as the JWT inside it
+const setAccessCookie = (req, res, token) => {
+  res.cookie('jwt', token, {
+    ...cookieOptions(req),
+    expires: new Date(jwt.decode(token).exp * 1000)
+  });
+};
+
+exports.setAccessCookie = setAccessCookie;
+
+// Set the access token and refresh token cookies
+const setAuthCookies = (req, res, token, refreshToken, refreshExpires) => {
+  setAccessCookie(req, res, token);
   
-  // Set JWT cookie
-  res.cookie('jwt', token, cookieOptions);
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    ...cookieOptions(req),
+    path: REFRESH_COOKIE_PATH,
+    expires: refreshExpires
+  });
+};
+
+// Clear just the access token cookie
+const clearAccessCookie = (req, res) => {
+  res.clearCookie('jwt', cookieOptions(req));
+};
+
+exports.clearAccessCookie = clearAccessCookie;
+
+// Clear both auth cookies
+const clearAuthCookies = (req, res) => {
+  clearAccessCookie(req, res);
+  res.clearCookie(REFRESH_COOKIE, { ...cookieOptions(req), path: REFRESH_COOKIE_PATH });
+};
+
+exports.clearAuthCookies = clearAuthCookies;
+
+// Start a new session - the session id is also the refresh token family
+const createSendToken = async (user, statusCode, req, res) => {
+  const session = await Session.start(user._id, req, RefreshToken.expiryDate());
+  const { token: refreshToken, doc } = await RefreshToken.issue(user._id, req, String(session._id));
+  const token = signToken(user._id, session._id);
+  
+  setAuthCookies(req, res, token, refreshToken, doc.expiresAt);
+  await rememberDevice(user, req, res);
   
   // Remove password from output
   user.password = undefined;
@@ -46,38 +154,111 @@ const createSendToken = (user, statusCode, req, res) => {
   });
 };
 
+exports.createSendToken = createSendToken;
+
+// Ask for the second factor once the first one has been accepted
+exports.sendTwoFactorChallenge = async (user, res, extra = {}) => {
+  // Let the client offer a passkey instead of a code when one is registered
+  const twoFactorMethods = ['totp'];
+  if (await Passkey.exists({ user: user._id })) twoFactorMethods.push('passkey');
+  
+  return res.status(200).json({
+    status: 'success',
+    twoFactorRequired: true,
+    twoFactorMethods,
+    challengeToken: signChallengeToken(user._id),
+    ...extra
+  });
+};
+
+// Ask for a code sent to the account's email address before finishing a
+// sign-in that looks risky
+const sendLoginCodeChallenge = async (user, req, res, risk) => {
+  const code = user.createLoginCode();
+  await user.save({ validateBeforeSave: false });
+  
+  try {
+    await emailService.sendLoginCodeEmail(user, code, req);
+  } catch (emailErr) {
+    console.error('Login code email error:', emailErr);
+    
+    await User.findByIdAndUpdate(user._id, { $unset: { loginCode: 1, loginCodeExpires: 1 } });
+    
+    return res.status(500).json({
+      status: 'error',
+      message: 'We could not send your verification code. Please try again later.'
+    });
+  }
+  
+  await SecurityEvent.record(user._id, 'LOGIN_CHALLENGE', req, describeSignals(risk.signals));
+  
+  return res.status(200).json({
+    status: 'success',
+    message: 'We sent a verification code to your email address. Enter it to finish signing in.',
+    twoFactorRequired: true,
+    twoFactorMethods: ['email'],
+    challengeToken: signChallengeToken(user._id, LOGIN_CODE_PURPOSE)
+  });
+};
+
+// Everything wrong with a new password: the policy rules first, then
+// screening, then reuse of a recent password when the user already exists
+const passwordProblems = async (password, user) => {
+  const policyReasons = checkPasswordPolicy(password);
+  if (policyReasons.length > 0) return policyReasons;
+  
+  const reasons = await screenPassword(password, user);
+  
+  if (user.isRecentPassword && (await user.isRecentPassword(password))) {
+    reasons.push({
+      code: 'PASSWORD_REUSED',
+      message: `You can't reuse any of your last ${PASSWORD_POLICY.historyDepth} passwords. Please choose a new one.`
+    });
+  }
+  
+  return reasons;
+};
+
+// Reject a password that failed the policy or screening, with reasons the forms can display
+const sendPasswordRejection = (res, reasons) => {
+  return res.status(400).json({
+    status: 'error',
+    message: reasons[0].message,
+    errors: {
+      password: reasons[0].message
+    },
+    reasons
+  });
+};
+
+// Count a failed sign-in against the account and lock it after too many
+exports.registerFailedLogin = async (user, req, details) => {
+  const locked = await user.handleFailedLogin();
+  
+  await SecurityEvent.record(user._id, 'FAILED_LOGIN', req, details);
+  
+  if (locked) {
+    await SecurityEvent.record(
+      user._id,
+      'ACCOUNT_LOCK',
+      req,
+      `Locked after ${user.loginAttempts} failed attempts`
+    );
+    
+    emailService.sendAccountLockedEmail(user).catch(emailErr => {
+      console.error('Account locked email error:', emailErr);
+    });
+  }
+  
+  return locked;
+};
+
 // User registration
 exports.signup = async (req, res, next) => {
   try {
-    // Validate CSRF token
-    const csrfToken = req.headers['x-csrf-token'];
-    if (!csrfToken || csrfToken !== req.cookies['XSRF-TOKEN']) {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Invalid CSRF token'
-      });
-    }
-    
     // Input validation - ensure only needed fields are extracted
     const { name, email, password, passwordConfirm } = req.body;
     
-    // Password strength validation
-    if (password.length < 8) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Password must be at least 8 characters long'
-      });
-    }
-    
-    // Password regex for strong passwords
-    const passwordRegex = /^(?=.*\d)(?=.*[a-z])(?=.*[A-Z])(?=.*[!@#$%^&*])(?=.{8,})/;
-    if (!passwordRegex.test(password)) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character'
-      });
-    }
-    
     // Check if passwords match
     if (password !== passwordConfirm) {
       return res.status(400).json({
@@ -86,21 +267,41 @@ exports.signup = async (req, res, next) => {
       });
     }
     
-    // Check if user already exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
+    // Enforce the password policy and reject common, breached and personal passwords
+    const passwordReasons = await passwordProblems(password, { name, email });
+    if (passwordReasons.length > 0) {
+      return sendPasswordRejection(res, passwordReasons);
+    }
+    
+    // Check if user already exists - deactivated accounts awaiting erasure
+    // still hold their address
+    if (await User.emailTaken(email)) {
       return res.status(400).json({
         status: 'error',
         message: 'Email already in use'
       });
     }
     
+    // Record what the user agreed to on the signup form
+    const consentVersion = process.env.TERMS_VERSION || 'unversioned';
+    const consents = [];
+    if (req.body.acceptTerms === true) {
+      consents.push(
+        { purpose: 'terms', granted: true, version: consentVersion, ip: req.ip },
+        { purpose: 'privacy', granted: true, version: consentVersion, ip: req.ip }
+      );
+    }
+    if (typeof req.body.marketingOptIn === 'boolean') {
+      consents.push({ purpose: 'marketing', granted: req.body.marketingOptIn, version: consentVersion, ip: req.ip });
+    }
+    
     // Create new user with only needed info
     const newUser = await User.create({
       name,
       email,
       password,
       passwordConfirm,
+      consents,
       role: 'user' // Default role
     });
     
@@ -114,10 +315,15 @@ exports.signup = async (req, res, next) => {
     
     await newUser.save({ validateBeforeSave: false });
     
-    // Send verification email - Placeholder for email service
+    // Send verification email - the account still gets created if delivery fails
+    try {
+      await emailService.sendVerificationEmail(newUser, verificationToken);
+    } catch (emailErr) {
+      console.error('Verification email error:', emailErr);
+    }
     
     // Create and send JWT token
-    createSendToken(newUser, 201, req, res);
+    await createSendToken(newUser, 201, req, res);
   } catch (err) {
     console.error('Signup error:', err);
     
@@ -131,15 +337,6 @@ exports.signup = async (req, res, next) => {
 // User login
 exports.login = async (req, res, next) => {
   try {
-    // Validate CSRF token
-    const csrfToken = req.headers['x-csrf-token'];
-    if (!csrfToken || csrfToken !== req.cookies['XSRF-TOKEN']) {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Invalid CSRF token'
-      });
-    }
-    
     const { email, password } = req.body;
     
     // Check if email and password exist
@@ -150,15 +347,33 @@ exports.login = async (req, res, next) => {
       });
     }
     
-    // Rate limiting - check if attempts are exceeded
-    const loginAttempts = req.ip + email;
-    
     // Find user by email
     const user = await User.findOne({ email }).select('+password');
     
-    // If user doesn't exist or password is incorrect
-    if (!user || !(await user.correctPassword(password, user.password))) {
-      // Increment failed login attempts
+    if (!user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Incorrect email or password'
+      });
+    }
+    
+    // Check if account is locked before looking at the password
+    if (user.accountLocked) {
+      if (user.lockUntil && user.lockUntil > Date.now()) {
+        return res.status(401).json({
+          status: 'error',
+          message: `Account locked. Please try again after ${new Date(user.lockUntil).toLocaleString()}`
+        });
+      }
+      
+      // Unlock account if lock period has passed
+      await user.unlockAccount();
+      await SecurityEvent.record(user._id, 'ACCOUNT_UNLOCK', req, 'Lock period expired');
+    }
+    
+    // Count incorrect passwords against the account
+    if (!(await user.correctPassword(password, user.password))) {
+      await exports.registerFailedLogin(user, req, 'Incorrect password');
       
       return res.status(401).json({
         status: 'error',
@@ -174,19 +389,16 @@ exports.login = async (req, res, next) => {
       });
     }
     
-    // Check if account is locked
-    if (user.accountLocked) {
-      if (user.lockUntil && user.lockUntil > Date.now()) {
-        return res.status(401).json({
-          status: 'error',
-          message: `Account locked. Please try again after ${new Date(user.lockUntil).toLocaleString()}`
-        });
-      } else {
-        // Unlock account if lock period has passed
-        user.accountLocked = false;
-        user.loginAttempts = 0;
-        await user.save({ validateBeforeSave: false });
-      }
+    // Require a second factor before issuing a session - failed attempts are
+    // only reset once it succeeds, so code guesses keep counting towards the lock
+    if (user.twoFactorEnabled) {
+      return exports.sendTwoFactorChallenge(user, res);
+    }
+    
+    // Without a second factor, an unusual sign-in is confirmed by email instead
+    const risk = await evaluateLoginRisk(user, req);
+    if (risk.stepUpRequired) {
+      return sendLoginCodeChallenge(user, req, res, risk);
     }
     
     // Reset login attempts on successful login
@@ -198,9 +410,10 @@ exports.login = async (req, res, next) => {
       lastLogin: Date.now(),
       lastLoginIp: req.ip
     });
+    await SecurityEvent.record(user._id, 'LOGIN', req);
     
     // Send token to client
-    createSendToken(user, 200, req, res);
+    await createSendToken(user, 200, req, res);
   } catch (err) {
     console.error('Login error:', err);
     
@@ -211,20 +424,256 @@ exports.login = async (req, res, next) => {
   }
 };
 
-// Logout
-exports.logout = (req, res) => {
-  // Clear JWT cookie
-  res.cookie('jwt', 'loggedout', {
-    expires: new Date(Date.now() + 10 * 1000), // 10 seconds
-    httpOnly: true
-  });
+// Finish a risky sign-in with the code that was emailed to the user
+exports.verifyLoginCode = async (req, res, next) => {
+  try {
+    const { challengeToken, code } = req.body;
+    
+    if (!challengeToken || !code) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide the verification code'
+      });
+    }
+    
+    let decoded;
+    try {
+      decoded = await verifyChallengeToken(challengeToken, LOGIN_CODE_PURPOSE);
+    } catch (err) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Login session expired. Please log in again.'
+      });
+    }
+    
+    const user = await User.findById(decoded.id);
+    if (!user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Login session expired. Please log in again.'
+      });
+    }
+    
+    if (user.accountLocked && user.lockUntil && user.lockUntil > Date.now()) {
+      return res.status(401).json({
+        status: 'error',
+        message: `Account locked. Please try again after ${new Date(user.lockUntil).toLocaleString()}`
+      });
+    }
+    
+    // Clear the code in the same operation that matches it so it works only once
+    const normalized = String(code).replace(/\s/g, '');
+    const verified = /^\d{6}$/.test(normalized) && await User.findOneAndUpdate(
+      {
+        _id: user._id,
+        loginCode: User.hashLoginCode(user._id, normalized),
+        loginCodeExpires: { $gt: Date.now() }
+      },
+      { $unset: { loginCode: 1, loginCodeExpires: 1 } }
+    );
+    
+    if (!verified) {
+      // Wrong codes count towards the account lockout like wrong passwords
+      await exports.registerFailedLogin(user, req, 'Incorrect sign-in verification code');
+      
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired verification code'
+      });
+    }
+    
+    // Log user activity
+    await User.findByIdAndUpdate(user._id, {
+      loginAttempts: 0,
+      lastLogin: Date.now(),
+      lastLoginIp: req.ip
+    });
+    await SecurityEvent.record(user._id, 'LOGIN', req, 'Confirmed with emailed code');
+    
+    await createSendToken(user, 200, req, res);
+  } catch (err) {
+    console.error('Login code verification error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error logging in. Please try again later.'
+    });
+  }
+};
+
+// Exchange a refresh token for a new access token, rotating the refresh token
+exports.refresh = async (req, res, next) => {
+  try {
+    const rawToken = req.cookies[REFRESH_COOKIE];
+    
+    if (!rawToken) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'You are not logged in. Please log in to get access.'
+      });
+    }
+    
+    const tokenHash = RefreshToken.hashToken(rawToken);
+    
+    // Atomically retire the presented token so it can only be rotated once
+    const current = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: null, expiresAt: { $gt: Date.now() } },
+      { revokedAt: Date.now(), revokedReason: 'rotated' }
+    );
+    
+    if (!current) {
+      const existing = await RefreshToken.findOne({ tokenHash });
+      const rotated = existing && existing.revokedReason === 'rotated';
+      
+      // Just rotated by a concurrent request (another tab) - leave the cookies
+      // alone, they already hold that request's replacement
+      if (rotated && Date.now() - existing.revokedAt.getTime() <= REFRESH_REUSE_GRACE_MS) {
+        return res.status(409).json({
+          status: 'error',
+          message: 'Session was just refreshed by another request. Please retry.'
+        });
+      }
+      
+      // A rotated token coming back later means it was copied - end the whole family
+      if (rotated) {
+        await Session.revoke(existing.family, 'reuse');
+        await SecurityEvent.record(
+          existing.user,
+          'REFRESH_TOKEN_REUSE',
+          req,
+          'Refresh token reused - session revoked'
+        );
+      }
+      
+      clearAuthCookies(req, res);
+      
+      return res.status(401).json({
+        status: 'error',
+        message: 'Session expired. Please log in again.'
+      });
+    }
+    
+    // Check if user still exists
+    const user = await User.findById(current.user);
+    if (!user) {
+      await Session.revoke(current.family, 'admin');
+      clearAuthCookies(req, res);
+      
+      return res.status(401).json({
+        status: 'error',
+        message: 'The user belonging to this token no longer exists.'
+      });
+    }
+    
+    // Check the session wasn't signed out from another device
+    const session = await Session.findById(current.family);
+    if (!session || !session.isActive()) {
+      await RefreshToken.revokeFamily(current.family, 'logout');
+      clearAuthCookies(req, res);
+      
+      return res.status(401).json({
+        status: 'error',
+        message: 'Session expired. Please log in again.'
+      });
+    }
+    
+    // Issue the replacement within the same family
+    const { token: refreshToken, doc } = await RefreshToken.issue(user._id, req, current.family);
+    await RefreshToken.updateOne({ _id: current._id }, { replacedByHash: doc.tokenHash });
+    await session.touch(req, doc.expiresAt);
+    
+    const token = signToken(user._id, session._id);
+    setAuthCookies(req, res, token, refreshToken, doc.expiresAt);
+    
+    res.status(200).json({
+      status: 'success',
+      token
+    });
+  } catch (err) {
+    console.error('Refresh token error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error refreshing session. Please try again later.'
+    });
+  }
+};
+
+// Logout - end the session and clear cookies
+exports.logout = async (req, res) => {
+  try {
+    const rawToken = req.cookies[REFRESH_COOKIE];
+    
+    if (rawToken) {
+      const current = await RefreshToken.findOne({
+        tokenHash: RefreshToken.hashToken(rawToken)
+      });
+      
+      if (current) {
+        await Session.revoke(current.family, 'logout');
+        await SecurityEvent.record(current.user, 'LOGOUT', req);
+      }
+    }
+  } catch (err) {
+    // Always clear cookies, even if revocation fails
+    console.error('Logout error:', err);
+  }
+  
+  clearAuthCookies(req, res);
   
   res.status(200).json({ status: 'success' });
 };
 
+// Authenticate an integration by its API key - the key acts with its
+// creator's identity, narrowed to its own scopes by requirePermission
+const authenticateApiKey = async (req, res, next) => {
+  const apiKey = await ApiKey.findByKey(req.headers[API_KEY_HEADER]);
+  
+  if (!apiKey) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Invalid or expired API key'
+    });
+  }
+  
+  if (!apiKey.allowsIp(req.ip)) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'This API key cannot be used from your IP address'
+    });
+  }
+  
+  if (API_KEY_DENIED_PATHS.some(path => req.originalUrl.startsWith(path))) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'API keys cannot be used for account routes'
+    });
+  }
+  
+  // A key stops working once the admin who minted it is gone
+  const creator = await User.findById(apiKey.createdBy);
+  if (!creator) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Invalid or expired API key'
+    });
+  }
+  
+  await apiKey.touch(req);
+  
+  req.user = creator;
+  req.apiKey = apiKey;
+  return apiKeyLimiter(req, res, next);
+};
+
 // Protect routes - Authentication middleware
 exports.protect = async (req, res, next) => {
   try {
+    // Integrations send an API key instead of a session token
+    if (req.headers[API_KEY_HEADER]) {
+      return await authenticateApiKey(req, res, next);
+    }
+    
     let token;
     
     // Get token from authorization header or cookie
@@ -247,6 +696,15 @@ exports.protect = async (req, res, next) => {
     // Verify token
     const decoded = await promisify(jwt.verify)(token, process.env.JWT_SECRET);
     
+    // Only access tokens are accepted here - anything issued for a purpose
+    // (such as a login challenge) is not a session
+    if (decoded.purpose) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Authentication failed. Please log in again.'
+      });
+    }
+    
     // Check if user still exists
     const currentUser = await User.findById(decoded.id);
     if (!currentUser) {
@@ -256,6 +714,41 @@ exports.protect = async (req, res, next) => {
       });
     }
     
+    // Check the session is still active - signed out devices are rejected at once
+    const session = await Session.findById(decoded.sid);
+    if (!session || !session.isActive() || !session.user.equals(currentUser._id)) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Your session has ended. Please log in again.'
+      });
+    }
+    
+    // Impersonation tokens only work with the session they were issued for,
+    // and only while the staff member still exists and keeps the permission
+    if (decoded.imp || session.impersonator) {
+      const impersonator = session.impersonator && session.impersonator.equals(decoded.imp)
+        ? await User.findById(session.impersonator)
+        : null;
+      
+      if (!impersonator || !grants(await Role.permissionsFor(impersonator.role), 'users:impersonate')) {
+        await Session.revoke(session._id, 'impersonation-end');
+        
+        return res.status(401).json({
+          status: 'error',
+          message: 'The support session has ended.'
+        });
+      }
+      
+      if (!allowedWhileImpersonating(req)) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'This action is not available while viewing as a customer'
+        });
+      }
+      
+      req.impersonator = impersonator;
+    }
+    
     // Check if user changed password after token was issued
     if (currentUser.changedPasswordAfter(decoded.iat)) {
       return res.status(401).json({
@@ -264,8 +757,11 @@ exports.protect = async (req, res, next) => {
       });
     }
     
+    await session.touch(req);
+    
     // Grant access to protected route
     req.user = currentUser;
+    req.authSession = session;
     next();
   } catch (err) {
     return res.status(401).json({
@@ -275,6 +771,41 @@ exports.protect = async (req, res, next) => {
   }
 };
 
+// Unlock an account - requires users:lock
+exports.unlockAccount = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No user found with that ID'
+      });
+    }
+    
+    await user.unlockAccount();
+    await SecurityEvent.record(user._id, 'ACCOUNT_UNLOCK', req, `Unlocked by ${req.user.email}`);
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Account unlocked'
+    });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid user ID'
+      });
+    }
+    
+    console.error('Unlock account error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error unlocking account. Please try again later.'
+    });
+  }
+};
+
 // Restrict to certain roles
 exports.restrictTo = (...roles) => {
   return (req, res, next) => {
@@ -289,20 +820,45 @@ exports.restrictTo = (...roles) => {
   };
 };
 
-// Update password
-exports.updatePassword = async (req, res, next) => {
-  try {
-    // Validate CSRF token
-    const csrfToken = req.headers['x-csrf-token'];
-    if (!csrfToken || csrfToken !== req.cookies['XSRF-TOKEN']) {
-      return res.status(403).json({
+// Require every listed permission through the user's role
+exports.requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      let granted = await Role.permissionsFor(req.user.role);
+      
+      // An API key only gets what both its scopes and its creator's role allow
+      if (req.apiKey) {
+        const { scopes } = req.apiKey;
+        granted = Object.keys(PERMISSIONS).filter(
+          permission => grants(granted, permission) && grants(scopes, permission)
+        );
+      }
+      
+      if (!permissions.every(permission => grants(granted, permission))) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'You do not have permission to perform this action'
+        });
+      }
+      
+      req.permissions = granted;
+      next();
+    } catch (err) {
+      console.error('Permission check error:', err);
+      
+      res.status(500).json({
         status: 'error',
-        message: 'Invalid CSRF token'
+        message: 'Error checking permissions. Please try again later.'
       });
     }
-    
+  };
+};
+
+// Update password
+exports.updatePassword = async (req, res, next) => {
+  try {
     // Get user from collection
-    const user = await User.findById(req.user.id).select('+password');
+    const user = await User.findById(req.user.id).select('+password +passwordHistory');
     
     // Check if current password is correct
     if (!(await user.correctPassword(req.body.currentPassword, user.password))) {
@@ -312,13 +868,10 @@ exports.updatePassword = async (req, res, next) => {
       });
     }
     
-    // Validate new password
-    const passwordRegex = /^(?=.*\d)(?=.*[a-z])(?=.*[A-Z])(?=.*[!@#$%^&*])(?=.{8,})/;
-    if (!passwordRegex.test(req.body.newPassword)) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character'
-      });
+    // Enforce the password policy and reject common, breached, personal and reused passwords
+    const passwordReasons = await passwordProblems(req.body.newPassword, user);
+    if (passwordReasons.length > 0) {
+      return sendPasswordRejection(res, passwordReasons);
     }
     
     // Update password
@@ -328,15 +881,20 @@ exports.updatePassword = async (req, res, next) => {
     
     // Log the password change
     await User.findByIdAndUpdate(user._id, {
-      passwordChangedAt: Date.now(),
-      securityEvents: [
-        ...user.securityEvents, 
-        { type: 'PASSWORD_CHANGE', date: Date.now(), ip: req.ip }
-      ]
+      passwordChangedAt: Date.now()
+    });
+    await SecurityEvent.record(user._id, 'PASSWORD_CHANGE', req);
+    
+    // Notify the account owner - delivery failures must not block the change
+    emailService.sendPasswordChangedEmail(user, req).catch(emailErr => {
+      console.error('Password changed email error:', emailErr);
     });
     
+    // End every other session - they were started with the old password
+    await Session.revokeAllForUser(user._id, 'password-change');
+    
     // Log user in with new password
-    createSendToken(user, 200, req, res);
+    await createSendToken(user, 200, req, res);
   } catch (err) {
     console.error('Update password error:', err);
     
@@ -350,15 +908,6 @@ exports.updatePassword = async (req, res, next) => {
 // Forgot password
 exports.forgotPassword = async (req, res, next) => {
   try {
-    // Validate CSRF token
-    const csrfToken = req.headers['x-csrf-token'];
-    if (!csrfToken || csrfToken !== req.cookies['XSRF-TOKEN']) {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Invalid CSRF token'
-      });
-    }
-    
     // Get user based on email
     const user = await User.findOne({ email: req.body.email });
     if (!user) {
@@ -379,14 +928,24 @@ exports.forgotPassword = async (req, res, next) => {
     await user.save({ validateBeforeSave: false });
     
     // Log the password reset request
-    await User.findByIdAndUpdate(user._id, {
-      securityEvents: [
-        ...user.securityEvents, 
-        { type: 'PASSWORD_RESET_REQUEST', date: Date.now(), ip: req.ip }
-      ]
-    });
+    await SecurityEvent.record(user._id, 'PASSWORD_RESET_REQUEST', req);
     
-    // Send email with reset token - Placeholder for email service
+    // Send email with reset token
+    try {
+      await emailService.sendPasswordResetEmail(user, resetToken);
+    } catch (emailErr) {
+      console.error('Password reset email error:', emailErr);
+      
+      // Don't leave a usable token behind if the user never received it
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+      
+      return res.status(500).json({
+        status: 'error',
+        message: 'There was an error sending the email. Please try again later.'
+      });
+    }
     
     res.status(200).json({
       status: 'success',
@@ -405,15 +964,6 @@ exports.forgotPassword = async (req, res, next) => {
 // Reset password
 exports.resetPassword = async (req, res, next) => {
   try {
-    // Validate CSRF token
-    const csrfToken = req.headers['x-csrf-token'];
-    if (!csrfToken || csrfToken !== req.cookies['XSRF-TOKEN']) {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Invalid CSRF token'
-      });
-    }
-    
     // Get user based on token
     const hashedToken = crypto
       .createHash('sha256')
@@ -423,7 +973,7 @@ exports.resetPassword = async (req, res, next) => {
     const user = await User.findOne({
       passwordResetToken: hashedToken,
       passwordResetExpires: { $gt: Date.now() }
-    });
+    }).select('+password +passwordHistory');
     
     // If token has expired or no user found
     if (!user) {
@@ -433,13 +983,10 @@ exports.resetPassword = async (req, res, next) => {
       });
     }
     
-    // Validate new password
-    const passwordRegex = /^(?=.*\d)(?=.*[a-z])(?=.*[A-Z])(?=.*[!@#$%^&*])(?=.{8,})/;
-    if (!passwordRegex.test(req.body.password)) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character'
-      });
+    // Enforce the password policy and reject common, breached, personal and reused passwords
+    const passwordReasons = await passwordProblems(req.body.password, user);
+    if (passwordReasons.length > 0) {
+      return sendPasswordRejection(res, passwordReasons);
     }
     
     // Update password
@@ -451,15 +998,20 @@ exports.resetPassword = async (req, res, next) => {
     
     // Log the password reset
     await User.findByIdAndUpdate(user._id, {
-      passwordChangedAt: Date.now(),
-      securityEvents: [
-        ...user.securityEvents, 
-        { type: 'PASSWORD_RESET', date: Date.now(), ip: req.ip }
-      ]
+      passwordChangedAt: Date.now()
+    });
+    await SecurityEvent.record(user._id, 'PASSWORD_RESET', req);
+    
+    // Notify the account owner - delivery failures must not block the reset
+    emailService.sendPasswordChangedEmail(user, req).catch(emailErr => {
+      console.error('Password changed email error:', emailErr);
     });
     
+    // End every existing session - they were started with the old password
+    await Session.revokeAllForUser(user._id, 'password-change');
+    
     // Log user in
-    createSendToken(user, 200, req, res);
+    await createSendToken(user, 200, req, res);
   } catch (err) {
     console.error('Reset password error:', err);
     
@@ -470,14 +1022,276 @@ exports.resetPassword = async (req, res, next) => {
   }
 };
 
+// Verify email address
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const hashedToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+    
+    const user = await User.findOne({ verificationToken: hashedToken });
+    
+    if (!user) {
+      return res.status(400).json({
+        status: 'error',
+        reason: 'invalid',
+        message: 'Verification link is invalid or has already been used'
+      });
+    }
+    
+    if (!user.verificationExpires || user.verificationExpires < Date.now()) {
+      return res.status(400).json({
+        status: 'error',
+        reason: 'expired',
+        message: 'Verification link has expired. Please request a new one.'
+      });
+    }
+    
+    user.emailVerified = true;
+    user.verificationToken = undefined;
+    user.verificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Email verified. You can now log in.'
+    });
+  } catch (err) {
+    console.error('Verify email error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error verifying email. Please try again later.'
+    });
+  }
+};
+
+// Resend verification email
+exports.resendVerification = async (req, res, next) => {
+  try {
+    if (!req.body.email) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide your email address'
+      });
+    }
+    
+    const user = await User.findOne({ email: req.body.email });
+    
+    // Only send when there is something to verify, but always respond the same
+    // way so the endpoint can't be used to discover registered addresses
+    if (user && !user.emailVerified) {
+      const verificationToken = user.createVerificationToken();
+      await user.save({ validateBeforeSave: false });
+      
+      try {
+        await emailService.sendVerificationEmail(user, verificationToken);
+      } catch (emailErr) {
+        console.error('Verification email error:', emailErr);
+      }
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'If that address belongs to an unverified account, a new verification link has been sent'
+    });
+  } catch (err) {
+    console.error('Resend verification error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error processing request. Please try again later.'
+    });
+  }
+};
+
+// Issue a magic link token and email it - runs after the response is sent
+const sendMagicLink = async (user, req) => {
+  const magicLinkToken = user.createMagicLinkToken();
+  await user.save({ validateBeforeSave: false });
+  
+  await SecurityEvent.record(user._id, 'MAGIC_LINK_REQUEST', req);
+  
+  await emailService.sendMagicLinkEmail(user, magicLinkToken, user.magicLinkExpires);
+};
+
+// Email a single-use passwordless sign-in link
+exports.requestMagicLink = async (req, res, next) => {
+  try {
+    if (!req.body.email) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide your email address'
+      });
+    }
+    
+    const user = await User.findOne({ email: req.body.email });
+    
+    // Always respond the same way, and before any work that only happens for
+    // a registered address, so neither the answer nor its timing can be used
+    // to discover accounts
+    res.status(200).json({
+      status: 'success',
+      message: 'If an account exists for that address, a sign-in link has been sent'
+    });
+    
+    if (user) {
+      sendMagicLink(user, req).catch(linkErr => {
+        console.error('Magic link error:', linkErr);
+      });
+    }
+  } catch (err) {
+    console.error('Magic link request error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error processing request. Please try again later.'
+    });
+  }
+};
+
+// Exchange a magic link token for a session
+exports.magicLinkLogin = async (req, res, next) => {
+  try {
+    const hashedToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+    
+    // Clear the token in the same operation that finds it so it works only once
+    const user = await User.findOneAndUpdate(
+      { magicLinkToken: hashedToken, magicLinkExpires: { $gt: Date.now() } },
+      { $unset: { magicLinkToken: 1, magicLinkExpires: 1 } },
+      { new: true }
+    );
+    
+    if (!user) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Sign-in link is invalid or has expired. Please request a new one.'
+      });
+    }
+    
+    if (user.accountLocked) {
+      if (user.lockUntil && user.lockUntil > Date.now()) {
+        return res.status(401).json({
+          status: 'error',
+          message: `Account locked. Please try again after ${new Date(user.lockUntil).toLocaleString()}`
+        });
+      }
+      
+      // Unlock account if lock period has passed
+      await user.unlockAccount();
+      await SecurityEvent.record(user._id, 'ACCOUNT_UNLOCK', req, 'Lock period expired');
+    }
+    
+    // Opening the link proves the user controls the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.verificationToken = undefined;
+      user.verificationExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+    }
+    
+    if (user.twoFactorEnabled) {
+      return exports.sendTwoFactorChallenge(user, res);
+    }
+    
+    // Log user activity
+    await User.findByIdAndUpdate(user._id, {
+      loginAttempts: 0,
+      lastLogin: Date.now(),
+      lastLoginIp: req.ip
+    });
+    await SecurityEvent.record(user._id, 'LOGIN', req, 'Magic link sign-in');
+    
+    await createSendToken(user, 200, req, res);
+  } catch (err) {
+    console.error('Magic link login error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error logging in. Please try again later.'
+    });
+  }
+};
+
+// "This wasn't me" from a new-device email - sign out everywhere and forget
+// every device, so the next sign-in has to be confirmed by email
+exports.reportLogin = async (req, res, next) => {
+  try {
+    const hashedToken = KnownDevice.hashToken(req.params.token);
+    
+    // Clear the token in the same operation that finds it so it works only once
+    const device = await KnownDevice.findOneAndUpdate(
+      { reportToken: hashedToken, reportExpires: { $gt: Date.now() } },
+      { $unset: { reportToken: 1, reportExpires: 1 } }
+    );
+    
+    if (!device) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This link is invalid or has expired.'
+      });
+    }
+    
+    const revoked = await Session.revokeAllForUser(device.user, 'reported');
+    await KnownDevice.deleteMany({ user: device.user });
+    
+    await SecurityEvent.record(
+      device.user,
+      'LOGIN_REPORTED',
+      req,
+      `${device.deviceLabel || 'Unknown device'} from ${device.lastIp || 'unknown IP'}; ${revoked} session(s) signed out`
+    );
+    
+    clearAuthCookies(req, res);
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Thanks for letting us know. We have signed your account out everywhere. ' +
+        'Someone may know your password, so please reset it now.'
+    });
+  } catch (err) {
+    console.error('Report login error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error securing your account. Please try again later.'
+    });
+  }
+};
+
+// The password rules, for forms to check against before submitting
+exports.getPasswordPolicy = (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      policy: publicPasswordPolicy()
+    }
+  });
+};
+
 // Validate token
 exports.validateToken = async (req, res, next) => {
   try {
-    // Simply return success if the protect middleware passes
+    // Simply return success if the protect middleware passes - support
+    // sessions also say who is behind them so the client can show a banner
     res.status(200).json({
       status: 'success',
       data: {
-        user: req.user
+        user: req.user,
+        impersonation: req.impersonator
+          ? {
+            impersonator: {
+              id: req.impersonator._id,
+              name: req.impersonator.name,
+              email: req.impersonator.email
+            },
+            expiresAt: req.authSession.expiresAt
+          }
+          : null
       }
     });
   } catch (err) {
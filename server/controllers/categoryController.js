@@ -0,0 +1,224 @@
+const Category = require('../models/categoryModel');
+const Product = require('../models/productModel');
+const search = require('../services/search');
+
+// Only these fields of a category can be set through the API - parent is
+// handled separately because moving a category moves its subtree
+const filterCategoryFields = (body) => {
+  const allowed = ['name', 'slug', 'sortOrder', 'description', 'seo'];
+  
+  const fields = {};
+  allowed.forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// Map validation errors to a 400 response, otherwise a generic 500
+const sendCategoryError = (res, err, action) => {
+  if (err.name === 'ValidationError' || err.name === 'CastError') {
+    return res.status(400).json({
+      status: 'error',
+      message: err.name === 'CastError' ? 'Invalid category ID' : err.message
+    });
+  }
+  
+  if (err.code === 11000) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'A category with that slug already exists'
+    });
+  }
+  
+  console.error(`${action} category error:`, err);
+  
+  res.status(500).json({
+    status: 'error',
+    message: `Error trying to ${action.toLowerCase()} category. Please try again later.`
+  });
+};
+
+// The whole category tree
+exports.getCategoryTree = async (req, res, next) => {
+  try {
+    const categories = await Category.tree();
+    
+    res.status(200).json({
+      status: 'success',
+      results: categories.length,
+      data: {
+        categories
+      }
+    });
+  } catch (err) {
+    console.error('Get categories error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error loading categories. Please try again later.'
+    });
+  }
+};
+
+// A single category with its breadcrumbs and direct children
+exports.getCategory = async (req, res, next) => {
+  try {
+    const category = await Category.findOne({ slug: String(req.params.slug).toLowerCase() });
+    
+    if (!category) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No category found with that slug'
+      });
+    }
+    
+    const [breadcrumbs, children] = await Promise.all([
+      category.breadcrumbs(),
+      Category.find({ parent: category._id }).select('name slug sortOrder').sort('sortOrder name')
+    ]);
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        category,
+        breadcrumbs,
+        children
+      }
+    });
+  } catch (err) {
+    console.error('Get category error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error loading category. Please try again later.'
+    });
+  }
+};
+
+// Create a category, optionally under a parent - requires categories:manage
+exports.createCategory = async (req, res, next) => {
+  try {
+    const category = await Category.create({
+      ...filterCategoryFields(req.body),
+      parent: req.body.parent || null
+    });
+    
+    res.status(201).json({
+      status: 'success',
+      data: {
+        category
+      }
+    });
+  } catch (err) {
+    sendCategoryError(res, err, 'Create');
+  }
+};
+
+// Update a category, moving it when `parent` is given (null for top level).
+// Slug changes are carried over to the category's products.
+exports.updateCategory = async (req, res, next) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No category found with that ID'
+      });
+    }
+    
+    const oldSlug = category.slug;
+    category.set(filterCategoryFields(req.body));
+    
+    if (req.body.parent !== undefined) {
+      const problem = await category.moveTo(req.body.parent);
+      
+      if (problem) {
+        return res.status(400).json({
+          status: 'error',
+          message: problem
+        });
+      }
+    }
+    
+    // Catch everything save could reject - including a taken slug, which only
+    // the unique index would notice - before anything is written
+    await category.validate();
+    
+    const slugChanged = category.slug !== oldSlug;
+    if (slugChanged && (await Category.exists({ slug: category.slug, _id: { $ne: category._id } }))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A category with that slug already exists'
+      });
+    }
+    
+    // Products follow a renamed slug before the category is saved, and go
+    // back if the save fails
+    if (slugChanged) {
+      await Product.updateMany({ category: oldSlug }, { category: category.slug, updatedAt: Date.now() });
+    }
+    
+    try {
+      await category.save();
+    } catch (err) {
+      if (slugChanged) {
+        await Product.updateMany({ category: category.slug }, { category: oldSlug, updatedAt: Date.now() });
+      }
+      throw err;
+    }
+    
+    if (slugChanged) {
+      const renamed = await Product.find({ category: category.slug });
+      renamed.forEach(product => search.indexProduct(product));
+    }
+    
+    // The subtree follows the category. Paths are rebuilt from the parent
+    // links, so repeating the request finishes an interrupted move.
+    if (req.body.parent !== undefined) {
+      await category.updateDescendantPaths();
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        category
+      }
+    });
+  } catch (err) {
+    sendCategoryError(res, err, 'Update');
+  }
+};
+
+// Delete a category that has no subcategories or products
+exports.deleteCategory = async (req, res, next) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No category found with that ID'
+      });
+    }
+    
+    const [children, products] = await Promise.all([
+      Category.countDocuments({ parent: category._id }),
+      Product.countDocuments({ category: category.slug })
+    ]);
+    
+    if (children > 0 || products > 0) {
+      return res.status(409).json({
+        status: 'error',
+        message: `This category has ${children} subcategories and ${products} product(s). Move them first.`
+      });
+    }
+    
+    await Category.deleteOne({ _id: category._id });
+    
+    res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  } catch (err) {
+    sendCategoryError(res, err, 'Delete');
+  }
+};
@@ -0,0 +1,118 @@
+const User = require('../models/userModel');
+const Role = require('../models/roleModel');
+const Session = require('../models/sessionModel');
+const SecurityEvent = require('../models/securityEventModel');
+const { signImpersonationToken, setAccessCookie, clearAccessCookie } = require('./authController');
+
+// Support sessions are deliberately short - long enough to reproduce a problem
+const impersonationMinutes = () => parseInt(process.env.IMPERSONATION_MINUTES, 10) || 15;
+
+// Start viewing the site as a customer - requires users:impersonate.
+// The staff member's own refresh cookie is left alone, so ending the support
+// session (or letting it expire) drops them back into their own account.
+exports.startImpersonation = async (req, res, next) => {
+  try {
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    
+    // Every support session needs a reason for the audit trail
+    if (!email || !reason || reason.length > 200) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide the customer email and a reason of up to 200 characters'
+      });
+    }
+    
+    const user = await User.findOne({ email });
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No user found with that email'
+      });
+    }
+    
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'You cannot impersonate yourself'
+      });
+    }
+    
+    // Staff accounts carry permissions of their own - never lend those out
+    if ((await Role.permissionsFor(user.role)).length > 0) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Staff accounts cannot be impersonated'
+      });
+    }
+    
+    const expiresAt = new Date(Date.now() + impersonationMinutes() * 60 * 1000);
+    const session = await Session.startImpersonation(user._id, req.user._id, reason, req, expiresAt);
+    const token = signImpersonationToken(user._id, req.user._id, session);
+    
+    // Recorded for both sides so either log tells the whole story
+    await Promise.all([
+      SecurityEvent.record(user._id, 'IMPERSONATION_START', req, `Support session by ${req.user.email}: ${reason}`),
+      SecurityEvent.record(req.user._id, 'IMPERSONATION_START', req, `Viewing as ${user.email}: ${reason}`)
+    ]);
+    
+    setAccessCookie(req, res, token);
+    
+    res.status(200).json({
+      status: 'success',
+      token,
+      data: {
+        user,
+        impersonation: {
+          impersonator: {
+            id: req.user._id,
+            name: req.user.name,
+            email: req.user.email
+          },
+          expiresAt
+        }
+      }
+    });
+  } catch (err) {
+    console.error('Start impersonation error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error starting support session. Please try again later.'
+    });
+  }
+};
+
+// End the current support session
+exports.stopImpersonation = async (req, res, next) => {
+  try {
+    if (!req.impersonator) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'You are not in a support session'
+      });
+    }
+    
+    await Session.revoke(req.authSession._id, 'impersonation-end');
+    
+    await Promise.all([
+      SecurityEvent.record(req.user._id, 'IMPERSONATION_END', req, `Support session by ${req.impersonator.email} ended`),
+      SecurityEvent.record(req.impersonator._id, 'IMPERSONATION_END', req, `Stopped viewing as ${req.user.email}`)
+    ]);
+    
+    // Only the access cookie - the refresh cookie still belongs to the staff member
+    clearAccessCookie(req, res);
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Support session ended.'
+    });
+  } catch (err) {
+    console.error('Stop impersonation error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error ending support session. Please try again later.'
+    });
+  }
+};
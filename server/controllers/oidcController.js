@@ -0,0 +1,363 @@
+const crypto = require('crypto');
+const User = require('../models/userModel');
+const FederatedIdentity = require('../models/federatedIdentityModel');
+const OidcState = require('../models/oidcStateModel');
+const SecurityEvent = require('../models/securityEventModel');
+const oidc = require('../services/oidc');
+const { clientUrl } = require('../services/email');
+const {
+  createSendToken,
+  registerFailedLogin,
+  sendTwoFactorChallenge
+} = require('./authController');
+
+// Binds the provider's redirect back to the browser that started the login.
+// SameSite=lax so it survives the top-level redirect from the provider.
+const STATE_COOKIE = 'oidc_state';
+const STATE_COOKIE_PATH = '/api/auth/oidc';
+
+const stateCookieOptions = (req) => ({
+  httpOnly: true,
+  secure: req.secure || req.headers['x-forwarded-proto'] === 'https',
+  sameSite: 'lax',
+  path: STATE_COOKIE_PATH
+});
+
+// Only same-site paths are allowed as post-login destinations
+const safeReturnTo = (value) => {
+  if (typeof value !== 'string' || value.length > 200) return '/';
+  return /^\/(?![/\\])/.test(value) ? value : '/';
+};
+
+// Hand the result back to the SPA in the URL fragment, which never reaches a server
+const redirectToClient = (res, params) => {
+  res.redirect(303, `${clientUrl('/auth/callback')}#${new URLSearchParams(params)}`);
+};
+
+// Display name for a provider id
+const providerName = (providerId) => {
+  const provider = oidc.getProvider(providerId);
+  return provider ? provider.name : providerId;
+};
+
+// Issue a session once the external identity is settled, applying the same
+// account checks as a password login
+const finishLogin = async (user, req, res, details) => {
+  if (user.accountLocked) {
+    if (user.lockUntil && user.lockUntil > Date.now()) {
+      return res.status(401).json({
+        status: 'error',
+        message: `Account locked. Please try again after ${new Date(user.lockUntil).toLocaleString()}`
+      });
+    }
+    
+    await user.unlockAccount();
+    await SecurityEvent.record(user._id, 'ACCOUNT_UNLOCK', req, 'Lock period expired');
+  }
+  
+  if (user.emailVerified === false) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Please verify your email before logging in'
+    });
+  }
+  
+  if (user.twoFactorEnabled) {
+    return sendTwoFactorChallenge(user, res);
+  }
+  
+  // Log user activity
+  await User.findByIdAndUpdate(user._id, {
+    loginAttempts: 0,
+    lastLogin: Date.now(),
+    lastLoginIp: req.ip
+  });
+  await SecurityEvent.record(user._id, 'LOGIN', req, details);
+  
+  await createSendToken(user, 200, req, res);
+};
+
+// Link the attempt's external identity to a user
+const linkIdentity = async (attempt, user, req) => {
+  await FederatedIdentity.create({
+    user: user._id,
+    provider: attempt.provider,
+    subject: attempt.subject,
+    email: attempt.email,
+    lastUsedAt: Date.now()
+  });
+  
+  await SecurityEvent.record(
+    user._id,
+    'ACCOUNT_LINK',
+    req,
+    `${providerName(attempt.provider)} account linked (${attempt.email})`
+  );
+};
+
+// Providers available on this deployment
+exports.getProviders = (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      providers: oidc.listProviders()
+    }
+  });
+};
+
+// Redirect the browser to the identity provider
+exports.startLogin = async (req, res, next) => {
+  const provider = oidc.getProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Unknown sign-in provider'
+    });
+  }
+  
+  try {
+    const state = oidc.randomToken();
+    const { url, codeVerifier, nonce } = await oidc.buildAuthorizationUrl(provider, state);
+    
+    await OidcState.start(state, {
+      provider: provider.id,
+      codeVerifier,
+      nonce,
+      returnTo: safeReturnTo(req.query.returnTo)
+    });
+    
+    res.cookie(STATE_COOKIE, state, {
+      ...stateCookieOptions(req),
+      maxAge: 10 * 60 * 1000
+    });
+    
+    res.redirect(url);
+  } catch (err) {
+    console.error('OIDC start error:', err);
+    redirectToClient(res, { error: 'provider_unavailable' });
+  }
+};
+
+// Providers using response_mode=form_post POST the callback cross-site, which
+// a SameSite cookie won't accompany - bounce it to a top-level GET that will
+exports.formPostCallback = (req, res) => {
+  const params = new URLSearchParams();
+  ['code', 'state', 'error', 'user'].forEach(key => {
+    if (typeof req.body[key] === 'string') params.set(key, req.body[key]);
+  });
+  
+  res.redirect(303, `${req.baseUrl}${req.path}?${params}`);
+};
+
+// The provider sends the browser back here with an authorization code
+exports.callback = async (req, res, next) => {
+  const { code, state, error } = req.query;
+  const expectedState = req.cookies[STATE_COOKIE];
+  
+  res.clearCookie(STATE_COOKIE, stateCookieOptions(req));
+  
+  if (error) {
+    return redirectToClient(res, { error: error === 'access_denied' ? 'access_denied' : 'failed' });
+  }
+  
+  const provider = oidc.getProvider(req.params.provider);
+  if (!provider || typeof code !== 'string' || typeof state !== 'string' || state !== expectedState) {
+    return redirectToClient(res, { error: 'invalid_state' });
+  }
+  
+  try {
+    const attempt = await OidcState.claimState(state, provider.id);
+    if (!attempt) {
+      return redirectToClient(res, { error: 'invalid_state' });
+    }
+    
+    const tokens = await oidc.exchangeCode(provider, code, attempt.codeVerifier);
+    const claims = await oidc.verifyIdToken(provider, tokens.id_token, attempt.nonce);
+    
+    // Apple only sends the user's name once, alongside the first callback
+    if (!claims.name && typeof req.query.user === 'string') {
+      try {
+        const { name = {} } = JSON.parse(req.query.user);
+        claims.name = [name.firstName, name.lastName].filter(Boolean).join(' ') || null;
+      } catch (parseErr) {
+        // Ignore - the name is optional
+      }
+    }
+    
+    const outcome = { ...claims };
+    
+    const identity = await FederatedIdentity.findOne({ provider: provider.id, subject: claims.subject });
+    if (identity) {
+      outcome.action = 'login';
+      outcome.user = identity.user;
+    } else {
+      // Unknown identities are matched to accounts by email, so the provider
+      // must vouch for it
+      if (!claims.email || !claims.emailVerified) {
+        return redirectToClient(res, { error: 'email_unverified' });
+      }
+      
+      const existingUser = await User.findOne({ email: claims.email });
+      outcome.action = existingUser ? 'link' : 'signup';
+      outcome.user = existingUser ? existingUser._id : undefined;
+    }
+    
+    const ticket = await attempt.issueTicket(outcome);
+    
+    redirectToClient(res, { ticket, returnTo: attempt.returnTo });
+  } catch (err) {
+    console.error('OIDC callback error:', err);
+    redirectToClient(res, { error: 'failed' });
+  }
+};
+
+// The SPA redeems the ticket from the callback redirect
+exports.completeLogin = async (req, res, next) => {
+  try {
+    const pending = await OidcState.findByTicket(req.body.ticket);
+    
+    // An existing account is only linked once its owner confirms with their password
+    if (pending && pending.action === 'link') {
+      return res.status(200).json({
+        status: 'success',
+        linkRequired: true,
+        data: {
+          email: pending.email,
+          provider: providerName(pending.provider)
+        }
+      });
+    }
+    
+    const attempt = pending && await OidcState.redeemTicket(req.body.ticket);
+    if (!attempt) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This sign-in attempt has expired. Please try again.'
+      });
+    }
+    
+    const name = providerName(attempt.provider);
+    
+    if (attempt.action === 'signup') {
+      // Someone registered with this email since the callback - start over
+      if (await User.emailTaken(attempt.email)) {
+        return res.status(409).json({
+          status: 'error',
+          message: 'An account with this email already exists. Please try again.'
+        });
+      }
+      
+      // The account has no usable password until the user sets one via a reset
+      const password = crypto.randomBytes(32).toString('hex');
+      const user = await User.create({
+        name: (attempt.name || attempt.email.split('@')[0]).slice(0, 50),
+        email: attempt.email,
+        password,
+        passwordConfirm: password,
+        emailVerified: true,
+        role: 'user'
+      });
+      
+      await linkIdentity(attempt, user, req);
+      
+      return finishLogin(user, req, res, `Signed up with ${name}`);
+    }
+    
+    const user = await User.findById(attempt.user);
+    if (!user) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This sign-in attempt has expired. Please try again.'
+      });
+    }
+    
+    await FederatedIdentity.updateOne(
+      { provider: attempt.provider, subject: attempt.subject },
+      { lastUsedAt: Date.now() }
+    );
+    
+    await finishLogin(user, req, res, `Signed in with ${name}`);
+  } catch (err) {
+    console.error('OIDC complete error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error logging in. Please try again later.'
+    });
+  }
+};
+
+// Confirm linking an external identity to an existing account with its password
+exports.linkAccount = async (req, res, next) => {
+  try {
+    const { ticket, password } = req.body;
+    
+    if (!password) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please enter your password to link the accounts'
+      });
+    }
+    
+    const pending = await OidcState.findByTicket(ticket);
+    const user = pending && pending.action === 'link'
+      ? await User.findById(pending.user).select('+password')
+      : null;
+    
+    if (!user) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This sign-in attempt has expired. Please try again.'
+      });
+    }
+    
+    if (user.accountLocked && user.lockUntil && user.lockUntil > Date.now()) {
+      return res.status(401).json({
+        status: 'error',
+        message: `Account locked. Please try again after ${new Date(user.lockUntil).toLocaleString()}`
+      });
+    }
+    
+    // Wrong passwords count towards the lockout exactly like the login form
+    if (!(await user.correctPassword(password, user.password))) {
+      await registerFailedLogin(user, req, `Incorrect password linking ${providerName(pending.provider)} account`);
+      
+      return res.status(401).json({
+        status: 'error',
+        message: 'Incorrect password'
+      });
+    }
+    
+    const attempt = await OidcState.redeemTicket(ticket);
+    if (!attempt) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This sign-in attempt has expired. Please try again.'
+      });
+    }
+    
+    await linkIdentity(attempt, user, req);
+    
+    // The provider has confirmed the address the account was registered with
+    if (!user.emailVerified) {
+      await User.findByIdAndUpdate(user._id, { emailVerified: true });
+      user.emailVerified = true;
+    }
+    
+    await finishLogin(user, req, res, `Signed in with ${providerName(attempt.provider)}`);
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'This account is already linked to another user'
+      });
+    }
+    
+    console.error('OIDC link error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error linking accounts. Please try again later.'
+    });
+  }
+};
@@ -0,0 +1,364 @@
+const User = require('../models/userModel');
+const Passkey = require('../models/passkeyModel');
+const WebAuthnChallenge = require('../models/webauthnChallengeModel');
+const SecurityEvent = require('../models/securityEventModel');
+const { createSendToken, registerFailedLogin } = require('./authController');
+const { verifyChallengeToken } = require('../utils/twoFactor');
+const {
+  buildRegistrationOptions,
+  buildAuthenticationOptions,
+  verifyRegistrationResponse,
+  verifyAuthenticationResponse
+} = require('../utils/webauthn');
+
+// Shape a passkey for the client
+const formatPasskey = (passkey) => ({
+  id: passkey._id,
+  name: passkey.name,
+  backedUp: passkey.backedUp,
+  createdAt: passkey.createdAt,
+  lastUsedAt: passkey.lastUsedAt
+});
+
+// Registration step 1 - options for navigator.credentials.create()
+exports.getRegistrationOptions = async (req, res, next) => {
+  try {
+    // Stop the browser from registering the same authenticator twice
+    const existing = await Passkey.find({ user: req.user._id }).select('credentialId');
+    const challenge = await WebAuthnChallenge.issue('registration', req.user._id);
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        challengeId: challenge._id,
+        options: buildRegistrationOptions({
+          user: req.user,
+          challenge: challenge.challenge,
+          excludeCredentialIds: existing.map(passkey => passkey.credentialId)
+        })
+      }
+    });
+  } catch (err) {
+    console.error('Passkey registration options error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error starting passkey registration. Please try again later.'
+    });
+  }
+};
+
+// Registration step 2 - verify the attestation and store the credential
+exports.verifyRegistration = async (req, res, next) => {
+  try {
+    const { challengeId, credential, name } = req.body;
+    
+    const challenge = challengeId && await WebAuthnChallenge.consume(challengeId, 'registration');
+    if (!challenge || !challenge.user.equals(req.user._id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Passkey registration expired. Please try again.'
+      });
+    }
+    
+    let verified;
+    try {
+      verified = verifyRegistrationResponse(credential, challenge.challenge);
+    } catch (verifyErr) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Passkey could not be verified'
+      });
+    }
+    
+    if (await Passkey.exists({ credentialId: verified.credentialId })) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This passkey is already registered'
+      });
+    }
+    
+    const passkey = await Passkey.create({
+      ...verified,
+      user: req.user._id,
+      name: name || undefined
+    });
+    
+    await SecurityEvent.record(req.user._id, 'PASSKEY_ADDED', req, passkey.name);
+    
+    res.status(201).json({
+      status: 'success',
+      data: {
+        passkey: formatPasskey(passkey)
+      }
+    });
+  } catch (err) {
+    console.error('Passkey registration error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error registering passkey. Please try again later.'
+    });
+  }
+};
+
+// List the current user's passkeys
+exports.getPasskeys = async (req, res, next) => {
+  try {
+    const passkeys = await Passkey.find({ user: req.user._id }).sort('createdAt');
+    
+    res.status(200).json({
+      status: 'success',
+      results: passkeys.length,
+      data: {
+        passkeys: passkeys.map(formatPasskey)
+      }
+    });
+  } catch (err) {
+    console.error('Get passkeys error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error loading passkeys. Please try again later.'
+    });
+  }
+};
+
+// Rename a passkey
+exports.updatePasskey = async (req, res, next) => {
+  try {
+    // Only the name can be changed
+    const passkey = await Passkey.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { name: req.body.name },
+      { new: true, runValidators: true }
+    );
+    
+    if (!passkey) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No passkey found with that ID'
+      });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        passkey: formatPasskey(passkey)
+      }
+    });
+  } catch (err) {
+    if (err.name === 'CastError' || err.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: err.name === 'CastError' ? 'Invalid passkey ID' : err.message
+      });
+    }
+    
+    console.error('Update passkey error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error updating passkey. Please try again later.'
+    });
+  }
+};
+
+// Remove a passkey
+exports.deletePasskey = async (req, res, next) => {
+  try {
+    const passkey = await Passkey.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    
+    if (!passkey) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No passkey found with that ID'
+      });
+    }
+    
+    await SecurityEvent.record(req.user._id, 'PASSKEY_REMOVED', req, passkey.name);
+    
+    res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid passkey ID'
+      });
+    }
+    
+    console.error('Delete passkey error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error removing passkey. Please try again later.'
+    });
+  }
+};
+
+// Sign-in step 1 - options for navigator.credentials.get()
+// With a challengeToken from the password step the passkey is a second factor,
+// otherwise it is a passwordless primary login with any discoverable passkey
+exports.getAuthenticationOptions = async (req, res, next) => {
+  try {
+    let userId;
+    let allowCredentials = [];
+    
+    if (req.body.challengeToken) {
+      try {
+        userId = (await verifyChallengeToken(req.body.challengeToken)).id;
+      } catch (tokenErr) {
+        return res.status(401).json({
+          status: 'error',
+          message: 'Login session expired. Please log in again.'
+        });
+      }
+      
+      allowCredentials = await Passkey.find({ user: userId }).select('credentialId transports');
+    }
+    
+    const challenge = await WebAuthnChallenge.issue('authentication', userId);
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        challengeId: challenge._id,
+        options: buildAuthenticationOptions({
+          challenge: challenge.challenge,
+          allowCredentials
+        })
+      }
+    });
+  } catch (err) {
+    console.error('Passkey login options error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error starting passkey sign-in. Please try again later.'
+    });
+  }
+};
+
+// Record a rejected assertion and refuse it. As a second factor it counts
+// towards the account lock like a wrong code; passwordless attempts are only
+// logged, since anyone can present a credential id.
+const rejectAssertion = async (req, res, challenge, passkey, message, details) => {
+  if (challenge.user) {
+    const user = await User.findById(challenge.user);
+    if (user) await registerFailedLogin(user, req, details);
+  } else if (passkey) {
+    await SecurityEvent.record(passkey.user, 'FAILED_LOGIN', req, details);
+  }
+  
+  return res.status(401).json({
+    status: 'error',
+    message
+  });
+};
+
+// Sign-in step 2 - verify the assertion and start a session
+exports.verifyAuthentication = async (req, res, next) => {
+  try {
+    const { challengeId, credential } = req.body;
+    
+    const challenge = challengeId && await WebAuthnChallenge.consume(challengeId, 'authentication');
+    if (!challenge) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Passkey sign-in expired. Please try again.'
+      });
+    }
+    
+    const passkey = credential && typeof credential.id === 'string'
+      ? await Passkey.findOne({ credentialId: credential.id }).select('+publicKey')
+      : null;
+    
+    // As a second factor the passkey must belong to the user who entered the password
+    if (!passkey || (challenge.user && !passkey.user.equals(challenge.user))) {
+      return rejectAssertion(req, res, challenge, null, 'Passkey not recognised', 'Unknown passkey');
+    }
+    
+    // Passwordless sign-in needs the authenticator to have verified the user
+    const secondFactor = Boolean(challenge.user);
+    let result;
+    try {
+      result = verifyAuthenticationResponse(credential, challenge.challenge, passkey, {
+        requireUserVerification: !secondFactor
+      });
+    } catch (verifyErr) {
+      return rejectAssertion(
+        req,
+        res,
+        challenge,
+        passkey,
+        'Passkey could not be verified',
+        `Passkey assertion rejected (${passkey.name})`
+      );
+    }
+    
+    const user = await User.findById(passkey.user);
+    if (!user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Passkey not recognised'
+      });
+    }
+    
+    if (user.accountLocked && user.lockUntil && user.lockUntil > Date.now()) {
+      return res.status(401).json({
+        status: 'error',
+        message: `Account locked. Please try again after ${new Date(user.lockUntil).toLocaleString()}`
+      });
+    }
+    
+    if (user.emailVerified === false) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Please verify your email before logging in'
+      });
+    }
+    
+    // Conditional update so a replayed counter value can't win a race - if
+    // another assertion moved the counter since we read it, this one loses
+    const { modifiedCount } = await Passkey.updateOne(
+      { _id: passkey._id, counter: passkey.counter },
+      { counter: result.newCounter, backedUp: result.backedUp, lastUsedAt: Date.now() }
+    );
+    
+    if (modifiedCount !== 1) {
+      return rejectAssertion(
+        req,
+        res,
+        challenge,
+        passkey,
+        'Passkey could not be verified',
+        `Passkey signature counter already used (${passkey.name})`
+      );
+    }
+    
+    // Log user activity
+    await User.findByIdAndUpdate(user._id, {
+      loginAttempts: 0,
+      lastLogin: Date.now(),
+      lastLoginIp: req.ip
+    });
+    await SecurityEvent.record(
+      user._id,
+      'LOGIN',
+      req,
+      secondFactor ? 'Two-factor login with passkey' : `Passkey sign-in (${passkey.name})`
+    );
+    
+    await createSendToken(user, 200, req, res);
+  } catch (err) {
+    console.error('Passkey login error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error logging in. Please try again later.'
+    });
+  }
+};
@@ -0,0 +1,427 @@
+const mongoose = require('mongoose');
+const Product = require('../models/productModel');
+const Category = require('../models/categoryModel');
+const { SLUG_PATTERN } = require('../utils/slugify');
+const search = require('../services/search');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_SEARCH_LENGTH = 100;
+
+// Sort orders the shop offers (ProductsPage sortBy). _id breaks ties so pages
+// don't overlap.
+const SORT_OPTIONS = {
+  popularity: { reviewCount: -1, rating: -1, _id: 1 },
+  price_low: { price: 1, _id: 1 },
+  price_high: { price: -1, _id: 1 },
+  newest: { createdAt: -1, _id: 1 },
+  rating: { rating: -1, reviewCount: -1, _id: 1 }
+};
+
+// Listings leave out the detail-page fields
+const LIST_PROJECTION = '-specifications -features';
+
+// Read page/limit query params with sane bounds
+const getPagination = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Turn the category and price query params into a filter.
+// Returns { error } when a param is invalid.
+const buildFilter = (query) => {
+  const filter = {};
+  
+  if (query.category) {
+    const category = String(query.category).toLowerCase();
+    if (!SLUG_PATTERN.test(category)) {
+      return { error: 'Invalid category' };
+    }
+    filter.category = category;
+  }
+  
+  const price = {};
+  for (const [param, operator] of [['minPrice', '$gte'], ['maxPrice', '$lte']]) {
+    if (query[param] === undefined || query[param] === '') continue;
+    
+    const value = Number(query[param]);
+    if (!Number.isFinite(value) || value < 0) {
+      return { error: `${param} must be a positive number` };
+    }
+    price[operator] = value;
+  }
+  
+  if (price.$gte !== undefined && price.$lte !== undefined && price.$gte > price.$lte) {
+    return { error: 'minPrice cannot be more than maxPrice' };
+  }
+  if (Object.keys(price).length > 0) filter.price = price;
+  
+  return { filter };
+};
+
+// Slugs a category filter covers - the category and its subcategories. An
+// unknown slug is kept so it simply matches nothing.
+const categorySlugs = async (slug) => {
+  const category = await Category.findOne({ slug });
+  return category ? category.subtreeSlugs() : [slug];
+};
+
+// Run a filtered, sorted, paginated product query and send the list response.
+// With a category, lists that category's subtree and adds its breadcrumbs.
+const sendProductList = async (req, res, category) => {
+  const { filter, error } = buildFilter(req.query);
+  
+  const sortBy = req.query.sortBy || 'popularity';
+  const sort = SORT_OPTIONS[sortBy];
+  
+  if (error || !sort) {
+    return res.status(400).json({
+      status: 'error',
+      message: error || `sortBy must be one of: ${Object.keys(SORT_OPTIONS).join(', ')}`
+    });
+  }
+  
+  if (category) {
+    filter.category = { $in: await category.subtreeSlugs() };
+  } else if (filter.category) {
+    filter.category = { $in: await categorySlugs(filter.category) };
+  }
+  
+  const { page, limit, skip } = getPagination(req.query);
+  
+  const [products, total] = await Promise.all([
+    Product.find(filter)
+      .select(LIST_PROJECTION)
+      .sort(sort)
+      .skip(skip)
+      .limit(limit),
+    Product.countDocuments(filter)
+  ]);
+  
+  res.status(200).json({
+    status: 'success',
+    results: products.length,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    data: {
+      products,
+      ...(category && {
+        category,
+        breadcrumbs: await category.breadcrumbs()
+      })
+    }
+  });
+};
+
+// Only these fields of a product can be set through the API - rating and
+// reviewCount come from reviews
+const filterProductFields = (body) => {
+  const allowed = [
+    'name',
+    'slug',
+    'description',
+    'price',
+    'images',
+    'stock',
+    'category',
+    'brand',
+    'specifications',
+    'features'
+  ];
+  
+  const fields = {};
+  allowed.forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// Products have to be filed under an existing category
+const unknownCategory = async (fields) => {
+  if (fields.category === undefined) return false;
+  return !(await Category.exists({ slug: String(fields.category).toLowerCase() }));
+};
+
+// Map validation errors to a 400 response, otherwise a generic 500
+const sendProductError = (res, err, action) => {
+  if (err.name === 'ValidationError' || err.name === 'CastError') {
+    return res.status(400).json({
+      status: 'error',
+      message: err.name === 'CastError' && err.path === '_id' ? 'Invalid product ID' : err.message
+    });
+  }
+  
+  if (err.code === 11000) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'A product with that slug already exists'
+    });
+  }
+  
+  console.error(`${action} product error:`, err);
+  
+  res.status(500).json({
+    status: 'error',
+    message: `Error trying to ${action.toLowerCase()} product. Please try again later.`
+  });
+};
+
+// Products, filtered by category and price range
+// Query: category, minPrice, maxPrice, sortBy, page, limit
+exports.getAllProducts = async (req, res, next) => {
+  try {
+    await sendProductList(req, res);
+  } catch (err) {
+    console.error('Get products error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error loading products. Please try again later.'
+    });
+  }
+};
+
+// Products in a category and its subcategories - the same filters as
+// getAllProducts
+exports.getProductsByCategory = async (req, res, next) => {
+  try {
+    const category = await Category.findOne({ slug: String(req.params.slug).toLowerCase() });
+    
+    if (!category) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No category found with that slug'
+      });
+    }
+    
+    await sendProductList(req, res, category);
+  } catch (err) {
+    console.error('Get category products error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error loading products. Please try again later.'
+    });
+  }
+};
+
+// Read the search facet filters. Returns { error } when one is invalid.
+const buildSearchFilters = (query) => {
+  const filters = {};
+  
+  if (query.category) {
+    const category = String(query.category).toLowerCase();
+    if (!SLUG_PATTERN.test(category)) {
+      return { error: 'Invalid category' };
+    }
+    filters.category = category;
+  }
+  
+  if (query.brand) {
+    const brand = String(query.brand).trim();
+    if (brand.length > 60) {
+      return { error: 'Invalid brand' };
+    }
+    filters.brand = brand;
+  }
+  
+  if (query.price) {
+    if (!search.PRICE_BUCKETS.some(bucket => bucket.key === query.price)) {
+      return { error: `price must be one of: ${search.PRICE_BUCKETS.map(bucket => bucket.key).join(', ')}` };
+    }
+    filters.price = query.price;
+  }
+  
+  if (query.inStock !== undefined) {
+    if (query.inStock !== 'true' && query.inStock !== 'false') {
+      return { error: 'inStock must be true or false' };
+    }
+    filters.inStock = query.inStock === 'true';
+  }
+  
+  return { filters };
+};
+
+// Keyword search, best matches first, with facet counts and highlighted
+// name and description for each result
+// Query: q, category, brand, price (a price facet value), inStock, page, limit
+exports.searchProducts = async (req, res, next) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    
+    if (!q || q.length > MAX_SEARCH_LENGTH) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Please enter a search term of up to ${MAX_SEARCH_LENGTH} characters`
+      });
+    }
+    
+    const { filters, error } = buildSearchFilters(req.query);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error
+      });
+    }
+    
+    if (filters.category) {
+      filters.category = await categorySlugs(filters.category);
+    }
+    
+    const { page, limit } = getPagination(req.query);
+    const { total, hits, facets } = await search.search(q, { filters, page, limit });
+    
+    // Load the page from the database so prices and stock are current
+    const found = await Product.find({ _id: { $in: hits.map(hit => hit.id) } }).select(LIST_PROJECTION);
+    const byId = new Map(found.map(product => [String(product._id), product]));
+    
+    const products = hits
+      .filter(hit => byId.has(hit.id))
+      .map((hit) => {
+        const product = byId.get(hit.id);
+        
+        return {
+          ...product.toJSON(),
+          highlights: search.highlightProduct(product, hit.matched)
+        };
+      });
+    
+    res.status(200).json({
+      status: 'success',
+      results: products.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: {
+        products,
+        facets
+      }
+    });
+  } catch (err) {
+    console.error('Search products error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error searching products. Please try again later.'
+    });
+  }
+};
+
+// A single product, by ID or slug
+exports.getProduct = async (req, res, next) => {
+  try {
+    const product = mongoose.isValidObjectId(req.params.id)
+      ? await Product.findById(req.params.id)
+      : await Product.findOne({ slug: String(req.params.id).toLowerCase() });
+    
+    if (!product) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No product found with that ID'
+      });
+    }
+    
+    const category = await Category.findOne({ slug: product.category });
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        product,
+        breadcrumbs: category ? await category.breadcrumbs() : []
+      }
+    });
+  } catch (err) {
+    console.error('Get product error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error loading product. Please try again later.'
+    });
+  }
+};
+
+// Create a product - requires products:write
+exports.createProduct = async (req, res, next) => {
+  try {
+    const fields = filterProductFields(req.body);
+    
+    if (await unknownCategory(fields)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'No category found with that slug'
+      });
+    }
+    
+    const product = await Product.create(fields);
+    search.indexProduct(product);
+    
+    res.status(201).json({
+      status: 'success',
+      data: {
+        product
+      }
+    });
+  } catch (err) {
+    sendProductError(res, err, 'Create');
+  }
+};
+
+// Update a product - requires products:write
+exports.updateProduct = async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No product found with that ID'
+      });
+    }
+    
+    const fields = filterProductFields(req.body);
+    
+    if (await unknownCategory(fields)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'No category found with that slug'
+      });
+    }
+    
+    product.set(fields);
+    await product.save();
+    search.indexProduct(product);
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        product
+      }
+    });
+  } catch (err) {
+    sendProductError(res, err, 'Update');
+  }
+};
+
+// Delete a product - requires products:delete
+exports.deleteProduct = async (req, res, next) => {
+  try {
+    const product = await Product.findByIdAndDelete(req.params.id);
+    if (!product) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No product found with that ID'
+      });
+    }
+    
+    search.removeProduct(product._id);
+    
+    res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  } catch (err) {
+    sendProductError(res, err, 'Delete');
+  }
+};
@@ -0,0 +1,54 @@
+const { getStore } = require('../services/rateLimit');
+
+// Shape a store entry for the admin view
+const formatEntry = entry => ({
+  key: entry.key,
+  policy: entry.policy,
+  kind: entry.kind,
+  identity: entry.identity,
+  hits: entry.hits,
+  limit: entry.limit,
+  resetAt: entry.resetAt,
+  blockedUntil: entry.blockedUntil
+});
+
+// Keys that are out of requests or backing off after failed attempts
+exports.getThrottledKeys = async (req, res, next) => {
+  try {
+    const entries = await getStore().listThrottled();
+    
+    res.status(200).json({
+      status: 'success',
+      results: entries.length,
+      data: {
+        entries: entries.map(formatEntry)
+      }
+    });
+  } catch (err) {
+    console.error('Get throttled keys error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching rate limits. Please try again later.'
+    });
+  }
+};
+
+// Lift a limit early, e.g. for a customer locked out by a shared office IP
+exports.clearThrottledKey = async (req, res, next) => {
+  try {
+    await getStore().reset(req.params.key);
+    
+    res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  } catch (err) {
+    console.error('Clear throttled key error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error clearing rate limit. Please try again later.'
+    });
+  }
+};
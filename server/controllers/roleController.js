@@ -0,0 +1,323 @@
+const User = require('../models/userModel');
+const Role = require('../models/roleModel');
+const SecurityEvent = require('../models/securityEventModel');
+const { PERMISSIONS, grants, canDelegate } = require('../config/permissions');
+
+// Only these fields of a role can be changed through the API
+const filterRoleFields = (body) => {
+  const fields = {};
+  if (body.description !== undefined) fields.description = body.description;
+  if (body.permissions !== undefined) {
+    fields.permissions = Array.isArray(body.permissions)
+      ? [...new Set(body.permissions.map(String))]
+      : body.permissions;
+  }
+  return fields;
+};
+
+// Permissions in a list the caller doesn't hold - nobody can grant or assign
+// more than they have themselves
+const undelegable = (req, permissions) => (Array.isArray(permissions) ? permissions : [permissions])
+  .filter(permission => typeof permission !== 'string' || !canDelegate(req.permissions, permission));
+
+// Map validation errors to a 400 response, otherwise a generic 500
+const sendRoleError = (res, err, action) => {
+  if (err.name === 'ValidationError' || err.name === 'CastError') {
+    return res.status(400).json({
+      status: 'error',
+      message: err.name === 'CastError' ? 'Invalid role ID' : err.message
+    });
+  }
+  
+  if (err.code === 11000) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'A role with that name already exists'
+    });
+  }
+  
+  console.error(`${action} role error:`, err);
+  
+  res.status(500).json({
+    status: 'error',
+    message: `Error trying to ${action.toLowerCase()} role. Please try again later.`
+  });
+};
+
+// Effective permissions for the current user, so the UI can hide what they can't do
+exports.getMyPermissions = async (req, res, next) => {
+  try {
+    const granted = await Role.permissionsFor(req.user.role);
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        role: req.user.role,
+        permissions: Object.keys(PERMISSIONS).filter(permission => grants(granted, permission))
+      }
+    });
+  } catch (err) {
+    console.error('Get permissions error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error loading permissions. Please try again later.'
+    });
+  }
+};
+
+// The permission catalog
+exports.getPermissions = (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+    }
+  });
+};
+
+// All roles with the number of users holding each
+exports.getRoles = async (req, res, next) => {
+  try {
+    await Role.ensureDefaults();
+    
+    const [roles, counts] = await Promise.all([
+      Role.find().sort('name'),
+      User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+    ]);
+    
+    const userCounts = new Map(counts.map(item => [item._id, item.count]));
+    
+    res.status(200).json({
+      status: 'success',
+      results: roles.length,
+      data: {
+        roles: roles.map(role => ({
+          ...role.toObject(),
+          userCount: userCounts.get(role.name) || 0
+        }))
+      }
+    });
+  } catch (err) {
+    console.error('Get roles error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error loading roles. Please try again later.'
+    });
+  }
+};
+
+// Create a role
+exports.createRole = async (req, res, next) => {
+  try {
+    const fields = filterRoleFields(req.body);
+    
+    const missing = undelegable(req, fields.permissions || []);
+    if (missing.length > 0) {
+      return res.status(403).json({
+        status: 'error',
+        message: `You cannot grant permissions you do not hold: ${missing.join(', ')}`
+      });
+    }
+    
+    const role = await Role.create({
+      name: req.body.name,
+      ...fields,
+      system: false
+    });
+    
+    res.status(201).json({
+      status: 'success',
+      data: {
+        role
+      }
+    });
+  } catch (err) {
+    sendRoleError(res, err, 'Create');
+  }
+};
+
+// Change a role's description or permissions - roles can't be renamed
+// because users reference them by name
+exports.updateRole = async (req, res, next) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No role found with that ID'
+      });
+    }
+    
+    // Editing your own role would get around the rule on changing it
+    if (role.name === req.user.role) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You cannot change the role you hold'
+      });
+    }
+    
+    const fields = filterRoleFields(req.body);
+    
+    const missing = undelegable(req, [...role.permissions, ...(fields.permissions || [])]);
+    if (missing.length > 0) {
+      return res.status(403).json({
+        status: 'error',
+        message: `You cannot change a role to or from permissions you do not hold: ${[...new Set(missing)].join(', ')}`
+      });
+    }
+    
+    if (role.name === 'admin' && fields.permissions !== undefined) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'The admin role always has every permission'
+      });
+    }
+    
+    Object.assign(role, fields);
+    await role.save();
+    
+    Role.clearPermissionCache();
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        role
+      }
+    });
+  } catch (err) {
+    sendRoleError(res, err, 'Update');
+  }
+};
+
+// Delete a role that nobody holds
+exports.deleteRole = async (req, res, next) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No role found with that ID'
+      });
+    }
+    
+    if (role.system) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'System roles cannot be deleted'
+      });
+    }
+    
+    const holders = await User.countDocuments({ role: role.name });
+    if (holders > 0) {
+      return res.status(409).json({
+        status: 'error',
+        message: `This role is assigned to ${holders} user(s). Reassign them first.`
+      });
+    }
+    
+    await Role.deleteOne({ _id: role._id });
+    Role.clearPermissionCache();
+    
+    res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  } catch (err) {
+    sendRoleError(res, err, 'Delete');
+  }
+};
+
+// Assign a role to a user
+exports.assignRole = async (req, res, next) => {
+  try {
+    // Changing your own role could only ever be an escalation or a lockout
+    if (req.params.id === String(req.user._id)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You cannot change your own role'
+      });
+    }
+    
+    const roleName = typeof req.body.role === 'string' ? req.body.role.trim().toLowerCase() : '';
+    
+    await Role.ensureDefaults();
+    if (!roleName || !(await Role.exists({ name: roleName }))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Unknown role'
+      });
+    }
+    
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No user found with that ID'
+      });
+    }
+    
+    // Both the new role and the one being taken away have to be within the
+    // caller's own permissions
+    const [newPermissions, currentPermissions] = await Promise.all([
+      Role.permissionsFor(roleName),
+      Role.permissionsFor(user.role)
+    ]);
+    
+    if (undelegable(req, [...newPermissions, ...currentPermissions]).length > 0) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You cannot assign or take away a role with permissions you do not hold'
+      });
+    }
+    
+    const previousRole = user.role;
+    if (previousRole === roleName) {
+      return res.status(200).json({
+        status: 'success',
+        data: {
+          user: { id: user._id, email: user.email, role: user.role }
+        }
+      });
+    }
+    
+    // Keep at least one administrator
+    if (previousRole === 'admin' && (await User.countDocuments({ role: 'admin' })) <= 1) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Cannot remove the last administrator'
+      });
+    }
+    
+    await User.findByIdAndUpdate(user._id, { role: roleName });
+    
+    await SecurityEvent.record(
+      user._id,
+      'ROLE_CHANGE',
+      req,
+      `Role changed from ${previousRole} to ${roleName} by ${req.user.email}`
+    );
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        user: { id: user._id, email: user.email, role: roleName }
+      }
+    });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid user ID'
+      });
+    }
+    
+    console.error('Assign role error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error assigning role. Please try again later.'
+    });
+  }
+};
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const SecurityEvent = require('../models/securityEventModel');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Read page/limit query params with sane bounds
+const getPagination = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Run a paginated query and send the standard list response
+const sendPage = async (res, filter, query, projection) => {
+  const { page, limit, skip } = getPagination(query);
+  
+  const [events, total] = await Promise.all([
+    SecurityEvent.find(filter)
+      .select(projection)
+      .sort('-createdAt')
+      .skip(skip)
+      .limit(limit),
+    SecurityEvent.countDocuments(filter)
+  ]);
+  
+  res.status(200).json({
+    status: 'success',
+    results: events.length,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    data: {
+      events
+    }
+  });
+};
+
+// Security activity for the current user
+exports.getMySecurityEvents = async (req, res, next) => {
+  try {
+    await sendPage(res, { user: req.user._id }, req.query, '-user -__v');
+  } catch (err) {
+    console.error('Get security events error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error loading security activity. Please try again later.'
+    });
+  }
+};
+
+// Query security events across users - requires security-events:read
+// Filters: user, type (comma separated), from, to (ISO dates)
+exports.querySecurityEvents = async (req, res, next) => {
+  try {
+    const filter = {};
+    
+    if (req.query.user) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.user)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid user ID'
+        });
+      }
+      filter.user = req.query.user;
+    }
+    
+    if (req.query.type) {
+      const types = String(req.query.type).split(',');
+      const unknown = types.filter(type => !SecurityEvent.EVENT_TYPES.includes(type));
+      
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Unknown event type: ${unknown.join(', ')}`
+        });
+      }
+      filter.type = { $in: types };
+    }
+    
+    if (req.query.from || req.query.to) {
+      const from = req.query.from && new Date(req.query.from);
+      const to = req.query.to && new Date(req.query.to);
+      
+      if ((from && isNaN(from)) || (to && isNaN(to))) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid date range'
+        });
+      }
+      
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = from;
+      if (to) filter.createdAt.$lte = to;
+    }
+    
+    await sendPage(res, filter, req.query, '-__v');
+  } catch (err) {
+    console.error('Query security events error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error loading security events. Please try again later.'
+    });
+  }
+};
@@ -0,0 +1,97 @@
+const Session = require('../models/sessionModel');
+
+// Shape a session for the client, flagging the one making the request
+const formatSession = (session, currentSessionId) => ({
+  id: session._id,
+  deviceLabel: session.deviceLabel,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  current: session._id.equals(currentSessionId),
+  impersonated: !!session.impersonator
+});
+
+// List the current user's active sessions
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: Date.now() }
+    }).sort('-lastSeenAt');
+    
+    res.status(200).json({
+      status: 'success',
+      results: sessions.length,
+      data: {
+        sessions: sessions.map(session => formatSession(session, req.authSession._id))
+      }
+    });
+  } catch (err) {
+    console.error('Get sessions error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error loading sessions. Please try again later.'
+    });
+  }
+};
+
+// Sign out a single device
+exports.revokeSession = async (req, res, next) => {
+  try {
+    // Scope the lookup to the current user so other users' ids just 404
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null
+    });
+    
+    if (!session) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No active session found with that ID'
+      });
+    }
+    
+    await Session.revoke(session._id, 'user');
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Session signed out'
+    });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid session ID'
+      });
+    }
+    
+    console.error('Revoke session error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error signing out session. Please try again later.'
+    });
+  }
+};
+
+// Sign out every device except the one making the request
+exports.revokeOtherSessions = async (req, res, next) => {
+  try {
+    const revoked = await Session.revokeAllForUser(req.user._id, 'user', req.authSession._id);
+    
+    res.status(200).json({
+      status: 'success',
+      message: `Signed out of ${revoked} other session${revoked === 1 ? '' : 's'}`
+    });
+  } catch (err) {
+    console.error('Revoke other sessions error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error signing out other sessions. Please try again later.'
+    });
+  }
+};
@@ -0,0 +1,267 @@
+const User = require('../models/userModel');
+const SecurityEvent = require('../models/securityEventModel');
+const { createSendToken, registerFailedLogin } = require('./authController');
+const {
+  generateSecret,
+  buildOtpauthUri,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  verifyChallengeToken
+} = require('../utils/twoFactor');
+
+// Start 2FA enrollment - generate a pending secret for the authenticator app
+exports.setupTwoFactor = async (req, res, next) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+    
+    // Store the secret now; it only takes effect once confirmed with a valid code
+    const secret = generateSecret();
+    await User.findByIdAndUpdate(req.user._id, {
+      $set: { twoFactorSecret: secret },
+      $unset: { lastTotpStep: 1 }
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        secret,
+        otpauthUrl: buildOtpauthUri(secret, req.user.email)
+      }
+    });
+  } catch (err) {
+    console.error('2FA setup error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error setting up two-factor authentication. Please try again later.'
+    });
+  }
+};
+
+// Confirm enrollment with a first code and issue recovery codes
+exports.enableTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactorSecret');
+    
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+    
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please start two-factor setup first'
+      });
+    }
+    
+    if (!(await user.useTotpCode(req.body.code))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid authentication code'
+      });
+    }
+    
+    const { codes, hashes } = generateRecoveryCodes();
+    
+    user.twoFactorEnabled = true;
+    user.twoFactorRecoveryCodes = hashes;
+    await user.save({ validateBeforeSave: false });
+    
+    await SecurityEvent.record(user._id, 'TWO_FACTOR_SETUP', req);
+    
+    // Recovery codes are only ever shown in this response
+    res.status(200).json({
+      status: 'success',
+      data: {
+        recoveryCodes: codes
+      }
+    });
+  } catch (err) {
+    console.error('2FA enable error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error enabling two-factor authentication. Please try again later.'
+    });
+  }
+};
+
+// Disable 2FA - requires the account password and a current code
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select('+password +twoFactorSecret');
+    
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+    
+    if (!req.body.password || !(await user.correctPassword(req.body.password, user.password))) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Your current password is incorrect'
+      });
+    }
+    
+    if (!(await user.useTotpCode(req.body.code))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid authentication code'
+      });
+    }
+    
+    // The last used step belongs to the old secret - left behind, it would
+    // reject the first codes from a new one as replays
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorRecoveryCodes = undefined;
+    user.lastTotpStep = undefined;
+    await user.save({ validateBeforeSave: false });
+    
+    await SecurityEvent.record(user._id, 'TWO_FACTOR_DISABLE', req);
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (err) {
+    console.error('2FA disable error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error disabling two-factor authentication. Please try again later.'
+    });
+  }
+};
+
+// Replace all recovery codes - requires a current code
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactorSecret');
+    
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+    
+    if (!(await user.useTotpCode(req.body.code))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid authentication code'
+      });
+    }
+    
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactorRecoveryCodes = hashes;
+    await user.save({ validateBeforeSave: false });
+    
+    await SecurityEvent.record(user._id, 'TWO_FACTOR_SETUP', req, 'Recovery codes regenerated');
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        recoveryCodes: codes
+      }
+    });
+  } catch (err) {
+    console.error('Recovery code regeneration error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error generating recovery codes. Please try again later.'
+    });
+  }
+};
+
+// Second login step - exchange a challenge token and code for a session
+exports.verifyLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    
+    if (
+      !challengeToken ||
+      (!code && !recoveryCode) ||
+      (code && typeof code !== 'string') ||
+      (recoveryCode && typeof recoveryCode !== 'string')
+    ) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide an authentication code or recovery code'
+      });
+    }
+    
+    let decoded;
+    try {
+      decoded = await verifyChallengeToken(challengeToken);
+    } catch (err) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Login session expired. Please log in again.'
+      });
+    }
+    
+    const user = await User.findById(decoded.id).select('+twoFactorSecret');
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Login session expired. Please log in again.'
+      });
+    }
+    
+    if (user.accountLocked && user.lockUntil && user.lockUntil > Date.now()) {
+      return res.status(401).json({
+        status: 'error',
+        message: `Account locked. Please try again after ${new Date(user.lockUntil).toLocaleString()}`
+      });
+    }
+    
+    const verified = code
+      ? await user.useTotpCode(code)
+      : await user.useRecoveryCode(hashRecoveryCode(recoveryCode));
+    
+    if (!verified) {
+      // Wrong codes count towards the account lockout like wrong passwords
+      await registerFailedLogin(user, req, 'Incorrect two-factor code');
+      
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid authentication code'
+      });
+    }
+    
+    // Log user activity
+    await User.findByIdAndUpdate(user._id, {
+      loginAttempts: 0,
+      lastLogin: Date.now(),
+      lastLoginIp: req.ip
+    });
+    await SecurityEvent.record(
+      user._id,
+      'LOGIN',
+      req,
+      recoveryCode ? 'Two-factor login with recovery code' : 'Two-factor login'
+    );
+    
+    user.twoFactorSecret = undefined;
+    await createSendToken(user, 200, req, res);
+  } catch (err) {
+    console.error('2FA login error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error logging in. Please try again later.'
+    });
+  }
+};
@@ -0,0 +1,641 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const validator = require('validator');
+const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
+const SecurityEvent = require('../models/securityEventModel');
+const Passkey = require('../models/passkeyModel');
+const FederatedIdentity = require('../models/federatedIdentityModel');
+const emailService = require('../services/email');
+const { scheduleDeletion } = require('../services/accountDeletion');
+const { validateAddress, listCountries } = require('../config/addressFormats');
+const { clearAuthCookies } = require('./authController');
+
+// Bump when the archive layout changes so consumers can tell versions apart
+const EXPORT_FORMAT_VERSION = 1;
+
+// Upper bound on saved addresses per account
+const MAX_ADDRESSES = 20;
+
+// Fields of the account that the profile endpoints expose
+const profileOf = user => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  pendingEmail: user.pendingEmail,
+  emailVerified: user.emailVerified,
+  role: user.role,
+  twoFactorEnabled: user.twoFactorEnabled,
+  createdAt: user.createdAt,
+  lastLogin: user.lastLogin
+});
+
+// Reject an address that failed validation, with per-field messages for forms
+const sendAddressErrors = (res, errors) => {
+  res.status(400).json({
+    status: 'error',
+    message: Object.values(errors)[0],
+    errors
+  });
+};
+
+// Keep exactly one default address: the chosen one, or the first if none is
+const ensureSingleDefault = (addresses, defaultId) => {
+  const chosen = defaultId
+    ? addresses.find(address => address._id.equals(defaultId))
+    : addresses.find(address => address.isDefault) || addresses[0];
+  
+  addresses.forEach(address => {
+    address.isDefault = address === chosen;
+  });
+};
+
+// Get the current user's profile
+exports.getMe = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      status: 'success',
+      data: {
+        user: profileOf(req.user)
+      }
+    });
+  } catch (err) {
+    console.error('Get profile error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error loading profile. Please try again later.'
+    });
+  }
+};
+
+// Update the current user's profile
+exports.updateMe = async (req, res, next) => {
+  try {
+    // Credentials have their own flows with re-authentication
+    if (req.body.password || req.body.passwordConfirm) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This route is not for password updates. Please use /api/auth/update-password.'
+      });
+    }
+    
+    if (req.body.email) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This route is not for email changes. Please use /api/users/me/email.'
+      });
+    }
+    
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    
+    if (!name || name.length > 50) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide a name of no more than 50 characters',
+        errors: {
+          name: 'Please provide a name of no more than 50 characters'
+        }
+      });
+    }
+    
+    const user = req.user;
+    
+    if (name !== user.name) {
+      const oldName = user.name;
+      user.name = name;
+      await user.save({ validateBeforeSave: false });
+      
+      await SecurityEvent.record(user._id, 'PROFILE_UPDATE', req, `Name changed from "${oldName}" to "${name}"`);
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        user: profileOf(user)
+      }
+    });
+  } catch (err) {
+    console.error('Update profile error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error updating profile. Please try again later.'
+    });
+  }
+};
+
+// Countries we ship to, with what their address forms need
+exports.getAddressCountries = (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      countries: listCountries()
+    }
+  });
+};
+
+// List the current user's saved addresses
+exports.getAddresses = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      status: 'success',
+      results: req.user.addresses.length,
+      data: {
+        addresses: req.user.addresses
+      }
+    });
+  } catch (err) {
+    console.error('Get addresses error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error loading addresses. Please try again later.'
+    });
+  }
+};
+
+// Add an address to the current user's address book
+exports.createAddress = async (req, res, next) => {
+  try {
+    const user = req.user;
+    
+    if (user.addresses.length >= MAX_ADDRESSES) {
+      return res.status(400).json({
+        status: 'error',
+        message: `You can save up to ${MAX_ADDRESSES} addresses. Please remove one first.`
+      });
+    }
+    
+    const { address, errors } = validateAddress(req.body);
+    if (Object.keys(errors).length > 0) {
+      return sendAddressErrors(res, errors);
+    }
+    
+    user.addresses.push(address);
+    const created = user.addresses[user.addresses.length - 1];
+    
+    ensureSingleDefault(user.addresses, req.body.isDefault === true ? created._id : null);
+    await user.save({ validateBeforeSave: false });
+    
+    await SecurityEvent.record(user._id, 'PROFILE_UPDATE', req, `Address added: ${address.city}, ${address.country}`);
+    
+    res.status(201).json({
+      status: 'success',
+      data: {
+        address: created,
+        addresses: user.addresses
+      }
+    });
+  } catch (err) {
+    console.error('Create address error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error saving address. Please try again later.'
+    });
+  }
+};
+
+// Edit a saved address, or make it the default
+exports.updateAddress = async (req, res, next) => {
+  try {
+    const user = req.user;
+    const existing = mongoose.isValidObjectId(req.params.addressId)
+      ? user.addresses.id(req.params.addressId)
+      : null;
+    
+    if (!existing) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Address not found'
+      });
+    }
+    
+    // Partial updates are merged and the whole address re-validated, since
+    // changing the country can invalidate the postal code and state
+    const { address, errors } = validateAddress({ ...existing.toObject(), ...req.body });
+    if (Object.keys(errors).length > 0) {
+      return sendAddressErrors(res, errors);
+    }
+    
+    existing.set(address);
+    
+    // An address can be made the default, but not un-made - pick another instead
+    if (req.body.isDefault === true) {
+      ensureSingleDefault(user.addresses, existing._id);
+    }
+    
+    await user.save({ validateBeforeSave: false });
+    
+    await SecurityEvent.record(user._id, 'PROFILE_UPDATE', req, `Address updated: ${address.city}, ${address.country}`);
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        address: existing,
+        addresses: user.addresses
+      }
+    });
+  } catch (err) {
+    console.error('Update address error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error saving address. Please try again later.'
+    });
+  }
+};
+
+// Remove a saved address - the next one becomes the default if needed
+exports.deleteAddress = async (req, res, next) => {
+  try {
+    const user = req.user;
+    const existing = mongoose.isValidObjectId(req.params.addressId)
+      ? user.addresses.id(req.params.addressId)
+      : null;
+    
+    if (!existing) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Address not found'
+      });
+    }
+    
+    const { city, country } = existing;
+    
+    user.addresses.pull(existing._id);
+    if (user.addresses.length > 0) {
+      ensureSingleDefault(user.addresses);
+    }
+    
+    await user.save({ validateBeforeSave: false });
+    
+    await SecurityEvent.record(user._id, 'PROFILE_UPDATE', req, `Address removed: ${city}, ${country}`);
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        addresses: user.addresses
+      }
+    });
+  } catch (err) {
+    console.error('Delete address error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error removing address. Please try again later.'
+    });
+  }
+};
+
+// Download everything the shop holds about the current user (GDPR Art. 15/20)
+exports.exportMyData = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    
+    // Orders are read straight from their collection - they are kept even
+    // after the account is erased, so this is what the user is entitled to see
+    const [user, orders, securityEvents, sessions, passkeys, identities] = await Promise.all([
+      User.findById(userId),
+      mongoose.connection.collection('orders').find({ user: userId }).toArray(),
+      SecurityEvent.find({ user: userId }).sort('-createdAt').select('-_id -user -__v'),
+      Session.find({ user: userId }).sort('-createdAt').select('deviceLabel ip createdAt lastSeenAt revokedAt'),
+      Passkey.find({ user: userId }).select('name createdAt lastUsedAt'),
+      FederatedIdentity.find({ user: userId }).select('provider email createdAt lastUsedAt')
+    ]);
+    
+    const archive = {
+      format: 'secure-ecommerce-account-export',
+      version: EXPORT_FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      profile: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        emailVerified: user.emailVerified,
+        role: user.role,
+        twoFactorEnabled: user.twoFactorEnabled,
+        createdAt: user.createdAt,
+        lastLogin: user.lastLogin,
+        lastLoginIp: user.lastLoginIp
+      },
+      addresses: user.addresses,
+      consents: user.consents,
+      orders,
+      securityEvents,
+      sessions: sessions.map(session => ({
+        device: session.deviceLabel,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        revokedAt: session.revokedAt
+      })),
+      passkeys: passkeys.map(({ name, createdAt, lastUsedAt }) => ({ name, createdAt, lastUsedAt })),
+      linkedAccounts: identities.map(({ provider, email, createdAt, lastUsedAt }) => ({
+        provider,
+        email,
+        createdAt,
+        lastUsedAt
+      }))
+    };
+    
+    await SecurityEvent.record(userId, 'DATA_EXPORT', req);
+    
+    const filename = `account-export-${new Date().toISOString().slice(0, 10)}.json`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.set('Cache-Control', 'no-store');
+    res.status(200).type('application/json').send(JSON.stringify(archive, null, 2));
+  } catch (err) {
+    console.error('Data export error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error exporting your data. Please try again later.'
+    });
+  }
+};
+
+// Delete the current user's account (GDPR Art. 17) - deactivated now, erased
+// after the grace period by services/accountDeletion
+exports.deleteMe = async (req, res, next) => {
+  try {
+    // Re-authenticate - a stolen session shouldn't be enough to delete an account
+    const user = await User.findById(req.user._id).select('+password');
+    
+    if (!req.body.password || !(await user.correctPassword(req.body.password, user.password))) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Your password is incorrect'
+      });
+    }
+    
+    const deletionScheduledFor = await scheduleDeletion(user);
+    
+    await SecurityEvent.record(
+      user._id,
+      'ACCOUNT_DELETION_REQUEST',
+      req,
+      `Data will be erased on ${deletionScheduledFor.toISOString()}`
+    );
+    
+    emailService.sendAccountDeletionEmail(user, deletionScheduledFor).catch(emailErr => {
+      console.error('Account deletion email error:', emailErr);
+    });
+    
+    clearAuthCookies(req, res);
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Your account has been deactivated and will be permanently deleted.',
+      data: {
+        deletionScheduledFor
+      }
+    });
+  } catch (err) {
+    console.error('Delete account error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error deleting account. Please try again later.'
+    });
+  }
+};
+
+// Hash an emailed token for lookup
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// Start changing the current user's email address
+exports.requestEmailChange = async (req, res, next) => {
+  try {
+    const newEmail = typeof req.body.newEmail === 'string' ? req.body.newEmail.trim().toLowerCase() : '';
+    
+    if (!validator.isEmail(newEmail)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide a valid email address'
+      });
+    }
+    
+    const user = await User.findById(req.user._id).select('+password');
+    
+    if (!req.body.password || !(await user.correctPassword(req.body.password, user.password))) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Your password is incorrect'
+      });
+    }
+    
+    if (newEmail === user.email) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'That is already your email address'
+      });
+    }
+    
+    if (await User.emailTaken(newEmail)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Email already in use'
+      });
+    }
+    
+    const { confirmToken, revertToken } = user.createEmailChangeTokens(newEmail);
+    await user.save({ validateBeforeSave: false });
+    
+    // The change can't go ahead without the confirmation link
+    try {
+      await emailService.sendEmailChangeConfirmation(user, newEmail, confirmToken);
+    } catch (emailErr) {
+      console.error('Email change confirmation error:', emailErr);
+      
+      await User.findByIdAndUpdate(user._id, {
+        $unset: { pendingEmail: 1, emailChangeToken: 1, emailChangeExpires: 1 }
+      });
+      
+      return res.status(500).json({
+        status: 'error',
+        message: 'There was an error sending the email. Please try again later.'
+      });
+    }
+    
+    emailService.sendEmailChangeNotice(user, newEmail, revertToken).catch(emailErr => {
+      console.error('Email change notice error:', emailErr);
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      message: `We've sent a confirmation link to ${newEmail}. Your email will change once you open it.`
+    });
+  } catch (err) {
+    console.error('Email change request error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error changing email. Please try again later.'
+    });
+  }
+};
+
+// Swap in the new address once its owner opens the confirmation link
+exports.confirmEmailChange = async (req, res, next) => {
+  try {
+    const user = await User.findOne({
+      emailChangeToken: hashToken(req.params.token),
+      emailChangeExpires: { $gt: Date.now() }
+    });
+    
+    if (!user || !user.pendingEmail) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Confirmation link is invalid or has expired'
+      });
+    }
+    
+    // Someone may have taken the address since the change was requested
+    if (await User.emailTaken(user.pendingEmail)) {
+      await User.findByIdAndUpdate(user._id, {
+        $unset: { pendingEmail: 1, emailChangeToken: 1, emailChangeExpires: 1 }
+      });
+      
+      return res.status(400).json({
+        status: 'error',
+        message: 'That email address is now used by another account'
+      });
+    }
+    
+    const oldEmail = user.email;
+    const newEmail = user.pendingEmail;
+    
+    // Conditional on the token so two clicks can't both apply the change.
+    // Opening the link proves ownership, so the new address is verified.
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, emailChangeToken: hashToken(req.params.token) },
+      {
+        $set: { email: newEmail, previousEmail: oldEmail, emailVerified: true },
+        $unset: { pendingEmail: 1, emailChangeToken: 1, emailChangeExpires: 1 }
+      }
+    );
+    
+    if (!updated) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Confirmation link is invalid or has expired'
+      });
+    }
+    
+    await SecurityEvent.record(user._id, 'EMAIL_CHANGE', req, `Changed from ${oldEmail} to ${newEmail}`);
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Your email address has been changed.'
+    });
+  } catch (err) {
+    // Lost a race with another account taking the address
+    if (err.code === 11000) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'That email address is now used by another account'
+      });
+    }
+    
+    console.error('Confirm email change error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error confirming email change. Please try again later.'
+    });
+  }
+};
+
+// Undo an email change from the link sent to the old address - cancels a
+// pending change or restores the old address, and signs out everywhere
+exports.revertEmailChange = async (req, res, next) => {
+  try {
+    const tokenFilter = {
+      emailRevertToken: hashToken(req.params.token),
+      emailRevertExpires: { $gt: Date.now() }
+    };
+    
+    const sendInvalid = () => res.status(400).json({
+      status: 'error',
+      message: 'This link is invalid or has expired'
+    });
+    
+    const sendTaken = () => res.status(409).json({
+      status: 'error',
+      message: 'Your previous email address is now used by another account. Please contact support.'
+    });
+    
+    // Check for a conflict before spending the link, so it still works once
+    // the address is free again
+    const found = await User.findOne(tokenFilter);
+    
+    if (!found) {
+      return sendInvalid();
+    }
+    
+    const restoring = Boolean(found.previousEmail && found.previousEmail !== found.email);
+    
+    if (restoring && await User.emailTaken(found.previousEmail, found._id)) {
+      return sendTaken();
+    }
+    
+    // Clear the token in the same operation that finds it so it works only once
+    const user = await User.findOneAndUpdate(tokenFilter, {
+      $unset: {
+        emailRevertToken: 1,
+        emailRevertExpires: 1,
+        pendingEmail: 1,
+        emailChangeToken: 1,
+        emailChangeExpires: 1
+      }
+    });
+    
+    if (!user) {
+      return sendInvalid();
+    }
+    
+    let details = `Pending change to ${user.pendingEmail} cancelled`;
+    
+    // The change already went through - put the old address back
+    if (restoring) {
+      try {
+        await User.findByIdAndUpdate(user._id, {
+          $set: { email: user.previousEmail, emailVerified: true },
+          $unset: { previousEmail: 1 }
+        });
+      } catch (updateErr) {
+        if (updateErr.code !== 11000) throw updateErr;
+        
+        // Taken since the check above - give the link back for a later retry
+        await User.findByIdAndUpdate(user._id, {
+          $set: {
+            emailRevertToken: tokenFilter.emailRevertToken,
+            emailRevertExpires: user.emailRevertExpires
+          }
+        });
+        
+        return sendTaken();
+      }
+      
+      details = `Reverted from ${user.email} to ${user.previousEmail}`;
+    }
+    
+    // Whoever made the change may still be signed in
+    await Session.revokeAllForUser(user._id, 'user');
+    await SecurityEvent.record(user._id, 'EMAIL_CHANGE', req, details);
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Your email address has been restored and all sessions signed out. We recommend resetting your password.'
+    });
+  } catch (err) {
+    console.error('Revert email change error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error reverting email change. Please try again later.'
+    });
+  }
+};
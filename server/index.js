@@ -1,7 +1,6 @@
 const express = require('express');
 const helmet = require('helmet');
 const cors = require('cors');
-const rateLimit = require('express-rate-limit');
 const xss = require('xss-clean');
 const hpp = require('hpp');
 const cookieParser = require('cookie-parser');
@@ -14,9 +13,10 @@ const fs = require('fs');
 // Load security config
 const { 
   configureSecurityMiddleware, 
-  corsConfig, 
-  rateLimitConfig 
+  corsConfig
 } = require('./config/security');
+const { issueCsrfToken, verifyCsrfToken } = require('./middleware/csrf');
+const { rateLimit } = require('./middleware/rateLimit');
 
 // Initialize Express
 const app = express();
@@ -47,8 +47,7 @@ configureSecurityMiddleware(app);
 app.use(cors(corsConfig));
 
 // Rate limiting to prevent brute force attacks
-const limiter = rateLimit(rateLimitConfig);
-app.use('/api/auth', limiter); // Apply rate limiting to auth routes
+app.use('/api/auth', rateLimit('api')); // Apply rate limiting to auth routes
 
 // Body parsers
 app.use(express.json({ limit: '10kb' })); // Limit body size
@@ -78,20 +77,16 @@ app.use((req, res, next) => {
   next();
 });
 
-// Store CSRF token in cookie for SPA
-app.use((req, res, next) => {
-  const csrfToken = require('crypto').randomBytes(16).toString('hex');
-  res.cookie('XSRF-TOKEN', csrfToken, {
-    httpOnly: false, // Needs to be accessible from JavaScript
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: 'strict'
-  });
-  next();
-});
+// CSRF protection - one signed token per browser session, checked on every
+// state-changing API request
+app.use(issueCsrfToken);
+app.use('/api', verifyCsrfToken);
 
 // API Routes (to be added)
 app.use('/api/auth', require('./routes/auth'));
+app.use('/api/users', require('./routes/users'));
 app.use('/api/products', require('./routes/products'));
+app.use('/api/categories', require('./routes/categories'));
 app.use('/api/cart', require('./routes/cart'));
 app.use('/api/orders', require('./routes/orders'));
 
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+
+/**
+ * Double-submit CSRF protection for every router
+ * The server issues an XSRF-TOKEN cookie once per browser session; the SPA
+ * copies it into the X-CSRF-Token header on every request. A cross-site page
+ * can make the browser send the cookie but can't read it to set the header.
+ * The token is signed so a cookie planted from a sibling subdomain is useless.
+ */
+
+const COOKIE_NAME = 'XSRF-TOKEN';
+const HEADER_NAME = 'x-csrf-token';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Callers that can't send the header and authenticate some other way. Each
+// of these routes must verify its own signature or state before acting.
+const EXEMPT_ROUTES = [
+  // Payment provider webhooks - checked against their signing secret
+  { path: '/api/orders/webhook', header: 'stripe-signature' },
+  // Identity providers using response_mode=form_post - checked against the state cookie
+  { pattern: /^\/api\/auth\/oidc\/[^/]+\/callback$/ }
+];
+
+// Integrations authenticate with a header a browser won't send cross-site
+const API_KEY_HEADER = 'x-api-key';
+
+const secret = () => process.env.CSRF_SECRET || process.env.COOKIE_SECRET;
+
+const sign = nonce => crypto.createHmac('sha256', secret()).update(nonce).digest('hex');
+
+// A new token: random nonce plus its signature
+const createToken = () => {
+  const nonce = crypto.randomBytes(32).toString('hex');
+  return `${nonce}.${sign(nonce)}`;
+};
+
+// Whether a token was issued by this server
+const isSignedToken = (token) => {
+  if (typeof token !== 'string') return false;
+  
+  const [nonce, signature, extra] = token.split('.');
+  if (!nonce || !signature || extra !== undefined) return false;
+  
+  const expected = Buffer.from(sign(nonce));
+  const actual = Buffer.from(signature);
+  
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Whether two tokens match, without leaking where they differ
+const tokensMatch = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+const isExempt = (req) => {
+  if (req.headers[API_KEY_HEADER]) return true;
+  
+  const path = req.originalUrl.split('?')[0];
+  
+  return EXEMPT_ROUTES.some(route => (
+    (route.path ? path === route.path : route.pattern.test(path)) &&
+    (!route.header || !!req.headers[route.header])
+  ));
+};
+
+// Issue the token cookie if the browser doesn't have a valid one yet. It is
+// kept for the whole browser session so concurrent requests all agree on it.
+const issueCsrfToken = (req, res, next) => {
+  let token = req.cookies[COOKIE_NAME];
+  
+  if (!isSignedToken(token)) {
+    token = createToken();
+    res.cookie(COOKIE_NAME, token, {
+      httpOnly: false, // Needs to be accessible from JavaScript
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'strict',
+      path: '/'
+    });
+  }
+  
+  req.csrfToken = token;
+  next();
+};
+
+// Reject state-changing requests whose header doesn't match the cookie
+const verifyCsrfToken = (req, res, next) => {
+  if (SAFE_METHODS.includes(req.method) || isExempt(req)) {
+    return next();
+  }
+  
+  const cookieToken = req.cookies[COOKIE_NAME];
+  const headerToken = req.headers[HEADER_NAME];
+  
+  if (
+    !isSignedToken(cookieToken) ||
+    typeof headerToken !== 'string' ||
+    !tokensMatch(cookieToken, headerToken)
+  ) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Invalid CSRF token'
+    });
+  }
+  
+  next();
+};
+
+module.exports = {
+  issueCsrfToken,
+  verifyCsrfToken
+};
@@ -0,0 +1,91 @@
+/**
+ * Proof-of-work middleware
+ * requireProofOfWork('login') lets a request through when no puzzle is needed
+ * (see services/proofOfWork) or it carries a solved one, and otherwise answers
+ * 428 with a fresh challenge for the client to solve and resubmit as
+ * `proofOfWork: { challengeId, solution }` in the body.
+ *
+ * Put it before the route's rate limiter so asking for a puzzle doesn't use
+ * up the client's attempts.
+ */
+
+const ProofOfWorkChallenge = require('../models/proofOfWorkChallengeModel');
+const { requiredDifficulty, verifySolution } = require('../services/proofOfWork');
+
+const sendChallenge = async (req, res, action, difficulty, message) => {
+  const challenge = await ProofOfWorkChallenge.issue(action, difficulty, req);
+  
+  return res.status(428).json({
+    status: 'error',
+    message,
+    proofOfWorkRequired: true,
+    challenge: {
+      id: challenge._id,
+      challenge: challenge.challenge,
+      difficulty: challenge.difficulty,
+      algorithm: 'SHA-256',
+      expiresAt: challenge.expiresAt
+    }
+  });
+};
+
+const requireProofOfWork = (action) => async (req, res, next) => {
+  let difficulty;
+  
+  try {
+    difficulty = await requiredDifficulty(action, req);
+  } catch (err) {
+    // Fail open - the rate limiter and account lockout still apply
+    console.error('Proof of work assessment error:', err);
+    return next();
+  }
+  
+  if (difficulty === 0) return next();
+  
+  try {
+    const submitted = req.body && req.body.proofOfWork;
+    
+    if (!submitted || typeof submitted !== 'object') {
+      return await sendChallenge(
+        req,
+        res,
+        action,
+        difficulty,
+        'Please complete a quick security check to continue.'
+      );
+    }
+    
+    // A challenge can be tried once, so a wrong answer means a new puzzle.
+    // One issued while traffic was calmer is too cheap to count once the
+    // required difficulty has gone up.
+    const challenge = await ProofOfWorkChallenge.consume(submitted.challengeId, action, req);
+    
+    if (
+      !challenge ||
+      challenge.difficulty < difficulty ||
+      !verifySolution(challenge, submitted.solution)
+    ) {
+      return await sendChallenge(
+        req,
+        res,
+        action,
+        difficulty,
+        'The security check failed or expired. Please try again.'
+      );
+    }
+    
+    delete req.body.proofOfWork;
+    next();
+  } catch (err) {
+    console.error('Proof of work error:', err);
+    
+    res.status(500).json({
+      status: 'error',
+      message: 'Error running the security check. Please try again later.'
+    });
+  }
+};
+
+module.exports = {
+  requireProofOfWork
+};
@@ -0,0 +1,152 @@
+/**
+ * Rate limiting middleware
+ * rateLimit('login', 'loginAccount') counts the request against each named
+ * policy from config/rateLimits in the shared store, and answers 429 once any
+ * of them is used up or its key is backing off after failed attempts.
+ */
+
+const { getPolicy } = require('../config/rateLimits');
+const { getStore, storeKey } = require('../services/rateLimit');
+const { challengeTokenUser } = require('../utils/twoFactor');
+
+// The parts a key can be built from - null when the request doesn't have one
+const KEY_PARTS = {
+  ip: req => req.ip || null,
+  email: req => {
+    const email = req.body && req.body.email;
+    return typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null;
+  },
+  user: req => (req.user ? String(req.user._id) : null),
+  challenge: req => challengeTokenUser(req.body && req.body.challengeToken),
+  apiKey: req => (req.apiKey ? String(req.apiKey._id) : null)
+};
+
+// What a policy counts this request against, or null if a part is unknown
+const identityFor = (policy, req) => {
+  const identity = {};
+  
+  for (const part of policy.keyBy) {
+    const value = KEY_PARTS[part](req);
+    if (!value) return null;
+    identity[part] = value;
+  }
+  
+  return identity;
+};
+
+// How long a key is blocked after its nth failure (0 while still free)
+const backoffDelay = (backoff, failures) => {
+  if (failures <= backoff.freeFailures) return 0;
+  
+  const exponent = failures - backoff.freeFailures - 1;
+  return Math.min(backoff.baseDelayMs * 2 ** exponent, backoff.maxDelayMs);
+};
+
+const secondsUntil = (date) => Math.max(Math.ceil((new Date(date) - Date.now()) / 1000), 1);
+
+const reject = (res, message, retryAt) => {
+  res.set('Retry-After', String(secondsUntil(retryAt)));
+  
+  return res.status(429).json({
+    status: 'error',
+    message
+  });
+};
+
+// Count a rejected auth attempt and block the key once its free failures are used up
+const recordFailure = async (store, tracked) => {
+  for (const { key, name, policy, identity } of tracked) {
+    const { hits } = await store.increment(key, policy.windowMs, {
+      policy: name,
+      kind: 'failures',
+      identity,
+      limit: policy.backoff.freeFailures
+    });
+    
+    const delay = backoffDelay(policy.backoff, hits);
+    if (delay > 0) {
+      await store.block(key, new Date(Date.now() + delay));
+    }
+  }
+};
+
+const rateLimit = (...policyNames) => {
+  // Resolve now so a misspelt policy fails at startup, not on the first request
+  const policies = policyNames.map(name => ({ name, policy: getPolicy(name) }));
+  
+  return async (req, res, next) => {
+    const store = getStore();
+    const tracked = [];
+    let tightest = null;
+    
+    try {
+      for (const { name, policy } of policies) {
+        const identity = identityFor(policy, req);
+        if (!identity) continue;
+        
+        if (policy.backoff) {
+          const key = storeKey(name, 'failures', identity);
+          const failures = await store.get(key);
+          
+          if (failures && failures.blockedUntil > Date.now()) {
+            const seconds = secondsUntil(failures.blockedUntil);
+            return reject(
+              res,
+              `Too many failed attempts. Please wait ${seconds} second${seconds === 1 ? '' : 's'} before trying again.`,
+              failures.blockedUntil
+            );
+          }
+          
+          tracked.push({ key, name, policy, identity });
+        }
+        
+        const limit = typeof policy.max === 'function' ? policy.max(req) : policy.max;
+        const { hits, resetAt } = await store.increment(storeKey(name, 'requests', identity), policy.windowMs, {
+          policy: name,
+          kind: 'requests',
+          identity,
+          limit
+        });
+        
+        // Report the policy closest to its limit in the RateLimit-* headers
+        const remaining = Math.max(limit - hits, 0);
+        if (!tightest || remaining < tightest.remaining) {
+          tightest = { limit, remaining, resetAt };
+        }
+        
+        if (hits > limit) {
+          res.set('RateLimit-Limit', String(limit));
+          res.set('RateLimit-Remaining', '0');
+          res.set('RateLimit-Reset', String(secondsUntil(resetAt)));
+          return reject(res, policy.message, resetAt);
+        }
+      }
+    } catch (err) {
+      // Fail open - losing the store shouldn't take the API down with it
+      console.error('Rate limit store error:', err);
+      return next();
+    }
+    
+    if (tightest) {
+      res.set('RateLimit-Limit', String(tightest.limit));
+      res.set('RateLimit-Remaining', String(tightest.remaining));
+      res.set('RateLimit-Reset', String(secondsUntil(tightest.resetAt)));
+    }
+    
+    if (tracked.length > 0) {
+      res.on('finish', () => {
+        if (res.statusCode !== 401) return;
+        
+        recordFailure(store, tracked).catch(err => {
+          console.error('Rate limit backoff error:', err);
+        });
+      });
+    }
+    
+    next();
+  };
+};
+
+module.exports = {
+  rateLimit
+};
@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const net = require('net');
+const { isValidPermission } = require('../config/permissions');
+
+// How often a key's lastUsedAt may be written
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Keys look like "sek_<prefix>_<secret>". The prefix is stored in clear so a
+// key can be recognised in lists and logs; only a hash of the whole key is kept.
+const KEY_PATTERN = /^sek_([a-f0-9]{8})_([a-f0-9]{64})$/;
+
+// An IP address or CIDR range, IPv4 or IPv6
+const isValidIpRule = (rule) => {
+  const [address, prefix, extra] = rule.split('/');
+  const version = net.isIP(address);
+  
+  if (!version || extra !== undefined) return false;
+  if (prefix === undefined) return true;
+  
+  const bits = Number(prefix);
+  return /^\d+$/.test(prefix) && bits <= (version === 4 ? 32 : 128);
+};
+
+// Credential for a server-to-server integration, minted by an admin
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'An API key must have a name'],
+    trim: true,
+    maxlength: [50, 'API key name cannot be more than 50 characters']
+  },
+  prefix: {
+    type: String,
+    required: true,
+    index: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // Permissions the key may use - never more than its creator holds
+  scopes: {
+    type: [String],
+    validate: [
+      {
+        validator: scopes => scopes.length > 0,
+        message: 'An API key needs at least one scope'
+      },
+      {
+        validator: scopes => scopes.every(isValidPermission),
+        message: 'Unknown scope'
+      }
+    ]
+  },
+  // Empty means any address
+  allowedIps: {
+    type: [String],
+    validate: {
+      validator: rules => rules.every(isValidIpRule),
+      message: 'Allowed IPs must be addresses or CIDR ranges'
+    }
+  },
+  // Requests per minute
+  rateLimit: {
+    type: Number,
+    min: [1, 'Rate limit must be at least 1 request per minute'],
+    max: [10000, 'Rate limit cannot be more than 10000 requests per minute'],
+    default: 60
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+});
+
+// Hash a raw key for lookup
+apiKeySchema.statics.hashKey = function(key) {
+  return crypto
+    .createHash('sha256')
+    .update(key)
+    .digest('hex');
+};
+
+// Create a key - returns the raw key (shown once) and the stored document
+apiKeySchema.statics.mint = async function(fields) {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const key = `sek_${prefix}_${crypto.randomBytes(32).toString('hex')}`;
+  
+  const doc = await this.create({
+    ...fields,
+    prefix,
+    keyHash: this.hashKey(key)
+  });
+  
+  return { key, doc };
+};
+
+// Find the live key matching a raw key from a request header
+apiKeySchema.statics.findByKey = function(key) {
+  if (typeof key !== 'string' || !KEY_PATTERN.test(key)) return null;
+  
+  return this.findOne({
+    keyHash: this.hashKey(key),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: Date.now() } }]
+  });
+};
+
+// Instance method to check a client address against the allow-list
+apiKeySchema.methods.allowsIp = function(ip) {
+  if (!this.allowedIps || this.allowedIps.length === 0) return true;
+  if (!ip) return false;
+  
+  // Express reports IPv4 clients on dual-stack sockets as ::ffff:a.b.c.d
+  const address = ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+  const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+  
+  const list = new net.BlockList();
+  this.allowedIps.forEach(rule => {
+    const [network, prefix] = rule.split('/');
+    const ruleType = net.isIPv6(network) ? 'ipv6' : 'ipv4';
+    
+    if (prefix === undefined) {
+      list.addAddress(network, ruleType);
+    } else {
+      list.addSubnet(network, Number(prefix), ruleType);
+    }
+  });
+  
+  return list.check(address, type);
+};
+
+// Instance method to record use, throttled to avoid a write per request
+apiKeySchema.methods.touch = async function(req) {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt.getTime() < LAST_USED_RESOLUTION_MS) return;
+  
+  this.lastUsedAt = Date.now();
+  this.lastUsedIp = req.ip;
+  
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { lastUsedAt: this.lastUsedAt, lastUsedIp: this.lastUsedIp }
+  );
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
@@ -0,0 +1,204 @@
+const mongoose = require('mongoose');
+const { SLUG_PATTERN, slugify } = require('../utils/slugify');
+
+// Deepest nesting allowed - a top-level category is depth 1
+const MAX_DEPTH = 5;
+
+// Product categories form a tree stored as materialized paths: `path` lists the
+// IDs from the root down to and including the category itself, e.g.
+// ",<root id>,<parent id>,<own id>,". A subtree is every path with the same
+// prefix, so it can be read with one indexed query.
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'A category must have a name'],
+    trim: true,
+    maxlength: [60, 'Name cannot be more than 60 characters']
+  },
+  // Used in URLs and by products - generated from the name unless given
+  slug: {
+    type: String,
+    required: [true, 'A category needs a slug when its name has no letters or numbers'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [SLUG_PATTERN, 'Slugs may only contain lowercase letters, numbers and hyphens']
+  },
+  parent: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  path: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Position among siblings, lowest first
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot be more than 1000 characters']
+  },
+  // Search engine title and description for the category page
+  seo: {
+    title: {
+      type: String,
+      trim: true,
+      maxlength: [70, 'SEO title cannot be more than 70 characters']
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [160, 'SEO description cannot be more than 160 characters']
+    }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: Date
+}, {
+  toJSON: { versionKey: false }
+});
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const depthOf = path => path.split(',').filter(Boolean).length;
+
+// Fill in the slug and keep updatedAt current
+categorySchema.pre('validate', function(next) {
+  if (!this.slug && this.name) {
+    this.slug = slugify(this.name);
+  }
+  if (!this.isNew && this.isModified()) {
+    this.updatedAt = Date.now();
+  }
+  next();
+});
+
+// Work out the path of a new category from its parent
+categorySchema.pre('validate', async function(next) {
+  if (!this.isNew) return next();
+  
+  try {
+    const parent = this.parent ? await this.constructor.findById(this.parent) : null;
+    
+    if (this.parent && !parent) {
+      this.invalidate('parent', 'Parent category not found');
+      return next();
+    }
+    
+    this.path = `${parent ? parent.path : ','}${this._id},`;
+    
+    if (depthOf(this.path) > MAX_DEPTH) {
+      this.invalidate('parent', `Categories can only be nested ${MAX_DEPTH} levels deep`);
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// The whole tree, siblings ordered by sortOrder then name
+categorySchema.statics.tree = async function() {
+  const categories = await this.find()
+    .select('name slug parent sortOrder description seo')
+    .sort('sortOrder name')
+    .lean();
+  
+  const nodes = new Map(categories.map(category => [String(category._id), { ...category, children: [] }]));
+  const roots = [];
+  
+  nodes.forEach((node) => {
+    const parent = node.parent && nodes.get(String(node.parent));
+    (parent ? parent.children : roots).push(node);
+  });
+  
+  return roots;
+};
+
+// This category and everything below it
+categorySchema.methods.subtree = function() {
+  return this.constructor.find({ path: new RegExp(`^${escapeRegExp(this.path)}`) });
+};
+
+// Slugs of this category and everything below it, for product listings
+categorySchema.methods.subtreeSlugs = async function() {
+  const categories = await this.subtree().select('slug');
+  return categories.map(category => category.slug);
+};
+
+// Root-first trail down to and including this category
+categorySchema.methods.breadcrumbs = async function() {
+  const ids = this.path.split(',').filter(Boolean);
+  const ancestors = await this.constructor.find({ _id: { $in: ids } }).select('name slug');
+  const byId = new Map(ancestors.map(category => [String(category._id), category]));
+  
+  return ids
+    .filter(id => byId.has(id))
+    .map(id => ({ name: byId.get(id).name, slug: byId.get(id).slug }));
+};
+
+// Re-parent this category (null for top level). Only changes this document -
+// save it, then call updateDescendantPaths to bring the subtree along.
+// Returns an error message when the move isn't allowed.
+categorySchema.methods.moveTo = async function(parentId) {
+  const Category = this.constructor;
+  const parent = parentId ? await Category.findById(parentId) : null;
+  
+  if (parentId && !parent) return 'Parent category not found';
+  if (parent && parent.path.startsWith(this.path)) {
+    return 'A category cannot be moved inside itself';
+  }
+  
+  const newPath = `${parent ? parent.path : ','}${this._id},`;
+  if (newPath === this.path) return null;
+  
+  // The deepest category in the subtree must still fit under the new parent
+  const subtree = await this.subtree().select('path');
+  const subtreeDepth = Math.max(depthOf(this.path), ...subtree.map(category => depthOf(category.path))) -
+    depthOf(this.path);
+  if (depthOf(newPath) + subtreeDepth > MAX_DEPTH) {
+    return `Categories can only be nested ${MAX_DEPTH} levels deep`;
+  }
+  
+  this.parent = parent ? parent._id : null;
+  this.path = newPath;
+  
+  return null;
+};
+
+// Recompute the paths below this category from the parent links, a level at
+// a time. Only stale paths are written, so it is safe to run again after an
+// interrupted move.
+categorySchema.methods.updateDescendantPaths = async function() {
+  const Category = this.constructor;
+  let level = [{ _id: this._id, path: this.path }];
+  
+  for (let depth = depthOf(this.path); depth < MAX_DEPTH && level.length > 0; depth++) {
+    const parentPaths = new Map(level.map(category => [String(category._id), category.path]));
+    const children = await Category.find({ parent: { $in: level.map(category => category._id) } }).select('parent path');
+    
+    const stale = [];
+    level = children.map((child) => {
+      const path = `${parentPaths.get(String(child.parent))}${child._id},`;
+      if (child.path !== path) stale.push({ _id: child._id, path });
+      return { _id: child._id, path };
+    });
+    
+    if (stale.length > 0) {
+      await Category.bulkWrite(stale.map(({ _id, path }) => ({
+        updateOne: { filter: { _id }, update: { $set: { path } } }
+      })));
+    }
+  }
+};
+
+const Category = mongoose.model('Category', categorySchema);
+
+module.exports = Category;
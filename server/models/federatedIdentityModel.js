@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// An external (OpenID Connect) account linked to a user
+const federatedIdentitySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Identity must belong to a user'],
+    index: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  // The provider's stable user identifier (the ID token's sub claim)
+  subject: {
+    type: String,
+    required: true
+  },
+  // Email the provider reported when the identity was linked
+  email: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: Date
+});
+
+// A provider account can only ever be linked to one user
+federatedIdentitySchema.index({ provider: 1, subject: 1 }, { unique: true });
+
+const FederatedIdentity = mongoose.model('FederatedIdentity', federatedIdentitySchema);
+
+module.exports = FederatedIdentity;
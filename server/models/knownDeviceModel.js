@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { deviceLabel } = require('../utils/userAgent');
+
+// How long a device is remembered after it was last used to sign in
+const rememberDays = () => parseInt(process.env.KNOWN_DEVICE_REMEMBER_DAYS, 10) || 180;
+
+// How long the "this wasn't me" link in a new-device email stays valid
+const REPORT_LINK_DAYS = 7;
+
+// A browser the user has signed in from before. The browser holds a random
+// device token in a long-lived cookie; only its SHA-256 hash is stored, per user,
+// so a shared computer is a separate device for each account.
+const knownDeviceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Device must belong to a user']
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  deviceLabel: String,
+  userAgent: String,
+  lastIp: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Link sent with the new-device email to report a sign-in that wasn't the user
+  reportToken: {
+    type: String,
+    select: false
+  },
+  reportExpires: Date
+});
+
+knownDeviceSchema.index({ user: 1, tokenHash: 1 }, { unique: true });
+knownDeviceSchema.index({ reportToken: 1 }, { sparse: true });
+
+// Let MongoDB forget devices that haven't been used for a while
+knownDeviceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Hash a raw device or report token for lookup
+knownDeviceSchema.statics.hashToken = function(token) {
+  return crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+};
+
+// Find the user's device for the token in the request's device cookie
+knownDeviceSchema.statics.recognize = function(userId, deviceToken) {
+  if (!deviceToken) return null;
+  
+  return this.findOne({ user: userId, tokenHash: this.hashToken(deviceToken) });
+};
+
+// Remember (or refresh) the requesting device after a successful sign-in
+knownDeviceSchema.statics.remember = function(userId, deviceToken, req) {
+  const userAgent = req.get('User-Agent');
+  
+  return this.findOneAndUpdate(
+    { user: userId, tokenHash: this.hashToken(deviceToken) },
+    {
+      deviceLabel: deviceLabel(userAgent),
+      userAgent,
+      lastIp: req.ip,
+      lastSeenAt: Date.now(),
+      expiresAt: new Date(Date.now() + rememberDays() * 24 * 60 * 60 * 1000),
+      $setOnInsert: { createdAt: Date.now() }
+    },
+    { upsert: true, new: true }
+  );
+};
+
+// Instance method to create the "this wasn't me" token
+// Returns the unhashed token for the email; only the hash is stored
+knownDeviceSchema.methods.createReportToken = async function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  
+  this.reportToken = this.constructor.hashToken(token);
+  this.reportExpires = Date.now() + REPORT_LINK_DAYS * 24 * 60 * 60 * 1000;
+  await this.save({ validateBeforeSave: false });
+  
+  return token;
+};
+
+const KnownDevice = mongoose.model('KnownDevice', knownDeviceSchema);
+
+KnownDevice.REPORT_LINK_DAYS = REPORT_LINK_DAYS;
+
+module.exports = KnownDevice;
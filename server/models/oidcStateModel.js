@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+const TICKET_TTL_MS = 10 * 60 * 1000;
+
+const hash = value => crypto.createHash('sha256').update(value).digest('hex');
+
+// One social login attempt. It starts with the state/PKCE values sent to the
+// provider; once the callback is verified it holds the outcome behind a
+// single-use ticket that the SPA redeems for a session.
+const oidcStateSchema = new mongoose.Schema({
+  stateHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  codeVerifier: String,
+  nonce: String,
+  returnTo: {
+    type: String,
+    default: '/'
+  },
+  callbackAt: Date,
+  ticketHash: {
+    type: String,
+    index: { unique: true, sparse: true }
+  },
+  // 'login' for a linked identity, 'link' when the email matches an existing
+  // account, 'signup' when no account exists yet
+  action: {
+    type: String,
+    enum: ['login', 'link', 'signup']
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  subject: String,
+  email: String,
+  emailVerified: Boolean,
+  name: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Let MongoDB remove abandoned attempts automatically
+oidcStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Record a new attempt; codeVerifier and nonce come from the authorization request
+oidcStateSchema.statics.start = function(state, fields) {
+  return this.create({
+    ...fields,
+    stateHash: hash(state),
+    expiresAt: Date.now() + STATE_TTL_MS
+  });
+};
+
+// Atomically claim an attempt for its callback so a state can't be replayed
+oidcStateSchema.statics.claimState = function(state, provider) {
+  return this.findOneAndUpdate(
+    {
+      stateHash: hash(state),
+      provider,
+      callbackAt: null,
+      expiresAt: { $gt: Date.now() }
+    },
+    { callbackAt: Date.now() },
+    { new: true }
+  );
+};
+
+// Find the attempt behind a ticket without using it up
+oidcStateSchema.statics.findByTicket = function(ticket) {
+  if (typeof ticket !== 'string' || !ticket) return Promise.resolve(null);
+  
+  return this.findOne({ ticketHash: hash(ticket), expiresAt: { $gt: Date.now() } });
+};
+
+// Atomically remove and return the attempt behind a ticket, or null
+oidcStateSchema.statics.redeemTicket = function(ticket) {
+  if (typeof ticket !== 'string' || !ticket) return Promise.resolve(null);
+  
+  return this.findOneAndDelete({ ticketHash: hash(ticket), expiresAt: { $gt: Date.now() } });
+};
+
+// Store the verified outcome and return the raw ticket for the SPA
+oidcStateSchema.methods.issueTicket = async function(outcome) {
+  const ticket = crypto.randomBytes(32).toString('hex');
+  
+  Object.assign(this, outcome, {
+    ticketHash: hash(ticket),
+    // The PKCE verifier and nonce have served their purpose
+    codeVerifier: undefined,
+    nonce: undefined,
+    expiresAt: Date.now() + TICKET_TTL_MS
+  });
+  
+  await this.save();
+  return ticket;
+};
+
+const OidcState = mongoose.model('OidcState', oidcStateSchema);
+
+module.exports = OidcState;
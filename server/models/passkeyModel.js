@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// A WebAuthn credential registered by a user
+const passkeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Passkey must belong to a user'],
+    index: true
+  },
+  // base64url credential ID as reported by the authenticator
+  credentialId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // SPKI PEM public key and its COSE algorithm identifier
+  publicKey: {
+    type: String,
+    required: true,
+    select: false
+  },
+  algorithm: {
+    type: Number,
+    required: true
+  },
+  counter: {
+    type: Number,
+    default: 0
+  },
+  transports: [String],
+  aaguid: String,
+  backedUp: {
+    type: Boolean,
+    default: false
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Passkey name cannot be more than 50 characters'],
+    default: 'Passkey'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: Date
+});
+
+const Passkey = mongoose.model('Passkey', passkeySchema);
+
+module.exports = Passkey;
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const { SLUG_PATTERN, slugify } = require('../utils/slugify');
+
+const productSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'A product must have a name'],
+    trim: true,
+    maxlength: [120, 'Name cannot be more than 120 characters']
+  },
+  // Used in URLs - generated from the name unless given
+  slug: {
+    type: String,
+    required: [true, 'A product needs a slug when its name has no letters or numbers'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [SLUG_PATTERN, 'Slugs may only contain lowercase letters, numbers and hyphens']
+  },
+  description: {
+    type: String,
+    required: [true, 'A product must have a description'],
+    trim: true,
+    maxlength: [5000, 'Description cannot be more than 5000 characters']
+  },
+  price: {
+    type: Number,
+    required: [true, 'A product must have a price'],
+    min: [0, 'Price cannot be negative']
+  },
+  images: {
+    type: [String],
+    validate: {
+      validator: images => images.length <= 10 && images.every(image => /^(https:\/\/|\/)[^\s<>"']+$/.test(image)),
+      message: 'Images must be up to 10 https:// or site-relative URLs'
+    }
+  },
+  stock: {
+    type: Number,
+    default: 0,
+    min: [0, 'Stock cannot be negative'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Stock must be a whole number'
+    }
+  },
+  // Category slug, e.g. "electronics"
+  category: {
+    type: String,
+    required: [true, 'A product must have a category'],
+    lowercase: true,
+    trim: true,
+    match: [SLUG_PATTERN, 'Invalid category']
+  },
+  brand: {
+    type: String,
+    trim: true,
+    maxlength: [60, 'Brand cannot be more than 60 characters']
+  },
+  // Maintained from reviews, not set directly
+  rating: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 5
+  },
+  reviewCount: {
+    type: Number,
+    default: 0
+  },
+  specifications: {
+    type: Map,
+    of: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Specification values cannot be more than 200 characters']
+    }
+  },
+  features: {
+    type: [{
+      type: String,
+      trim: true,
+      maxlength: [200, 'Features cannot be more than 200 characters']
+    }],
+    validate: {
+      validator: features => features.length <= 30,
+      message: 'A product can have at most 30 features'
+    }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: Date
+}, {
+  toJSON: { virtuals: true, flattenMaps: true, versionKey: false },
+  toObject: { virtuals: true, flattenMaps: true }
+});
+
+// Category listings filtered by price, and the sort orders the shop offers
+productSchema.index({ category: 1, price: 1 });
+productSchema.index({ createdAt: -1 });
+productSchema.index({ rating: -1, reviewCount: -1 });
+productSchema.index({ reviewCount: -1, rating: -1 });
+
+productSchema.virtual('inStock').get(function() {
+  return this.stock > 0;
+});
+
+// Fill in the slug and keep updatedAt current
+productSchema.pre('validate', function(next) {
+  if (!this.slug && this.name) {
+    this.slug = slugify(this.name);
+  }
+  if (!this.isNew && this.isModified()) {
+    this.updatedAt = Date.now();
+  }
+  next();
+});
+
+const Product = mongoose.model('Product', productSchema);
+
+module.exports = Product;
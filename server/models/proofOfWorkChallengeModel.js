@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+// Outstanding proof-of-work puzzles - each can be redeemed exactly once
+const proofOfWorkChallengeSchema = new mongoose.Schema({
+  challenge: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  action: {
+    type: String,
+    enum: ['signup', 'login', 'forgot-password'],
+    required: true
+  },
+  // Leading zero bits the solution's hash needs
+  difficulty: {
+    type: Number,
+    required: true
+  },
+  // Only the client the puzzle was issued to can redeem it
+  ip: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Let MongoDB remove unsolved challenges automatically
+proofOfWorkChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Issue a new challenge for an action
+proofOfWorkChallengeSchema.statics.issue = function(action, difficulty, req) {
+  return this.create({
+    challenge: crypto.randomBytes(16).toString('hex'),
+    action,
+    difficulty,
+    ip: req.ip,
+    expiresAt: Date.now() + CHALLENGE_TTL_MS
+  });
+};
+
+// Atomically remove and return a live challenge issued to this client, or null
+proofOfWorkChallengeSchema.statics.consume = function(id, action, req) {
+  if (!mongoose.isValidObjectId(id)) return Promise.resolve(null);
+  
+  return this.findOneAndDelete({
+    _id: id,
+    action,
+    ip: req.ip,
+    expiresAt: { $gt: Date.now() }
+  });
+};
+
+const ProofOfWorkChallenge = mongoose.model('ProofOfWorkChallenge', proofOfWorkChallengeSchema);
+
+module.exports = ProofOfWorkChallenge;
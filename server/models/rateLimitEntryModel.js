@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// One counter of the shared rate limit store (services/rateLimit/stores/mongo).
+// Request counters and auth failure counters are both entries, under
+// different keys.
+const rateLimitEntrySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  policy: String,
+  // requests (a policy's request counter) or failures (its auth backoff counter)
+  kind: {
+    type: String,
+    enum: ['requests', 'failures']
+  },
+  // The identity the key was built from, e.g. { ip: '203.0.113.7' }
+  identity: mongoose.Schema.Types.Mixed,
+  hits: {
+    type: Number,
+    default: 0
+  },
+  limit: Number,
+  resetAt: Date,
+  blockedUntil: Date,
+  expiresAt: Date
+});
+
+// Let MongoDB remove counters once their window and any block have passed
+rateLimitEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+rateLimitEntrySchema.index({ blockedUntil: 1 });
+
+const RateLimitEntry = mongoose.model('RateLimitEntry', rateLimitEntrySchema);
+
+module.exports = RateLimitEntry;
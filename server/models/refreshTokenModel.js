@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Refresh tokens are opaque random strings - only their SHA-256 hash is stored.
+// Every token belongs to a family that starts at login; each refresh rotates the
+// token within the family, and presenting an already-rotated token revokes the
+// whole family because it means the token was copied.
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Refresh token must belong to a user'],
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'reuse', 'password-change', 'admin', 'impersonation-end', 'reported']
+  },
+  replacedByHash: String,
+  createdByIp: String,
+  userAgent: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Let MongoDB remove expired tokens automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Hash a raw refresh token for lookup
+refreshTokenSchema.statics.hashToken = function(token) {
+  return crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+};
+
+// Expiry date for a refresh token issued now
+refreshTokenSchema.statics.expiryDate = function() {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRES_IN_DAYS, 10) || 30;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+// Issue a new refresh token, starting a new family unless one is given
+// Returns the raw token (sent to the client) and the stored document
+refreshTokenSchema.statics.issue = async function(userId, req, family) {
+  const token = crypto.randomBytes(48).toString('hex');
+  
+  const doc = await this.create({
+    user: userId,
+    tokenHash: this.hashToken(token),
+    family: family || crypto.randomBytes(16).toString('hex'),
+    expiresAt: this.expiryDate(),
+    createdByIp: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+  
+  return { token, doc };
+};
+
+// Revoke every live token in a family
+refreshTokenSchema.statics.revokeFamily = function(family, reason) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: Date.now(), revokedReason: reason }
+  );
+};
+
+// Revoke every live token a user holds (e.g. after a password change)
+refreshTokenSchema.statics.revokeAllForUser = function(userId, reason) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: Date.now(), revokedReason: reason }
+  );
+};
+
+// Instance method to check whether the token can still be used
+refreshTokenSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = RefreshToken;
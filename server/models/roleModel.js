@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const { DEFAULT_ROLES, isValidPermission } = require('../config/permissions');
+
+// How long resolved role permissions are reused before re-reading the database
+const PERMISSION_CACHE_MS = 30 * 1000;
+
+const permissionCache = new Map();
+let defaultsReady = null;
+
+// A named set of permissions, referenced by name from User.role
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'A role must have a name'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9-]{1,29}$/, 'Role names may only contain lowercase letters, numbers and hyphens']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  permissions: {
+    type: [String],
+    validate: {
+      validator: permissions => permissions.every(isValidPermission),
+      message: 'Unknown permission'
+    }
+  },
+  // System roles can't be deleted or renamed
+  system: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: Date
+});
+
+// Create the default roles if they don't exist yet (once per process)
+roleSchema.statics.ensureDefaults = function() {
+  if (!defaultsReady) {
+    defaultsReady = Promise.all(DEFAULT_ROLES.map(role => this.updateOne(
+      { name: role.name },
+      { $setOnInsert: role },
+      { upsert: true }
+    ))).catch((err) => {
+      defaultsReady = null;
+      throw err;
+    });
+  }
+  
+  return defaultsReady;
+};
+
+// Permissions granted by a role name, cached briefly
+roleSchema.statics.permissionsFor = async function(roleName) {
+  const cached = permissionCache.get(roleName);
+  if (cached && cached.expiresAt > Date.now()) return cached.permissions;
+  
+  await this.ensureDefaults();
+  
+  const role = await this.findOne({ name: roleName }).select('permissions');
+  const permissions = role ? role.permissions : [];
+  
+  permissionCache.set(roleName, { permissions, expiresAt: Date.now() + PERMISSION_CACHE_MS });
+  return permissions;
+};
+
+// Forget cached permissions after a role changes
+roleSchema.statics.clearPermissionCache = function() {
+  permissionCache.clear();
+};
+
+roleSchema.pre('save', function(next) {
+  if (!this.isNew) this.updatedAt = Date.now();
+  next();
+});
+
+const Role = mongoose.model('Role', roleSchema);
+
+module.exports = Role;
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+const EVENT_TYPES = [
+  'LOGIN',
+  'FAILED_LOGIN',
+  'LOGOUT',
+  'LOGIN_CHALLENGE',
+  'NEW_DEVICE_LOGIN',
+  'LOGIN_REPORTED',
+  'PASSWORD_CHANGE',
+  'PASSWORD_RESET_REQUEST',
+  'PASSWORD_RESET',
+  'MAGIC_LINK_REQUEST',
+  'EMAIL_CHANGE',
+  'ACCOUNT_LOCK',
+  'ACCOUNT_UNLOCK',
+  'PROFILE_UPDATE',
+  'TWO_FACTOR_SETUP',
+  'TWO_FACTOR_DISABLE',
+  'PASSKEY_ADDED',
+  'PASSKEY_REMOVED',
+  'ACCOUNT_LINK',
+  'ROLE_CHANGE',
+  'IMPERSONATION_START',
+  'IMPERSONATION_END',
+  'API_KEY_CREATED',
+  'API_KEY_REVOKED',
+  'DATA_EXPORT',
+  'ACCOUNT_DELETION_REQUEST',
+  'ACCOUNT_ANONYMIZED',
+  'REFRESH_TOKEN_REUSE'
+];
+
+const DETAILS_MAX_LENGTH = 500;
+
+// Fit free-text details into the column - an over-long note must never stop
+// the event itself from being recorded
+const truncateDetails = (details) => {
+  if (typeof details !== 'string' || details.length <= DETAILS_MAX_LENGTH) {
+    return details;
+  }
+  
+  return `${details.slice(0, DETAILS_MAX_LENGTH - 3)}...`;
+};
+
+// Security audit log - one document per event, never updated or deleted
+const securityEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Security event must belong to a user']
+  },
+  type: {
+    type: String,
+    enum: EVENT_TYPES,
+    required: [true, 'Security event must have a type']
+  },
+  ip: String,
+  userAgent: String,
+  details: {
+    type: String,
+    maxlength: DETAILS_MAX_LENGTH
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Per-user timeline and admin queries by type
+securityEventSchema.index({ user: 1, createdAt: -1 });
+securityEventSchema.index({ type: 1, createdAt: -1 });
+
+// Enforce append-only writes
+securityEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Security events are append-only'));
+  }
+  next();
+});
+
+const rejectMutation = function(next) {
+  next(new Error('Security events are append-only'));
+};
+
+securityEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  rejectMutation
+);
+securityEventSchema.pre(
+  ['deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'],
+  rejectMutation
+);
+
+// Record an event for a user from the current request
+securityEventSchema.statics.record = function(userId, type, req, details) {
+  return this.create({
+    user: userId,
+    type,
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    details: truncateDetails(details)
+  });
+};
+
+// Strip personal data from a user's events when their account is erased.
+// This is the one sanctioned exception to append-only: it goes through the
+// driver directly so the hooks above still block every other update.
+securityEventSchema.statics.anonymizeForUser = function(userId) {
+  return this.collection.updateMany(
+    { user: userId },
+    { $unset: { ip: '', userAgent: '', details: '' } }
+  );
+};
+
+const SecurityEvent = mongoose.model('SecurityEvent', securityEventSchema);
+
+SecurityEvent.EVENT_TYPES = EVENT_TYPES;
+SecurityEvent.truncateDetails = truncateDetails;
+
+module.exports = SecurityEvent;
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const RefreshToken = require('./refreshTokenModel');
+const { deviceLabel } = require('../utils/userAgent');
+
+// How often protect() may write lastSeenAt for the same session
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+// One document per signed-in device. The session id is carried in the access
+// token (sid) and doubles as the refresh token family, so revoking a session
+// cuts off both its access token and its ability to refresh.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Session must belong to a user'],
+    index: true
+  },
+  deviceLabel: String,
+  userAgent: String,
+  ip: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user', 'reuse', 'password-change', 'admin', 'impersonation-end', 'reported']
+  },
+  // Set when a staff member is viewing the site as this user. These sessions
+  // are short-lived, never get a refresh token and are read-mostly.
+  impersonator: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  impersonationReason: {
+    type: String,
+    maxlength: 200
+  }
+});
+
+// Let MongoDB remove expired sessions automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Start a session for the requesting device
+sessionSchema.statics.start = function(userId, req, expiresAt) {
+  const userAgent = req.get('User-Agent');
+  
+  return this.create({
+    user: userId,
+    deviceLabel: deviceLabel(userAgent),
+    userAgent,
+    ip: req.ip,
+    expiresAt
+  });
+};
+
+// Start a support session for a staff member acting as the user
+sessionSchema.statics.startImpersonation = function(userId, impersonatorId, reason, req, expiresAt) {
+  return this.create({
+    user: userId,
+    deviceLabel: 'Support session',
+    userAgent: req.get('User-Agent'),
+    ip: req.ip,
+    expiresAt,
+    impersonator: impersonatorId,
+    impersonationReason: reason
+  });
+};
+
+// Revoke a single session and its refresh tokens
+sessionSchema.statics.revoke = async function(sessionId, reason) {
+  await this.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: Date.now(), revokedReason: reason }
+  );
+  await RefreshToken.revokeFamily(String(sessionId), reason === 'user' ? 'logout' : reason);
+};
+
+// Revoke every session a user has, optionally keeping one (the current device)
+sessionSchema.statics.revokeAllForUser = async function(userId, reason, exceptSessionId) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  
+  const sessions = await this.find(filter).select('_id');
+  
+  await Promise.all(sessions.map(session => this.revoke(session._id, reason)));
+  
+  return sessions.length;
+};
+
+// Instance method to check whether the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+// Instance method to record activity, throttled to avoid a write per request
+sessionSchema.methods.touch = async function(req, expiresAt) {
+  const stale = Date.now() - this.lastSeenAt.getTime() > LAST_SEEN_RESOLUTION_MS;
+  if (!stale && !expiresAt) return;
+  
+  this.lastSeenAt = Date.now();
+  this.ip = req.ip;
+  if (expiresAt) this.expiresAt = expiresAt;
+  
+  await this.save({ validateBeforeSave: false });
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -2,6 +2,8 @@ const mongoose = require('mongoose');
 const validator = require('validator');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const { PASSWORD_POLICY } = require('../config/passwordPolicy');
+const { matchTOTP } = require('../utils/twoFactor');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -21,9 +23,14 @@ const userSchema = new mongoose.Schema({
   password: {
     type: String,
     required: [true, 'Please provide a password'],
-    minlength: 8,
+    minlength: PASSWORD_POLICY.minLength,
     select: false // Don't send password in queries
   },
+  // Hashes of the most recent passwords, newest (the current one) first
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
   passwordConfirm: {
     type: String,
     required: [true, 'Please confirm your password'],
@@ -35,9 +42,11 @@ const userSchema = new mongoose.Schema({
       message: 'Passwords do not match'
     }
   },
+  // Name of a Role document - see config/permissions.js
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    lowercase: true,
+    trim: true,
     default: 'user'
   },
   emailVerified: {
@@ -49,6 +58,29 @@ const userSchema = new mongoose.Schema({
   passwordChangedAt: Date,
   passwordResetToken: String,
   passwordResetExpires: Date,
+  // Email change in progress - the address only changes once the link sent to
+  // pendingEmail is opened; the old address gets a link to revert
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  emailChangeToken: {
+    type: String,
+    select: false
+  },
+  emailChangeExpires: Date,
+  previousEmail: String,
+  emailRevertToken: {
+    type: String,
+    select: false
+  },
+  emailRevertExpires: Date,
+  magicLinkToken: {
+    type: String,
+    select: false
+  },
+  magicLinkExpires: Date,
   active: {
     type: Boolean,
     default: true,
@@ -56,6 +88,17 @@ const userSchema = new mongoose.Schema({
   },
   lastLogin: Date,
   lastLoginIp: String,
+  // Only known when a proxy geolocates requests (see services/loginRisk)
+  lastLoginLocation: {
+    latitude: Number,
+    longitude: Number
+  },
+  // One-time code emailed when a risky sign-in has to be confirmed
+  loginCode: {
+    type: String,
+    select: false
+  },
+  loginCodeExpires: Date,
   loginAttempts: {
     type: Number,
     default: 0
@@ -73,34 +116,22 @@ const userSchema = new mongoose.Schema({
     type: String,
     select: false
   },
-  securityEvents: [
-    {
-      type: {
-        type: String,
-        enum: [
-          'LOGIN',
-          'FAILED_LOGIN',
-          'LOGOUT',
-          'PASSWORD_CHANGE',
-          'PASSWORD_RESET_REQUEST',
-          'PASSWORD_RESET',
-          'EMAIL_CHANGE',
-          'ACCOUNT_LOCK',
-          'ACCOUNT_UNLOCK',
-          'PROFILE_UPDATE',
-          'TWO_FACTOR_SETUP',
-          'TWO_FACTOR_DISABLE'
-        ]
-      },
-      date: {
-        type: Date,
-        default: Date.now
-      },
-      ip: String,
-      userAgent: String,
-      details: String
-    }
-  ],
+  // Time step of the last TOTP code accepted, so a code can't be replayed
+  lastTotpStep: {
+    type: Number,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [
+      {
+        hash: String,
+        usedAt: Date
+      }
+    ],
+    select: false
+  },
+  // Address book - checked against config/addressFormats before saving, and
+  // exactly one entry is the default once there are any
   addresses: [
     {
       name: String,
@@ -117,6 +148,27 @@ const userSchema = new mongoose.Schema({
       }
     }
   ],
+  // Consent history - newest entry per purpose wins
+  consents: [
+    {
+      purpose: {
+        type: String,
+        enum: ['terms', 'privacy', 'marketing']
+      },
+      granted: Boolean,
+      version: String,
+      ip: String,
+      recordedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }
+  ],
+  // Account deletion: the account is deactivated when requested and its
+  // personal data anonymized once the grace period has passed
+  deletionRequestedAt: Date,
+  deletionScheduledFor: Date,
+  anonymizedAt: Date,
   createdAt: {
     type: Date,
     default: Date.now
@@ -126,6 +178,9 @@ const userSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Counting recent signups (services/proofOfWork)
+userSchema.index({ createdAt: -1 });
+
 // Virtual property for full name
 userSchema.virtual('fullName').get(function() {
   return this.name;
@@ -146,6 +201,13 @@ userSchema.pre('save', async function(next) {
   // Hash password with cost of 12
   this.password = await bcrypt.hash(this.password, 12);
   
+  // Remember it for the reuse check - only when the history was loaded,
+  // otherwise saving would wipe it
+  if (this.isNew || this.isSelected('passwordHistory')) {
+    this.passwordHistory = [this.password, ...(this.passwordHistory || [])]
+      .slice(0, PASSWORD_POLICY.historyDepth);
+  }
+  
   // Delete passwordConfirm field
   this.passwordConfirm = undefined;
   
@@ -167,8 +229,11 @@ userSchema.pre('save', function(next) {
 
 // Pre-find middleware to filter out inactive users
 userSchema.pre(/^find/, function(next) {
-  // this refers to the current query
-  this.find({ active: { $ne: false } });
+  // this refers to the current query - queries that filter on active
+  // themselves (account deletion) are left alone so they can see inactive users
+  if (this.getFilter().active === undefined) {
+    this.find({ active: { $ne: false } });
+  }
   next();
 });
 
@@ -177,6 +242,19 @@ userSchema.methods.correctPassword = async function(candidatePassword, userPassw
   return await bcrypt.compare(candidatePassword, userPassword);
 };
 
+// Instance method to check a candidate against the current and recent passwords
+// Needs password and passwordHistory selected
+userSchema.methods.isRecentPassword = async function(candidatePassword) {
+  if (PASSWORD_POLICY.historyDepth === 0) return false;
+  
+  const hashes = [...new Set([this.password, ...(this.passwordHistory || [])])]
+    .filter(Boolean)
+    .slice(0, PASSWORD_POLICY.historyDepth);
+  
+  const matches = await Promise.all(hashes.map(hash => bcrypt.compare(candidatePassword, hash)));
+  return matches.includes(true);
+};
+
 // Instance method to check if password was changed after token issuance
 userSchema.methods.changedPasswordAfter = function(JWTTimestamp) {
   if (this.passwordChangedAt) {
@@ -206,6 +284,78 @@ userSchema.methods.createPasswordResetToken = function() {
   return resetToken;
 };
 
+// Instance method to create a passwordless sign-in token
+userSchema.methods.createMagicLinkToken = function() {
+  // Generate random token
+  const magicLinkToken = crypto.randomBytes(32).toString('hex');
+  
+  // Encrypt token before saving to DB
+  this.magicLinkToken = crypto
+    .createHash('sha256')
+    .update(magicLinkToken)
+    .digest('hex');
+  
+  // Set token expiry (15 minutes unless configured)
+  this.magicLinkExpires = Date.now() + (parseInt(process.env.MAGIC_LINK_TIMEOUT, 10) || 15 * 60 * 1000);
+  
+  // Return unencrypted token to send via email
+  return magicLinkToken;
+};
+
+// Whether another account holds an email address. Deactivated accounts
+// still own their address (the unique index covers them), so the active
+// filter has to be lifted here.
+userSchema.statics.emailTaken = async function(email, exceptId) {
+  const filter = { email, active: { $in: [true, false, null] } };
+  
+  if (exceptId) {
+    filter._id = { $ne: exceptId };
+  }
+  
+  return Boolean(await this.exists(filter));
+};
+
+// Hash a sign-in confirmation code - keyed, because six digits are quick to
+// brute force from a plain hash
+userSchema.statics.hashLoginCode = function(userId, code) {
+  return crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update(`${userId}:${code}`)
+    .digest('hex');
+};
+
+// Instance method to create the code that confirms a risky sign-in
+userSchema.methods.createLoginCode = function() {
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  
+  this.loginCode = this.constructor.hashLoginCode(this._id, code);
+  this.loginCodeExpires = Date.now() + 10 * 60 * 1000; // 10 minutes
+  
+  // Return the code to send via email
+  return code;
+};
+
+// Instance method to start an email change
+// Returns the unencrypted confirmation (new address) and revert (old address) tokens
+userSchema.methods.createEmailChangeTokens = function(newEmail) {
+  const hash = token => crypto.createHash('sha256').update(token).digest('hex');
+  
+  const confirmToken = crypto.randomBytes(32).toString('hex');
+  const revertToken = crypto.randomBytes(32).toString('hex');
+  
+  this.pendingEmail = newEmail;
+  // Forget any earlier change so the revert link can't roll back past this one
+  this.previousEmail = undefined;
+  this.emailChangeToken = hash(confirmToken);
+  this.emailChangeExpires = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+  
+  // The old address can undo the change for a week
+  this.emailRevertToken = hash(revertToken);
+  this.emailRevertExpires = Date.now() + 7 * 24 * 60 * 60 * 1000;
+  
+  return { confirmToken, revertToken };
+};
+
 // Instance method to create email verification token
 userSchema.methods.createVerificationToken = function() {
   // Generate random token
@@ -226,18 +376,67 @@ userSchema.methods.createVerificationToken = function() {
 
 // Instance method to handle failed login attempts
 userSchema.methods.handleFailedLogin = async function() {
-  // Increment login attempts
-  this.loginAttempts += 1;
+  // Increment login attempts atomically so parallel guesses are all counted
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { loginAttempts: 1 } },
+    { new: true }
+  );
+  this.loginAttempts = updated.loginAttempts;
   
   // Lock account after 5 failed attempts
   if (this.loginAttempts >= 5) {
     this.accountLocked = true;
     this.lockUntil = Date.now() + 30 * 60 * 1000; // Lock for 30 minutes
+    
+    await this.constructor.findByIdAndUpdate(this._id, {
+      accountLocked: this.accountLocked,
+      lockUntil: this.lockUntil
+    });
   }
   
+  return this.accountLocked;
+};
+
+// Instance method to clear a lock and the failed attempt counter
+userSchema.methods.unlockAccount = async function() {
+  this.accountLocked = false;
+  this.loginAttempts = 0;
+  this.lockUntil = undefined;
+  
   await this.save({ validateBeforeSave: false });
+};
+
+// Instance method to accept a TOTP code at most once. Its time step has to be
+// newer than the last one used, and is claimed atomically so concurrent
+// requests can't both succeed. Needs twoFactorSecret selected.
+userSchema.methods.useTotpCode = async function(code) {
+  const step = matchTOTP(this.twoFactorSecret, code);
+  if (step === null) return false;
   
-  return this.accountLocked;
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      $or: [{ lastTotpStep: { $lt: step } }, { lastTotpStep: null }]
+    },
+    { $set: { lastTotpStep: step } }
+  );
+  
+  return result.modifiedCount === 1;
+};
+
+// Instance method to consume a one-time 2FA recovery code
+// The update is atomic so a code cannot be redeemed twice by concurrent requests
+userSchema.methods.useRecoveryCode = async function(hashedCode) {
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      twoFactorRecoveryCodes: { $elemMatch: { hash: hashedCode, usedAt: null } }
+    },
+    { $set: { 'twoFactorRecoveryCodes.$.usedAt': Date.now() } }
+  );
+  
+  return result.modifiedCount === 1;
 };
 
 const User = mongoose.model('User', userSchema);
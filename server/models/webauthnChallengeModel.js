@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const { generateChallenge } = require('../utils/webauthn');
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+// Outstanding WebAuthn challenges - each can be consumed exactly once
+const webauthnChallengeSchema = new mongoose.Schema({
+  challenge: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  purpose: {
+    type: String,
+    enum: ['registration', 'authentication'],
+    required: true
+  },
+  // Set for registration and for second-factor authentication
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Let MongoDB remove abandoned challenges automatically
+webauthnChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Issue a new challenge
+webauthnChallengeSchema.statics.issue = function(purpose, userId) {
+  return this.create({
+    challenge: generateChallenge(),
+    purpose,
+    user: userId,
+    expiresAt: Date.now() + CHALLENGE_TTL_MS
+  });
+};
+
+// Atomically remove and return a live challenge, or null
+webauthnChallengeSchema.statics.consume = function(id, purpose) {
+  if (!mongoose.isValidObjectId(id)) return Promise.resolve(null);
+  
+  return this.findOneAndDelete({
+    _id: id,
+    purpose,
+    expiresAt: { $gt: Date.now() }
+  });
+};
+
+const WebAuthnChallenge = mongoose.model('WebAuthnChallenge', webauthnChallengeSchema);
+
+module.exports = WebAuthnChallenge;
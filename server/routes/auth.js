@@ -1,41 +1,75 @@
 const express = require('express');
-const rateLimit = require('express-rate-limit');
 const authController = require('../controllers/authController');
+const twoFactorController = require('../controllers/twoFactorController');
+const passkeyController = require('../controllers/passkeyController');
+const oidcController = require('../controllers/oidcController');
+const sessionController = require('../controllers/sessionController');
+const securityEventController = require('../controllers/securityEventController');
+const roleController = require('../controllers/roleController');
+const impersonationController = require('../controllers/impersonationController');
+const apiKeyController = require('../controllers/apiKeyController');
+const rateLimitController = require('../controllers/rateLimitController');
+const { rateLimit } = require('../middleware/rateLimit');
+const { requireProofOfWork } = require('../middleware/proofOfWork');
 
 const router = express.Router();
 
-// Apply stricter rate limiting for sensitive routes
-const loginLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 5, // 5 attempts per window per IP
-  standardHeaders: true,
-  legacyHeaders: false,
-  message: 'Too many login attempts from this IP, please try again after 15 minutes'
-});
-
-const signupLimiter = rateLimit({
-  windowMs: 60 * 60 * 1000, // 1 hour
-  max: 3, // 3 accounts per hour per IP
-  standardHeaders: true,
-  legacyHeaders: false,
-  message: 'Too many accounts created from this IP, please try again after an hour'
-});
-
-const passwordResetLimiter = rateLimit({
-  windowMs: 60 * 60 * 1000, // 1 hour
-  max: 3, // 3 password reset attempts per hour per IP
-  standardHeaders: true,
-  legacyHeaders: false,
-  message: 'Too many password reset attempts from this IP, please try again after an hour'
-});
-
-// Auth routes
-router.post('/signup', signupLimiter, authController.signup);
-router.post('/login', loginLimiter, authController.login);
+// Limits for sensitive routes - see config/rateLimits for the policies
+const loginLimiter = rateLimit('login', 'loginAccount');
+const secondFactorLimiter = rateLimit('secondFactor', 'secondFactorAccount');
+const passkeyOptionsLimiter = rateLimit('passkeyOptions');
+const passkeyLoginLimiter = rateLimit('passkeyLogin');
+const signupLimiter = rateLimit('signup');
+const passwordResetLimiter = rateLimit('passwordReset', 'passwordResetAccount');
+const magicLinkLimiter = rateLimit('magicLink');
+const verificationLimiter = rateLimit('verification');
+
+// Auth routes - the proof-of-work check goes first so fetching a puzzle
+// doesn't count against the limiter
+router.post('/signup', requireProofOfWork('signup'), signupLimiter, authController.signup);
+router.post('/login', requireProofOfWork('login'), loginLimiter, authController.login);
 router.get('/logout', authController.logout);
+router.post('/logout', authController.logout);
+router.post('/refresh', authController.refresh);
+router.get('/password-policy', authController.getPasswordPolicy);
+
+// Second login step when two-factor authentication is enabled
+router.post('/2fa/verify', secondFactorLimiter, twoFactorController.verifyLogin);
+
+// Second login step when an unusual sign-in is confirmed by email
+router.post('/login/verify-code', secondFactorLimiter, authController.verifyLoginCode);
+
+// "This wasn't me" link from a new-device email
+router.post('/report-login/:token', authController.reportLogin);
+
+// Passkey sign-in - passwordless, or as the second step with a challengeToken
+router.post('/passkeys/login/options', passkeyOptionsLimiter, passkeyController.getAuthenticationOptions);
+router.post('/passkeys/login/verify', passkeyLoginLimiter, passkeyController.verifyAuthentication);
+
+// Passwordless sign-in by email
+router.post('/magic-link', magicLinkLimiter, authController.requestMagicLink);
+router.get('/magic-link/:token', loginLimiter, authController.magicLinkLogin);
+
+// Social login (OpenID Connect)
+router.get('/oidc/providers', oidcController.getProviders);
+router.post('/oidc/complete', oidcController.completeLogin);
+router.post('/oidc/link', loginLimiter, oidcController.linkAccount);
+router.get('/oidc/:provider/start', oidcController.startLogin);
+router.get('/oidc/:provider/callback', oidcController.callback);
+router.post('/oidc/:provider/callback', oidcController.formPostCallback);
+
+// Email verification
+router.get('/verify-email/:token', authController.verifyEmail);
+router.post('/verify-email/:token', authController.verifyEmail);
+router.post('/resend-verification', verificationLimiter, authController.resendVerification);
 
 // Password management
-router.post('/forgot-password', passwordResetLimiter, authController.forgotPassword);
+router.post(
+  '/forgot-password',
+  requireProofOfWork('forgot-password'),
+  passwordResetLimiter,
+  authController.forgotPassword
+);
 router.patch('/reset-password/:token', passwordResetLimiter, authController.resetPassword);
 
 // Protected routes - require authentication
@@ -44,5 +78,92 @@ router.use(authController.protect); // All routes after this middleware require
 router.patch('/update-password', authController.updatePassword);
 router.get('/validate-token', authController.validateToken);
 
+// Active sessions and device management
+router.get('/sessions', sessionController.getSessions);
+router.delete('/sessions', sessionController.revokeOtherSessions);
+router.delete('/sessions/:id', sessionController.revokeSession);
+
+// Security activity log
+router.get('/security-events', securityEventController.getMySecurityEvents);
+
+// Two-factor authentication management
+router.post('/2fa/setup', twoFactorController.setupTwoFactor);
+router.post('/2fa/enable', twoFactorController.enableTwoFactor);
+router.post('/2fa/disable', twoFactorController.disableTwoFactor);
+router.post('/2fa/recovery-codes', twoFactorController.regenerateRecoveryCodes);
+
+// Passkey management
+router.post('/passkeys/register/options', passkeyController.getRegistrationOptions);
+router.post('/passkeys/register/verify', passkeyController.verifyRegistration);
+router.get('/passkeys', passkeyController.getPasskeys);
+router.patch('/passkeys/:id', passkeyController.updatePasskey);
+router.delete('/passkeys/:id', passkeyController.deletePasskey);
+
+// Permissions granted to the current user
+router.get('/permissions', roleController.getMyPermissions);
+
+// Account administration
+router.patch(
+  '/users/:id/unlock',
+  authController.requirePermission('users:lock'),
+  authController.unlockAccount
+);
+router.get(
+  '/admin/security-events',
+  authController.requirePermission('security-events:read'),
+  securityEventController.querySecurityEvents
+);
+
+// Support sessions - staff viewing the site as a customer
+router.post(
+  '/admin/impersonation',
+  authController.requirePermission('users:impersonate'),
+  impersonationController.startImpersonation
+);
+router.post('/impersonation/stop', impersonationController.stopImpersonation);
+
+// API keys for server-to-server integrations
+router
+  .route('/admin/api-keys')
+  .get(authController.requirePermission('api-keys:manage'), apiKeyController.getApiKeys)
+  .post(authController.requirePermission('api-keys:manage'), apiKeyController.createApiKey);
+router.delete(
+  '/admin/api-keys/:id',
+  authController.requirePermission('api-keys:manage'),
+  apiKeyController.revokeApiKey
+);
+
+// Currently throttled clients, and lifting a limit early
+router.get(
+  '/admin/rate-limits',
+  authController.requirePermission('rate-limits:manage'),
+  rateLimitController.getThrottledKeys
+);
+router.delete(
+  '/admin/rate-limits/:key',
+  authController.requirePermission('rate-limits:manage'),
+  rateLimitController.clearThrottledKey
+);
+
+// Roles and role assignments
+router.get(
+  '/admin/permissions',
+  authController.requirePermission('roles:manage'),
+  roleController.getPermissions
+);
+router
+  .route('/admin/roles')
+  .get(authController.requirePermission('roles:manage'), roleController.getRoles)
+  .post(authController.requirePermission('roles:manage'), roleController.createRole);
+router
+  .route('/admin/roles/:id')
+  .patch(authController.requirePermission('roles:manage'), roleController.updateRole)
+  .delete(authController.requirePermission('roles:manage'), roleController.deleteRole);
+router.patch(
+  '/admin/users/:id/role',
+  authController.requirePermission('roles:manage'),
+  roleController.assignRole
+);
+
 // Export the router
 module.exports = router;
\ No newline at end of file
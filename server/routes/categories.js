@@ -0,0 +1,24 @@
+const express = require('express');
+const categoryController = require('../controllers/categoryController');
+const authController = require('../controllers/authController');
+const { rateLimit } = require('../middleware/rateLimit');
+
+const router = express.Router();
+
+const productApiLimiter = rateLimit('productApi');
+
+// Public routes
+router.get('/', productApiLimiter, categoryController.getCategoryTree);
+router.get('/:slug', productApiLimiter, categoryController.getCategory);
+
+// Protected routes - catalog management permissions
+router.use(authController.protect);
+router.use(authController.requirePermission('categories:manage'));
+
+router.post('/', categoryController.createCategory);
+router
+  .route('/:id')
+  .patch(categoryController.updateCategory)
+  .delete(categoryController.deleteCategory);
+
+module.exports = router;
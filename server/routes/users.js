@@ -0,0 +1,37 @@
+const express = require('express');
+const authController = require('../controllers/authController');
+const userController = require('../controllers/userController');
+const { rateLimit } = require('../middleware/rateLimit');
+
+const router = express.Router();
+
+// Exports touch every collection, so keep them infrequent
+const exportLimiter = rateLimit('dataExport');
+const emailChangeLimiter = rateLimit('emailChange');
+
+// Links from email change messages - the token is the credential
+router.post('/confirm-email/:token', userController.confirmEmailChange);
+router.post('/revert-email/:token', userController.revertEmailChange);
+
+// All routes after this middleware require authentication
+router.use(authController.protect);
+
+// Profile
+router.get('/me', userController.getMe);
+router.patch('/me', userController.updateMe);
+
+// Address book
+router.get('/address-countries', userController.getAddressCountries);
+router.get('/me/addresses', userController.getAddresses);
+router.post('/me/addresses', userController.createAddress);
+router.patch('/me/addresses/:addressId', userController.updateAddress);
+router.delete('/me/addresses/:addressId', userController.deleteAddress);
+
+// Email address change
+router.post('/me/email', emailChangeLimiter, userController.requestEmailChange);
+
+// Personal data (GDPR)
+router.get('/me/export', exportLimiter, userController.exportMyData);
+router.delete('/me', userController.deleteMe);
+
+module.exports = router;
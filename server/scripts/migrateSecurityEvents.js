@@ -0,0 +1,91 @@
+/**
+ * Move security events embedded in user documents (the old
+ * `user.securityEvents` array) into the SecurityEvent collection
+ *
+ *   node server/scripts/migrateSecurityEvents.js
+ *
+ * Run once after deploying the SecurityEvent collection, with the same
+ * environment as the server. It is safe to re-run: each embedded event gets
+ * an id derived from its user and position, so events copied by an
+ * interrupted run are not duplicated, and the array is only removed from a
+ * user once all of its events are in the collection.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/userModel');
+const SecurityEvent = require('../models/securityEventModel');
+
+// Same id for the same embedded event on every run
+const eventId = (userId, index) => new mongoose.Types.ObjectId(
+  crypto.createHash('sha256').update(`${userId}:${index}`).digest('hex').slice(0, 24)
+);
+
+// Map an embedded event onto the collection's shape. Every type the old
+// array allowed is still a valid event type.
+const toDocument = (userId, event, index) => ({
+  _id: eventId(userId, index),
+  user: userId,
+  type: event.type,
+  ip: event.ip,
+  userAgent: event.userAgent,
+  details: SecurityEvent.truncateDetails(event.details),
+  createdAt: event.date
+});
+
+const migrateUser = async (user) => {
+  const events = user.securityEvents || [];
+  
+  if (events.length > 0) {
+    // Straight to the driver - the model's append-only hooks reject upserts
+    await SecurityEvent.collection.bulkWrite(
+      events.map((event, index) => ({
+        updateOne: {
+          filter: { _id: eventId(user._id, index) },
+          update: { $setOnInsert: toDocument(user._id, event, index) },
+          upsert: true
+        }
+      })),
+      { ordered: false }
+    );
+  }
+  
+  await User.collection.updateOne({ _id: user._id }, { $unset: { securityEvents: '' } });
+  
+  return events.length;
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.DATABASE_URI);
+  
+  try {
+    // The raw collection sees deactivated accounts too
+    const cursor = User.collection.find(
+      { securityEvents: { $exists: true } },
+      { projection: { securityEvents: 1 } }
+    );
+    
+    let users = 0;
+    let events = 0;
+    
+    for await (const user of cursor) {
+      events += await migrateUser(user);
+      users += 1;
+    }
+    
+    console.log(`Moved ${events} security event(s) from ${users} user(s)`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+if (require.main === module) {
+  run().catch((err) => {
+    console.error('Security event migration failed:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  migrateUser
+};
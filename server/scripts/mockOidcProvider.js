@@ -0,0 +1,242 @@
+/**
+ * Mock OpenID Connect provider for local testing of social login
+ *
+ *   node server/scripts/mockOidcProvider.js
+ *
+ * then point the generic provider at it in server/.env:
+ *
+ *   OIDC_ISSUER=http://localhost:4000
+ *   OIDC_CLIENT_ID=mock-client
+ *   OIDC_CLIENT_SECRET=mock-secret
+ *
+ * The authorize page lets you pick the subject, email and whether the email
+ * is verified, so linking and signup paths can all be exercised. It enforces
+ * PKCE (S256), exact redirect URIs and single-use codes like a real provider.
+ * Not for production use - everything lives in memory.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT, 10) || 4000;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_CLIENT_ID || 'mock-client';
+const CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || 'mock-secret';
+const CODE_TTL_MS = 60 * 1000;
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+// Outstanding authorization codes
+const codes = new Map();
+
+const toBase64Url = (buffer) => Buffer.from(buffer)
+  .toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Sign an RS256 JWT
+const signJwt = (claims) => {
+  const header = toBase64Url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: KEY_ID }));
+  const payload = toBase64Url(JSON.stringify(claims));
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), privateKey);
+  return `${header}.${payload}.${toBase64Url(signature)}`;
+};
+
+const sendJson = (res, statusCode, body) => {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+};
+
+const readForm = req => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', (chunk) => {
+    body += chunk;
+    if (body.length > 10240) req.destroy(new Error('Body too large'));
+  });
+  req.on('end', () => resolve(new URLSearchParams(body)));
+  req.on('error', reject);
+});
+
+const discovery = () => ({
+  issuer: ISSUER,
+  authorization_endpoint: `${ISSUER}/authorize`,
+  token_endpoint: `${ISSUER}/token`,
+  jwks_uri: `${ISSUER}/jwks`,
+  response_types_supported: ['code'],
+  subject_types_supported: ['public'],
+  id_token_signing_alg_values_supported: ['RS256'],
+  code_challenge_methods_supported: ['S256'],
+  token_endpoint_auth_methods_supported: ['client_secret_post', 'client_secret_basic'],
+  scopes_supported: ['openid', 'email', 'profile']
+});
+
+// Login form standing in for the provider's consent screen
+const renderAuthorize = (params) => {
+  const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'code_challenge_method']
+    .map(key => `<input type="hidden" name="${key}" value="${escapeHtml(params.get(key) || '')}">`)
+    .join('\n');
+  
+  return `<!doctype html>
+<html>
+<head><title>Mock OIDC Provider</title></head>
+<body>
+  <h1>Mock OIDC Provider</h1>
+  <form method="post" action="/authorize">
+    ${hidden}
+    <p><label>Subject <input name="sub" value="mock-user-1" required></label></p>
+    <p><label>Email <input name="email" type="email" value="shopper@example.com" required></label></p>
+    <p><label>Name <input name="name" value="Mock Shopper"></label></p>
+    <p><label><input type="checkbox" name="email_verified" value="true" checked> Email verified</label></p>
+    <p>
+      <button type="submit" name="decision" value="allow">Sign in</button>
+      <button type="submit" name="decision" value="deny">Cancel</button>
+    </p>
+  </form>
+</body>
+</html>`;
+};
+
+const redirectWith = (res, redirectUri, params) => {
+  const url = new URL(redirectUri);
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined) url.searchParams.set(key, value);
+  });
+  res.writeHead(302, { Location: url.toString() });
+  res.end();
+};
+
+const handleAuthorizeGet = (url, res) => {
+  const params = url.searchParams;
+  
+  if (params.get('client_id') !== CLIENT_ID || !params.get('redirect_uri')) {
+    return sendJson(res, 400, { error: 'invalid_request', error_description: 'Unknown client or missing redirect_uri' });
+  }
+  if (params.get('response_type') !== 'code' || params.get('code_challenge_method') !== 'S256') {
+    return sendJson(res, 400, { error: 'invalid_request', error_description: 'Only the code flow with S256 PKCE is supported' });
+  }
+  
+  res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(renderAuthorize(params));
+};
+
+const handleAuthorizePost = async (req, res) => {
+  const form = await readForm(req);
+  const redirectUri = form.get('redirect_uri');
+  
+  if (form.get('client_id') !== CLIENT_ID || !redirectUri) {
+    return sendJson(res, 400, { error: 'invalid_request' });
+  }
+  
+  if (form.get('decision') !== 'allow') {
+    return redirectWith(res, redirectUri, { error: 'access_denied', state: form.get('state') });
+  }
+  
+  const code = toBase64Url(crypto.randomBytes(24));
+  codes.set(code, {
+    redirectUri,
+    nonce: form.get('nonce'),
+    codeChallenge: form.get('code_challenge'),
+    sub: form.get('sub'),
+    email: form.get('email'),
+    emailVerified: form.get('email_verified') === 'true',
+    name: form.get('name'),
+    expiresAt: Date.now() + CODE_TTL_MS
+  });
+  
+  redirectWith(res, redirectUri, { code, state: form.get('state') });
+};
+
+const handleToken = async (req, res) => {
+  const form = await readForm(req);
+  
+  // Accept client_secret_post or client_secret_basic
+  let clientId = form.get('client_id');
+  let clientSecret = form.get('client_secret');
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('Basic ')) {
+    const [id, secret] = Buffer.from(authorization.slice(6), 'base64').toString().split(':');
+    clientId = decodeURIComponent(id);
+    clientSecret = decodeURIComponent(secret || '');
+  }
+  
+  if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+    return sendJson(res, 401, { error: 'invalid_client' });
+  }
+  if (form.get('grant_type') !== 'authorization_code') {
+    return sendJson(res, 400, { error: 'unsupported_grant_type' });
+  }
+  
+  // Codes are single use
+  const grant = codes.get(form.get('code'));
+  codes.delete(form.get('code'));
+  
+  if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== form.get('redirect_uri')) {
+    return sendJson(res, 400, { error: 'invalid_grant' });
+  }
+  
+  const verifier = form.get('code_verifier') || '';
+  const challenge = toBase64Url(crypto.createHash('sha256').update(verifier).digest());
+  if (challenge !== grant.codeChallenge) {
+    return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+  
+  const now = Math.floor(Date.now() / 1000);
+  sendJson(res, 200, {
+    access_token: toBase64Url(crypto.randomBytes(24)),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: signJwt({
+      iss: ISSUER,
+      aud: CLIENT_ID,
+      sub: grant.sub,
+      email: grant.email,
+      email_verified: grant.emailVerified,
+      name: grant.name || undefined,
+      nonce: grant.nonce || undefined,
+      iat: now,
+      exp: now + 300
+    })
+  });
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+  
+  try {
+    if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+      return sendJson(res, 200, discovery());
+    }
+    if (req.method === 'GET' && url.pathname === '/jwks') {
+      return sendJson(res, 200, {
+        keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }]
+      });
+    }
+    if (url.pathname === '/authorize') {
+      return req.method === 'POST' ? await handleAuthorizePost(req, res) : handleAuthorizeGet(url, res);
+    }
+    if (req.method === 'POST' && url.pathname === '/token') {
+      return await handleToken(req, res);
+    }
+    
+    sendJson(res, 404, { error: 'not_found' });
+  } catch (err) {
+    console.error('Mock OIDC provider error:', err);
+    sendJson(res, 500, { error: 'server_error' });
+  }
+});
+
+if (require.main === module) {
+  server.listen(PORT, () => {
+    console.log(`Mock OIDC provider running at ${ISSUER} (client ${CLIENT_ID})`);
+  });
+}
+
+module.exports = server;
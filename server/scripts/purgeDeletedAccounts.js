@@ -0,0 +1,26 @@
+/**
+ * Erase accounts whose deletion grace period has passed
+ *
+ *   node server/scripts/purgeDeletedAccounts.js
+ *
+ * Run daily (e.g. from cron) with the same environment as the server.
+ */
+
+const mongoose = require('mongoose');
+const { purgeExpiredAccounts } = require('../services/accountDeletion');
+
+const run = async () => {
+  await mongoose.connect(process.env.DATABASE_URI);
+  
+  try {
+    const count = await purgeExpiredAccounts();
+    console.log(`Anonymized ${count} deleted account(s)`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((err) => {
+  console.error('Account purge failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,117 @@
+/**
+ * Account deletion
+ * Deletion is two-phase: the account is deactivated as soon as the user asks,
+ * and its personal data is erased once the grace period has passed. Order
+ * records are kept because tax and consumer law require them; they stay linked
+ * to the (now anonymous) user id.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
+const RefreshToken = require('../models/refreshTokenModel');
+const SecurityEvent = require('../models/securityEventModel');
+const Passkey = require('../models/passkeyModel');
+const FederatedIdentity = require('../models/federatedIdentityModel');
+const OidcState = require('../models/oidcStateModel');
+const WebAuthnChallenge = require('../models/webauthnChallengeModel');
+const KnownDevice = require('../models/knownDeviceModel');
+
+// Days between a deletion request and erasure
+const gracePeriodDays = () => parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30;
+
+// Deactivate an account and schedule its erasure
+const scheduleDeletion = async (user) => {
+  const deletionScheduledFor = new Date(Date.now() + gracePeriodDays() * 24 * 60 * 60 * 1000);
+  
+  await User.findByIdAndUpdate(user._id, {
+    active: false,
+    deletionRequestedAt: Date.now(),
+    deletionScheduledFor
+  });
+  await Session.revokeAllForUser(user._id, 'user');
+  
+  return deletionScheduledFor;
+};
+
+// Erase a user's personal data, keeping an anonymous shell for order records
+const anonymizeUser = async (userId) => {
+  // Replace identifying fields; the random password is never revealed
+  const password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+  
+  await User.updateOne(
+    { _id: userId, active: false },
+    {
+      $set: {
+        name: 'Deleted User',
+        email: `deleted-${userId}@deleted.invalid`,
+        password,
+        addresses: [],
+        consents: [],
+        emailVerified: false,
+        twoFactorEnabled: false,
+        anonymizedAt: Date.now()
+      },
+      $unset: {
+        lastLogin: '',
+        lastLoginIp: '',
+        lastLoginLocation: '',
+        loginCode: '',
+        loginCodeExpires: '',
+        twoFactorSecret: '',
+        lastTotpStep: '',
+        twoFactorRecoveryCodes: '',
+        verificationToken: '',
+        verificationExpires: '',
+        passwordResetToken: '',
+        passwordResetExpires: '',
+        passwordHistory: '',
+        magicLinkToken: '',
+        magicLinkExpires: '',
+        previousEmail: '',
+        pendingEmail: '',
+        emailChangeToken: '',
+        emailChangeExpires: '',
+        emailRevertToken: '',
+        emailRevertExpires: '',
+        deletionScheduledFor: ''
+      }
+    }
+  );
+  
+  await Promise.all([
+    Session.deleteMany({ user: userId }),
+    RefreshToken.deleteMany({ user: userId }),
+    Passkey.deleteMany({ user: userId }),
+    FederatedIdentity.deleteMany({ user: userId }),
+    OidcState.deleteMany({ user: userId }),
+    WebAuthnChallenge.deleteMany({ user: userId }),
+    KnownDevice.deleteMany({ user: userId }),
+    SecurityEvent.anonymizeForUser(userId)
+  ]);
+  
+  await SecurityEvent.create({ user: userId, type: 'ACCOUNT_ANONYMIZED' });
+};
+
+// Anonymize every account whose grace period has passed
+const purgeExpiredAccounts = async () => {
+  const due = await User.find({
+    active: false,
+    anonymizedAt: null,
+    deletionScheduledFor: { $lte: Date.now() }
+  }).select('_id');
+  
+  for (const user of due) {
+    await anonymizeUser(user._id);
+  }
+  
+  return due.length;
+};
+
+module.exports = {
+  gracePeriodDays,
+  scheduleDeletion,
+  anonymizeUser,
+  purgeExpiredAccounts
+};
@@ -0,0 +1,193 @@
+/**
+ * Email delivery service
+ * Renders templated messages and sends them through a pluggable transport
+ *
+ * Transport selection (EMAIL_TRANSPORT):
+ *  - sendgrid: SendGrid API (requires SENDGRID_API_KEY)
+ *  - outbox:   in-memory outbox, also written to EMAIL_OUTBOX_DIR when set
+ * Defaults to sendgrid in production and outbox everywhere else.
+ */
+
+const path = require('path');
+const { renderTemplate } = require('./templates');
+const createSendgridTransport = require('./transports/sendgrid');
+const createOutboxTransport = require('./transports/outbox');
+
+const MAX_ATTEMPTS = 3;
+const BASE_RETRY_DELAY_MS = 500;
+
+let transport = null;
+
+// Build the configured transport on first use
+const createTransportFromEnv = () => {
+  const name = process.env.EMAIL_TRANSPORT ||
+    (process.env.NODE_ENV === 'production' ? 'sendgrid' : 'outbox');
+  
+  switch (name) {
+    case 'sendgrid':
+      return createSendgridTransport({ apiKey: process.env.SENDGRID_API_KEY });
+    
+    case 'outbox':
+      return createOutboxTransport({
+        directory: process.env.EMAIL_OUTBOX_DIR &&
+          path.resolve(process.env.EMAIL_OUTBOX_DIR)
+      });
+    
+    default:
+      throw new Error(`Unknown email transport: ${name}`);
+  }
+};
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransportFromEnv();
+  }
+  
+  return transport;
+};
+
+// Replace the active transport (used by tests and custom setups)
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Send with exponential backoff on transient failures
+const deliver = async (message) => {
+  let lastError;
+  
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    try {
+      return await getTransport().send(message);
+    } catch (err) {
+      lastError = err;
+      
+      if (!err.transient || attempt === MAX_ATTEMPTS) break;
+      
+      console.warn(`Email delivery attempt ${attempt} failed, retrying:`, err.message);
+      await delay(BASE_RETRY_DELAY_MS * 2 ** (attempt - 1));
+    }
+  }
+  
+  throw lastError;
+};
+
+// Render a template and send it to a single recipient
+const sendEmail = async (to, templateName, data = {}) => {
+  const { subject, text, html } = renderTemplate(templateName, data);
+  
+  return deliver({
+    to,
+    from: {
+      email: process.env.EMAIL_FROM,
+      name: process.env.EMAIL_FROM_NAME || 'Secure E-Commerce'
+    },
+    subject,
+    text,
+    html,
+    template: templateName
+  });
+};
+
+// Build an absolute link into the frontend app
+const clientUrl = (pathname) => {
+  const base = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${base}${pathname}`;
+};
+
+const sendVerificationEmail = (user, token) => {
+  return sendEmail(user.email, 'verification', {
+    name: user.name,
+    url: clientUrl(`/verify-email/${token}`)
+  });
+};
+
+const sendPasswordResetEmail = (user, token) => {
+  return sendEmail(user.email, 'passwordReset', {
+    name: user.name,
+    url: clientUrl(`/reset-password/${token}`)
+  });
+};
+
+const sendMagicLinkEmail = (user, token, expiresAt) => {
+  return sendEmail(user.email, 'magicLink', {
+    name: user.name,
+    url: clientUrl(`/magic-link/${token}`),
+    expiresInMinutes: Math.round((new Date(expiresAt) - Date.now()) / 60000)
+  });
+};
+
+const sendEmailChangeConfirmation = (user, newEmail, token) => {
+  return sendEmail(newEmail, 'emailChangeConfirm', {
+    name: user.name,
+    newEmail,
+    url: clientUrl(`/confirm-email/${token}`)
+  });
+};
+
+const sendEmailChangeNotice = (user, newEmail, token) => {
+  return sendEmail(user.email, 'emailChangeNotice', {
+    name: user.name,
+    newEmail,
+    url: clientUrl(`/revert-email/${token}`)
+  });
+};
+
+const sendPasswordChangedEmail = (user, req) => {
+  return sendEmail(user.email, 'passwordChanged', {
+    name: user.name,
+    date: new Date(),
+    ip: req.ip
+  });
+};
+
+const sendAccountLockedEmail = (user) => {
+  return sendEmail(user.email, 'accountLocked', {
+    name: user.name,
+    lockUntil: user.lockUntil,
+    url: clientUrl('/forgot-password')
+  });
+};
+
+const sendLoginCodeEmail = (user, code, req) => {
+  return sendEmail(user.email, 'loginCode', {
+    name: user.name,
+    code,
+    ip: req.ip
+  });
+};
+
+const sendNewDeviceEmail = (user, device, token) => {
+  return sendEmail(user.email, 'newDeviceSignIn', {
+    name: user.name,
+    device: device.deviceLabel,
+    ip: device.lastIp,
+    date: device.lastSeenAt,
+    url: clientUrl(`/report-login/${token}`)
+  });
+};
+
+const sendAccountDeletionEmail = (user, scheduledFor) => {
+  return sendEmail(user.email, 'accountDeletionScheduled', {
+    name: user.name,
+    scheduledFor
+  });
+};
+
+module.exports = {
+  sendEmail,
+  setTransport,
+  getTransport,
+  clientUrl,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendMagicLinkEmail,
+  sendEmailChangeConfirmation,
+  sendEmailChangeNotice,
+  sendPasswordChangedEmail,
+  sendAccountLockedEmail,
+  sendLoginCodeEmail,
+  sendNewDeviceEmail,
+  sendAccountDeletionEmail
+};
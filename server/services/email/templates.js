@@ -0,0 +1,267 @@
+/**
+ * Email templates
+ * Each template receives a data object and returns { subject, text, html }
+ */
+
+const appName = () => process.env.EMAIL_FROM_NAME || 'Secure E-Commerce';
+
+// Escape user-controlled values before placing them in HTML
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+};
+
+// Wrap template content in the shared HTML layout
+const layout = (title, bodyHtml) => `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(title)}</title>
+  </head>
+  <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #333; line-height: 1.6;">
+    <div style="max-width: 560px; margin: 0 auto; padding: 24px;">
+      <h2 style="margin-top: 0;">${escapeHtml(appName())}</h2>
+      ${bodyHtml}
+      <p style="color: #6c757d; font-size: 12px; margin-top: 32px;">
+        This is an automated security message. Please do not reply to this email.
+      </p>
+    </div>
+  </body>
+</html>`;
+
+// Render a call-to-action button
+const button = (url, label) => `<p>
+        <a href="${escapeHtml(url)}" style="display: inline-block; padding: 12px 24px; background-color: #0066cc; color: #fff; text-decoration: none; border-radius: 4px;">${escapeHtml(label)}</a>
+      </p>
+      <p style="font-size: 12px;">Or copy this link into your browser:<br>${escapeHtml(url)}</p>`;
+
+const templates = {
+  verification: ({ name, url, expiresInHours = 24 }) => {
+    const subject = `Verify your email address for ${appName()}`;
+    
+    return {
+      subject,
+      text: [
+        `Hi ${name},`,
+        '',
+        'Please confirm your email address by opening the link below:',
+        url,
+        '',
+        `This link expires in ${expiresInHours} hours. If you did not create an account, you can ignore this email.`
+      ].join('\n'),
+      html: layout(subject, `<p>Hi ${escapeHtml(name)},</p>
+      <p>Please confirm your email address to activate your account.</p>
+      ${button(url, 'Verify email address')}
+      <p>This link expires in ${expiresInHours} hours. If you did not create an account, you can ignore this email.</p>`)
+    };
+  },
+  
+  passwordReset: ({ name, url, expiresInMinutes = 60 }) => {
+    const subject = 'Reset your password';
+    
+    return {
+      subject,
+      text: [
+        `Hi ${name},`,
+        '',
+        'We received a request to reset your password. Open the link below to choose a new one:',
+        url,
+        '',
+        `This link expires in ${expiresInMinutes} minutes. If you did not request a reset, you can ignore this email - your password will not change.`
+      ].join('\n'),
+      html: layout(subject, `<p>Hi ${escapeHtml(name)},</p>
+      <p>We received a request to reset your password.</p>
+      ${button(url, 'Reset password')}
+      <p>This link expires in ${expiresInMinutes} minutes. If you did not request a reset, you can ignore this email - your password will not change.</p>`)
+    };
+  },
+  
+  magicLink: ({ name, url, expiresInMinutes = 15 }) => {
+    const subject = `Your sign-in link for ${appName()}`;
+    
+    return {
+      subject,
+      text: [
+        `Hi ${name},`,
+        '',
+        'Open the link below to sign in. It can only be used once:',
+        url,
+        '',
+        `This link expires in ${expiresInMinutes} minutes. If you did not ask to sign in, you can ignore this email - nobody can use the link without access to your inbox.`
+      ].join('\n'),
+      html: layout(subject, `<p>Hi ${escapeHtml(name)},</p>
+      <p>Use the button below to sign in. The link can only be used once.</p>
+      ${button(url, 'Sign in')}
+      <p>This link expires in ${expiresInMinutes} minutes. If you did not ask to sign in, you can ignore this email - nobody can use the link without access to your inbox.</p>`)
+    };
+  },
+  
+  emailChangeConfirm: ({ name, newEmail, url, expiresInHours = 24 }) => {
+    const subject = 'Confirm your new email address';
+    
+    return {
+      subject,
+      text: [
+        `Hi ${name},`,
+        '',
+        `Please confirm that you want to use ${newEmail} for your account by opening the link below:`,
+        url,
+        '',
+        `This link expires in ${expiresInHours} hours. Your email address will not change until you confirm it.`
+      ].join('\n'),
+      html: layout(subject, `<p>Hi ${escapeHtml(name)},</p>
+      <p>Please confirm that you want to use <strong>${escapeHtml(newEmail)}</strong> for your account.</p>
+      ${button(url, 'Confirm new email')}
+      <p>This link expires in ${expiresInHours} hours. Your email address will not change until you confirm it.</p>`)
+    };
+  },
+  
+  emailChangeNotice: ({ name, newEmail, url, expiresInDays = 7 }) => {
+    const subject = 'A change to your email address was requested';
+    
+    return {
+      subject,
+      text: [
+        `Hi ${name},`,
+        '',
+        `Someone asked to change the email address on your account to ${newEmail}. The change happens once the new address is confirmed.`,
+        '',
+        `If this wasn't you, open the link below within ${expiresInDays} days to keep this address and sign out everywhere:`,
+        url,
+        '',
+        'We also recommend resetting your password.'
+      ].join('\n'),
+      html: layout(subject, `<p>Hi ${escapeHtml(name)},</p>
+      <p>Someone asked to change the email address on your account to <strong>${escapeHtml(newEmail)}</strong>. The change happens once the new address is confirmed.</p>
+      <p>If this wasn't you, use the button below within ${expiresInDays} days to keep this address and sign out everywhere. We also recommend resetting your password.</p>
+      ${button(url, 'This wasn\'t me')}`)
+    };
+  },
+  
+  passwordChanged: ({ name, date = new Date(), ip }) => {
+    const subject = 'Your password was changed';
+    const when = new Date(date).toUTCString();
+    
+    return {
+      subject,
+      text: [
+        `Hi ${name},`,
+        '',
+        `The password for your account was changed on ${when}${ip ? ` from IP address ${ip}` : ''}.`,
+        '',
+        'If you made this change, no action is needed. If you did not, reset your password immediately and contact support.'
+      ].join('\n'),
+      html: layout(subject, `<p>Hi ${escapeHtml(name)},</p>
+      <p>The password for your account was changed on ${escapeHtml(when)}${ip ? ` from IP address ${escapeHtml(ip)}` : ''}.</p>
+      <p>If you made this change, no action is needed. If you did not, reset your password immediately and contact support.</p>`)
+    };
+  },
+  
+  loginCode: ({ name, code, ip, expiresInMinutes = 10 }) => {
+    const subject = `Your sign-in code for ${appName()}`;
+    
+    return {
+      subject,
+      text: [
+        `Hi ${name},`,
+        '',
+        `Someone is signing in to your account${ip ? ` from IP address ${ip}` : ''} in a way we don't recognise, so we need to check it's you. Your code is:`,
+        '',
+        code,
+        '',
+        `It expires in ${expiresInMinutes} minutes. If this wasn't you, don't share the code with anyone - someone knows your password, so please reset it now.`
+      ].join('\n'),
+      html: layout(subject, `<p>Hi ${escapeHtml(name)},</p>
+      <p>Someone is signing in to your account${ip ? ` from IP address ${escapeHtml(ip)}` : ''} in a way we don't recognise, so we need to check it's you. Your code is:</p>
+      <p style="font-size: 28px; font-weight: bold; letter-spacing: 4px;">${escapeHtml(code)}</p>
+      <p>It expires in ${expiresInMinutes} minutes. If this wasn't you, don't share the code with anyone - someone knows your password, so please reset it now.</p>`)
+    };
+  },
+  
+  newDeviceSignIn: ({ name, device, ip, date = new Date(), url, expiresInDays = 7 }) => {
+    const subject = 'New sign-in to your account';
+    const when = new Date(date).toUTCString();
+    
+    return {
+      subject,
+      text: [
+        `Hi ${name},`,
+        '',
+        `Your account was signed in to on ${when} from ${device || 'a new device'}${ip ? ` (IP address ${ip})` : ''}.`,
+        '',
+        'If this was you, no action is needed. If it wasn\'t, open the link below to sign out everywhere, then reset your password:',
+        url,
+        '',
+        `The link works for ${expiresInDays} days.`
+      ].join('\n'),
+      html: layout(subject, `<p>Hi ${escapeHtml(name)},</p>
+      <p>Your account was signed in to on ${escapeHtml(when)} from <strong>${escapeHtml(device || 'a new device')}</strong>${ip ? ` (IP address ${escapeHtml(ip)})` : ''}.</p>
+      <p>If this was you, no action is needed. If it wasn't, use the button below within ${expiresInDays} days to sign out everywhere, then reset your password.</p>
+      ${button(url, 'This wasn\'t me')}`)
+    };
+  },
+  
+  accountDeletionScheduled: ({ name, scheduledFor }) => {
+    const subject = 'Your account has been scheduled for deletion';
+    const when = new Date(scheduledFor).toUTCString();
+    
+    return {
+      subject,
+      text: [
+        `Hi ${name},`,
+        '',
+        `We received your request to delete your account. It has been deactivated and your personal data will be erased on ${when}.`,
+        '',
+        'Records of past orders are kept for as long as the law requires, without your personal details attached.',
+        '',
+        'If you did not ask for this, or change your mind, contact support before that date to restore your account.'
+      ].join('\n'),
+      html: layout(subject, `<p>Hi ${escapeHtml(name)},</p>
+      <p>We received your request to delete your account. It has been deactivated and your personal data will be erased on ${escapeHtml(when)}.</p>
+      <p>Records of past orders are kept for as long as the law requires, without your personal details attached.</p>
+      <p>If you did not ask for this, or change your mind, contact support before that date to restore your account.</p>`)
+    };
+  },
+  
+  accountLocked: ({ name, lockUntil, url }) => {
+    const subject = 'Your account has been temporarily locked';
+    const until = new Date(lockUntil).toUTCString();
+    
+    return {
+      subject,
+      text: [
+        `Hi ${name},`,
+        '',
+        `Your account was locked after several failed sign-in attempts. You can try again after ${until}.`,
+        '',
+        'If these attempts were not made by you, we recommend resetting your password:',
+        url
+      ].join('\n'),
+      html: layout(subject, `<p>Hi ${escapeHtml(name)},</p>
+      <p>Your account was locked after several failed sign-in attempts. You can try again after ${escapeHtml(until)}.</p>
+      <p>If these attempts were not made by you, we recommend resetting your password.</p>
+      ${button(url, 'Reset password')}`)
+    };
+  }
+};
+
+// Render a named template
+const renderTemplate = (name, data) => {
+  const template = templates[name];
+  
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  
+  return template(data);
+};
+
+module.exports = {
+  templates,
+  renderTemplate,
+  escapeHtml
+};
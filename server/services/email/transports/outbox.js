@@ -0,0 +1,44 @@
+/**
+ * Outbox transport for development and tests
+ * Keeps sent messages in memory and optionally writes each one to a directory
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const writeFile = promisify(fs.writeFile);
+
+const createOutboxTransport = ({ directory } = {}) => {
+  const messages = [];
+  
+  if (directory && !fs.existsSync(directory)) {
+    fs.mkdirSync(directory, { recursive: true });
+  }
+  
+  const send = async (message) => {
+    const messageId = crypto.randomBytes(8).toString('hex');
+    const stored = { ...message, messageId, sentAt: new Date().toISOString() };
+    
+    messages.push(stored);
+    
+    if (directory) {
+      const filename = `${Date.now()}-${messageId}.json`;
+      await writeFile(path.join(directory, filename), JSON.stringify(stored, null, 2));
+    }
+    
+    return { messageId };
+  };
+  
+  return {
+    name: 'outbox',
+    send,
+    // Inspection helpers for tests and local debugging
+    messages,
+    lastMessageTo: (to) => [...messages].reverse().find(message => message.to === to),
+    clear: () => { messages.length = 0; }
+  };
+};
+
+module.exports = createOutboxTransport;
@@ -0,0 +1,78 @@
+/**
+ * SendGrid transport
+ * Delivers messages through the SendGrid v3 Mail Send API
+ */
+
+const https = require('https');
+
+const SENDGRID_HOST = 'api.sendgrid.com';
+const SENDGRID_PATH = '/v3/mail/send';
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Status codes worth retrying - rate limiting and server-side failures
+const isTransientStatus = (statusCode) => statusCode === 429 || statusCode >= 500;
+
+const createSendgridTransport = ({ apiKey }) => {
+  if (!apiKey) {
+    throw new Error('SENDGRID_API_KEY is required for the SendGrid email transport');
+  }
+  
+  const send = (message) => {
+    const payload = JSON.stringify({
+      personalizations: [{ to: [{ email: message.to }] }],
+      from: message.from,
+      subject: message.subject,
+      content: [
+        { type: 'text/plain', value: message.text },
+        { type: 'text/html', value: message.html }
+      ]
+    });
+    
+    return new Promise((resolve, reject) => {
+      const req = https.request(
+        {
+          host: SENDGRID_HOST,
+          path: SENDGRID_PATH,
+          method: 'POST',
+          headers: {
+            Authorization: `Bearer ${apiKey}`,
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(payload)
+          },
+          timeout: REQUEST_TIMEOUT_MS
+        },
+        (res) => {
+          let body = '';
+          res.on('data', (chunk) => { body += chunk; });
+          res.on('end', () => {
+            if (res.statusCode >= 200 && res.statusCode < 300) {
+              return resolve({ messageId: res.headers['x-message-id'] });
+            }
+            
+            const err = new Error(`SendGrid responded with ${res.statusCode}: ${body}`);
+            err.statusCode = res.statusCode;
+            err.transient = isTransientStatus(res.statusCode);
+            reject(err);
+          });
+        }
+      );
+      
+      req.on('timeout', () => {
+        req.destroy(new Error('SendGrid request timed out'));
+      });
+      
+      // Network level errors (timeouts, resets, DNS) are treated as transient
+      req.on('error', (err) => {
+        err.transient = true;
+        reject(err);
+      });
+      
+      req.write(payload);
+      req.end();
+    });
+  };
+  
+  return { name: 'sendgrid', send };
+};
+
+module.exports = createSendgridTransport;
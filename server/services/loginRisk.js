@@ -0,0 +1,264 @@
+/**
+ * Login risk evaluation
+ * Scores a password sign-in from what we know about the device and network it
+ * comes from. At or above the threshold the user has to confirm the sign-in
+ * with a code sent to their email address (or their second factor) before a
+ * session is issued.
+ *
+ * Signals:
+ *  - unknownDevice:    no device cookie we have seen for this account
+ *  - newNetwork:       an IP range not used to sign in for the last 90 days
+ *  - impossibleTravel: further from the last sign-in than anyone could have
+ *                      travelled since (needs a proxy that sets location headers)
+ *  - failedAttempts:   wrong passwords since the last successful sign-in
+ *  - reportedSignIn:   the user reported a sign-in and hasn't changed their
+ *                      password since - always steps up
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const User = require('../models/userModel');
+const SecurityEvent = require('../models/securityEventModel');
+const KnownDevice = require('../models/knownDeviceModel');
+const emailService = require('./email');
+
+const DEVICE_COOKIE = 'device_id';
+const DEVICE_COOKIE_PATH = '/api/auth';
+const DEVICE_TOKEN_PATTERN = /^[a-f0-9]{64}$/;
+
+const RISK_WEIGHTS = {
+  unknownDevice: 40,
+  newNetwork: 25,
+  impossibleTravel: 60,
+  failedAttempt: 10
+};
+
+// Failed attempts beyond this add nothing more - the lockout handles the rest
+const MAX_FAILED_ATTEMPTS_COUNTED = 3;
+
+// How far back sign-ins count towards the user's usual networks
+const NETWORK_HISTORY_DAYS = 90;
+
+// Faster than an airliner, over a distance IP geolocation can't be off by
+const MAX_TRAVEL_SPEED_KMH = 1000;
+const MIN_TRAVEL_DISTANCE_KM = 500;
+
+// How long a reported sign-in keeps forcing step-up if the password isn't changed
+const REPORT_STEP_UP_DAYS = 30;
+
+// Descriptions of the signals for the security activity log
+const SIGNAL_LABELS = {
+  unknownDevice: 'new device',
+  newNetwork: 'new network',
+  impossibleTravel: 'unlikely location',
+  failedAttempts: 'recent failed attempts',
+  reportedSignIn: 'recently reported sign-in'
+};
+
+const riskThreshold = () => {
+  const threshold = parseInt(process.env.LOGIN_RISK_THRESHOLD, 10);
+  return Number.isNaN(threshold) ? 50 : threshold;
+};
+
+// The device token from the request's device cookie, if it looks like one of ours
+const readDeviceToken = (req) => {
+  const token = req.cookies && req.cookies[DEVICE_COOKIE];
+  return typeof token === 'string' && DEVICE_TOKEN_PATTERN.test(token) ? token : null;
+};
+
+// Long-lived cookie identifying this browser
+const setDeviceCookie = (req, res, token) => {
+  res.cookie(DEVICE_COOKIE, token, {
+    expires: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000),
+    httpOnly: true,
+    secure: req.secure || req.headers['x-forwarded-proto'] === 'https',
+    sameSite: 'strict',
+    path: DEVICE_COOKIE_PATH
+  });
+};
+
+// The network an address belongs to: its /24 for IPv4, its /48 for IPv6
+const networkOf = (ip) => {
+  if (!ip) return null;
+  
+  const address = ip.replace(/^::ffff:/, '');
+  
+  if (net.isIPv4(address)) {
+    return `${address.split('.').slice(0, 3).join('.')}.0/24`;
+  }
+  
+  if (net.isIPv6(address)) {
+    const [head, tail] = address.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const groups = [
+      ...headGroups,
+      ...Array(Math.max(8 - headGroups.length - tailGroups.length, 0)).fill('0'),
+      ...tailGroups
+    ];
+    
+    return `${groups.slice(0, 3).map(group => parseInt(group, 16).toString(16)).join(':')}::/48`;
+  }
+  
+  return null;
+};
+
+// Where the request comes from, when a trusted proxy in front of the app
+// geolocates it (e.g. Cloudflare's visitor location headers)
+const requestLocation = (req) => {
+  const latitudeHeader = process.env.GEO_LATITUDE_HEADER;
+  const longitudeHeader = process.env.GEO_LONGITUDE_HEADER;
+  if (!latitudeHeader || !longitudeHeader) return null;
+  
+  const latitude = parseFloat(req.get(latitudeHeader));
+  const longitude = parseFloat(req.get(longitudeHeader));
+  
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+      Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return null;
+  }
+  
+  return { latitude, longitude };
+};
+
+// Great-circle distance between two points in kilometres
+const distanceKm = (from, to) => {
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const dLatitude = toRadians(to.latitude - from.latitude);
+  const dLongitude = toRadians(to.longitude - from.longitude);
+  
+  const a = Math.sin(dLatitude / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) *
+    Math.sin(dLongitude / 2) ** 2;
+  
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// Networks the user has signed in from recently
+const recentNetworks = async (user) => {
+  const since = new Date(Date.now() - NETWORK_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+  const events = await SecurityEvent.find({
+    user: user._id,
+    type: 'LOGIN',
+    createdAt: { $gt: since }
+  })
+    .select('ip')
+    .sort('-createdAt')
+    .limit(100);
+  
+  return new Set(
+    [...events.map(event => event.ip), user.lastLoginIp]
+      .map(networkOf)
+      .filter(Boolean)
+  );
+};
+
+// Whether the user reported a sign-in that they haven't since dealt with by
+// changing their password
+const hasOpenReport = async (user) => {
+  const since = Math.max(
+    Date.now() - REPORT_STEP_UP_DAYS * 24 * 60 * 60 * 1000,
+    user.passwordChangedAt ? user.passwordChangedAt.getTime() : 0
+  );
+  
+  return Boolean(await SecurityEvent.exists({
+    user: user._id,
+    type: 'LOGIN_REPORTED',
+    createdAt: { $gt: new Date(since) }
+  }));
+};
+
+// Score a sign-in whose password has just been accepted
+// Returns { score, signals, stepUpRequired }
+const evaluateLoginRisk = async (user, req) => {
+  const signals = [];
+  let score = 0;
+  
+  const add = (signal, weight) => {
+    signals.push(signal);
+    score += weight;
+  };
+  
+  if (!(await KnownDevice.recognize(user._id, readDeviceToken(req)))) {
+    add('unknownDevice', RISK_WEIGHTS.unknownDevice);
+  }
+  
+  // Only meaningful once there is a history to compare against
+  const network = networkOf(req.ip);
+  const knownNetworks = await recentNetworks(user);
+  if (network && knownNetworks.size > 0 && !knownNetworks.has(network)) {
+    add('newNetwork', RISK_WEIGHTS.newNetwork);
+  }
+  
+  const location = requestLocation(req);
+  const lastLocation = user.lastLoginLocation;
+  if (location && lastLocation && lastLocation.latitude != null && user.lastLogin) {
+    const distance = distanceKm(lastLocation, location);
+    const hours = Math.max((Date.now() - user.lastLogin.getTime()) / (60 * 60 * 1000), 1 / 60);
+    
+    if (distance > MIN_TRAVEL_DISTANCE_KM && distance / hours > MAX_TRAVEL_SPEED_KMH) {
+      add('impossibleTravel', RISK_WEIGHTS.impossibleTravel);
+    }
+  }
+  
+  const failedAttempts = Math.min(user.loginAttempts || 0, MAX_FAILED_ATTEMPTS_COUNTED);
+  if (failedAttempts > 0) {
+    add('failedAttempts', failedAttempts * RISK_WEIGHTS.failedAttempt);
+  }
+  
+  const reported = await hasOpenReport(user);
+  if (reported) {
+    signals.push('reportedSignIn');
+  }
+  
+  return {
+    score,
+    signals,
+    stepUpRequired: reported || score >= riskThreshold()
+  };
+};
+
+// Human readable summary of the signals, for the security activity log
+const describeSignals = (signals) => signals.map(signal => SIGNAL_LABELS[signal]).join(', ');
+
+// Remember the device a session was just started on, and email the user when
+// it's a new one. Accounts with no remembered devices yet (a new signup, or
+// the first sign-in since devices were tracked) don't get an email.
+const rememberDevice = async (user, req, res) => {
+  let deviceToken = readDeviceToken(req);
+  const known = deviceToken
+    ? await KnownDevice.exists({ user: user._id, tokenHash: KnownDevice.hashToken(deviceToken) })
+    : false;
+  const hasOtherDevices = !known && await KnownDevice.exists({ user: user._id });
+  
+  if (!deviceToken) {
+    deviceToken = crypto.randomBytes(32).toString('hex');
+  }
+  
+  const device = await KnownDevice.remember(user._id, deviceToken, req);
+  setDeviceCookie(req, res, deviceToken);
+  
+  // Kept for the next impossible travel check
+  const location = requestLocation(req);
+  if (location) {
+    await User.findByIdAndUpdate(user._id, { lastLoginLocation: location });
+  }
+  
+  if (!known && hasOtherDevices) {
+    await SecurityEvent.record(user._id, 'NEW_DEVICE_LOGIN', req, device.deviceLabel);
+    
+    const reportToken = await device.createReportToken();
+    emailService.sendNewDeviceEmail(user, device, reportToken).catch(emailErr => {
+      console.error('New device email error:', emailErr);
+    });
+  }
+};
+
+module.exports = {
+  DEVICE_COOKIE,
+  networkOf,
+  distanceKm,
+  evaluateLoginRisk,
+  describeSignals,
+  rememberDevice
+};
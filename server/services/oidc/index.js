@@ -0,0 +1,253 @@
+/**
+ * OpenID Connect relying party
+ * Authorization code flow with PKCE against any issuer that publishes a
+ * discovery document - Google, Apple, or a self-hosted/mock provider
+ */
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getProvider, listProviders } = require('./providers');
+
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_RESPONSE_BYTES = 1024 * 1024;
+const CACHE_TTL_MS = 60 * 60 * 1000;
+
+// Signature algorithms accepted on ID tokens - never 'none' or HMAC
+const ID_TOKEN_ALGORITHMS = ['RS256', 'ES256'];
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const toBase64Url = (buffer) => buffer
+  .toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const randomToken = () => toBase64Url(crypto.randomBytes(32));
+
+// Plain HTTP is only acceptable for a local test provider
+const assertSecureUrl = (url) => {
+  if (url.protocol !== 'https:' && process.env.NODE_ENV === 'production') {
+    throw new Error(`Refusing to talk to identity provider over ${url.protocol}`);
+  }
+};
+
+// Make a request and parse the JSON response
+const requestJson = (target, { method = 'GET', form, headers = {} } = {}) => {
+  const url = new URL(target);
+  assertSecureUrl(url);
+  
+  const payload = form ? new URLSearchParams(form).toString() : null;
+  const client = url.protocol === 'https:' ? https : http;
+  
+  return new Promise((resolve, reject) => {
+    const req = client.request(
+      url,
+      {
+        method,
+        headers: {
+          Accept: 'application/json',
+          ...(payload && {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'Content-Length': Buffer.byteLength(payload)
+          }),
+          ...headers
+        },
+        timeout: REQUEST_TIMEOUT_MS
+      },
+      (res) => {
+        let body = '';
+        res.on('data', (chunk) => {
+          body += chunk;
+          if (body.length > MAX_RESPONSE_BYTES) {
+            req.destroy(new Error('Identity provider response too large'));
+          }
+        });
+        res.on('end', () => {
+          let data;
+          try {
+            data = JSON.parse(body);
+          } catch (parseErr) {
+            return reject(new Error(`Identity provider returned invalid JSON (${res.statusCode})`));
+          }
+          
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            return resolve(data);
+          }
+          
+          const err = new Error(
+            `Identity provider responded with ${res.statusCode}: ${data.error_description || data.error || 'unknown error'}`
+          );
+          err.statusCode = res.statusCode;
+          reject(err);
+        });
+      }
+    );
+    
+    req.on('timeout', () => {
+      req.destroy(new Error('Identity provider request timed out'));
+    });
+    req.on('error', reject);
+    
+    if (payload) req.write(payload);
+    req.end();
+  });
+};
+
+// Fetch (and cache) the provider's discovery document
+const discover = async (provider) => {
+  const cached = discoveryCache.get(provider.issuer);
+  if (cached && cached.expiresAt > Date.now()) return cached.value;
+  
+  const metadata = await requestJson(`${provider.issuer}/.well-known/openid-configuration`);
+  
+  // The document must describe the issuer we asked about
+  if (metadata.issuer !== provider.issuer) {
+    throw new Error(`Discovery issuer mismatch: expected ${provider.issuer}, got ${metadata.issuer}`);
+  }
+  
+  discoveryCache.set(provider.issuer, { value: metadata, expiresAt: Date.now() + CACHE_TTL_MS });
+  return metadata;
+};
+
+// Find the signing key for an ID token, refetching once for rotated keys
+const getSigningKey = async (metadata, kid) => {
+  const load = async (force) => {
+    const cached = jwksCache.get(metadata.jwks_uri);
+    if (!force && cached && cached.expiresAt > Date.now()) return cached.value;
+    
+    const jwks = await requestJson(metadata.jwks_uri);
+    const keys = Array.isArray(jwks.keys) ? jwks.keys : [];
+    jwksCache.set(metadata.jwks_uri, { value: keys, expiresAt: Date.now() + CACHE_TTL_MS });
+    return keys;
+  };
+  
+  const findKey = keys => keys.find(key => (!kid || key.kid === kid) && (!key.use || key.use === 'sig'));
+  
+  const jwk = findKey(await load(false)) || findKey(await load(true));
+  if (!jwk) {
+    throw new Error('No matching signing key for ID token');
+  }
+  
+  return crypto
+    .createPublicKey({ key: jwk, format: 'jwk' })
+    .export({ type: 'spki', format: 'pem' });
+};
+
+/**
+ * Start an authorization request
+ * @returns {{ url: string, codeVerifier: string, nonce: string }} - the
+ *   verifier and nonce must be kept server-side until the callback
+ */
+const buildAuthorizationUrl = async (provider, state) => {
+  const metadata = await discover(provider);
+  
+  const codeVerifier = randomToken();
+  const nonce = randomToken();
+  const codeChallenge = toBase64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+  
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scope,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+    ...(provider.responseMode && { response_mode: provider.responseMode })
+  }).toString();
+  
+  return { url: url.toString(), codeVerifier, nonce };
+};
+
+// Exchange an authorization code for tokens
+const exchangeCode = async (provider, code, codeVerifier) => {
+  const metadata = await discover(provider);
+  
+  const form = {
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: provider.redirectUri,
+    code_verifier: codeVerifier,
+    client_id: provider.clientId
+  };
+  const headers = {};
+  
+  // Prefer client_secret_post; fall back to HTTP Basic if that's all the issuer takes
+  const clientSecret = provider.clientSecret();
+  const authMethods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+  if (clientSecret) {
+    if (authMethods.includes('client_secret_post')) {
+      form.client_secret = clientSecret;
+    } else {
+      const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+  }
+  
+  const tokens = await requestJson(metadata.token_endpoint, { method: 'POST', form, headers });
+  if (!tokens.id_token) {
+    throw new Error('Token response did not include an ID token');
+  }
+  
+  return tokens;
+};
+
+/**
+ * Verify an ID token's signature and claims
+ * @returns {{ subject: string, email: string, emailVerified: boolean, name: string }}
+ */
+const verifyIdToken = async (provider, idToken, expectedNonce) => {
+  const metadata = await discover(provider);
+  
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header) {
+    throw new Error('Malformed ID token');
+  }
+  
+  const key = await getSigningKey(metadata, decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: provider.issuer,
+    audience: provider.clientId,
+    clockTolerance: 60
+  });
+  
+  // With several audiences the token must have been issued to us
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== provider.clientId) {
+    throw new Error('ID token was issued to a different client');
+  }
+  
+  const nonceMatches = typeof claims.nonce === 'string' &&
+    claims.nonce.length === expectedNonce.length &&
+    crypto.timingSafeEqual(Buffer.from(claims.nonce), Buffer.from(expectedNonce));
+  if (!nonceMatches) {
+    throw new Error('ID token nonce mismatch');
+  }
+  
+  if (!claims.sub) {
+    throw new Error('ID token has no subject');
+  }
+  
+  return {
+    subject: String(claims.sub),
+    email: typeof claims.email === 'string' ? claims.email.toLowerCase() : null,
+    // Apple sends this claim as a string
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    name: typeof claims.name === 'string' ? claims.name : null
+  };
+};
+
+module.exports = {
+  getProvider,
+  listProviders,
+  randomToken,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken
+};
@@ -0,0 +1,78 @@
+const jwt = require('jsonwebtoken');
+
+// Where identity providers send the browser back to
+const redirectUri = (providerId) => {
+  const base = (process.env.API_URL || 'http://localhost:5000').replace(/\/$/, '');
+  return `${base}/api/auth/oidc/${providerId}/callback`;
+};
+
+// Apple uses a short-lived ES256 JWT as the client secret
+const appleClientSecret = () => jwt.sign(
+  {},
+  (process.env.APPLE_PRIVATE_KEY || '').replace(/\\n/g, '\n'),
+  {
+    algorithm: 'ES256',
+    keyid: process.env.APPLE_KEY_ID,
+    issuer: process.env.APPLE_TEAM_ID,
+    audience: 'https://appleid.apple.com',
+    subject: process.env.APPLE_CLIENT_ID,
+    expiresIn: '5m'
+  }
+);
+
+// Every provider the app knows about; only those with credentials in the
+// environment are offered
+const definitions = () => [
+  {
+    id: 'google',
+    name: 'Google',
+    issuer: 'https://accounts.google.com',
+    clientId: process.env.GOOGLE_CLIENT_ID,
+    clientSecret: () => process.env.GOOGLE_CLIENT_SECRET,
+    scope: 'openid email profile',
+    enabled: Boolean(process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET)
+  },
+  {
+    id: 'apple',
+    name: 'Apple',
+    issuer: 'https://appleid.apple.com',
+    clientId: process.env.APPLE_CLIENT_ID,
+    clientSecret: appleClientSecret,
+    scope: 'openid email name',
+    // Apple insists on form_post whenever name or email is requested
+    responseMode: 'form_post',
+    enabled: Boolean(
+      process.env.APPLE_CLIENT_ID &&
+      process.env.APPLE_TEAM_ID &&
+      process.env.APPLE_KEY_ID &&
+      process.env.APPLE_PRIVATE_KEY
+    )
+  },
+  {
+    id: 'oidc',
+    name: process.env.OIDC_PROVIDER_NAME || 'Single Sign-On',
+    issuer: (process.env.OIDC_ISSUER || '').replace(/\/$/, ''),
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: () => process.env.OIDC_CLIENT_SECRET,
+    scope: process.env.OIDC_SCOPES || 'openid email profile',
+    enabled: Boolean(process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID)
+  }
+];
+
+// Look up an enabled provider by id
+const getProvider = (providerId) => {
+  const provider = definitions().find(item => item.id === providerId && item.enabled);
+  if (!provider) return null;
+  
+  return { ...provider, redirectUri: redirectUri(provider.id) };
+};
+
+// Enabled providers as shown on the login page
+const listProviders = () => definitions()
+  .filter(provider => provider.enabled)
+  .map(({ id, name }) => ({ id, name }));
+
+module.exports = {
+  getProvider,
+  listProviders
+};
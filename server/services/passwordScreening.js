@@ -0,0 +1,182 @@
+/**
+ * Offline password screening
+ * Rejects passwords that are common, known to be breached, or built from the
+ * user's own name or email. Works without network access:
+ *  - common passwords come from the bundled server/data/common-passwords.txt
+ *  - breached passwords come from an optional local copy of the Pwned Passwords
+ *    range files (one "<PREFIX>.txt" file per 5-character SHA-1 prefix, each line
+ *    "<SUFFIX>:<COUNT>"), configured with PWNED_PASSWORDS_DIR
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const readFile = promisify(fs.readFile);
+
+const COMMON_PASSWORDS_FILE = path.join(__dirname, '../data/common-passwords.txt');
+
+// Shortest name/email fragment worth checking for - avoids rejecting on "Al"
+const MIN_PERSONAL_TOKEN_LENGTH = 3;
+
+// Reversal of common character substitutions (p@ssw0rd -> password)
+const LEET_MAP = {
+  '@': 'a',
+  '4': 'a',
+  '8': 'b',
+  '(': 'c',
+  '3': 'e',
+  '6': 'g',
+  '1': 'i',
+  '!': 'i',
+  '|': 'l',
+  '0': 'o',
+  '$': 's',
+  '5': 's',
+  '7': 't',
+  '+': 't',
+  '2': 'z'
+};
+
+let commonPasswords = null;
+
+// Load the bundled list once
+const getCommonPasswords = () => {
+  if (!commonPasswords) {
+    commonPasswords = new Set(
+      fs.readFileSync(COMMON_PASSWORDS_FILE, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+  
+  return commonPasswords;
+};
+
+const unleet = (value) => value.replace(/[@48(361!|0$57+2]/g, char => LEET_MAP[char]);
+
+// Strip the decorations people add to meet composition rules ("Password1!")
+const stripDecorations = (value) => value.replace(/^[^a-z]+|[^a-z]+$/g, '');
+
+// All the forms of a candidate compared against the common list
+const candidateVariants = (password) => {
+  const lower = password.toLowerCase();
+  const variants = new Set([lower, stripDecorations(lower)]);
+  
+  const unleeted = unleet(lower);
+  variants.add(unleeted);
+  variants.add(stripDecorations(unleeted));
+  
+  // Decorations are stripped before substitutions are undone too ("P@ssw0rd2024!")
+  variants.add(unleet(lower.replace(/^[\d\W_]+|[\d\W_]+$/g, '')));
+  
+  return [...variants].filter(variant => variant.length >= 4);
+};
+
+const isCommonPassword = (password) => {
+  const list = getCommonPasswords();
+  return candidateVariants(password).some(variant => list.has(variant));
+};
+
+// Look the password up in the local Pwned Passwords range files
+// Returns the breach count, or 0 when not found or no dataset is configured
+const getBreachCount = async (password) => {
+  const directory = process.env.PWNED_PASSWORDS_DIR;
+  if (!directory) return 0;
+  
+  const hash = crypto
+    .createHash('sha1')
+    .update(password)
+    .digest('hex')
+    .toUpperCase();
+  const prefix = hash.slice(0, 5);
+  const suffix = hash.slice(5);
+  
+  let contents;
+  try {
+    contents = await readFile(path.join(directory, `${prefix}.txt`), 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return 0;
+    throw err;
+  }
+  
+  for (const line of contents.split(/\r?\n/)) {
+    const [lineSuffix, count] = line.trim().split(':');
+    if (lineSuffix && lineSuffix.toUpperCase() === suffix) {
+      return parseInt(count, 10) || 1;
+    }
+  }
+  
+  return 0;
+};
+
+// Name parts and the email local part (split on separators)
+const personalTokens = ({ name, email } = {}) => {
+  const tokens = [];
+  
+  if (name) {
+    tokens.push(...String(name).toLowerCase().split(/[\s.'-]+/));
+  }
+  
+  if (email) {
+    const localPart = String(email).toLowerCase().split('@')[0];
+    tokens.push(localPart, ...localPart.split(/[._+-]+/));
+  }
+  
+  return [...new Set(tokens)].filter(token => token.length >= MIN_PERSONAL_TOKEN_LENGTH);
+};
+
+const containsPersonalInfo = (password, user) => {
+  const lower = password.toLowerCase();
+  const unleeted = unleet(lower);
+  
+  return personalTokens(user).some(token => lower.includes(token) || unleeted.includes(token));
+};
+
+/**
+ * Screen a candidate password
+ * @param {string} password - the candidate password
+ * @param {{ name?: string, email?: string }} user - details the password must not contain
+ * @returns {Promise<Array<{ code: string, message: string }>>} reasons - empty when acceptable
+ */
+const screenPassword = async (password, user = {}) => {
+  const reasons = [];
+  
+  if (typeof password !== 'string' || password.length === 0) {
+    return [{ code: 'PASSWORD_REQUIRED', message: 'Please provide a password' }];
+  }
+  
+  if (isCommonPassword(password)) {
+    reasons.push({
+      code: 'COMMON_PASSWORD',
+      message: 'This password is too common. Please choose something harder to guess.'
+    });
+  }
+  
+  const breachCount = await getBreachCount(password);
+  const minBreachCount = parseInt(process.env.PWNED_PASSWORDS_MIN_COUNT, 10) || 1;
+  if (breachCount >= minBreachCount) {
+    reasons.push({
+      code: 'BREACHED_PASSWORD',
+      message: 'This password has appeared in a known data breach. Please choose a different one.'
+    });
+  }
+  
+  if (containsPersonalInfo(password, user)) {
+    reasons.push({
+      code: 'CONTAINS_PERSONAL_INFO',
+      message: 'Your password must not contain your name or email address.'
+    });
+  }
+  
+  return reasons;
+};
+
+module.exports = {
+  screenPassword,
+  isCommonPassword,
+  getBreachCount,
+  containsPersonalInfo
+};
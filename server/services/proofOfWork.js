@@ -0,0 +1,158 @@
+/**
+ * Proof-of-work challenges
+ * When signup, login or forgot-password traffic looks abusive, clients have
+ * to solve a hashcash-style puzzle before the request is accepted: find a
+ * number whose SHA-256 of "<challenge>:<number>" starts with `difficulty`
+ * zero bits. It takes a browser a moment, and makes bulk requests expensive.
+ *
+ * Settings (POW_MODE):
+ *  - risk:   only when the signals below say so (default)
+ *  - always: on every request, e.g. while under attack
+ *  - off:    never
+ *
+ * Signals:
+ *  - failures: recent failed sign-ins for the client's IP or the account
+ *              (the login backoff counters in the rate limit store)
+ *  - repeats:  an earlier signup or reset request from the same IP or for the
+ *              same account within the rate limit window
+ *  - velocity: site-wide signups, failed sign-ins or reset requests over the
+ *              last ten minutes above POW_VELOCITY_THRESHOLD
+ */
+
+const crypto = require('crypto');
+const User = require('../models/userModel');
+const SecurityEvent = require('../models/securityEventModel');
+const { getStore, storeKey } = require('./rateLimit');
+
+const VELOCITY_WINDOW_MS = 10 * 60 * 1000;
+
+// Site-wide counts are shared by every request, so don't query them each time
+const VELOCITY_CACHE_MS = 30 * 1000;
+
+// Failed sign-ins allowed before a puzzle is required
+const FAILURE_THRESHOLD = 2;
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const settings = () => ({
+  mode: process.env.POW_MODE || 'risk',
+  baseDifficulty: envInt('POW_DIFFICULTY', 16),
+  maxDifficulty: envInt('POW_MAX_DIFFICULTY', 22),
+  velocityThreshold: envInt('POW_VELOCITY_THRESHOLD', 20)
+});
+
+// How each action's site-wide velocity is counted
+const VELOCITY_COUNTERS = {
+  signup: since => User.countDocuments({ createdAt: { $gt: since } }),
+  login: since => SecurityEvent.countDocuments({ type: 'FAILED_LOGIN', createdAt: { $gt: since } }),
+  'forgot-password': since => SecurityEvent.countDocuments({
+    type: 'PASSWORD_RESET_REQUEST',
+    createdAt: { $gt: since }
+  })
+};
+
+const velocityCache = new Map();
+
+const recentVelocity = async (action) => {
+  const cached = velocityCache.get(action);
+  if (cached && cached.expiresAt > Date.now()) return cached.count;
+  
+  const count = await VELOCITY_COUNTERS[action](new Date(Date.now() - VELOCITY_WINDOW_MS));
+  velocityCache.set(action, { count, expiresAt: Date.now() + VELOCITY_CACHE_MS });
+  
+  return count;
+};
+
+// Hits on one of the rate limiter's counters (0 when it has none)
+const counterHits = async (policyName, kind, identity) => {
+  const entry = await getStore().get(storeKey(policyName, kind, identity));
+  return entry ? entry.hits : 0;
+};
+
+const emailFrom = (req) => {
+  const email = req.body && req.body.email;
+  return typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null;
+};
+
+// Extra difficulty for the client's own recent history with this action
+const clientEscalation = async (action, req) => {
+  const email = emailFrom(req);
+  
+  if (action === 'login') {
+    const failures = Math.max(
+      await counterHits('login', 'failures', { ip: req.ip }),
+      email ? await counterHits('loginAccount', 'failures', { email }) : 0
+    );
+    
+    return failures >= FAILURE_THRESHOLD ? failures - FAILURE_THRESHOLD + 1 : 0;
+  }
+  
+  // The puzzle is checked before the limiter counts this request, so any
+  // hit is an earlier request
+  const repeats = action === 'signup'
+    ? await counterHits('signup', 'requests', { ip: req.ip })
+    : Math.max(
+      await counterHits('passwordReset', 'requests', { ip: req.ip }),
+      email ? await counterHits('passwordResetAccount', 'requests', { email }) : 0
+    );
+  
+  return repeats;
+};
+
+// Leading zero bits needed for this request, or 0 when no puzzle is needed
+const requiredDifficulty = async (action, req) => {
+  const { mode, baseDifficulty, maxDifficulty, velocityThreshold } = settings();
+  
+  if (mode === 'off') return 0;
+  
+  // Each step above the first adds a bit - every bit doubles the work
+  let steps = await clientEscalation(action, req);
+  
+  const velocity = await recentVelocity(action);
+  if (velocity >= velocityThreshold) {
+    steps += Math.floor(Math.log2(velocity / velocityThreshold)) + 1;
+  }
+  
+  if (steps === 0) {
+    return mode === 'always' ? baseDifficulty : 0;
+  }
+  
+  return Math.min(baseDifficulty + steps - 1, maxDifficulty);
+};
+
+// Number of zero bits at the start of a buffer
+const leadingZeroBits = (buffer) => {
+  let bits = 0;
+  
+  for (const byte of buffer) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    
+    return bits + Math.clz32(byte) - 24;
+  }
+  
+  return bits;
+};
+
+// Whether a solution solves a challenge at its difficulty
+const verifySolution = (challenge, solution) => {
+  if (typeof solution !== 'string' || !/^\d{1,15}$/.test(solution)) return false;
+  
+  const digest = crypto
+    .createHash('sha256')
+    .update(`${challenge.challenge}:${solution}`)
+    .digest();
+  
+  return leadingZeroBits(digest) >= challenge.difficulty;
+};
+
+module.exports = {
+  requiredDifficulty,
+  leadingZeroBits,
+  verifySolution
+};
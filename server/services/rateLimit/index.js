@@ -0,0 +1,56 @@
+/**
+ * Rate limit store
+ * Holds the counters behind middleware/rateLimit in a pluggable store
+ *
+ * Store selection (RATE_LIMIT_STORE):
+ *  - mongo:  shared MongoDB collection, so every instance sees the same counts
+ *  - memory: per-process map, for tests
+ * Defaults to memory under NODE_ENV=test and mongo everywhere else.
+ */
+
+const createMongoStore = require('./stores/mongo');
+const createMemoryStore = require('./stores/memory');
+
+let store = null;
+
+// Build the configured store on first use
+const createStoreFromEnv = () => {
+  const name = process.env.RATE_LIMIT_STORE ||
+    (process.env.NODE_ENV === 'test' ? 'memory' : 'mongo');
+  
+  switch (name) {
+    case 'mongo':
+      return createMongoStore();
+    
+    case 'memory':
+      return createMemoryStore();
+    
+    default:
+      throw new Error(`Unknown rate limit store: ${name}`);
+  }
+};
+
+const getStore = () => {
+  if (!store) {
+    store = createStoreFromEnv();
+  }
+  
+  return store;
+};
+
+// The store key for one of a policy's counters (kind is requests or failures)
+const storeKey = (policyName, kind, identity) => {
+  const parts = Object.entries(identity).map(([part, value]) => `${part}=${value}`);
+  return `${policyName}:${kind}:${parts.join('|')}`;
+};
+
+// Replace the active store (used by tests and custom setups)
+const setStore = (newStore) => {
+  store = newStore;
+};
+
+module.exports = {
+  getStore,
+  setStore,
+  storeKey
+};
@@ -0,0 +1,80 @@
+/**
+ * In-memory rate limit store for tests and single-process development
+ * Counters are per process and lost on restart - don't use it in production.
+ */
+
+const createMemoryStore = () => {
+  const entries = new Map();
+  
+  const isLive = (entry, now) => entry.resetAt > now || entry.blockedUntil > now;
+  
+  // Drop entries whose window and block have both passed
+  const sweep = (now) => {
+    for (const [key, entry] of entries) {
+      if (!isLive(entry, now)) entries.delete(key);
+    }
+  };
+  
+  const increment = async (key, windowMs, { policy, kind, identity, limit }) => {
+    const now = Date.now();
+    sweep(now);
+    
+    const existing = entries.get(key);
+    const inWindow = existing && existing.resetAt > now;
+    
+    const entry = {
+      ...existing,
+      key,
+      policy,
+      kind,
+      identity,
+      limit,
+      hits: inWindow ? existing.hits + 1 : 1,
+      resetAt: inWindow ? existing.resetAt : new Date(now + windowMs)
+    };
+    entries.set(key, entry);
+    
+    return { hits: entry.hits, resetAt: entry.resetAt };
+  };
+  
+  const block = async (key, until) => {
+    const entry = entries.get(key);
+    
+    if (entry && !(entry.blockedUntil >= until)) {
+      entry.blockedUntil = until;
+    }
+  };
+  
+  const get = async (key) => {
+    const entry = entries.get(key);
+    return entry && isLive(entry, Date.now()) ? { ...entry } : null;
+  };
+  
+  const reset = async (key) => {
+    entries.delete(key);
+  };
+  
+  const listThrottled = async () => {
+    const now = Date.now();
+    sweep(now);
+    
+    return [...entries.values()]
+      .filter(entry => entry.blockedUntil > now ||
+        (entry.kind === 'requests' && entry.resetAt > now && entry.hits >= entry.limit))
+      .sort((a, b) => b.resetAt - a.resetAt)
+      .map(entry => ({ ...entry }));
+  };
+  
+  return {
+    name: 'memory',
+    increment,
+    block,
+    get,
+    reset,
+    listThrottled,
+    // Inspection helper for tests
+    clear: () => entries.clear()
+  };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,85 @@
+/**
+ * MongoDB rate limit store
+ * Shared by every instance of the app and survives restarts. Each hit is a
+ * single atomic update, so concurrent requests are all counted.
+ */
+
+const RateLimitEntry = require('../../../models/rateLimitEntryModel');
+
+const createMongoStore = () => {
+  // Count a hit in the key's current window, starting a new window when the
+  // last one has passed
+  const increment = async (key, windowMs, { policy, kind, identity, limit }) => {
+    const now = new Date();
+    const inWindow = { $gt: ['$resetAt', now] };
+    
+    const entry = await RateLimitEntry.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            policy: { $literal: policy },
+            kind: { $literal: kind },
+            identity: { $literal: identity },
+            limit: { $literal: limit },
+            hits: { $cond: [inWindow, { $add: ['$hits', 1] }, 1] },
+            resetAt: { $cond: [inWindow, '$resetAt', new Date(now.getTime() + windowMs)] }
+          }
+        },
+        { $set: { expiresAt: { $max: ['$resetAt', '$blockedUntil'] } } }
+      ],
+      { upsert: true, new: true, lean: true }
+    );
+    
+    return { hits: entry.hits, resetAt: entry.resetAt };
+  };
+  
+  // Block a key until the given time (never shortens an existing block)
+  const block = async (key, until) => {
+    await RateLimitEntry.updateOne(
+      { key },
+      { $max: { blockedUntil: until, expiresAt: until } }
+    );
+  };
+  
+  // The live entry for a key, or null
+  const get = async (key) => {
+    const entry = await RateLimitEntry.findOne({ key }).lean();
+    const now = Date.now();
+    
+    if (!entry) return null;
+    if (entry.resetAt <= now && !(entry.blockedUntil > now)) return null;
+    
+    return entry;
+  };
+  
+  const reset = async (key) => {
+    await RateLimitEntry.deleteOne({ key });
+  };
+  
+  // Keys that are out of requests or blocked right now
+  const listThrottled = async () => {
+    const now = new Date();
+    
+    return RateLimitEntry.find({
+      $or: [
+        { blockedUntil: { $gt: now } },
+        { kind: 'requests', resetAt: { $gt: now }, $expr: { $gte: ['$hits', '$limit'] } }
+      ]
+    })
+      .sort('-resetAt')
+      .limit(500)
+      .lean();
+  };
+  
+  return {
+    name: 'mongo',
+    increment,
+    block,
+    get,
+    reset,
+    listThrottled
+  };
+};
+
+module.exports = createMongoStore;
@@ -0,0 +1,73 @@
+/**
+ * Highlighting for search results
+ * Returned as segments - [{ text, match }] - rather than HTML, so clients can
+ * mark matches up without injecting markup from product data.
+ */
+
+const { termFor, words } = require('./tokenizer');
+
+const SNIPPET_LENGTH = 160;
+
+// Context shown before the first match in a snippet
+const SNIPPET_LEAD = 40;
+
+// Split text into matching and non-matching segments
+const segmentsFor = (text, matched) => {
+  const segments = [];
+  let position = 0;
+  
+  const push = (segmentText, match) => {
+    if (!segmentText) return;
+    
+    const last = segments[segments.length - 1];
+    if (last && last.match === match) {
+      last.text += segmentText;
+    } else {
+      segments.push({ text: segmentText, match });
+    }
+  };
+  
+  words(text).forEach(({ word, start, end }) => {
+    if (!matched.has(termFor(word))) return;
+    
+    push(text.slice(position, start), false);
+    push(text.slice(start, end), true);
+    position = end;
+  });
+  
+  push(text.slice(position), false);
+  return segments;
+};
+
+// The part of a long text around its first match
+const snippetFor = (text, matched) => {
+  if (text.length <= SNIPPET_LENGTH) return segmentsFor(text, matched);
+  
+  const first = words(text).find(({ word }) => matched.has(termFor(word)));
+  
+  // Start on a word boundary a little before the match
+  let start = first ? Math.max(first.start - SNIPPET_LEAD, 0) : 0;
+  if (start > 0) {
+    const boundary = text.indexOf(' ', start);
+    start = boundary === -1 || boundary > first.start ? start : boundary + 1;
+  }
+  
+  let end = Math.min(start + SNIPPET_LENGTH, text.length);
+  if (end < text.length) {
+    const boundary = text.lastIndexOf(' ', end);
+    if (boundary > start) end = boundary;
+  }
+  
+  const excerpt = `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+  return segmentsFor(excerpt, matched);
+};
+
+// Highlighted name and description snippet for a search hit
+const highlightProduct = (product, matched) => ({
+  name: segmentsFor(product.name || '', matched),
+  description: snippetFor(product.description || '', matched)
+});
+
+module.exports = {
+  highlightProduct
+};
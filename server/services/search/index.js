@@ -0,0 +1,207 @@
+/**
+ * Product search
+ * Keeps an inverted index of the catalog in memory and answers keyword
+ * queries with ranked, filtered, faceted results.
+ *
+ * The index is built from MongoDB on the first search. productController
+ * updates it when admins change products, and it is rebuilt in the
+ * background every SEARCH_INDEX_REFRESH_MS (default 5 minutes) to pick up
+ * changes made by other instances or outside the API.
+ */
+
+const Product = require('../../models/productModel');
+const { createInvertedIndex } = require('./invertedIndex');
+const { highlightProduct } = require('./highlight');
+const { tokenize } = require('./tokenizer');
+
+// Indexed fields and how much a match in each counts
+const FIELD_WEIGHTS = {
+  name: 3,
+  brand: 2,
+  features: 1.5,
+  specifications: 1,
+  description: 1
+};
+
+// Price facet buckets - min inclusive, max exclusive
+const PRICE_BUCKETS = [
+  { key: '0-25', label: 'Under $25', min: 0, max: 25 },
+  { key: '25-50', label: '$25 to $50', min: 25, max: 50 },
+  { key: '50-100', label: '$50 to $100', min: 50, max: 100 },
+  { key: '100-250', label: '$100 to $250', min: 100, max: 250 },
+  { key: '250-500', label: '$250 to $500', min: 250, max: 500 },
+  { key: '500+', label: '$500 and over', min: 500, max: Infinity }
+];
+
+const INDEXED_FIELDS = 'name brand description features specifications category price stock';
+
+let index = null;
+let builtAt = 0;
+let building = null;
+
+// Changes made while a build is running, replayed onto the new index
+let pendingChanges = null;
+
+const refreshInterval = () => parseInt(process.env.SEARCH_INDEX_REFRESH_MS, 10) || 5 * 60 * 1000;
+
+// Specifications are a Map on documents and a plain object when lean
+const specificationText = (specifications) => {
+  const entries = specifications instanceof Map
+    ? [...specifications.entries()]
+    : Object.entries(specifications || {});
+  
+  return entries.map(([key, value]) => `${key} ${value}`).join(' ');
+};
+
+const addToIndex = (target, product) => {
+  target.add(String(product._id), {
+    name: tokenize(product.name),
+    brand: tokenize(product.brand),
+    features: tokenize((product.features || []).join(' ')),
+    specifications: tokenize(specificationText(product.specifications)),
+    description: tokenize(product.description)
+  }, {
+    category: product.category,
+    brand: product.brand || null,
+    price: product.price,
+    inStock: product.stock > 0
+  });
+};
+
+const buildIndex = async () => {
+  const fresh = createInvertedIndex(FIELD_WEIGHTS);
+  
+  for await (const product of Product.find().select(INDEXED_FIELDS).lean().cursor()) {
+    addToIndex(fresh, product);
+  }
+  
+  return fresh;
+};
+
+// Build or refresh the index. Only one build runs at a time.
+const rebuild = () => {
+  if (!building) {
+    const started = Date.now();
+    pendingChanges = [];
+    
+    building = buildIndex()
+      .then((fresh) => {
+        pendingChanges.forEach(change => change(fresh));
+        index = fresh;
+        builtAt = started;
+        return fresh;
+      })
+      .finally(() => {
+        building = null;
+        pendingChanges = null;
+      });
+  }
+  
+  return building;
+};
+
+// The current index - waits for the first build, after that a stale index
+// keeps serving while it is rebuilt
+const getIndex = async () => {
+  if (!index) return rebuild();
+  
+  if (Date.now() - builtAt > refreshInterval()) {
+    rebuild().catch(err => console.error('Search index rebuild error:', err));
+  }
+  
+  return index;
+};
+
+// Apply a change to the live index and to any build in progress
+const applyChange = (change) => {
+  if (index) change(index);
+  if (pendingChanges) pendingChanges.push(change);
+};
+
+// Add or update a product in the index
+const indexProduct = (product) => {
+  applyChange(target => addToIndex(target, product));
+};
+
+// Remove a product from the index
+const removeProduct = (productId) => {
+  applyChange(target => target.remove(String(productId)));
+};
+
+const priceBucketFor = price => PRICE_BUCKETS.find(bucket => price >= bucket.min && price < bucket.max);
+
+// Checks for each filter. Filters: category (list of slugs), brand
+// (case-insensitive), price (bucket key), inStock (boolean)
+const FILTER_CHECKS = {
+  category: (meta, value) => value.includes(meta.category),
+  brand: (meta, value) => !!meta.brand && meta.brand.toLowerCase() === value.toLowerCase(),
+  price: (meta, value) => priceBucketFor(meta.price)?.key === value,
+  inStock: (meta, value) => meta.inStock === value
+};
+
+const passes = (meta, filters, skip) => Object.entries(filters).every(([name, value]) =>
+  name === skip || value === undefined || FILTER_CHECKS[name](meta, value)
+);
+
+// Count matches per facet value. Each facet ignores its own filter, so the
+// other options stay visible after one is picked.
+const countFacets = (target, ids, filters) => {
+  const counts = { category: new Map(), brand: new Map(), price: new Map(), inStock: new Map() };
+  
+  const increment = (facet, value) => {
+    counts[facet].set(value, (counts[facet].get(value) || 0) + 1);
+  };
+  
+  ids.forEach((id) => {
+    const meta = target.getMeta(id);
+    
+    if (passes(meta, filters, 'category')) increment('category', meta.category);
+    if (meta.brand && passes(meta, filters, 'brand')) increment('brand', meta.brand);
+    if (passes(meta, filters, 'price')) increment('price', priceBucketFor(meta.price)?.key);
+    if (passes(meta, filters, 'inStock')) increment('inStock', meta.inStock);
+  });
+  
+  const byCount = map => [...map.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+  
+  return {
+    category: byCount(counts.category),
+    brand: byCount(counts.brand),
+    price: PRICE_BUCKETS
+      .filter(bucket => counts.price.has(bucket.key))
+      .map(({ key, label }) => ({ value: key, label, count: counts.price.get(key) })),
+    inStock: byCount(counts.inStock)
+  };
+};
+
+// Search the catalog.
+// Returns { total, hits: [{ id, score, matched }], facets } for the requested
+// page, best matches first.
+const search = async (query, { filters = {}, page = 1, limit = 20 } = {}) => {
+  const target = await getIndex();
+  
+  const terms = [...new Set(tokenize(query))];
+  const matches = terms.length > 0 ? target.search(terms) : new Map();
+  
+  const ids = [...matches.keys()];
+  const facets = countFacets(target, ids, filters);
+  
+  const ranked = ids
+    .filter(id => passes(target.getMeta(id), filters))
+    .sort((a, b) => matches.get(b).score - matches.get(a).score || a.localeCompare(b));
+  
+  const hits = ranked
+    .slice((page - 1) * limit, page * limit)
+    .map(id => ({ id, score: matches.get(id).score, matched: matches.get(id).matched }));
+  
+  return { total: ranked.length, hits, facets };
+};
+
+module.exports = {
+  PRICE_BUCKETS,
+  search,
+  indexProduct,
+  removeProduct,
+  highlightProduct
+};
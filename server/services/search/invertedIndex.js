@@ -0,0 +1,264 @@
+/**
+ * In-memory inverted index with BM25F ranking
+ * Each document has several weighted fields (a match in the name counts for
+ * more than one in the description). Query terms are expanded to index terms
+ * by exact match, prefix (the word still being typed) and edit distance
+ * (typos), and a document has to match every query term.
+ */
+
+// BM25 parameters - k1 caps the effect of repeating a term, b controls how
+// much longer fields are penalised
+const K1 = 1.2;
+const B = 0.75;
+
+// How much an inexact match is worth compared to an exact one
+const PREFIX_WEIGHT = 0.8;
+const TYPO_WEIGHT = 0.6;
+
+// Expanding a short prefix could pull in most of the vocabulary
+const MIN_PREFIX_LENGTH = 2;
+const MAX_EXPANSIONS = 50;
+
+// Edits allowed for a query term of a given length
+const maxEditsFor = (length) => {
+  if (length >= 8) return 2;
+  if (length >= 4) return 1;
+  return 0;
+};
+
+// Optimal string alignment distance (a swap of neighbouring letters is one
+// edit), giving up once it is over `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  
+  for (let i = 1; i <= a.length; i++) {
+    const next = [i];
+    let rowMin = i;
+    
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + cost);
+      
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      
+      next.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    
+    if (rowMin > max) return max + 1;
+    
+    previousRow = row;
+    row = next;
+  }
+  
+  return row[b.length];
+};
+
+// fields: { name: weight } for every field documents may have
+const createInvertedIndex = (fields) => {
+  const fieldNames = Object.keys(fields);
+  
+  // term -> Map(docId -> { field: count })
+  const postings = new Map();
+  
+  // docId -> { lengths: { field: terms }, terms: Set, meta }
+  const documents = new Map();
+  
+  const totalLengths = Object.fromEntries(fieldNames.map(field => [field, 0]));
+  
+  // Sorted vocabulary for prefix lookups, rebuilt when terms change
+  let vocabulary = null;
+  
+  const remove = (id) => {
+    const doc = documents.get(id);
+    if (!doc) return;
+    
+    for (const term of doc.terms) {
+      const docs = postings.get(term);
+      docs.delete(id);
+      
+      if (docs.size === 0) {
+        postings.delete(term);
+        vocabulary = null;
+      }
+    }
+    
+    fieldNames.forEach((field) => {
+      totalLengths[field] -= doc.lengths[field];
+    });
+    
+    documents.delete(id);
+  };
+  
+  // Add or replace a document. fieldTerms: { field: [term, ...] }
+  const add = (id, fieldTerms, meta) => {
+    remove(id);
+    
+    const doc = { lengths: {}, terms: new Set(), meta };
+    
+    fieldNames.forEach((field) => {
+      const terms = fieldTerms[field] || [];
+      doc.lengths[field] = terms.length;
+      totalLengths[field] += terms.length;
+      
+      terms.forEach((term) => {
+        let docs = postings.get(term);
+        if (!docs) {
+          docs = new Map();
+          postings.set(term, docs);
+          vocabulary = null;
+        }
+        
+        const counts = docs.get(id) || {};
+        counts[field] = (counts[field] || 0) + 1;
+        docs.set(id, counts);
+        
+        doc.terms.add(term);
+      });
+    });
+    
+    documents.set(id, doc);
+  };
+  
+  const sortedVocabulary = () => {
+    if (!vocabulary) {
+      vocabulary = [...postings.keys()].sort();
+    }
+    return vocabulary;
+  };
+  
+  // Index terms starting with a prefix
+  const termsWithPrefix = (prefix) => {
+    const terms = sortedVocabulary();
+    
+    // Binary search for the first term >= prefix
+    let low = 0;
+    let high = terms.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (terms[mid] < prefix) low = mid + 1;
+      else high = mid;
+    }
+    
+    const found = [];
+    for (let i = low; i < terms.length && terms[i].startsWith(prefix) && found.length < MAX_EXPANSIONS; i++) {
+      found.push(terms[i]);
+    }
+    return found;
+  };
+  
+  // Index terms a query term could mean, with how much each match is worth
+  const expand = (queryTerm, { prefix }) => {
+    const expansions = new Map();
+    
+    if (postings.has(queryTerm)) {
+      expansions.set(queryTerm, 1);
+    }
+    
+    if (prefix && queryTerm.length >= MIN_PREFIX_LENGTH) {
+      termsWithPrefix(queryTerm).forEach((term) => {
+        if (!expansions.has(term)) expansions.set(term, PREFIX_WEIGHT);
+      });
+    }
+    
+    // Only look for typos when the word isn't in the index as typed
+    const maxEdits = maxEditsFor(queryTerm.length);
+    if (!postings.has(queryTerm) && maxEdits > 0) {
+      for (const term of sortedVocabulary()) {
+        if (expansions.size >= MAX_EXPANSIONS) break;
+        if (expansions.has(term)) continue;
+        
+        const distance = editDistance(queryTerm, term, maxEdits);
+        if (distance <= maxEdits) {
+          expansions.set(term, TYPO_WEIGHT / distance);
+        }
+      }
+    }
+    
+    return expansions;
+  };
+  
+  // BM25F score of one term in one document
+  const scoreTerm = (term, id) => {
+    const docs = postings.get(term);
+    const counts = docs.get(id);
+    const doc = documents.get(id);
+    
+    let weightedCount = 0;
+    fieldNames.forEach((field) => {
+      if (!counts[field]) return;
+      
+      const averageLength = totalLengths[field] / documents.size || 1;
+      const normalisation = 1 - B + B * (doc.lengths[field] / averageLength);
+      weightedCount += fields[field] * counts[field] / normalisation;
+    });
+    
+    const idf = Math.log(1 + (documents.size - docs.size + 0.5) / (docs.size + 0.5));
+    
+    return idf * (weightedCount * (K1 + 1)) / (weightedCount + K1);
+  };
+  
+  // Documents matching every query term, as Map(docId -> { score, matched })
+  // where matched is the set of index terms that matched (for highlighting).
+  // The last query term is treated as a prefix when prefixLast is set.
+  const search = (queryTerms, { prefixLast = true } = {}) => {
+    let results = null;
+    
+    queryTerms.forEach((queryTerm, position) => {
+      const expansions = expand(queryTerm, {
+        prefix: prefixLast && position === queryTerms.length - 1
+      });
+      
+      // Best match for this query term in each document
+      const termResults = new Map();
+      
+      for (const [term, weight] of expansions) {
+        for (const id of postings.get(term).keys()) {
+          if (results && !results.has(id)) continue;
+          
+          const score = weight * scoreTerm(term, id);
+          const best = termResults.get(id);
+          
+          if (!best || score > best.score) {
+            termResults.set(id, { score, terms: best ? [...best.terms, term] : [term] });
+          } else {
+            best.terms.push(term);
+          }
+        }
+      }
+      
+      const merged = new Map();
+      for (const [id, { score, terms }] of termResults) {
+        const previous = results ? results.get(id) : { score: 0, matched: new Set() };
+        terms.forEach(term => previous.matched.add(term));
+        merged.set(id, { score: previous.score + score, matched: previous.matched });
+      }
+      
+      results = merged;
+    });
+    
+    return results || new Map();
+  };
+  
+  const getMeta = id => documents.get(id) && documents.get(id).meta;
+  
+  return {
+    add,
+    remove,
+    search,
+    getMeta,
+    get size() {
+      return documents.size;
+    }
+  };
+};
+
+module.exports = {
+  createInvertedIndex,
+  editDistance
+};
@@ -0,0 +1,55 @@
+/**
+ * Text analysis shared by indexing and querying
+ * Words are folded to lowercase ASCII, common words dropped and plurals
+ * reduced, so "Batteries" in a query finds "battery" in a product.
+ */
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is',
+  'it', 'of', 'on', 'or', 'the', 'this', 'to', 'with'
+]);
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Lowercase and strip accents
+const fold = word => word
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+// Reduce common English plurals - deliberately light, it only has to agree
+// with itself
+const stem = (term) => {
+  if (term.length > 4 && term.endsWith('ies')) return `${term.slice(0, -3)}y`;
+  if (term.length > 4 && /(?:ss|x|z|ch|sh)es$/.test(term)) return term.slice(0, -2);
+  if (term.length > 3 && term.endsWith('s') && !/(?:ss|us|is)$/.test(term)) return term.slice(0, -1);
+  return term;
+};
+
+// Index term for a single word, or null for stop words
+const termFor = (word) => {
+  const folded = fold(word);
+  return STOP_WORDS.has(folded) ? null : stem(folded);
+};
+
+// Words with their offsets in the original text, for highlighting
+const words = (text) => {
+  const found = [];
+  
+  for (const match of String(text || '').matchAll(WORD_PATTERN)) {
+    found.push({ word: match[0], start: match.index, end: match.index + match[0].length });
+  }
+  
+  return found;
+};
+
+// The index terms in a piece of text, in order (repeats kept for term counts)
+const tokenize = text => words(text)
+  .map(({ word }) => termFor(word))
+  .filter(Boolean);
+
+module.exports = {
+  termFor,
+  tokenize,
+  words
+};
@@ -0,0 +1,129 @@
+/**
+ * Minimal CBOR (RFC 8949) decoder
+ * Covers what WebAuthn attestation objects and COSE keys use: integers, byte
+ * and text strings, arrays, maps, booleans, null and floats. Indefinite-length
+ * items and tags are rejected - authenticators must use canonical CBOR.
+ */
+
+// Decode the item at offset; returns { value, offset } where offset is just past it
+const decodeItem = (buffer, offset) => {
+  if (offset >= buffer.length) {
+    throw new Error('CBOR: unexpected end of input');
+  }
+  
+  const initial = buffer[offset];
+  const majorType = initial >> 5;
+  const additional = initial & 0x1f;
+  offset += 1;
+  
+  // Read the length / value argument
+  let argument;
+  if (additional < 24) {
+    argument = additional;
+  } else if (additional === 24) {
+    argument = buffer.readUInt8(offset);
+    offset += 1;
+  } else if (additional === 25) {
+    argument = buffer.readUInt16BE(offset);
+    offset += 2;
+  } else if (additional === 26) {
+    argument = buffer.readUInt32BE(offset);
+    offset += 4;
+  } else if (additional === 27) {
+    // For major type 7 these eight bytes are a double, read below
+    const big = buffer.readBigUInt64BE(offset);
+    if (majorType !== 7 && big > BigInt(Number.MAX_SAFE_INTEGER)) {
+      throw new Error('CBOR: integer too large');
+    }
+    argument = Number(big);
+    offset += 8;
+  } else {
+    throw new Error('CBOR: indefinite-length items are not supported');
+  }
+  
+  switch (majorType) {
+    case 0: // unsigned integer
+      return { value: argument, offset };
+    
+    case 1: // negative integer
+      return { value: -1 - argument, offset };
+    
+    case 2: { // byte string
+      const end = offset + argument;
+      if (end > buffer.length) throw new Error('CBOR: byte string out of range');
+      return { value: Buffer.from(buffer.subarray(offset, end)), offset: end };
+    }
+    
+    case 3: { // text string
+      const end = offset + argument;
+      if (end > buffer.length) throw new Error('CBOR: text string out of range');
+      return { value: buffer.toString('utf8', offset, end), offset: end };
+    }
+    
+    case 4: { // array
+      const items = [];
+      for (let i = 0; i < argument; i++) {
+        const item = decodeItem(buffer, offset);
+        items.push(item.value);
+        offset = item.offset;
+      }
+      return { value: items, offset };
+    }
+    
+    case 5: { // map - keys may be integers (COSE) so use a Map
+      const map = new Map();
+      for (let i = 0; i < argument; i++) {
+        const key = decodeItem(buffer, offset);
+        const value = decodeItem(buffer, key.offset);
+        map.set(key.value, value.value);
+        offset = value.offset;
+      }
+      return { value: map, offset };
+    }
+    
+    case 7: // simple values and floats
+      if (additional === 20) return { value: false, offset };
+      if (additional === 21) return { value: true, offset };
+      if (additional === 22 || additional === 23) return { value: null, offset };
+      if (additional === 25) return { value: halfToFloat(argument), offset };
+      if (additional === 26) return { value: buffer.readFloatBE(offset - 4), offset };
+      if (additional === 27) return { value: buffer.readDoubleBE(offset - 8), offset };
+      throw new Error('CBOR: unsupported simple value');
+    
+    default:
+      throw new Error('CBOR: tags are not supported');
+  }
+};
+
+// Convert an IEEE 754 half precision value
+const halfToFloat = (half) => {
+  const exponent = (half >> 10) & 0x1f;
+  const fraction = half & 0x3ff;
+  const sign = half & 0x8000 ? -1 : 1;
+  
+  if (exponent === 0) return sign * 2 ** -14 * (fraction / 1024);
+  if (exponent === 31) return fraction ? NaN : sign * Infinity;
+  return sign * 2 ** (exponent - 15) * (1 + fraction / 1024);
+};
+
+// Decode the first item in a buffer, returning the value and bytes consumed
+const decodeFirst = (buffer) => {
+  const { value, offset } = decodeItem(buffer, 0);
+  return { value, length: offset };
+};
+
+// Decode a buffer that must contain exactly one item
+const decode = (buffer) => {
+  const { value, length } = decodeFirst(buffer);
+  
+  if (length !== buffer.length) {
+    throw new Error('CBOR: unexpected trailing bytes');
+  }
+  
+  return value;
+};
+
+module.exports = {
+  decode,
+  decodeFirst
+};
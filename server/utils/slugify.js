@@ -0,0 +1,21 @@
+/**
+ * URL slugs for catalog entries
+ * Lowercase ASCII letters and numbers separated by single hyphens
+ */
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const slugify = (value = '') => String(value)
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 80)
+  .replace(/-+$/, '');
+
+module.exports = {
+  SLUG_PATTERN,
+  slugify
+};
@@ -0,0 +1,220 @@
+/**
+ * Two-factor authentication helpers
+ * RFC 6238 TOTP codes, recovery codes and the short-lived login challenge
+ * token issued between the password step and the second factor
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { promisify } = require('util');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// TOTP parameters (the defaults every authenticator app understands)
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30; // seconds
+const TOTP_WINDOW = 1; // accept one step of clock drift either way
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_EXPIRES_IN = '5m';
+const CHALLENGE_PURPOSE = '2fa-login';
+// Challenge issued when a risky sign-in has to be confirmed with an emailed code
+const LOGIN_CODE_PURPOSE = 'login-code';
+
+// Encode a buffer as RFC 4648 base32 without padding
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  
+  return output;
+};
+
+// Decode a base32 string (case and padding insensitive)
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character in secret');
+    }
+    
+    value = (value << 5) | index;
+    bits += 5;
+    
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  
+  return Buffer.from(bytes);
+};
+
+// Generate a new 160-bit shared secret, base32 encoded
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Compute the HOTP value for a given counter (RFC 4226)
+const hotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+  
+  const hmac = crypto
+    .createHmac('sha1', base32Decode(secret))
+    .update(counterBuffer)
+    .digest();
+  
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+  
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+};
+
+// Generate the TOTP code for the given time (defaults to now)
+const generateTOTP = (secret, timestamp = Date.now()) => {
+  return hotp(secret, Math.floor(timestamp / 1000 / TOTP_PERIOD));
+};
+
+// Find the time step a user-supplied TOTP code belongs to, tolerating small
+// clock drift. Returns null when the code doesn't match.
+const matchTOTP = (secret, code, timestamp = Date.now()) => {
+  if (!secret || typeof code !== 'string') return null;
+  
+  const normalized = code.replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null;
+  
+  const counter = Math.floor(timestamp / 1000 / TOTP_PERIOD);
+  
+  for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+    const expected = hotp(secret, counter + drift);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return counter + drift;
+    }
+  }
+  
+  return null;
+};
+
+// Verify a user-supplied TOTP code. This doesn't stop a code being used
+// twice - sign-in and account changes go through User#useTotpCode instead.
+const verifyTOTP = (secret, code, timestamp = Date.now()) => matchTOTP(secret, code, timestamp) !== null;
+
+// Build the otpauth:// URI that authenticator apps import (usually as a QR code)
+const buildOtpauthUri = (secret, accountName) => {
+  const issuer = process.env.TWO_FACTOR_ISSUER || 'Secure E-Commerce';
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD)
+  });
+  
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Hash a recovery code for storage - codes are random, so SHA-256 is sufficient
+const hashRecoveryCode = (code) => {
+  if (typeof code !== 'string') {
+    throw new TypeError('Recovery code must be a string');
+  }
+  
+  return crypto
+    .createHash('sha256')
+    .update(code.replace(/[\s-]/g, '').toLowerCase())
+    .digest('hex');
+};
+
+// Generate a fresh set of recovery codes
+// Returns the plain codes (shown to the user once) and the hashes to store
+const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => {
+  const codes = [];
+  
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  
+  return {
+    codes,
+    hashes: codes.map(code => ({ hash: hashRecoveryCode(code) }))
+  };
+};
+
+// Challenge tokens are signed with their own key, derived from JWT_SECRET, so
+// one can never be presented as an access token
+const challengeKey = () => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update('login-challenge')
+  .digest();
+
+// Sign the challenge token returned by login when a second factor is required
+const signChallengeToken = (userId, purpose = CHALLENGE_PURPOSE) => {
+  return jwt.sign(
+    { id: userId, purpose },
+    challengeKey(),
+    { expiresIn: CHALLENGE_EXPIRES_IN }
+  );
+};
+
+// Verify a challenge token and return its payload
+const verifyChallengeToken = async (token, purpose = CHALLENGE_PURPOSE) => {
+  const decoded = await promisify(jwt.verify)(token, challengeKey());
+  
+  if (decoded.purpose !== purpose) {
+    throw new Error('Invalid challenge token');
+  }
+  
+  return decoded;
+};
+
+// The account a challenge token of any purpose is for, or null when the
+// token isn't a valid one - used to key rate limits, not to authenticate
+const challengeTokenUser = (token) => {
+  if (typeof token !== 'string') return null;
+  
+  try {
+    const decoded = jwt.verify(token, challengeKey());
+    return decoded.id ? String(decoded.id) : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+module.exports = {
+  LOGIN_CODE_PURPOSE,
+  generateSecret,
+  generateTOTP,
+  matchTOTP,
+  verifyTOTP,
+  buildOtpauthUri,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  signChallengeToken,
+  verifyChallengeToken,
+  challengeTokenUser
+};
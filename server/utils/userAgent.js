@@ -0,0 +1,53 @@
+/**
+ * Minimal user agent parsing for labelling sessions and devices
+ * Only needs to be good enough for a human to recognise their own device
+ */
+
+// Checked in order - several browsers include the tokens of others
+const BROWSERS = [
+  ['Edge', /Edg(?:e|A|iOS)?\/([\d.]+)/],
+  ['Opera', /OPR\/([\d.]+)/],
+  ['Samsung Internet', /SamsungBrowser\/([\d.]+)/],
+  ['Firefox', /(?:Firefox|FxiOS)\/([\d.]+)/],
+  ['Chrome', /(?:Chrome|CriOS)\/([\d.]+)/],
+  ['Safari', /Version\/([\d.]+).*Safari/]
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/]
+];
+
+const parseUserAgent = (userAgent = '') => {
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+  
+  return {
+    browser: browser ? browser[0] : null,
+    browserVersion: browser ? userAgent.match(browser[1])[1].split('.')[0] : null,
+    os: os ? os[0] : null,
+    mobile: /Mobi|iPhone|Android.*Mobile/.test(userAgent)
+  };
+};
+
+// Human readable device label, e.g. "Chrome on Windows"
+const deviceLabel = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+  
+  const { browser, os } = parseUserAgent(userAgent);
+  
+  if (browser && os) return `${browser} on ${os}`;
+  if (browser || os) return browser || os;
+  
+  // Non-browser clients (scripts, API tools) - keep the product token
+  return userAgent.split(/[\s/]/)[0].slice(0, 50) || 'Unknown device';
+};
+
+module.exports = {
+  parseUserAgent,
+  deviceLabel
+};
@@ -0,0 +1,344 @@
+/**
+ * WebAuthn (passkey) ceremony helpers
+ * Builds registration/authentication options and verifies the browser's
+ * responses: client data, authenticator data, attestation and signatures.
+ * Supports ES256, RS256 and EdDSA credentials and the "none" and "packed"
+ * attestation formats.
+ */
+
+const crypto = require('crypto');
+const cbor = require('./cbor');
+
+// COSE algorithm identifiers we accept, in order of preference
+const COSE_ALG_ES256 = -7;
+const COSE_ALG_EDDSA = -8;
+const COSE_ALG_RS256 = -257;
+const SUPPORTED_ALGORITHMS = [COSE_ALG_ES256, COSE_ALG_EDDSA, COSE_ALG_RS256];
+
+// Authenticator data flags
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_BACKUP_ELIGIBLE = 0x08;
+const FLAG_BACKED_UP = 0x10;
+const FLAG_ATTESTED_CREDENTIAL_DATA = 0x40;
+
+const CEREMONY_TIMEOUT_MS = 5 * 60 * 1000;
+
+const toBase64Url = (buffer) => Buffer.from(buffer).toString('base64url');
+const fromBase64Url = (value) => {
+  if (typeof value !== 'string' || !/^[A-Za-z0-9_-]*$/.test(value)) {
+    throw new Error('Invalid base64url value');
+  }
+  return Buffer.from(value, 'base64url');
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+// Relying party settings from the environment
+const getRelyingParty = () => ({
+  id: process.env.WEBAUTHN_RP_ID || 'localhost',
+  name: process.env.WEBAUTHN_RP_NAME || 'Secure E-Commerce',
+  origins: (process.env.WEBAUTHN_ORIGIN || process.env.CLIENT_URL || 'http://localhost:3000')
+    .split(',')
+    .map(origin => origin.trim())
+});
+
+const generateChallenge = () => toBase64Url(crypto.randomBytes(32));
+
+// Options for navigator.credentials.create()
+const buildRegistrationOptions = ({ user, challenge, excludeCredentialIds = [] }) => {
+  const rp = getRelyingParty();
+  
+  return {
+    challenge,
+    rp: { id: rp.id, name: rp.name },
+    user: {
+      id: toBase64Url(Buffer.from(String(user._id))),
+      name: user.email,
+      displayName: user.name
+    },
+    pubKeyCredParams: SUPPORTED_ALGORITHMS.map(alg => ({ type: 'public-key', alg })),
+    timeout: CEREMONY_TIMEOUT_MS,
+    attestation: 'none',
+    authenticatorSelection: {
+      residentKey: 'preferred',
+      userVerification: 'preferred'
+    },
+    excludeCredentials: excludeCredentialIds.map(id => ({ type: 'public-key', id }))
+  };
+};
+
+// Options for navigator.credentials.get()
+// With no allowed credentials the browser offers any discoverable passkey
+const buildAuthenticationOptions = ({ challenge, allowCredentials = [] }) => ({
+  challenge,
+  rpId: getRelyingParty().id,
+  timeout: CEREMONY_TIMEOUT_MS,
+  userVerification: 'preferred',
+  allowCredentials: allowCredentials.map(({ credentialId, transports }) => ({
+    type: 'public-key',
+    id: credentialId,
+    transports
+  }))
+});
+
+// Parse and check clientDataJSON
+const verifyClientData = (clientDataJSON, expectedType, expectedChallenge) => {
+  let clientData;
+  try {
+    clientData = JSON.parse(clientDataJSON.toString('utf8'));
+  } catch (err) {
+    throw new Error('Malformed client data');
+  }
+  
+  if (clientData.type !== expectedType) {
+    throw new Error('Unexpected ceremony type');
+  }
+  
+  const challenge = Buffer.from(String(clientData.challenge));
+  const expected = Buffer.from(expectedChallenge);
+  if (challenge.length !== expected.length || !crypto.timingSafeEqual(challenge, expected)) {
+    throw new Error('Challenge mismatch');
+  }
+  
+  if (!getRelyingParty().origins.includes(clientData.origin)) {
+    throw new Error('Unexpected origin');
+  }
+  
+  if (clientData.crossOrigin === true) {
+    throw new Error('Cross-origin ceremonies are not allowed');
+  }
+  
+  return clientData;
+};
+
+// Split authenticator data into its fields
+const parseAuthenticatorData = (authData) => {
+  if (authData.length < 37) {
+    throw new Error('Authenticator data too short');
+  }
+  
+  const flags = authData[32];
+  const parsed = {
+    rpIdHash: authData.subarray(0, 32),
+    flags,
+    userPresent: Boolean(flags & FLAG_USER_PRESENT),
+    userVerified: Boolean(flags & FLAG_USER_VERIFIED),
+    backupEligible: Boolean(flags & FLAG_BACKUP_ELIGIBLE),
+    backedUp: Boolean(flags & FLAG_BACKED_UP),
+    signCount: authData.readUInt32BE(33)
+  };
+  
+  if (flags & FLAG_ATTESTED_CREDENTIAL_DATA) {
+    let offset = 37;
+    parsed.aaguid = authData.subarray(offset, offset + 16).toString('hex');
+    offset += 16;
+    
+    const credentialIdLength = authData.readUInt16BE(offset);
+    offset += 2;
+    parsed.credentialId = authData.subarray(offset, offset + credentialIdLength);
+    offset += credentialIdLength;
+    
+    const { value, length } = cbor.decodeFirst(authData.subarray(offset));
+    parsed.credentialPublicKey = value;
+    parsed.credentialPublicKeyBytes = authData.subarray(offset, offset + length);
+  }
+  
+  return parsed;
+};
+
+// Shared authenticator data checks for both ceremonies
+const checkAuthenticatorData = (parsed, requireUserVerification) => {
+  if (!parsed.rpIdHash.equals(sha256(getRelyingParty().id))) {
+    throw new Error('Relying party ID mismatch');
+  }
+  
+  if (!parsed.userPresent) {
+    throw new Error('User presence is required');
+  }
+  
+  if (requireUserVerification && !parsed.userVerified) {
+    throw new Error('User verification is required');
+  }
+};
+
+// Convert a COSE_Key map to a PEM public key
+const coseToPublicKey = (coseKey) => {
+  if (!(coseKey instanceof Map)) {
+    throw new Error('Malformed credential public key');
+  }
+  
+  const kty = coseKey.get(1);
+  const alg = coseKey.get(3);
+  let jwk;
+  
+  if (kty === 2 && alg === COSE_ALG_ES256 && coseKey.get(-1) === 1) {
+    jwk = { kty: 'EC', crv: 'P-256', x: toBase64Url(coseKey.get(-2)), y: toBase64Url(coseKey.get(-3)) };
+  } else if (kty === 1 && alg === COSE_ALG_EDDSA && coseKey.get(-1) === 6) {
+    jwk = { kty: 'OKP', crv: 'Ed25519', x: toBase64Url(coseKey.get(-2)) };
+  } else if (kty === 3 && alg === COSE_ALG_RS256) {
+    jwk = { kty: 'RSA', n: toBase64Url(coseKey.get(-1)), e: toBase64Url(coseKey.get(-2)) };
+  } else {
+    throw new Error('Unsupported credential algorithm');
+  }
+  
+  const publicKey = crypto
+    .createPublicKey({ key: jwk, format: 'jwk' })
+    .export({ type: 'spki', format: 'pem' });
+  
+  return { publicKey, algorithm: alg };
+};
+
+// Verify a signature made with a COSE algorithm
+const verifySignature = (algorithm, publicKey, data, signature) => {
+  switch (algorithm) {
+    case COSE_ALG_ES256:
+      return crypto.verify('sha256', data, { key: publicKey, dsaEncoding: 'der' }, signature);
+    case COSE_ALG_RS256:
+      return crypto.verify('sha256', data, publicKey, signature);
+    case COSE_ALG_EDDSA:
+      return crypto.verify(null, data, publicKey, signature);
+    default:
+      throw new Error('Unsupported signature algorithm');
+  }
+};
+
+// Check the attestation statement for the supported formats
+const verifyAttestation = (fmt, attStmt, authData, clientDataHash, credentialKey) => {
+  if (fmt === 'none') {
+    if (!(attStmt instanceof Map) || attStmt.size !== 0) {
+      throw new Error('Invalid "none" attestation statement');
+    }
+    return;
+  }
+  
+  if (fmt === 'packed') {
+    const alg = attStmt.get('alg');
+    const sig = attStmt.get('sig');
+    const x5c = attStmt.get('x5c');
+    const signedData = Buffer.concat([authData, clientDataHash]);
+    
+    if (!Buffer.isBuffer(sig)) {
+      throw new Error('Invalid "packed" attestation statement');
+    }
+    
+    // Full attestation - signature by the attestation certificate's key
+    if (Array.isArray(x5c) && x5c.length > 0) {
+      const certificate = new crypto.X509Certificate(x5c[0]);
+      if (!verifySignature(alg, certificate.publicKey, signedData, sig)) {
+        throw new Error('Attestation signature is invalid');
+      }
+      return;
+    }
+    
+    // Self attestation - signature by the new credential itself
+    if (alg !== credentialKey.algorithm ||
+        !verifySignature(alg, credentialKey.publicKey, signedData, sig)) {
+      throw new Error('Attestation signature is invalid');
+    }
+    return;
+  }
+  
+  throw new Error(`Unsupported attestation format: ${fmt}`);
+};
+
+/**
+ * Verify a registration (navigator.credentials.create) response
+ * @param {object} credential - PublicKeyCredential JSON with base64url fields
+ * @param {string} expectedChallenge - challenge issued for this ceremony
+ * @returns {object} credential data to store
+ */
+const verifyRegistrationResponse = (credential, expectedChallenge, { requireUserVerification = false } = {}) => {
+  if (!credential || credential.type !== 'public-key' || !credential.response) {
+    throw new Error('Malformed credential');
+  }
+  
+  const clientDataJSON = fromBase64Url(credential.response.clientDataJSON);
+  verifyClientData(clientDataJSON, 'webauthn.create', expectedChallenge);
+  
+  const attestation = cbor.decode(fromBase64Url(credential.response.attestationObject));
+  if (!(attestation instanceof Map)) {
+    throw new Error('Malformed attestation object');
+  }
+  
+  const authData = attestation.get('authData');
+  const parsed = parseAuthenticatorData(authData);
+  checkAuthenticatorData(parsed, requireUserVerification);
+  
+  if (!parsed.credentialId || !parsed.credentialPublicKey) {
+    throw new Error('Attested credential data missing');
+  }
+  
+  if (toBase64Url(parsed.credentialId) !== credential.id) {
+    throw new Error('Credential ID mismatch');
+  }
+  
+  const credentialKey = coseToPublicKey(parsed.credentialPublicKey);
+  verifyAttestation(
+    attestation.get('fmt'),
+    attestation.get('attStmt'),
+    authData,
+    sha256(clientDataJSON),
+    credentialKey
+  );
+  
+  return {
+    credentialId: credential.id,
+    publicKey: credentialKey.publicKey,
+    algorithm: credentialKey.algorithm,
+    counter: parsed.signCount,
+    aaguid: parsed.aaguid,
+    backedUp: parsed.backedUp,
+    transports: Array.isArray(credential.response.transports)
+      ? credential.response.transports.filter(transport => typeof transport === 'string').slice(0, 10)
+      : []
+  };
+};
+
+/**
+ * Verify an authentication (navigator.credentials.get) response
+ * @param {object} credential - PublicKeyCredential JSON with base64url fields
+ * @param {string} expectedChallenge - challenge issued for this ceremony
+ * @param {{ publicKey: string, algorithm: number, counter: number }} stored - the saved credential
+ * @returns {{ newCounter: number, userVerified: boolean, backedUp: boolean }}
+ */
+const verifyAuthenticationResponse = (credential, expectedChallenge, stored, { requireUserVerification = false } = {}) => {
+  if (!credential || credential.type !== 'public-key' || !credential.response) {
+    throw new Error('Malformed credential');
+  }
+  
+  const clientDataJSON = fromBase64Url(credential.response.clientDataJSON);
+  verifyClientData(clientDataJSON, 'webauthn.get', expectedChallenge);
+  
+  const authData = fromBase64Url(credential.response.authenticatorData);
+  const parsed = parseAuthenticatorData(authData);
+  checkAuthenticatorData(parsed, requireUserVerification);
+  
+  const signedData = Buffer.concat([authData, sha256(clientDataJSON)]);
+  const signature = fromBase64Url(credential.response.signature);
+  if (!verifySignature(stored.algorithm, stored.publicKey, signedData, signature)) {
+    throw new Error('Signature is invalid');
+  }
+  
+  // A counter that fails to increase suggests a cloned authenticator.
+  // Authenticators that don't keep counters (most synced passkeys) always send 0.
+  if ((parsed.signCount > 0 || stored.counter > 0) && parsed.signCount <= stored.counter) {
+    throw new Error('Signature counter did not increase - possible cloned authenticator');
+  }
+  
+  return {
+    newCounter: parsed.signCount,
+    userVerified: parsed.userVerified,
+    backedUp: parsed.backedUp
+  };
+};
+
+module.exports = {
+  generateChallenge,
+  buildRegistrationOptions,
+  buildAuthenticationOptions,
+  verifyRegistrationResponse,
+  verifyAuthenticationResponse,
+  toBase64Url,
+  fromBase64Url
+};
@@ -8,6 +8,21 @@ import ProductsPage from './pages/ProductsPage';
 import ProductDetailPage from './pages/ProductDetailPage';
 import LoginPage from './pages/LoginPage';
 import RegisterPage from './pages/RegisterPage';
+import VerifyEmailPage from './pages/VerifyEmailPage';
+import ForgotPasswordPage from './pages/ForgotPasswordPage';
+import ResetPasswordPage from './pages/ResetPasswordPage';
+import SecurityActivityPage from './pages/SecurityActivityPage';
+import PasskeysPage from './pages/PasskeysPage';
+import SocialLoginCallbackPage from './pages/SocialLoginCallbackPage';
+import MagicLinkPage from './pages/MagicLinkPage';
+import AccountPrivacyPage from './pages/AccountPrivacyPage';
+import ChangeEmailPage from './pages/ChangeEmailPage';
+import ProfilePage from './pages/ProfilePage';
+import AddressBookPage from './pages/AddressBookPage';
+import ImpersonatePage from './pages/ImpersonatePage';
+import RateLimitsPage from './pages/RateLimitsPage';
+import EmailChangeTokenPage from './pages/EmailChangeTokenPage';
+import ReportLoginPage from './pages/ReportLoginPage';
 import CartPage from './pages/CartPage';
 import CheckoutPage from './pages/CheckoutPage';
 import NotFoundPage from './pages/NotFoundPage';
@@ -37,6 +52,14 @@ const App = () => {
             <Route path="/products/:id" element={<ProductDetailPage />} />
             <Route path="/login" element={<LoginPage />} />
             <Route path="/register" element={<RegisterPage />} />
+            <Route path="/verify-email/:token" element={<VerifyEmailPage />} />
+            <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+            <Route path="/reset-password/:token" element={<ResetPasswordPage />} />
+            <Route path="/auth/callback" element={<SocialLoginCallbackPage />} />
+            <Route path="/magic-link/:token" element={<MagicLinkPage />} />
+            <Route path="/confirm-email/:token" element={<EmailChangeTokenPage action="confirm" />} />
+            <Route path="/revert-email/:token" element={<EmailChangeTokenPage action="revert" />} />
+            <Route path="/report-login/:token" element={<ReportLoginPage />} />
             <Route path="/cart" element={<CartPage />} />
             {/* Protected route for checkout */}
             <Route 
@@ -47,6 +70,70 @@ const App = () => {
                 </PrivateRoute>
               } 
             />
+            <Route 
+              path="/account/profile" 
+              element={
+                <PrivateRoute>
+                  <ProfilePage />
+                </PrivateRoute>
+              } 
+            />
+            <Route 
+              path="/account/addresses" 
+              element={
+                <PrivateRoute>
+                  <AddressBookPage />
+                </PrivateRoute>
+              } 
+            />
+            <Route 
+              path="/account/security" 
+              element={
+                <PrivateRoute>
+                  <SecurityActivityPage />
+                </PrivateRoute>
+              } 
+            />
+            <Route 
+              path="/account/passkeys" 
+              element={
+                <PrivateRoute>
+                  <PasskeysPage />
+                </PrivateRoute>
+              } 
+            />
+            <Route 
+              path="/account/privacy" 
+              element={
+                <PrivateRoute>
+                  <AccountPrivacyPage />
+                </PrivateRoute>
+              } 
+            />
+            <Route 
+              path="/account/email" 
+              element={
+                <PrivateRoute>
+                  <ChangeEmailPage />
+                </PrivateRoute>
+              } 
+            />
+            <Route 
+              path="/admin/impersonate" 
+              element={
+                <PrivateRoute>
+                  <ImpersonatePage />
+                </PrivateRoute>
+              } 
+            />
+            <Route 
+              path="/admin/rate-limits" 
+              element={
+                <PrivateRoute>
+                  <RateLimitsPage />
+                </PrivateRoute>
+              } 
+            />
             <Route path="*" element={<NotFoundPage />} />
           </Routes>
         </main>
@@ -0,0 +1,204 @@
+import React, { useState } from 'react';
+
+const EMPTY_ADDRESS = {
+  name: '',
+  addressLine1: '',
+  addressLine2: '',
+  city: '',
+  state: '',
+  postalCode: '',
+  country: '',
+  phone: '',
+  isDefault: false
+};
+
+// Address entry form shared by the address book and checkout. The server
+// validates against each country's rules and its field errors are shown inline.
+const AddressForm = ({
+  initialValues,
+  countries,
+  onSubmit,
+  onCancel,
+  submitLabel = 'Save Address',
+  showDefaultOption = true
+}) => {
+  const [values, setValues] = useState({ ...EMPTY_ADDRESS, ...initialValues });
+  const [errors, setErrors] = useState({});
+  const [formError, setFormError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  
+  const country = countries.find(item => item.code === values.country);
+  
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    
+    setValues(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value,
+      // A state from one country means nothing in another
+      ...(name === 'country' ? { state: '' } : {})
+    }));
+    
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+  
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    
+    // Only the basics are checked here - formats are the server's job
+    const missing = {};
+    ['name', 'addressLine1', 'city', 'country'].forEach(field => {
+      if (!values[field].trim()) missing[field] = 'This field is required';
+    });
+    if (country?.stateRequired && !values.state.trim()) {
+      missing.state = 'This field is required';
+    }
+    
+    if (Object.keys(missing).length > 0) {
+      setErrors(missing);
+      return;
+    }
+    
+    try {
+      setIsSubmitting(true);
+      setFormError('');
+      
+      await onSubmit(values);
+    } catch (err) {
+      const fieldErrors = err.response?.data?.errors;
+      
+      if (fieldErrors && typeof fieldErrors === 'object') {
+        setErrors(fieldErrors);
+      } else {
+        setFormError(
+          err.response?.data?.message ||
+          'Could not save the address. Please try again later.'
+        );
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+  
+  // Render a text input with its validation message
+  const field = (name, label, props = {}) => (
+    <div className="form-group">
+      <label htmlFor={`address-${name}`} className="form-label">{label}</label>
+      <input
+        type="text"
+        id={`address-${name}`}
+        name={name}
+        className={`form-control ${errors[name] ? 'is-invalid' : ''}`}
+        value={values[name]}
+        onChange={handleChange}
+        {...props}
+      />
+      {errors[name] && <div className="invalid-feedback">{errors[name]}</div>}
+    </div>
+  );
+  
+  return (
+    <form className="address-form" onSubmit={handleSubmit} noValidate>
+      {formError && (
+        <div className="alert alert-danger" role="alert">
+          {formError}
+        </div>
+      )}
+      
+      {field('name', 'Full Name', { autoComplete: 'name', required: true })}
+      
+      <div className="form-group">
+        <label htmlFor="address-country" className="form-label">Country</label>
+        <select
+          id="address-country"
+          name="country"
+          className={`form-control ${errors.country ? 'is-invalid' : ''}`}
+          value={values.country}
+          onChange={handleChange}
+          autoComplete="country"
+          required
+        >
+          <option value="">Select a country</option>
+          {countries.map(item => (
+            <option key={item.code} value={item.code}>{item.name}</option>
+          ))}
+        </select>
+        {errors.country && <div className="invalid-feedback">{errors.country}</div>}
+      </div>
+      
+      {field('addressLine1', 'Address Line 1', { autoComplete: 'address-line1', required: true })}
+      {field('addressLine2', 'Address Line 2 (optional)', { autoComplete: 'address-line2' })}
+      {field('city', 'City', { autoComplete: 'address-level2', required: true })}
+      
+      {country?.stateLabel && (country.states ? (
+        <div className="form-group">
+          <label htmlFor="address-state" className="form-label">{country.stateLabel}</label>
+          <select
+            id="address-state"
+            name="state"
+            className={`form-control ${errors.state ? 'is-invalid' : ''}`}
+            value={values.state}
+            onChange={handleChange}
+            autoComplete="address-level1"
+            required
+          >
+            <option value="">Select...</option>
+            {country.states.map(state => (
+              <option key={state} value={state}>{state}</option>
+            ))}
+          </select>
+          {errors.state && <div className="invalid-feedback">{errors.state}</div>}
+        </div>
+      ) : (
+        field(
+          'state',
+          country.stateRequired ? country.stateLabel : `${country.stateLabel} (optional)`,
+          { autoComplete: 'address-level1', required: country.stateRequired }
+        )
+      ))}
+      
+      {field(
+        'postalCode',
+        country?.postalCodeOptional ? 'Postal Code (optional)' : 'Postal Code',
+        {
+          autoComplete: 'postal-code',
+          placeholder: country ? `e.g. ${country.postalCodeExample}` : '',
+          required: !country?.postalCodeOptional
+        }
+      )}
+      
+      {field('phone', 'Phone (optional)', { type: 'tel', autoComplete: 'tel' })}
+      
+      {showDefaultOption && (
+        <div className="form-group form-check">
+          <input
+            type="checkbox"
+            id="address-isDefault"
+            name="isDefault"
+            className="form-check-input"
+            checked={values.isDefault}
+            onChange={handleChange}
+          />
+          <label htmlFor="address-isDefault" className="form-check-label">
+            Use as my default address
+          </label>
+        </div>
+      )}
+      
+      <div className="form-group">
+        <button type="submit" className="btn btn-primary" disabled={isSubmitting}>
+          {isSubmitting ? 'Saving...' : submitLabel}
+        </button>
+        {onCancel && (
+          <button type="button" className="btn btn-secondary" onClick={onCancel} disabled={isSubmitting}>
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+export default AddressForm;
@@ -1,9 +1,9 @@
-import React from 'react';
+import React, { useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../utils/auth';
 
 const Header = () => {
-  const { user, logout, isAuthenticated } = useAuth();
+  const { user, logout, isAuthenticated, impersonation, stopImpersonation } = useAuth();
   const navigate = useNavigate();
   
   const handleLogout = async (e) => {
@@ -12,8 +12,41 @@ const Header = () => {
     navigate('/');
   };
   
+  const handleStopImpersonation = async () => {
+    await stopImpersonation();
+    navigate('/');
+  };
+  
+  // Support sessions can't be refreshed - hand the account back when time is up
+  useEffect(() => {
+    if (!impersonation) return undefined;
+    
+    const remaining = new Date(impersonation.expiresAt).getTime() - Date.now();
+    const timer = setTimeout(async () => {
+      await stopImpersonation();
+      navigate('/');
+    }, Math.max(remaining, 0));
+    
+    return () => clearTimeout(timer);
+  }, [impersonation, stopImpersonation, navigate]);
+  
   return (
     <header className="site-header">
+      {impersonation && user && (
+        <div className="impersonation-banner" role="alert">
+          <div className="container">
+            <span>
+              Support session: you are viewing the site as <strong>{user.name}</strong> ({user.email}).
+              Changes to passwords, payment details and account settings are blocked.
+              Ends at {new Date(impersonation.expiresAt).toLocaleTimeString()}.
+            </span>
+            <button type="button" onClick={handleStopImpersonation}>
+              End Session
+            </button>
+          </div>
+        </div>
+      )}
+      
       <div className="container">
         <div className="logo">
           <Link to="/">Secure E-Commerce</Link>
@@ -27,6 +60,8 @@ const Header = () => {
             {isAuthenticated ? (
               <>
                 <li><span>Welcome, {user.name}</span></li>
+                <li><Link to="/account/profile">Account</Link></li>
+                <li><Link to="/account/security">Security</Link></li>
                 <li><button onClick={handleLogout}>Logout</button></li>
               </>
             ) : (
@@ -9,11 +9,13 @@ const ProductCard = ({ product }) => {
     name = '',
     price = 0,
     description = '',
-    image = '',
+    images = [],
     rating = 0,
     inStock = false
   } = product || {};
   
+  const image = images[0];
+  
   // Sanitize text content to prevent XSS
   const sanitizedName = securityUtils.sanitizeOutput(name);
   const sanitizedDescription = securityUtils.sanitizeOutput(description);
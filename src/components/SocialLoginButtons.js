@@ -0,0 +1,59 @@
+import React, { useState, useEffect } from 'react';
+import { secureApiClient } from '../utils/apiClient';
+
+// "Continue with ..." buttons for the identity providers the server has configured
+const SocialLoginButtons = ({ returnTo = '/' }) => {
+  const [providers, setProviders] = useState([]);
+  
+  useEffect(() => {
+    let cancelled = false;
+    
+    const fetchProviders = async () => {
+      try {
+        const response = await secureApiClient.get('/auth/oidc/providers');
+        
+        // Validate response structure before setting state
+        if (!cancelled && Array.isArray(response.data?.data?.providers)) {
+          setProviders(response.data.data.providers);
+        }
+      } catch (err) {
+        // Social login is optional - the password form still works
+        console.error('Error fetching sign-in providers:', err);
+      }
+    };
+    
+    fetchProviders();
+    
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+  
+  if (providers.length === 0) return null;
+  
+  // The login starts with a full-page redirect through the API
+  const startLogin = (providerId) => {
+    const query = new URLSearchParams({ returnTo });
+    window.location.assign(
+      `${secureApiClient.defaults.baseURL}/auth/oidc/${encodeURIComponent(providerId)}/start?${query}`
+    );
+  };
+  
+  return (
+    <div className="social-login">
+      <p className="social-login-divider">or</p>
+      {providers.map(provider => (
+        <button
+          key={provider.id}
+          type="button"
+          className={`btn btn-secondary social-login-button social-login-${provider.id}`}
+          onClick={() => startLogin(provider.id)}
+        >
+          Continue with {provider.name}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default SocialLoginButtons;
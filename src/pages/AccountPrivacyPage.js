@@ -0,0 +1,171 @@
+import React, { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import { secureApiClient } from '../utils/apiClient';
+import { useAuth } from '../utils/auth';
+
+const AccountPrivacyPage = () => {
+  const [exportError, setExportError] = useState('');
+  const [isExporting, setIsExporting] = useState(false);
+  
+  // Account deletion form state
+  const [password, setPassword] = useState('');
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const [deleteError, setDeleteError] = useState('');
+  const [isDeleting, setIsDeleting] = useState(false);
+  
+  const { logout } = useAuth();
+  const navigate = useNavigate();
+  
+  // Download the account archive as a JSON file
+  const handleExport = async () => {
+    try {
+      setIsExporting(true);
+      setExportError('');
+      
+      const response = await secureApiClient.get('/users/me/export', { responseType: 'blob' });
+      
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `account-export-${new Date().toISOString().slice(0, 10)}.json`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setExportError(
+        err.response?.status === 429
+          ? 'Too many export requests. Please try again later.'
+          : 'Could not export your data. Please try again later.'
+      );
+    } finally {
+      setIsExporting(false);
+    }
+  };
+  
+  // Request account deletion
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    
+    if (!password || !confirmDelete) {
+      setDeleteError('Please enter your password and confirm that you want to delete your account');
+      return;
+    }
+    
+    try {
+      setIsDeleting(true);
+      setDeleteError('');
+      
+      await secureApiClient.delete('/users/me', { data: { password } });
+      
+      await logout();
+      navigate('/', { replace: true });
+    } catch (err) {
+      setDeleteError(
+        err.response?.data?.message ||
+        'Could not delete your account. Please try again later.'
+      );
+      setPassword('');
+    } finally {
+      setIsDeleting(false);
+    }
+  };
+  
+  return (
+    <>
+      <Helmet>
+        <title>Privacy - Secure E-Commerce</title>
+        <meta name="robots" content="noindex, nofollow" />
+      </Helmet>
+      
+      <div className="account-privacy-page">
+        <div className="container">
+          <h1>Your Data</h1>
+          
+          <section>
+            <h2>Download your data</h2>
+            <p>
+              Get a copy of your profile, addresses, orders, consents and security activity as a
+              JSON file.
+            </p>
+            
+            {exportError && (
+              <div className="alert alert-danger" role="alert">
+                {exportError}
+              </div>
+            )}
+            
+            <button
+              type="button"
+              className="btn btn-primary"
+              onClick={handleExport}
+              disabled={isExporting}
+            >
+              {isExporting ? 'Preparing...' : 'Download My Data'}
+            </button>
+          </section>
+          
+          <section className="danger-zone">
+            <h2>Delete your account</h2>
+            <p>
+              Your account is deactivated straight away and your personal data is erased after a
+              grace period. Records of past orders are kept as the law requires, without your
+              personal details.
+            </p>
+            
+            {deleteError && (
+              <div className="alert alert-danger" role="alert">
+                {deleteError}
+              </div>
+            )}
+            
+            <form onSubmit={handleDelete}>
+              <div className="form-group">
+                <label htmlFor="deletePassword" className="form-label">Password</label>
+                <input
+                  type="password"
+                  id="deletePassword"
+                  className="form-control"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  required
+                  autoComplete="current-password"
+                />
+              </div>
+              
+              <div className="form-group form-check">
+                <input
+                  type="checkbox"
+                  id="confirmDelete"
+                  className="form-check-input"
+                  checked={confirmDelete}
+                  onChange={(e) => setConfirmDelete(e.target.checked)}
+                />
+                <label htmlFor="confirmDelete" className="form-check-label">
+                  I understand that my account will be permanently deleted
+                </label>
+              </div>
+              
+              <div className="form-group">
+                <button
+                  type="submit"
+                  className="btn btn-danger"
+                  disabled={isDeleting || !confirmDelete}
+                >
+                  {isDeleting ? 'Deleting...' : 'Delete My Account'}
+                </button>
+              </div>
+            </form>
+          </section>
+          
+          <p>
+            <Link to="/account/security">Back to security activity</Link>
+          </p>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default AccountPrivacyPage;
@@ -0,0 +1,164 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import AddressForm from '../components/AddressForm';
+import { useAddressBook, formatAddress } from '../utils/addresses';
+
+const AddressBookPage = () => {
+  const {
+    addresses,
+    countries,
+    loading,
+    error,
+    addAddress,
+    updateAddress,
+    removeAddress,
+    makeDefault
+  } = useAddressBook();
+  
+  // 'new', an address id being edited, or null
+  const [editing, setEditing] = useState(null);
+  const [message, setMessage] = useState('');
+  const [actionError, setActionError] = useState('');
+  
+  const startEditing = (id) => {
+    setEditing(id);
+    setMessage('');
+    setActionError('');
+  };
+  
+  // AddressForm shows field errors itself, so let save failures propagate
+  const handleSave = async (values) => {
+    if (editing === 'new') {
+      await addAddress(values);
+      setMessage('Address added.');
+    } else {
+      await updateAddress(editing, values);
+      setMessage('Address updated.');
+    }
+    setEditing(null);
+  };
+  
+  const handleMakeDefault = async (address) => {
+    try {
+      setActionError('');
+      await makeDefault(address._id);
+      setMessage('Default address updated.');
+    } catch (err) {
+      setActionError(err.response?.data?.message || 'Could not update the address. Please try again.');
+    }
+  };
+  
+  const handleDelete = async (address) => {
+    if (!window.confirm(`Remove the address at ${address.addressLine1}?`)) return;
+    
+    try {
+      setActionError('');
+      await removeAddress(address._id);
+      setMessage('Address removed.');
+    } catch (err) {
+      setActionError(err.response?.data?.message || 'Could not remove the address. Please try again.');
+    }
+  };
+  
+  const editingAddress = addresses.find(address => address._id === editing);
+  
+  return (
+    <>
+      <Helmet>
+        <title>Address Book - Secure E-Commerce</title>
+        <meta name="robots" content="noindex, nofollow" />
+      </Helmet>
+      
+      <div className="address-book-page">
+        <div className="container">
+          <h1>Address Book</h1>
+          
+          {message && (
+            <div className="alert alert-success" role="status">
+              {message}
+            </div>
+          )}
+          
+          {(error || actionError) && (
+            <div className="alert alert-danger" role="alert">
+              {error || actionError}
+            </div>
+          )}
+          
+          {loading ? (
+            <div className="loading-spinner">
+              <p>Loading addresses...</p>
+            </div>
+          ) : editing ? (
+            <div className="form-container">
+              <h2>{editing === 'new' ? 'Add an address' : 'Edit address'}</h2>
+              <AddressForm
+                key={editing}
+                initialValues={editingAddress}
+                countries={countries}
+                onSubmit={handleSave}
+                onCancel={() => setEditing(null)}
+                showDefaultOption={!editingAddress?.isDefault}
+              />
+            </div>
+          ) : (
+            <>
+              {addresses.length === 0 ? (
+                <p>You haven't saved any addresses yet.</p>
+              ) : (
+                <ul className="address-list">
+                  {addresses.map(address => (
+                    <li key={address._id} className="address-item">
+                      <div>
+                        <strong>{address.name}</strong>
+                        {address.isDefault && <span className="address-default">Default</span>}
+                        <div className="address-meta">{formatAddress(address)}</div>
+                        {address.phone && <div className="address-meta">{address.phone}</div>}
+                      </div>
+                      <div className="address-actions">
+                        {!address.isDefault && (
+                          <button
+                            type="button"
+                            className="btn btn-secondary"
+                            onClick={() => handleMakeDefault(address)}
+                          >
+                            Make Default
+                          </button>
+                        )}
+                        <button
+                          type="button"
+                          className="btn btn-secondary"
+                          onClick={() => startEditing(address._id)}
+                        >
+                          Edit
+                        </button>
+                        <button
+                          type="button"
+                          className="btn btn-danger"
+                          onClick={() => handleDelete(address)}
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              
+              <button type="button" className="btn btn-primary" onClick={() => startEditing('new')}>
+                Add Address
+              </button>
+            </>
+          )}
+          
+          <p>
+            <Link to="/account/profile">Back to your profile</Link>
+          </p>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default AddressBookPage;
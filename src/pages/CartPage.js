@@ -183,14 +183,6 @@ const CartPage = () => {
     }).format(price);
   };
   
-  // Security nonce for checkout form
-  const [csrfToken, setCsrfToken] = useState('');
-  
-  useEffect(() => {
-    // Generate a CSRF token for checkout form
-    setCsrfToken(securityUtils.generateNonce());
-  }, []);
-  
   return (
     <>
       <Helmet>
@@ -321,9 +313,6 @@ const CartPage = () => {
                 </div>
                 
                 <form onSubmit={(e) => e.preventDefault()}>
-                  {/* Hidden CSRF token for security */}
-                  <input type="hidden" name="csrf_token" value={csrfToken} />
-                  
                   <button 
                     type="button"
                     className="btn btn-primary checkout-btn"
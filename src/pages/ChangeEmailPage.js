@@ -0,0 +1,128 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import { secureApiClient } from '../utils/apiClient';
+import { useAuth } from '../utils/auth';
+
+const ChangeEmailPage = () => {
+  const [newEmail, setNewEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  
+  const { user } = useAuth();
+  
+  // Ask for a confirmation link at the new address
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    
+    if (!newEmail || !password) {
+      setError('Please enter your new email address and current password');
+      return;
+    }
+    
+    try {
+      setIsSubmitting(true);
+      setError('');
+      setMessage('');
+      
+      const response = await secureApiClient.post('/users/me/email', { newEmail, password });
+      setMessage(response.data.message);
+      setNewEmail('');
+    } catch (err) {
+      if (err.response?.status === 429) {
+        setError('Too many requests. Please try again later.');
+      } else {
+        setError(
+          err.response?.data?.message ||
+          'Could not change your email. Please try again later.'
+        );
+      }
+    } finally {
+      setPassword('');
+      setIsSubmitting(false);
+    }
+  };
+  
+  return (
+    <>
+      <Helmet>
+        <title>Change Email - Secure E-Commerce</title>
+        <meta name="robots" content="noindex, nofollow" />
+      </Helmet>
+      
+      <div className="change-email-page">
+        <div className="container">
+          <div className="form-container">
+            <h1>Change Email Address</h1>
+            
+            {user?.email && (
+              <p>Your current email address is <strong>{user.email}</strong>.</p>
+            )}
+            <p>
+              We'll send a confirmation link to the new address and let your current address
+              know about the change. Nothing changes until the link is opened.
+            </p>
+            
+            {message && (
+              <div className="alert alert-success" role="status">
+                {message}
+              </div>
+            )}
+            
+            {error && (
+              <div className="alert alert-danger" role="alert">
+                {error}
+              </div>
+            )}
+            
+            <form onSubmit={handleSubmit}>
+              <div className="form-group">
+                <label htmlFor="newEmail" className="form-label">New Email Address</label>
+                <input
+                  type="email"
+                  id="newEmail"
+                  className="form-control"
+                  value={newEmail}
+                  onChange={(e) => setNewEmail(e.target.value)}
+                  required
+                  autoComplete="email"
+                />
+              </div>
+              
+              <div className="form-group">
+                <label htmlFor="password" className="form-label">Current Password</label>
+                <input
+                  type="password"
+                  id="password"
+                  className="form-control"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  required
+                  autoComplete="current-password"
+                />
+              </div>
+              
+              <div className="form-group">
+                <button
+                  type="submit"
+                  className="btn btn-primary"
+                  disabled={isSubmitting}
+                >
+                  {isSubmitting ? 'Sending...' : 'Send Confirmation Link'}
+                </button>
+              </div>
+            </form>
+            
+            <p>
+              <Link to="/account/security">Back to security activity</Link>
+            </p>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default ChangeEmailPage;
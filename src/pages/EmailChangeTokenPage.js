@@ -0,0 +1,91 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import { secureApiClient } from '../utils/apiClient';
+
+// Handles both links from an email change: confirming the new address and
+// reverting from the old one
+const EmailChangeTokenPage = ({ action }) => {
+  // One of: working, success, error
+  const [status, setStatus] = useState('working');
+  const [message, setMessage] = useState('');
+  
+  const { token } = useParams();
+  const isRevert = action === 'revert';
+  
+  // Tokens are single use, so guard against the effect running twice
+  const hasRequested = useRef(false);
+  
+  useEffect(() => {
+    if (hasRequested.current) return;
+    hasRequested.current = true;
+    
+    const submit = async () => {
+      // Input validation
+      if (!token || !/^[a-f0-9]{64}$/i.test(token)) {
+        setStatus('error');
+        setMessage('This link is invalid.');
+        return;
+      }
+      
+      try {
+        const path = isRevert ? 'revert-email' : 'confirm-email';
+        const response = await secureApiClient.post(`/users/${path}/${token}`);
+        setStatus('success');
+        setMessage(response.data.message);
+      } catch (err) {
+        setStatus('error');
+        setMessage(
+          err.response?.data?.message ||
+          'Something went wrong. Please try again later.'
+        );
+      }
+    };
+    
+    submit();
+  }, [token, isRevert]);
+  
+  return (
+    <>
+      <Helmet>
+        <title>{isRevert ? 'Restore Email' : 'Confirm Email'} - Secure E-Commerce</title>
+        <meta name="robots" content="noindex, nofollow" />
+      </Helmet>
+      
+      <div className="email-change-page">
+        <div className="container">
+          <div className="form-container">
+            <h1>{isRevert ? 'Restore Email Address' : 'Confirm Email Address'}</h1>
+            
+            {status === 'working' && (
+              <div className="loading-spinner">
+                <p>{isRevert ? 'Restoring your email address...' : 'Confirming your new email address...'}</p>
+              </div>
+            )}
+            
+            {status === 'success' && (
+              <>
+                <div className="alert alert-success" role="status">
+                  {message}
+                </div>
+                {isRevert ? (
+                  <Link to="/forgot-password" className="btn btn-primary">Reset Password</Link>
+                ) : (
+                  <Link to="/login" className="btn btn-primary">Continue to Login</Link>
+                )}
+              </>
+            )}
+            
+            {status === 'error' && (
+              <div className="alert alert-danger" role="alert">
+                {message}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default EmailChangeTokenPage;
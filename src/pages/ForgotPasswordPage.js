@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import { postWithProofOfWork } from '../utils/proofOfWork';
+
+// Ask for a password reset link by email
+const ForgotPasswordPage = () => {
+  const [email, setEmail] = useState('');
+  const [errorMessage, setErrorMessage] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  
+  // Set while solving a proof-of-work check the server asked for
+  const [isCheckingSecurity, setIsCheckingSecurity] = useState(false);
+  
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    
+    // Input validation
+    if (!email) {
+      setErrorMessage('Please enter your email address');
+      return;
+    }
+    
+    if (!/\S+@\S+\.\S+/.test(email)) {
+      setErrorMessage('Please enter a valid email address');
+      return;
+    }
+    
+    try {
+      setIsSubmitting(true);
+      setErrorMessage('');
+      setSuccessMessage('');
+      
+      await postWithProofOfWork('/auth/forgot-password', { email }, {
+        onChallenge: () => setIsCheckingSecurity(true)
+      });
+      
+      setSuccessMessage('Check your inbox for a link to reset your password.');
+    } catch (err) {
+      if (err.response?.status === 429) {
+        setErrorMessage('Too many requests. Please try again later.');
+      } else {
+        setErrorMessage(
+          err.response?.data?.message ||
+          'Could not send a reset link. Please try again later.'
+        );
+      }
+    } finally {
+      setIsSubmitting(false);
+      setIsCheckingSecurity(false);
+    }
+  };
+  
+  return (
+    <>
+      <Helmet>
+        <title>Forgot Password - Secure E-Commerce</title>
+        <meta name="robots" content="noindex, nofollow" />
+      </Helmet>
+      
+      <div className="forgot-password-page">
+        <div className="container">
+          <div className="form-container">
+            <h1>Forgot Password</h1>
+            
+            {errorMessage && (
+              <div className="alert alert-danger" role="alert">
+                {errorMessage}
+              </div>
+            )}
+            
+            {successMessage ? (
+              <>
+                <div className="alert alert-success" role="status">
+                  {successMessage}
+                </div>
+                <Link to="/login" className="btn btn-primary">Back to Login</Link>
+              </>
+            ) : (
+              <form onSubmit={handleSubmit}>
+                <p>Enter the email address for your account and we'll send you a link to choose a new password.</p>
+                
+                <div className="form-group">
+                  <label htmlFor="email" className="form-label">Email Address</label>
+                  <input
+                    type="email"
+                    id="email"
+                    name="email"
+                    className="form-control"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    required
+                    autoFocus
+                    autoComplete="username"
+                  />
+                </div>
+                
+                <div className="form-group">
+                  <button
+                    type="submit"
+                    className="btn btn-primary"
+                    disabled={isSubmitting}
+                  >
+                    {isCheckingSecurity
+                      ? 'Running a quick security check...'
+                      : isSubmitting ? 'Sending...' : 'Send Reset Link'}
+                  </button>
+                </div>
+                
+                <div className="form-footer">
+                  <p>
+                    Remembered it? <Link to="/login">Back to login</Link>
+                  </p>
+                </div>
+              </form>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default ForgotPasswordPage;
@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import { useAuth } from '../utils/auth';
+
+// Staff tool to view the site as a customer. The server checks the
+// users:impersonate permission and logs the session in both accounts.
+const ImpersonatePage = () => {
+  const [email, setEmail] = useState('');
+  const [reason, setReason] = useState('');
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  
+  const { startImpersonation } = useAuth();
+  const navigate = useNavigate();
+  
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    
+    if (!email || !reason.trim()) {
+      setError('Please enter the customer email and a reason');
+      return;
+    }
+    
+    try {
+      setIsSubmitting(true);
+      setError('');
+      
+      await startImpersonation(email, reason.trim());
+      navigate('/cart');
+    } catch (err) {
+      setError(
+        err.response?.data?.message ||
+        'Could not start the support session. Please try again later.'
+      );
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+  
+  return (
+    <>
+      <Helmet>
+        <title>View as Customer - Secure E-Commerce</title>
+        <meta name="robots" content="noindex, nofollow" />
+      </Helmet>
+      
+      <div className="impersonate-page">
+        <div className="container">
+          <div className="form-container">
+            <h1>View as Customer</h1>
+            <p>
+              See the shop exactly as a customer does to reproduce a problem they reported. The
+              session is short, read-mostly and recorded in the customer's security log.
+            </p>
+            
+            {error && (
+              <div className="alert alert-danger" role="alert">
+                {error}
+              </div>
+            )}
+            
+            <form onSubmit={handleSubmit}>
+              <div className="form-group">
+                <label htmlFor="email" className="form-label">Customer Email</label>
+                <input
+                  type="email"
+                  id="email"
+                  className="form-control"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  required
+                  autoComplete="off"
+                />
+              </div>
+              
+              <div className="form-group">
+                <label htmlFor="reason" className="form-label">Reason</label>
+                <input
+                  type="text"
+                  id="reason"
+                  className="form-control"
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  maxLength={200}
+                  placeholder="e.g. Ticket #1234 - cart total looks wrong"
+                  required
+                />
+              </div>
+              
+              <div className="form-group">
+                <button type="submit" className="btn btn-primary" disabled={isSubmitting}>
+                  {isSubmitting ? 'Starting...' : 'Start Support Session'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default ImpersonatePage;
@@ -2,6 +2,9 @@ import React, { useState, useEffect } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { Helmet } from 'react-helmet';
 import { useAuth } from '../utils/auth';
+import { secureApiClient } from '../utils/apiClient';
+import { isPasskeySupported } from '../utils/webauthn';
+import SocialLoginButtons from '../components/SocialLoginButtons';
 
 const LoginPage = () => {
   const [email, setEmail] = useState('');
@@ -9,10 +12,33 @@ const LoginPage = () => {
   const [errorMessage, setErrorMessage] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
   
-  const { login, error, isAuthenticated } = useAuth();
+  // Set while solving a proof-of-work check the server asked for
+  const [isCheckingSecurity, setIsCheckingSecurity] = useState(false);
+  
   const navigate = useNavigate();
   const location = useLocation();
   
+  // Two-factor step state - a social login can arrive here already at this step
+  const [challengeToken, setChallengeToken] = useState(
+    location.state?.twoFactor?.challengeToken || null
+  );
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [twoFactorMethods, setTwoFactorMethods] = useState(
+    location.state?.twoFactor?.twoFactorMethods || []
+  );
+  const [challengeMessage, setChallengeMessage] = useState('');
+  
+  // An unusual sign-in without 2FA is confirmed with a code sent by email
+  const emailChallenge = twoFactorMethods.includes('email');
+  
+  // Magic link state
+  const [useMagicLink, setUseMagicLink] = useState(false);
+  const [magicLinkMessage, setMagicLinkMessage] = useState('');
+  
+  const { login, verifyTwoFactor, loginWithPasskey, error, isAuthenticated } = useAuth();
+  const passkeysAvailable = isPasskeySupported();
+  
   // Get return URL from location state or default to home page
   const from = location.state?.from?.pathname || '/';
   
@@ -46,7 +72,19 @@ const LoginPage = () => {
       setErrorMessage('');
       
       // Call the login function from auth context
-      await login(email, password);
+      const result = await login(email, password, {
+        onChallenge: () => setIsCheckingSecurity(true)
+      });
+      
+      // Ask for the second factor before continuing
+      if (result?.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
+        setTwoFactorMethods(result.twoFactorMethods);
+        setChallengeMessage(result.message || '');
+        setUseRecoveryCode(false);
+        setPassword('');
+        return;
+      }
       
       // Redirect to the page the user was trying to access
       navigate(from, { replace: true });
@@ -67,11 +105,115 @@ const LoginPage = () => {
       
       // Clear password field for security
       setPassword('');
+    } finally {
+      setIsSubmitting(false);
+      setIsCheckingSecurity(false);
+    }
+  };
+  
+  // Handle second factor submission
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    
+    if (!twoFactorCode) {
+      setErrorMessage('Please enter your authentication code');
+      return;
+    }
+    
+    try {
+      setIsSubmitting(true);
+      setErrorMessage('');
+      
+      let factor = { code: twoFactorCode };
+      if (emailChallenge) factor = { emailCode: twoFactorCode };
+      else if (useRecoveryCode) factor = { recoveryCode: twoFactorCode };
+      
+      await verifyTwoFactor(challengeToken, factor);
+      
+      navigate(from, { replace: true });
+    } catch (err) {
+      // An expired challenge means starting over from the password step
+      if (err.response?.status === 401 && /expired/i.test(err.response?.data?.message || '')) {
+        setChallengeToken(null);
+      }
+      
+      setErrorMessage(
+        err.response?.data?.message ||
+        'Verification failed. Please try again.'
+      );
+      setTwoFactorCode('');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+  
+  // Sign in with a passkey, as the second factor when a challenge is pending
+  const handlePasskeyLogin = async () => {
+    try {
+      setIsSubmitting(true);
+      setErrorMessage('');
+      
+      await loginWithPasskey(challengeToken || undefined);
+      
+      navigate(from, { replace: true });
+    } catch (err) {
+      // The user dismissed the browser prompt or it timed out
+      if (err.name === 'NotAllowedError' || err.name === 'AbortError') {
+        setErrorMessage('Passkey sign-in was cancelled.');
+        return;
+      }
+      
+      if (err.response?.status === 401 && /expired/i.test(err.response?.data?.message || '')) {
+        setChallengeToken(null);
+      }
+      
+      setErrorMessage(
+        err.response?.data?.message ||
+        'Passkey sign-in failed. Please try again.'
+      );
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+  
+  // Email a single-use sign-in link instead of using the password
+  const handleMagicLinkSubmit = async (e) => {
+    e.preventDefault();
+    
+    if (!email) {
+      setErrorMessage('Please enter your email address');
+      return;
+    }
+    
+    try {
+      setIsSubmitting(true);
+      setErrorMessage('');
+      setMagicLinkMessage('');
+      
+      const response = await secureApiClient.post('/auth/magic-link', { email });
+      setMagicLinkMessage(response.data.message);
+    } catch (err) {
+      if (err.response?.status === 429) {
+        setErrorMessage('Too many requests. Please try again later.');
+      } else {
+        setErrorMessage(
+          err.response?.data?.message ||
+          'Could not send a sign-in link. Please try again later.'
+        );
+      }
     } finally {
       setIsSubmitting(false);
     }
   };
   
+  // Switch between the password and magic link forms
+  const toggleMagicLink = () => {
+    setUseMagicLink(!useMagicLink);
+    setErrorMessage('');
+    setMagicLinkMessage('');
+    setPassword('');
+  };
+  
   // Handle input changes with validation
   const handleEmailChange = (e) => {
     setEmail(e.target.value);
@@ -127,6 +269,123 @@ const LoginPage = () => {
               <div className="alert alert-warning">
                 <p>Too many failed login attempts. Please try again in 5 minutes.</p>
               </div>
+            ) : challengeToken ? (
+              <form onSubmit={handleTwoFactorSubmit}>
+                {emailChallenge && challengeMessage && (
+                  <div className="alert alert-info" role="status">
+                    {challengeMessage}
+                  </div>
+                )}
+                
+                <div className="form-group">
+                  <label htmlFor="twoFactorCode" className="form-label">
+                    {emailChallenge
+                      ? 'Verification Code'
+                      : useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+                  </label>
+                  <input
+                    type="text"
+                    id="twoFactorCode"
+                    className="form-control"
+                    value={twoFactorCode}
+                    onChange={(e) => setTwoFactorCode(e.target.value)}
+                    required
+                    autoComplete="one-time-code"
+                    inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                    maxLength={useRecoveryCode ? 11 : 6}
+                    autoFocus
+                  />
+                  <small className="form-text text-muted">
+                    {emailChallenge
+                      ? 'This sign-in looks different from usual. Enter the 6-digit code we emailed you.'
+                      : useRecoveryCode
+                        ? 'Enter one of the recovery codes you saved when enabling two-factor authentication.'
+                        : 'Enter the 6-digit code from your authenticator app.'}
+                  </small>
+                </div>
+                
+                <div className="form-group">
+                  <button 
+                    type="submit" 
+                    className="btn btn-primary" 
+                    disabled={isSubmitting}
+                  >
+                    {isSubmitting ? 'Verifying...' : 'Verify'}
+                  </button>
+                </div>
+                
+                <div className="form-footer">
+                  {!emailChallenge && (
+                    <p>
+                      <button
+                        type="button"
+                        className="btn-link"
+                        onClick={() => {
+                          setUseRecoveryCode(!useRecoveryCode);
+                          setTwoFactorCode('');
+                        }}
+                      >
+                        {useRecoveryCode ? 'Use authenticator app instead' : 'Use a recovery code'}
+                      </button>
+                    </p>
+                  )}
+                  {passkeysAvailable && twoFactorMethods.includes('passkey') && (
+                    <p>
+                      <button
+                        type="button"
+                        className="btn-link"
+                        onClick={handlePasskeyLogin}
+                        disabled={isSubmitting}
+                      >
+                        Use a passkey
+                      </button>
+                    </p>
+                  )}
+                </div>
+              </form>
+            ) : useMagicLink ? (
+              <form onSubmit={handleMagicLinkSubmit}>
+                {magicLinkMessage && (
+                  <div className="alert alert-success" role="status">
+                    {magicLinkMessage}
+                  </div>
+                )}
+                
+                <div className="form-group">
+                  <label htmlFor="email" className="form-label">Email Address</label>
+                  <input
+                    type="email"
+                    id="email"
+                    className="form-control"
+                    value={email}
+                    onChange={handleEmailChange}
+                    required
+                    autoComplete="username"
+                    autoFocus
+                  />
+                  <small className="form-text text-muted">
+                    We'll email you a link that signs you in without a password.
+                  </small>
+                </div>
+                
+                <div className="form-group">
+                  <button
+                    type="submit"
+                    className="btn btn-primary"
+                    disabled={isSubmitting}
+                  >
+                    {isSubmitting ? 'Sending...' : 'Email Me a Link'}
+                  </button>
+                </div>
+                
+                <div className="form-footer">
+                  <p>
+                    <button type="button" className="btn-link" onClick={toggleMagicLink}>
+                      Use your password instead
+                    </button>
+                  </p>
+                </div>
+              </form>
             ) : (
               <form onSubmit={handleSubmit}>
                 <div className="form-group">
@@ -163,10 +422,27 @@ const LoginPage = () => {
                     className="btn btn-primary" 
                     disabled={isSubmitting || isLocked}
                   >
-                    {isSubmitting ? 'Logging in...' : 'Login'}
+                    {isCheckingSecurity
+                      ? 'Running a quick security check...'
+                      : isSubmitting ? 'Logging in...' : 'Login'}
                   </button>
                 </div>
                 
+                {passkeysAvailable && (
+                  <div className="form-group">
+                    <button
+                      type="button"
+                      className="btn btn-secondary"
+                      onClick={handlePasskeyLogin}
+                      disabled={isSubmitting || isLocked}
+                    >
+                      Sign in with a passkey
+                    </button>
+                  </div>
+                )}
+                
+                <SocialLoginButtons returnTo={from} />
+                
                 <div className="form-footer">
                   <p>
                     Don't have an account? <Link to="/register">Register here</Link>
@@ -174,6 +450,11 @@ const LoginPage = () => {
                   <p>
                     <Link to="/forgot-password">Forgot password?</Link>
                   </p>
+                  <p>
+                    <button type="button" className="btn-link" onClick={toggleMagicLink}>
+                      Email me a link
+                    </button>
+                  </p>
                 </div>
               </form>
             )}
@@ -0,0 +1,89 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import { useAuth } from '../utils/auth';
+
+const MagicLinkPage = () => {
+  const [errorMessage, setErrorMessage] = useState('');
+  
+  const { token } = useParams();
+  const { loginWithMagicLink } = useAuth();
+  const navigate = useNavigate();
+  
+  // Links are single use, so guard against the effect running twice
+  const hasRequested = useRef(false);
+  
+  // Sign in with the token from the email link
+  useEffect(() => {
+    if (hasRequested.current) return;
+    hasRequested.current = true;
+    
+    const signIn = async () => {
+      // Input validation
+      if (!token || !/^[a-f0-9]{64}$/i.test(token)) {
+        setErrorMessage('This sign-in link is invalid.');
+        return;
+      }
+      
+      try {
+        const result = await loginWithMagicLink(token);
+        
+        // Finish on the login page's second-factor step
+        if (result?.twoFactorRequired) {
+          navigate('/login', {
+            replace: true,
+            state: {
+              twoFactor: {
+                challengeToken: result.challengeToken,
+                twoFactorMethods: result.twoFactorMethods
+              }
+            }
+          });
+          return;
+        }
+        
+        navigate('/', { replace: true });
+      } catch (err) {
+        setErrorMessage(
+          err.response?.status === 429
+            ? 'Too many attempts. Please try again later.'
+            : err.response?.data?.message || 'We could not sign you in. Please try again later.'
+        );
+      }
+    };
+    
+    signIn();
+  }, [token]);
+  
+  return (
+    <>
+      <Helmet>
+        <title>Signing In - Secure E-Commerce</title>
+        <meta name="robots" content="noindex, nofollow" />
+      </Helmet>
+      
+      <div className="magic-link-page">
+        <div className="container">
+          <div className="form-container">
+            <h1>Sign In</h1>
+            
+            {errorMessage ? (
+              <>
+                <div className="alert alert-danger" role="alert">
+                  {errorMessage}
+                </div>
+                <Link to="/login" className="btn btn-primary">Back to Login</Link>
+              </>
+            ) : (
+              <div className="loading-spinner">
+                <p>Signing you in...</p>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default MagicLinkPage;
@@ -0,0 +1,196 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import { secureApiClient } from '../utils/apiClient';
+import { isPasskeySupported, createPasskey } from '../utils/webauthn';
+
+const PasskeysPage = () => {
+  const [passkeys, setPasskeys] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState('');
+  
+  // New passkey form state
+  const [name, setName] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  
+  const supported = isPasskeySupported();
+  
+  // Fetch the user's registered passkeys
+  const fetchPasskeys = useCallback(async () => {
+    try {
+      setLoading(true);
+      
+      const response = await secureApiClient.get('/auth/passkeys');
+      
+      // Validate response structure before setting state
+      setPasskeys(
+        response.data?.data && Array.isArray(response.data.data.passkeys)
+          ? response.data.data.passkeys
+          : []
+      );
+    } catch (err) {
+      console.error('Error fetching passkeys:', err);
+      setError('Failed to load passkeys. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+  
+  useEffect(() => {
+    fetchPasskeys();
+  }, [fetchPasskeys]);
+  
+  // Register a passkey on this device
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    
+    try {
+      setIsSubmitting(true);
+      setError(null);
+      setMessage('');
+      
+      const optionsResponse = await secureApiClient.post('/auth/passkeys/register/options');
+      const { challengeId, options } = optionsResponse.data.data;
+      
+      const credential = await createPasskey(options);
+      
+      await secureApiClient.post('/auth/passkeys/register/verify', {
+        challengeId,
+        credential,
+        name: name.trim() || undefined
+      });
+      
+      setName('');
+      setMessage('Passkey added. You can now use it to sign in.');
+      fetchPasskeys();
+    } catch (err) {
+      if (err.name === 'InvalidStateError') {
+        setError('This device already has a passkey for your account.');
+      } else if (err.name === 'NotAllowedError' || err.name === 'AbortError') {
+        setError('Passkey creation was cancelled.');
+      } else {
+        setError(err.response?.data?.message || 'Could not add passkey. Please try again.');
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+  
+  // Remove a passkey
+  const handleDelete = async (passkey) => {
+    if (!window.confirm(`Remove the passkey "${passkey.name}"?`)) return;
+    
+    try {
+      setError(null);
+      setMessage('');
+      
+      await secureApiClient.delete(`/auth/passkeys/${passkey.id}`);
+      
+      setPasskeys(passkeys.filter(item => item.id !== passkey.id));
+      setMessage('Passkey removed.');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not remove passkey. Please try again.');
+    }
+  };
+  
+  return (
+    <>
+      <Helmet>
+        <title>Passkeys - Secure E-Commerce</title>
+        <meta name="robots" content="noindex, nofollow" />
+      </Helmet>
+      
+      <div className="passkeys-page">
+        <div className="container">
+          <h1>Passkeys</h1>
+          <p>
+            Passkeys let you sign in with your fingerprint, face or device PIN instead of a
+            password. They also work as a second factor if you have two-factor authentication on.
+          </p>
+          
+          {message && (
+            <div className="alert alert-success" role="status">
+              {message}
+            </div>
+          )}
+          
+          {error && (
+            <div className="alert alert-danger" role="alert">
+              {error}
+            </div>
+          )}
+          
+          {loading ? (
+            <div className="loading-spinner">
+              <p>Loading passkeys...</p>
+            </div>
+          ) : passkeys.length === 0 ? (
+            <p>You haven't added any passkeys yet.</p>
+          ) : (
+            <ul className="passkey-list">
+              {passkeys.map(passkey => (
+                <li key={passkey.id} className="passkey-item">
+                  <div>
+                    <strong>{passkey.name}</strong>
+                    <div className="passkey-meta">
+                      Added {new Date(passkey.createdAt).toLocaleDateString()}
+                      {' · '}
+                      {passkey.lastUsedAt
+                        ? `Last used ${new Date(passkey.lastUsedAt).toLocaleString()}`
+                        : 'Never used'}
+                    </div>
+                  </div>
+                  <button
+                    type="button"
+                    className="btn-link"
+                    onClick={() => handleDelete(passkey)}
+                  >
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          
+          {supported ? (
+            <form onSubmit={handleAdd}>
+              <div className="form-group">
+                <label htmlFor="passkeyName" className="form-label">Passkey Name (optional)</label>
+                <input
+                  type="text"
+                  id="passkeyName"
+                  className="form-control"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  maxLength={50}
+                  placeholder="e.g. Work laptop"
+                />
+              </div>
+              
+              <div className="form-group">
+                <button
+                  type="submit"
+                  className="btn btn-primary"
+                  disabled={isSubmitting}
+                >
+                  {isSubmitting ? 'Waiting for your device...' : 'Add a Passkey'}
+                </button>
+              </div>
+            </form>
+          ) : (
+            <div className="alert alert-warning">
+              This browser doesn't support passkeys.
+            </div>
+          )}
+          
+          <p>
+            <Link to="/account/security">Back to security activity</Link>
+          </p>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default PasskeysPage;
@@ -1,10 +1,11 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { Link, useParams, useNavigate } from 'react-router-dom';
 import { Helmet } from 'react-helmet';
 import { secureApiClient, securityUtils } from '../utils/apiClient';
 
 const ProductDetailPage = () => {
   const [product, setProduct] = useState(null);
+  const [breadcrumbs, setBreadcrumbs] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [quantity, setQuantity] = useState(1);
@@ -36,11 +37,12 @@ const ProductDetailPage = () => {
         clearTimeout(timeoutId);
         
         // Validate response
-        if (!response || !response.data) {
+        if (!response || !response.data?.data?.product) {
           throw new Error('Invalid response from server');
         }
         
-        setProduct(response.data);
+        setProduct(response.data.data.product);
+        setBreadcrumbs(Array.isArray(response.data.data.breadcrumbs) ? response.data.data.breadcrumbs : []);
         setLoading(false);
       } catch (err) {
         console.error('Error fetching product:', err);
@@ -180,6 +182,18 @@ const ProductDetailPage = () => {
         
         <div className="product-detail-page">
           <div className="container">
+            <nav className="breadcrumbs" aria-label="Breadcrumb">
+              <ol>
+                <li><Link to="/products">Products</Link></li>
+                {breadcrumbs.map(crumb => (
+                  <li key={crumb.slug}>
+                    <Link to={`/products?category=${encodeURIComponent(crumb.slug)}`}>{crumb.name}</Link>
+                  </li>
+                ))}
+                <li aria-current="page">{sanitizedName}</li>
+              </ol>
+            </nav>
+            
             <div className="product-detail-container">
               <div className="product-images">
                 <div className="main-image">
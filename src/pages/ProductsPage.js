@@ -1,19 +1,49 @@
 import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { Helmet } from 'react-helmet';
 import { secureApiClient } from '../utils/apiClient';
 import ProductCard from '../components/ProductCard';
 
+const PAGE_SIZE = 20;
+
+// Flatten the category tree into dropdown options, indented by depth
+const categoryOptions = (categories, depth = 0) => categories.flatMap(category => [
+  { slug: category.slug, label: `${'\u00a0\u00a0'.repeat(depth)}${category.name}` },
+  ...categoryOptions(category.children || [], depth + 1)
+]);
+
 const ProductsPage = () => {
   const [products, setProducts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [categories, setCategories] = useState([]);
+  const [searchParams] = useSearchParams();
   const [filters, setFilters] = useState({
-    category: '',
+    category: searchParams.get('category') || '',
     minPrice: '',
     maxPrice: '',
     sortBy: 'popularity'
   });
   
+  // Load the category tree for the filter dropdown
+  useEffect(() => {
+    const fetchCategories = async () => {
+      try {
+        const response = await secureApiClient.get('/categories');
+        
+        setCategories(Array.isArray(response.data?.data?.categories)
+          ? categoryOptions(response.data.data.categories)
+          : []);
+      } catch (err) {
+        console.error('Error fetching categories:', err);
+      }
+    };
+    
+    fetchCategories();
+  }, []);
+  
   // Fetch products with security measures
   useEffect(() => {
     const fetchProducts = async () => {
@@ -26,20 +56,21 @@ const ProductsPage = () => {
         if (filters.minPrice) params.append('minPrice', filters.minPrice);
         if (filters.maxPrice) params.append('maxPrice', filters.maxPrice);
         if (filters.sortBy) params.append('sortBy', filters.sortBy);
+        params.append('page', page);
+        params.append('limit', PAGE_SIZE);
         
         // Make secure API request
         const response = await secureApiClient.get(`/products?${params.toString()}`);
         
         // Validate response structure before setting state
-        const productsData = response.data && Array.isArray(response.data.products) 
-          ? response.data.products 
+        const productsData = response.data?.data && Array.isArray(response.data.data.products)
+          ? response.data.data.products
           : [];
-          
-        // Set products to state with timeout for smooth UX
-        setTimeout(() => {
-          setProducts(productsData);
-          setLoading(false);
-        }, 300);
+        
+        setProducts(productsData);
+        setPages(Math.max(response.data?.pages || 1, 1));
+        setError(null);
+        setLoading(false);
       } catch (err) {
         console.error('Error fetching products:', err);
         
@@ -55,7 +86,7 @@ const ProductsPage = () => {
     };
     
     fetchProducts();
-  }, [filters]);
+  }, [filters, page]);
   
   // Handle filter changes
   const handleFilterChange = (e) => {
@@ -65,58 +96,9 @@ const ProductsPage = () => {
       ...prevFilters,
       [name]: value
     }));
+    setPage(1);
   };
   
-  // For demo purposes only, if we don't have a backend yet
-  const mockProducts = [
-    {
-      id: '1',
-      name: 'Premium Wireless Headphones',
-      price: 129.99,
-      description: 'High-quality wireless headphones with noise cancellation.',
-      image: '/images/headphones.jpg',
-      rating: 4.5,
-      inStock: true
-    },
-    {
-      id: '2',
-      name: 'Smartphone Case',
-      price: 24.99,
-      description: 'Durable smartphone case with drop protection.',
-      image: '/images/case.jpg',
-      rating: 4.2,
-      inStock: true
-    },
-    {
-      id: '3',
-      name: 'Smart Watch',
-      price: 199.99,
-      description: 'Feature-rich smartwatch with fitness tracking.',
-      image: '/images/watch.jpg',
-      rating: 4.8,
-      inStock: false
-    },
-    {
-      id: '4',
-      name: 'Bluetooth Speaker',
-      price: 79.99,
-      description: 'Portable Bluetooth speaker with excellent sound quality.',
-      image: '/images/speaker.jpg',
-      rating: 4.0,
-      inStock: true
-    }
-  ];
-  
-  // If we don't have actual products yet, use mock data
-  useEffect(() => {
-    if (loading && products.length === 0 && !error) {
-      setTimeout(() => {
-        setProducts(mockProducts);
-        setLoading(false);
-      }, 1000);
-    }
-  }, []);
-  
   return (
     <>
       <Helmet>
@@ -140,10 +122,9 @@ const ProductsPage = () => {
                   onChange={handleFilterChange}
                 >
                   <option value="">All Categories</option>
-                  <option value="electronics">Electronics</option>
-                  <option value="clothing">Clothing</option>
-                  <option value="home">Home & Kitchen</option>
-                  <option value="books">Books</option>
+                  {categories.map(category => (
+                    <option key={category.slug} value={category.slug}>{category.label}</option>
+                  ))}
                 </select>
               </div>
               
@@ -219,6 +200,26 @@ const ProductsPage = () => {
               </div>
             )}
           </div>
+          
+          {pages > 1 && (
+            <div className="pagination">
+              <button
+                className="btn btn-primary"
+                onClick={() => setPage(page - 1)}
+                disabled={page <= 1 || loading}
+              >
+                Previous
+              </button>
+              <span>Page {page} of {pages}</span>
+              <button
+                className="btn btn-primary"
+                onClick={() => setPage(page + 1)}
+                disabled={page >= pages || loading}
+              >
+                Next
+              </button>
+            </div>
+          )}
         </div>
       </div>
     </>
@@ -0,0 +1,154 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import { secureApiClient } from '../utils/apiClient';
+import { useAuth } from '../utils/auth';
+
+const ProfilePage = () => {
+  const [profile, setProfile] = useState(null);
+  const [name, setName] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  
+  const { updateUser } = useAuth();
+  
+  // Fetch the current profile
+  useEffect(() => {
+    const fetchProfile = async () => {
+      try {
+        const response = await secureApiClient.get('/users/me');
+        const user = response.data?.data?.user || null;
+        
+        setProfile(user);
+        setName(user?.name || '');
+      } catch (err) {
+        console.error('Error fetching profile:', err);
+        setError('Failed to load your profile. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    
+    fetchProfile();
+  }, []);
+  
+  // Save profile changes
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    
+    if (!name.trim()) {
+      setError('Please enter your name');
+      return;
+    }
+    
+    try {
+      setIsSubmitting(true);
+      setError(null);
+      setMessage('');
+      
+      const response = await secureApiClient.patch('/users/me', { name: name.trim() });
+      const user = response.data.data.user;
+      
+      setProfile(user);
+      updateUser({ name: user.name });
+      setMessage('Your profile has been updated.');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not update your profile. Please try again later.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+  
+  return (
+    <>
+      <Helmet>
+        <title>Your Profile - Secure E-Commerce</title>
+        <meta name="robots" content="noindex, nofollow" />
+      </Helmet>
+      
+      <div className="profile-page">
+        <div className="container">
+          <div className="form-container">
+            <h1>Your Profile</h1>
+            
+            {message && (
+              <div className="alert alert-success" role="status">
+                {message}
+              </div>
+            )}
+            
+            {error && (
+              <div className="alert alert-danger" role="alert">
+                {error}
+              </div>
+            )}
+            
+            {loading ? (
+              <div className="loading-spinner">
+                <p>Loading profile...</p>
+              </div>
+            ) : profile && (
+              <>
+                <form onSubmit={handleSubmit}>
+                  <div className="form-group">
+                    <label htmlFor="name" className="form-label">Full Name</label>
+                    <input
+                      type="text"
+                      id="name"
+                      className="form-control"
+                      value={name}
+                      onChange={(e) => setName(e.target.value)}
+                      maxLength={50}
+                      required
+                      autoComplete="name"
+                    />
+                  </div>
+                  
+                  <div className="form-group">
+                    <button
+                      type="submit"
+                      className="btn btn-primary"
+                      disabled={isSubmitting || name.trim() === profile.name}
+                    >
+                      {isSubmitting ? 'Saving...' : 'Save Changes'}
+                    </button>
+                  </div>
+                </form>
+                
+                <dl className="profile-details">
+                  <dt>Email</dt>
+                  <dd>
+                    {profile.email}
+                    {!profile.emailVerified && ' (not verified)'}
+                    {' · '}
+                    <Link to="/account/email">Change</Link>
+                    {profile.pendingEmail && (
+                      <div className="profile-note">
+                        Waiting for confirmation from {profile.pendingEmail}
+                      </div>
+                    )}
+                  </dd>
+                  
+                  <dt>Member since</dt>
+                  <dd>{new Date(profile.createdAt).toLocaleDateString()}</dd>
+                </dl>
+                
+                <p>
+                  <Link to="/account/addresses">Address book</Link>
+                  {' · '}
+                  <Link to="/account/security">Security activity</Link>
+                  {' · '}
+                  <Link to="/account/privacy">Your data</Link>
+                </p>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default ProfilePage;
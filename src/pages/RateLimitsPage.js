@@ -0,0 +1,131 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Helmet } from 'react-helmet';
+import { secureApiClient } from '../utils/apiClient';
+
+// Staff view of clients that are currently rate limited or backing off after
+// failed sign-ins. Needs the rate-limits:manage permission.
+const RateLimitsPage = () => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [clearing, setClearing] = useState(null);
+  
+  const fetchEntries = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      
+      const response = await secureApiClient.get('/auth/admin/rate-limits');
+      
+      // Validate response structure before setting state
+      setEntries(
+        Array.isArray(response.data?.data?.entries) ? response.data.data.entries : []
+      );
+    } catch (err) {
+      console.error('Error fetching rate limits:', err);
+      setError(err.response?.data?.message || 'Failed to load rate limits. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+  
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+  
+  // Lift a limit early
+  const handleClear = async (key) => {
+    try {
+      setClearing(key);
+      setError(null);
+      
+      await secureApiClient.delete(`/auth/admin/rate-limits/${encodeURIComponent(key)}`);
+      setEntries(entries.filter(entry => entry.key !== key));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not clear the limit. Please try again.');
+    } finally {
+      setClearing(null);
+    }
+  };
+  
+  const describeIdentity = (identity = {}) =>
+    Object.entries(identity).map(([part, value]) => `${part}: ${value}`).join(', ');
+  
+  return (
+    <>
+      <Helmet>
+        <title>Rate Limits - Secure E-Commerce</title>
+        <meta name="robots" content="noindex, nofollow" />
+      </Helmet>
+      
+      <div className="rate-limits-page">
+        <div className="container">
+          <h1>Rate Limits</h1>
+          <p>
+            Clients that have used up a rate limit, or are waiting after repeated failed
+            sign-ins. Limits lift on their own when the time shown has passed.
+          </p>
+          <p>
+            <button className="btn btn-primary" onClick={fetchEntries} disabled={loading}>
+              Refresh
+            </button>
+          </p>
+          
+          {error && (
+            <div className="alert alert-danger" role="alert">
+              {error}
+            </div>
+          )}
+          
+          {loading ? (
+            <div className="loading-spinner">
+              <p>Loading rate limits...</p>
+            </div>
+          ) : entries.length === 0 ? (
+            <p>Nobody is being rate limited right now.</p>
+          ) : (
+            <table className="security-events-table">
+              <thead>
+                <tr>
+                  <th>Policy</th>
+                  <th>Client</th>
+                  <th>Count</th>
+                  <th>Limited Until</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map(entry => (
+                  <tr key={entry.key}>
+                    <td>
+                      {entry.policy}
+                      {entry.kind === 'failures' && (
+                        <div className="security-event-details">Failed attempts</div>
+                      )}
+                    </td>
+                    <td>{describeIdentity(entry.identity)}</td>
+                    <td>{entry.hits} / {entry.limit}</td>
+                    <td>
+                      {new Date(entry.blockedUntil || entry.resetAt).toLocaleString()}
+                    </td>
+                    <td>
+                      <button
+                        className="btn btn-danger"
+                        onClick={() => handleClear(entry.key)}
+                        disabled={clearing === entry.key}
+                      >
+                        {clearing === entry.key ? 'Clearing...' : 'Clear'}
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default RateLimitsPage;
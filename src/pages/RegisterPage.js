@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { Helmet } from 'react-helmet';
 import { useAuth } from '../utils/auth';
+import SocialLoginButtons from '../components/SocialLoginButtons';
+import { usePasswordPolicy, checkPasswordRules, passwordStrength } from '../utils/passwordPolicy';
 
 const RegisterPage = () => {
   // Form state
@@ -9,13 +11,21 @@ const RegisterPage = () => {
     name: '',
     email: '',
     password: '',
-    confirmPassword: ''
+    confirmPassword: '',
+    acceptTerms: false,
+    marketingOptIn: false
   });
   
   // UI state
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
-  const [passwordStrength, setPasswordStrength] = useState(0);
+  
+  // Set while solving a proof-of-work check the server asked for
+  const [isCheckingSecurity, setIsCheckingSecurity] = useState(false);
+  
+  const passwordPolicy = usePasswordPolicy();
+  const passwordRules = checkPasswordRules(formData.password, passwordPolicy);
+  const strength = passwordStrength(formData.password, passwordPolicy);
   
   const { register, isAuthenticated } = useAuth();
   const navigate = useNavigate();
@@ -29,7 +39,8 @@ const RegisterPage = () => {
   
   // Handle input changes
   const handleChange = (e) => {
-    const { name, value } = e.target;
+    const { name, type, checked } = e.target;
+    const value = type === 'checkbox' ? checked : e.target.value;
     
     setFormData({
       ...formData,
@@ -44,29 +55,14 @@ const RegisterPage = () => {
       });
     }
     
-    // Check password strength if password field is changing
+    // Previous screening results no longer apply once the password changes
     if (name === 'password') {
-      calculatePasswordStrength(value);
+      if (errors.passwordReasons) {
+        setErrors(prevErrors => ({ ...prevErrors, passwordReasons: undefined }));
+      }
     }
   };
   
-  // Password strength calculator
-  const calculatePasswordStrength = (password) => {
-    let strength = 0;
-    
-    // Length check
-    if (password.length >= 8) strength += 1;
-    if (password.length >= 12) strength += 1;
-    
-    // Complexity checks
-    if (/[A-Z]/.test(password)) strength += 1;  // Has uppercase
-    if (/[a-z]/.test(password)) strength += 1;  // Has lowercase
-    if (/[0-9]/.test(password)) strength += 1;  // Has number
-    if (/[^A-Za-z0-9]/.test(password)) strength += 1;  // Has special char
-    
-    setPasswordStrength(strength);
-  };
-  
   // Validate form
   const validateForm = () => {
     const newErrors = {};
@@ -86,10 +82,10 @@ const RegisterPage = () => {
     // Password validation
     if (!formData.password) {
       newErrors.password = 'Password is required';
-    } else if (formData.password.length < 8) {
-      newErrors.password = 'Password must be at least 8 characters';
-    } else if (passwordStrength < 3) {
-      newErrors.password = 'Password is too weak';
+    } else if (formData.password.length > passwordPolicy.maxLength) {
+      newErrors.password = `Password must be at most ${passwordPolicy.maxLength} characters`;
+    } else if (passwordRules.some(rule => !rule.met)) {
+      newErrors.password = 'Password does not meet the requirements below';
     }
     
     // Confirm password validation
@@ -97,6 +93,11 @@ const RegisterPage = () => {
       newErrors.confirmPassword = 'Passwords do not match';
     }
     
+    // Terms must be accepted before an account can be created
+    if (!formData.acceptTerms) {
+      newErrors.acceptTerms = 'Please accept the terms and privacy policy';
+    }
+    
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -116,7 +117,12 @@ const RegisterPage = () => {
       await register({
         name: formData.name,
         email: formData.email,
-        password: formData.password
+        password: formData.password,
+        passwordConfirm: formData.confirmPassword,
+        acceptTerms: formData.acceptTerms,
+        marketingOptIn: formData.marketingOptIn
+      }, {
+        onChallenge: () => setIsCheckingSecurity(true)
       });
       
       // Redirect to home page after successful registration
@@ -134,6 +140,12 @@ const RegisterPage = () => {
             formattedErrors[key] = apiErrors[key];
           });
           
+          // Screening reasons (common, breached, personal) are shown as a list
+          if (Array.isArray(err.response.data.reasons)) {
+            formattedErrors.passwordReasons = err.response.data.reasons.map(reason => reason.message);
+            delete formattedErrors.password;
+          }
+          
           setErrors(formattedErrors);
         } else if (err.response.data.message) {
           // General error message
@@ -145,6 +157,7 @@ const RegisterPage = () => {
       }
     } finally {
       setIsSubmitting(false);
+      setIsCheckingSecurity(false);
     }
   };
   
@@ -162,14 +175,14 @@ const RegisterPage = () => {
     
     return (
       <div className="password-strength-meter">
-        <div className={`password-strength-indicator ${strengthClass[passwordStrength]}`}>
+        <div className={`password-strength-indicator ${strengthClass[strength]}`}>
           <div 
             className="password-strength-fill" 
-            style={{ width: `${(passwordStrength / 6) * 100}%` }}
+            style={{ width: `${(strength / 5) * 100}%` }}
           ></div>
         </div>
         <span className="password-strength-text">
-          {formData.password ? strengthText[passwordStrength] : ''}
+          {formData.password ? strengthText[strength] : ''}
         </span>
       </div>
     );
@@ -236,14 +249,25 @@ const RegisterPage = () => {
                   onChange={handleChange}
                   required
                   autoComplete="new-password"
-                  minLength="8"
+                  minLength={passwordPolicy.minLength}
+                  maxLength={passwordPolicy.maxLength}
                 />
                 {renderPasswordStrength()}
                 {errors.password && <div className="invalid-feedback">{errors.password}</div>}
-                <small className="form-text text-muted">
-                  Password must be at least 8 characters and include uppercase, lowercase, 
-                  numbers, and special characters.
-                </small>
+                {errors.passwordReasons && (
+                  <ul className="invalid-feedback password-reasons">
+                    {errors.passwordReasons.map(reason => (
+                      <li key={reason}>{reason}</li>
+                    ))}
+                  </ul>
+                )}
+                <ul className="form-text text-muted password-requirements">
+                  {passwordRules.map(rule => (
+                    <li key={rule.label} className={rule.met ? 'requirement-met' : ''}>
+                      {rule.label}
+                    </li>
+                  ))}
+                </ul>
               </div>
               
               <div className="form-group">
@@ -263,16 +287,52 @@ const RegisterPage = () => {
                 )}
               </div>
               
+              <div className="form-group form-check">
+                <input
+                  type="checkbox"
+                  id="acceptTerms"
+                  name="acceptTerms"
+                  className={`form-check-input ${errors.acceptTerms ? 'is-invalid' : ''}`}
+                  checked={formData.acceptTerms}
+                  onChange={handleChange}
+                  required
+                />
+                <label htmlFor="acceptTerms" className="form-check-label">
+                  I agree to the Terms of Service and Privacy Policy
+                </label>
+                {errors.acceptTerms && (
+                  <div className="invalid-feedback">{errors.acceptTerms}</div>
+                )}
+              </div>
+              
+              <div className="form-group form-check">
+                <input
+                  type="checkbox"
+                  id="marketingOptIn"
+                  name="marketingOptIn"
+                  className="form-check-input"
+                  checked={formData.marketingOptIn}
+                  onChange={handleChange}
+                />
+                <label htmlFor="marketingOptIn" className="form-check-label">
+                  Email me about offers and new products (optional)
+                </label>
+              </div>
+              
               <div className="form-group">
                 <button 
                   type="submit" 
                   className="btn btn-primary" 
                   disabled={isSubmitting}
                 >
-                  {isSubmitting ? 'Creating Account...' : 'Register'}
+                  {isCheckingSecurity
+                    ? 'Running a quick security check...'
+                    : isSubmitting ? 'Creating Account...' : 'Register'}
                 </button>
               </div>
               
+              <SocialLoginButtons />
+              
               <div className="form-footer">
                 <p>
                   Already have an account? <Link to="/login">Login here</Link>
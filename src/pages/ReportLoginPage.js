@@ -0,0 +1,84 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import { secureApiClient } from '../utils/apiClient';
+
+// "This wasn't me" link from a new-device email - signs the account out everywhere
+const ReportLoginPage = () => {
+  // One of: working, success, error
+  const [status, setStatus] = useState('working');
+  const [message, setMessage] = useState('');
+  
+  const { token } = useParams();
+  
+  // Tokens are single use, so guard against the effect running twice
+  const hasRequested = useRef(false);
+  
+  useEffect(() => {
+    if (hasRequested.current) return;
+    hasRequested.current = true;
+    
+    const report = async () => {
+      // Input validation
+      if (!token || !/^[a-f0-9]{64}$/i.test(token)) {
+        setStatus('error');
+        setMessage('This link is invalid.');
+        return;
+      }
+      
+      try {
+        const response = await secureApiClient.post(`/auth/report-login/${token}`);
+        setStatus('success');
+        setMessage(response.data.message);
+      } catch (err) {
+        setStatus('error');
+        setMessage(
+          err.response?.data?.message ||
+          'Something went wrong. Please try again later.'
+        );
+      }
+    };
+    
+    report();
+  }, [token]);
+  
+  return (
+    <>
+      <Helmet>
+        <title>Secure Your Account - Secure E-Commerce</title>
+        <meta name="robots" content="noindex, nofollow" />
+      </Helmet>
+      
+      <div className="report-login-page">
+        <div className="container">
+          <div className="form-container">
+            <h1>Secure Your Account</h1>
+            
+            {status === 'working' && (
+              <div className="loading-spinner">
+                <p>Signing your account out everywhere...</p>
+              </div>
+            )}
+            
+            {status === 'success' && (
+              <>
+                <div className="alert alert-success" role="status">
+                  {message}
+                </div>
+                <Link to="/forgot-password" className="btn btn-primary">Reset Password</Link>
+              </>
+            )}
+            
+            {status === 'error' && (
+              <div className="alert alert-danger" role="alert">
+                {message}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default ReportLoginPage;
@@ -0,0 +1,192 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import { useAuth } from '../utils/auth';
+import { usePasswordPolicy, checkPasswordRules } from '../utils/passwordPolicy';
+
+// Choose a new password from the link in a reset email
+const ResetPasswordPage = () => {
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: ''
+  });
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  
+  const { token } = useParams();
+  const { resetPassword } = useAuth();
+  const navigate = useNavigate();
+  
+  const passwordPolicy = usePasswordPolicy();
+  const passwordRules = checkPasswordRules(formData.password, passwordPolicy);
+  
+  const isValidToken = Boolean(token && /^[a-f0-9]{64}$/i.test(token));
+  
+  // Handle input changes
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    
+    setFormData({
+      ...formData,
+      [name]: value
+    });
+    
+    // Clear specific error when field is edited
+    if (errors[name]) {
+      setErrors({
+        ...errors,
+        [name]: ''
+      });
+    }
+    
+    // Previous screening results no longer apply once the password changes
+    if (name === 'password' && errors.passwordReasons) {
+      setErrors(prevErrors => ({ ...prevErrors, passwordReasons: undefined }));
+    }
+  };
+  
+  // Validate form
+  const validateForm = () => {
+    const newErrors = {};
+    
+    if (!formData.password) {
+      newErrors.password = 'Password is required';
+    } else if (formData.password.length > passwordPolicy.maxLength) {
+      newErrors.password = `Password must be at most ${passwordPolicy.maxLength} characters`;
+    } else if (passwordRules.some(rule => !rule.met)) {
+      newErrors.password = 'Password does not meet the requirements below';
+    }
+    
+    if (formData.password !== formData.confirmPassword) {
+      newErrors.confirmPassword = 'Passwords do not match';
+    }
+    
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+  
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    
+    if (!validateForm()) return;
+    
+    try {
+      setIsSubmitting(true);
+      
+      await resetPassword(token, formData.password, formData.confirmPassword);
+      
+      // The reset signs the user in
+      navigate('/', { replace: true });
+    } catch (err) {
+      const data = err.response?.data;
+      
+      if (err.response?.status === 429) {
+        setErrors({ general: 'Too many attempts. Please try again later.' });
+      } else if (Array.isArray(data?.reasons)) {
+        // Screening reasons (common, breached, personal, reused) are shown as a list
+        setErrors({ passwordReasons: data.reasons.map(reason => reason.message) });
+      } else {
+        setErrors({ general: data?.message || 'Password reset failed. Please try again later.' });
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+  
+  return (
+    <>
+      <Helmet>
+        <title>Reset Password - Secure E-Commerce</title>
+        <meta name="robots" content="noindex, nofollow" />
+      </Helmet>
+      
+      <div className="reset-password-page">
+        <div className="container">
+          <div className="form-container">
+            <h1>Choose a New Password</h1>
+            
+            {!isValidToken ? (
+              <>
+                <div className="alert alert-danger" role="alert">
+                  This reset link is invalid.
+                </div>
+                <Link to="/forgot-password" className="btn btn-primary">Request a New Link</Link>
+              </>
+            ) : (
+              <form onSubmit={handleSubmit}>
+                {errors.general && (
+                  <div className="alert alert-danger" role="alert">
+                    {errors.general}
+                    {' '}
+                    <Link to="/forgot-password">Request a new link</Link>
+                  </div>
+                )}
+                
+                <div className="form-group">
+                  <label htmlFor="password" className="form-label">New Password</label>
+                  <input
+                    type="password"
+                    id="password"
+                    name="password"
+                    className={`form-control ${errors.password || errors.passwordReasons ? 'is-invalid' : ''}`}
+                    value={formData.password}
+                    onChange={handleChange}
+                    required
+                    autoFocus
+                    autoComplete="new-password"
+                    minLength={passwordPolicy.minLength}
+                    maxLength={passwordPolicy.maxLength}
+                  />
+                  {errors.password && <div className="invalid-feedback">{errors.password}</div>}
+                  {errors.passwordReasons && (
+                    <ul className="invalid-feedback password-reasons">
+                      {errors.passwordReasons.map(reason => (
+                        <li key={reason}>{reason}</li>
+                      ))}
+                    </ul>
+                  )}
+                  <ul className="form-text text-muted password-requirements">
+                    {passwordRules.map(rule => (
+                      <li key={rule.label} className={rule.met ? 'requirement-met' : ''}>
+                        {rule.label}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+                
+                <div className="form-group">
+                  <label htmlFor="confirmPassword" className="form-label">Confirm New Password</label>
+                  <input
+                    type="password"
+                    id="confirmPassword"
+                    name="confirmPassword"
+                    className={`form-control ${errors.confirmPassword ? 'is-invalid' : ''}`}
+                    value={formData.confirmPassword}
+                    onChange={handleChange}
+                    required
+                    autoComplete="new-password"
+                  />
+                  {errors.confirmPassword && (
+                    <div className="invalid-feedback">{errors.confirmPassword}</div>
+                  )}
+                </div>
+                
+                <div className="form-group">
+                  <button
+                    type="submit"
+                    className="btn btn-primary"
+                    disabled={isSubmitting}
+                  >
+                    {isSubmitting ? 'Saving...' : 'Reset Password'}
+                  </button>
+                </div>
+              </form>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default ResetPasswordPage;
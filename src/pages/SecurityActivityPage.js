@@ -0,0 +1,178 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import { secureApiClient } from '../utils/apiClient';
+
+// Human readable labels for security event types
+const EVENT_LABELS = {
+  LOGIN: 'Signed in',
+  FAILED_LOGIN: 'Failed sign-in attempt',
+  LOGOUT: 'Signed out',
+  LOGIN_CHALLENGE: 'Unusual sign-in, verification code sent',
+  NEW_DEVICE_LOGIN: 'Signed in on a new device',
+  LOGIN_REPORTED: 'Sign-in reported as not you',
+  PASSWORD_CHANGE: 'Password changed',
+  PASSWORD_RESET_REQUEST: 'Password reset requested',
+  PASSWORD_RESET: 'Password reset',
+  MAGIC_LINK_REQUEST: 'Sign-in link requested',
+  EMAIL_CHANGE: 'Email address changed',
+  ACCOUNT_LOCK: 'Account locked',
+  ACCOUNT_UNLOCK: 'Account unlocked',
+  PROFILE_UPDATE: 'Profile updated',
+  TWO_FACTOR_SETUP: 'Two-factor authentication updated',
+  TWO_FACTOR_DISABLE: 'Two-factor authentication disabled',
+  PASSKEY_ADDED: 'Passkey added',
+  PASSKEY_REMOVED: 'Passkey removed',
+  ACCOUNT_LINK: 'External account linked',
+  ROLE_CHANGE: 'Account role changed',
+  IMPERSONATION_START: 'Support session started',
+  IMPERSONATION_END: 'Support session ended',
+  API_KEY_CREATED: 'API key created',
+  API_KEY_REVOKED: 'API key revoked',
+  DATA_EXPORT: 'Account data exported',
+  ACCOUNT_DELETION_REQUEST: 'Account deletion requested',
+  ACCOUNT_ANONYMIZED: 'Account data erased',
+  REFRESH_TOKEN_REUSE: 'Suspicious session activity blocked'
+};
+
+// Events worth drawing the user's attention to
+const WARNING_EVENTS = [
+  'FAILED_LOGIN',
+  'LOGIN_CHALLENGE',
+  'LOGIN_REPORTED',
+  'ACCOUNT_LOCK',
+  'REFRESH_TOKEN_REUSE'
+];
+
+const PAGE_SIZE = 20;
+
+const SecurityActivityPage = () => {
+  const [events, setEvents] = useState([]);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  
+  // Fetch one page of security events
+  useEffect(() => {
+    const fetchEvents = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        
+        const response = await secureApiClient.get(
+          `/auth/security-events?page=${page}&limit=${PAGE_SIZE}`
+        );
+        
+        // Validate response structure before setting state
+        const eventsData = response.data?.data && Array.isArray(response.data.data.events)
+          ? response.data.data.events
+          : [];
+        
+        setEvents(eventsData);
+        setPages(Math.max(response.data?.pages || 1, 1));
+      } catch (err) {
+        console.error('Error fetching security activity:', err);
+        
+        if (err.response?.status === 429) {
+          setError('Too many requests. Please try again later.');
+        } else {
+          setError('Failed to load security activity. Please try again.');
+        }
+      } finally {
+        setLoading(false);
+      }
+    };
+    
+    fetchEvents();
+  }, [page]);
+  
+  return (
+    <>
+      <Helmet>
+        <title>Security Activity - Secure E-Commerce</title>
+        <meta name="robots" content="noindex, nofollow" />
+      </Helmet>
+      
+      <div className="security-activity-page">
+        <div className="container">
+          <h1>Security Activity</h1>
+          <p>
+            Recent sign-ins and changes to your account. If you see something you don't
+            recognise, change your password and sign out of your other sessions.
+          </p>
+          <p>
+            <Link to="/account/passkeys">Manage passkeys</Link>
+            {' · '}
+            <Link to="/account/email">Change email address</Link>
+            {' · '}
+            <Link to="/account/privacy">Download or delete your data</Link>
+          </p>
+          
+          {loading ? (
+            <div className="loading-spinner">
+              <p>Loading security activity...</p>
+            </div>
+          ) : error ? (
+            <div className="alert alert-danger" role="alert">
+              {error}
+            </div>
+          ) : events.length === 0 ? (
+            <p>No security activity recorded yet.</p>
+          ) : (
+            <table className="security-events-table">
+              <thead>
+                <tr>
+                  <th>Event</th>
+                  <th>Date</th>
+                  <th>IP Address</th>
+                  <th>Device</th>
+                </tr>
+              </thead>
+              <tbody>
+                {events.map(event => (
+                  <tr
+                    key={event._id}
+                    className={WARNING_EVENTS.includes(event.type) ? 'security-event-warning' : ''}
+                  >
+                    <td>
+                      {EVENT_LABELS[event.type] || event.type}
+                      {event.details && (
+                        <div className="security-event-details">{event.details}</div>
+                      )}
+                    </td>
+                    <td>{new Date(event.createdAt).toLocaleString()}</td>
+                    <td>{event.ip || '-'}</td>
+                    <td className="security-event-agent">{event.userAgent || '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          
+          {pages > 1 && (
+            <div className="pagination">
+              <button
+                className="btn btn-primary"
+                onClick={() => setPage(page - 1)}
+                disabled={page <= 1 || loading}
+              >
+                Previous
+              </button>
+              <span>Page {page} of {pages}</span>
+              <button
+                className="btn btn-primary"
+                onClick={() => setPage(page + 1)}
+                disabled={page >= pages || loading}
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default SecurityActivityPage;
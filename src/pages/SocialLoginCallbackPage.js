@@ -0,0 +1,201 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import { useAuth } from '../utils/auth';
+
+// Messages for the error codes the server puts in the redirect
+const ERROR_MESSAGES = {
+  access_denied: 'Sign-in was cancelled.',
+  invalid_state: 'This sign-in attempt has expired or was started in another browser. Please try again.',
+  email_unverified: "That account doesn't share a verified email address with us. Please sign in another way.",
+  provider_unavailable: 'That sign-in provider is unavailable right now. Please try again later.'
+};
+
+// Only same-site paths are allowed as post-login destinations
+const safeReturnTo = value => (value && /^\/(?![/\\])/.test(value) ? value : '/');
+
+const SocialLoginCallbackPage = () => {
+  // One of: completing, link, error
+  const [status, setStatus] = useState('completing');
+  const [errorMessage, setErrorMessage] = useState('');
+  const [linkDetails, setLinkDetails] = useState(null);
+  const [ticket, setTicket] = useState(null);
+  const [returnTo, setReturnTo] = useState('/');
+  
+  // Link confirmation form state
+  const [password, setPassword] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  
+  const { completeSocialLogin, linkSocialAccount } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  
+  // Tickets are single use, so guard against the effect running twice
+  const hasRequested = useRef(false);
+  
+  // Route the user on once the server has answered
+  const handleResult = (result, destination) => {
+    if (result?.twoFactorRequired) {
+      navigate('/login', {
+        replace: true,
+        state: {
+          from: { pathname: destination },
+          twoFactor: {
+            challengeToken: result.challengeToken,
+            twoFactorMethods: result.twoFactorMethods
+          }
+        }
+      });
+      return;
+    }
+    
+    if (result?.linkRequired) {
+      setLinkDetails(result);
+      setStatus('link');
+      return;
+    }
+    
+    navigate(destination, { replace: true });
+  };
+  
+  // Redeem the ticket from the URL fragment
+  useEffect(() => {
+    if (hasRequested.current) return;
+    hasRequested.current = true;
+    
+    const params = new URLSearchParams(location.hash.replace(/^#/, ''));
+    const destination = safeReturnTo(params.get('returnTo'));
+    
+    // Keep the ticket out of the browser history
+    window.history.replaceState(null, '', location.pathname);
+    
+    if (params.get('error') || !params.get('ticket')) {
+      setStatus('error');
+      setErrorMessage(ERROR_MESSAGES[params.get('error')] || 'Sign-in failed. Please try again.');
+      return;
+    }
+    
+    setTicket(params.get('ticket'));
+    setReturnTo(destination);
+    
+    const complete = async () => {
+      try {
+        handleResult(await completeSocialLogin(params.get('ticket')), destination);
+      } catch (err) {
+        setStatus('error');
+        setErrorMessage(err.response?.data?.message || 'Sign-in failed. Please try again.');
+      }
+    };
+    
+    complete();
+  }, []);
+  
+  // Confirm the link with the existing account's password
+  const handleLinkSubmit = async (e) => {
+    e.preventDefault();
+    
+    if (!password) {
+      setErrorMessage('Please enter your password');
+      return;
+    }
+    
+    try {
+      setIsSubmitting(true);
+      setErrorMessage('');
+      
+      handleResult(await linkSocialAccount(ticket, password), returnTo);
+    } catch (err) {
+      // Anything but a wrong password means the attempt can't be retried
+      if (err.response?.status !== 401) {
+        setStatus('error');
+      }
+      
+      setErrorMessage(err.response?.data?.message || 'Linking failed. Please try again.');
+      setPassword('');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+  
+  return (
+    <>
+      <Helmet>
+        <title>Signing In - Secure E-Commerce</title>
+        <meta name="robots" content="noindex, nofollow" />
+      </Helmet>
+      
+      <div className="social-login-callback-page">
+        <div className="container">
+          <div className="form-container">
+            {status === 'completing' && (
+              <div className="loading-spinner">
+                <p>Signing you in...</p>
+              </div>
+            )}
+            
+            {status === 'error' && (
+              <>
+                <h1>Sign-in Failed</h1>
+                <div className="alert alert-danger" role="alert">
+                  {errorMessage}
+                </div>
+                <Link to="/login" className="btn btn-primary">Back to Login</Link>
+              </>
+            )}
+            
+            {status === 'link' && linkDetails && (
+              <>
+                <h1>Link Your Accounts</h1>
+                <p>
+                  You already have an account for <strong>{linkDetails.email}</strong>. Enter its
+                  password to link your {linkDetails.provider} account. After that you can sign in
+                  with either.
+                </p>
+                
+                {errorMessage && (
+                  <div className="alert alert-danger" role="alert">
+                    {errorMessage}
+                  </div>
+                )}
+                
+                <form onSubmit={handleLinkSubmit}>
+                  <div className="form-group">
+                    <label htmlFor="password" className="form-label">Password</label>
+                    <input
+                      type="password"
+                      id="password"
+                      className="form-control"
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      required
+                      autoComplete="current-password"
+                      autoFocus
+                    />
+                  </div>
+                  
+                  <div className="form-group">
+                    <button
+                      type="submit"
+                      className="btn btn-primary"
+                      disabled={isSubmitting}
+                    >
+                      {isSubmitting ? 'Linking...' : 'Link Accounts'}
+                    </button>
+                  </div>
+                  
+                  <div className="form-footer">
+                    <p>
+                      Not you? <Link to="/login">Sign in another way</Link>
+                    </p>
+                  </div>
+                </form>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default SocialLoginCallbackPage;
@@ -0,0 +1,162 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import { secureApiClient } from '../utils/apiClient';
+
+const VerifyEmailPage = () => {
+  // One of: verifying, success, expired, invalid, error
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+  
+  // Resend form state
+  const [email, setEmail] = useState('');
+  const [resendMessage, setResendMessage] = useState('');
+  const [resendError, setResendError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  
+  const { token } = useParams();
+  
+  // Tokens are single use, so guard against the effect running twice
+  const hasRequested = useRef(false);
+  
+  // Verify the token from the email link
+  useEffect(() => {
+    if (hasRequested.current) return;
+    hasRequested.current = true;
+    
+    const verify = async () => {
+      // Input validation
+      if (!token || !/^[a-f0-9]{64}$/i.test(token)) {
+        setStatus('invalid');
+        setMessage('This verification link is invalid.');
+        return;
+      }
+      
+      try {
+        const response = await secureApiClient.post(`/auth/verify-email/${token}`);
+        setStatus('success');
+        setMessage(response.data.message);
+      } catch (err) {
+        const reason = err.response?.data?.reason;
+        setStatus(reason === 'expired' || reason === 'invalid' ? reason : 'error');
+        setMessage(
+          err.response?.data?.message ||
+          'We could not verify your email. Please try again later.'
+        );
+      }
+    };
+    
+    verify();
+  }, [token]);
+  
+  // Request a new verification link
+  const handleResend = async (e) => {
+    e.preventDefault();
+    
+    if (!email) {
+      setResendError('Please enter your email address');
+      return;
+    }
+    
+    try {
+      setIsSubmitting(true);
+      setResendError('');
+      setResendMessage('');
+      
+      const response = await secureApiClient.post('/auth/resend-verification', { email });
+      setResendMessage(response.data.message);
+    } catch (err) {
+      if (err.response?.status === 429) {
+        setResendError('Too many requests. Please try again later.');
+      } else {
+        setResendError(
+          err.response?.data?.message ||
+          'Could not send a new link. Please try again later.'
+        );
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+  
+  return (
+    <>
+      <Helmet>
+        <title>Verify Email - Secure E-Commerce</title>
+        <meta name="robots" content="noindex, nofollow" />
+      </Helmet>
+      
+      <div className="verify-email-page">
+        <div className="container">
+          <div className="form-container">
+            <h1>Email Verification</h1>
+            
+            {status === 'verifying' && (
+              <div className="loading-spinner">
+                <p>Verifying your email address...</p>
+              </div>
+            )}
+            
+            {status === 'success' && (
+              <>
+                <div className="alert alert-success" role="status">
+                  {message}
+                </div>
+                <Link to="/login" className="btn btn-primary">Continue to Login</Link>
+              </>
+            )}
+            
+            {(status === 'expired' || status === 'invalid' || status === 'error') && (
+              <>
+                <div className="alert alert-danger" role="alert">
+                  {message}
+                </div>
+                
+                <h2>Request a new link</h2>
+                
+                {resendMessage && (
+                  <div className="alert alert-success" role="status">
+                    {resendMessage}
+                  </div>
+                )}
+                
+                {resendError && (
+                  <div className="alert alert-danger" role="alert">
+                    {resendError}
+                  </div>
+                )}
+                
+                <form onSubmit={handleResend}>
+                  <div className="form-group">
+                    <label htmlFor="email" className="form-label">Email Address</label>
+                    <input
+                      type="email"
+                      id="email"
+                      className="form-control"
+                      value={email}
+                      onChange={(e) => setEmail(e.target.value)}
+                      required
+                      autoComplete="email"
+                    />
+                  </div>
+                  
+                  <div className="form-group">
+                    <button
+                      type="submit"
+                      className="btn btn-primary"
+                      disabled={isSubmitting}
+                    >
+                      {isSubmitting ? 'Sending...' : 'Send New Link'}
+                    </button>
+                  </div>
+                </form>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default VerifyEmailPage;
@@ -0,0 +1,86 @@
+import { useState, useEffect, useCallback } from 'react';
+import { secureApiClient } from './apiClient';
+
+// One-line summary of a saved address for lists and order summaries
+export const formatAddress = (address) => [
+  address.addressLine1,
+  address.addressLine2,
+  address.city,
+  [address.state, address.postalCode].filter(Boolean).join(' '),
+  address.country
+].filter(Boolean).join(', ');
+
+// Pick the address checkout should start with
+export const defaultAddress = (addresses) =>
+  addresses.find(address => address.isDefault) || addresses[0] || null;
+
+// Load and edit the signed-in user's address book. Used by the account pages
+// and by checkout, so every change goes through the same validation.
+export const useAddressBook = () => {
+  const [addresses, setAddresses] = useState([]);
+  const [countries, setCountries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  
+  // Validate response structure before setting state
+  const applyAddresses = (response) => {
+    const list = response.data?.data && Array.isArray(response.data.data.addresses)
+      ? response.data.data.addresses
+      : [];
+    setAddresses(list);
+    return response.data?.data?.address || null;
+  };
+  
+  const refresh = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      
+      const [addressResponse, countryResponse] = await Promise.all([
+        secureApiClient.get('/users/me/addresses'),
+        secureApiClient.get('/users/address-countries')
+      ]);
+      
+      applyAddresses(addressResponse);
+      setCountries(
+        countryResponse.data?.data && Array.isArray(countryResponse.data.data.countries)
+          ? countryResponse.data.data.countries
+          : []
+      );
+    } catch (err) {
+      console.error('Error fetching addresses:', err);
+      setError('Failed to load your addresses. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+  
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+  
+  // These reject with the axios error so forms can show per-field messages
+  // from err.response.data.errors
+  const addAddress = async (address) =>
+    applyAddresses(await secureApiClient.post('/users/me/addresses', address));
+  
+  const updateAddress = async (id, changes) =>
+    applyAddresses(await secureApiClient.patch(`/users/me/addresses/${id}`, changes));
+  
+  const removeAddress = async (id) =>
+    applyAddresses(await secureApiClient.delete(`/users/me/addresses/${id}`));
+  
+  const makeDefault = (id) => updateAddress(id, { isDefault: true });
+  
+  return {
+    addresses,
+    countries,
+    loading,
+    error,
+    refresh,
+    addAddress,
+    updateAddress,
+    removeAddress,
+    makeDefault
+  };
+};
@@ -4,6 +4,7 @@ import axios from 'axios';
 export const secureApiClient = axios.create({
   baseURL: process.env.REACT_APP_API_URL || 'http://localhost:5000/api',
   timeout: 10000,
+  withCredentials: true, // Send the httpOnly session and refresh cookies
   headers: {
     'Content-Type': 'application/json'
   }
@@ -18,10 +19,10 @@ secureApiClient.interceptors.request.use(
       config.headers['Authorization'] = `Bearer ${token}`;
     }
     
-    // Add CSRF token if available (from cookie)
+    // Echo the CSRF cookie in the header the server checks (double submit)
     const csrfToken = getCookie('XSRF-TOKEN');
     if (csrfToken) {
-      config.headers['X-XSRF-TOKEN'] = csrfToken;
+      config.headers['X-CSRF-Token'] = csrfToken;
     }
     
     return config;
@@ -31,19 +32,82 @@ secureApiClient.interceptors.request.use(
   }
 );
 
+// Auth endpoints whose 401 means bad credentials, not an expired session
+const NO_REFRESH_ENDPOINTS = [
+  '/auth/login',
+  '/auth/signup',
+  '/auth/refresh',
+  '/auth/2fa/verify',
+  '/auth/passkeys/login',
+  '/auth/magic-link',
+  '/auth/oidc/'
+];
+
+// Only one refresh runs at a time; requests failing meanwhile wait for it
+let isRefreshing = false;
+let refreshQueue = [];
+
+const processRefreshQueue = (error) => {
+  refreshQueue.forEach(({ resolve, reject }) => (error ? reject(error) : resolve()));
+  refreshQueue = [];
+};
+
 // Response interceptor for handling common errors
 secureApiClient.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
-    // Handle 401 Unauthorized (expired token)
-    if (error.response && error.response.status === 401) {
-      // Clear invalid token
-      localStorage.removeItem('auth_token');
+  async (error) => {
+    const originalRequest = error.config;
+    
+    // Handle 401 Unauthorized (expired access token)
+    if (
+      error.response &&
+      error.response.status === 401 &&
+      originalRequest &&
+      !originalRequest._retry &&
+      !NO_REFRESH_ENDPOINTS.some(endpoint => originalRequest.url?.startsWith(endpoint))
+    ) {
+      originalRequest._retry = true;
+      
+      // Wait for the refresh already in flight, then replay
+      if (isRefreshing) {
+        return new Promise((resolve, reject) => {
+          refreshQueue.push({ resolve, reject });
+        }).then(() => secureApiClient(originalRequest));
+      }
+      
+      isRefreshing = true;
       
-      // Redirect to login page
-      window.location.href = '/login?session=expired';
+      try {
+        // The refresh token travels in an httpOnly cookie
+        const response = await secureApiClient.post('/auth/refresh');
+        localStorage.setItem('auth_token', response.data.token);
+        
+        processRefreshQueue(null);
+        
+        // The request interceptor attaches the new token on replay
+        return secureApiClient(originalRequest);
+      } catch (refreshError) {
+        // Another tab rotated the refresh token at the same moment - its new
+        // access token is shared through localStorage, so just replay
+        if (refreshError.response?.status === 409) {
+          processRefreshQueue(null);
+          return secureApiClient(originalRequest);
+        }
+        
+        processRefreshQueue(refreshError);
+        
+        // Clear invalid token
+        localStorage.removeItem('auth_token');
+        
+        // Redirect to login page
+        window.location.href = '/login?session=expired';
+        
+        return Promise.reject(refreshError);
+      } finally {
+        isRefreshing = false;
+      }
     }
     
     return Promise.reject(error);
@@ -1,5 +1,7 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import { secureApiClient } from './apiClient';
+import { getPasskeyAssertion } from './webauthn';
+import { postWithProofOfWork } from './proofOfWork';
 
 // Create a context for authentication
 const AuthContext = createContext();
@@ -10,6 +12,9 @@ export const AuthProvider = ({ children }) => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   
+  // Set while a staff member is viewing the site as a customer
+  const [impersonation, setImpersonation] = useState(null);
+  
   // Check if user is already logged in (from token in localStorage)
   useEffect(() => {
     const checkAuthStatus = async () => {
@@ -20,6 +25,7 @@ export const AuthProvider = ({ children }) => {
           // Validate token with the server
           const response = await secureApiClient.get('/auth/validate-token');
           setUser(response.data.user);
+          setImpersonation(response.data.data?.impersonation || null);
         }
       } catch (err) {
         // Invalid or expired token
@@ -34,17 +40,28 @@ export const AuthProvider = ({ children }) => {
     checkAuthStatus();
   }, []);
   
-  // Login function
-  const login = async (email, password) => {
+  // Login function. onChallenge is called if the server asks for a
+  // proof-of-work check first.
+  const login = async (email, password, { onChallenge } = {}) => {
     try {
       setLoading(true);
       setError(null);
       
       // Send login request
-      const response = await secureApiClient.post('/auth/login', {
+      const response = await postWithProofOfWork('/auth/login', {
         email,
         password
-      });
+      }, { onChallenge });
+      
+      // Password accepted but a second factor is required
+      if (response.data.twoFactorRequired) {
+        return {
+          twoFactorRequired: true,
+          twoFactorMethods: response.data.twoFactorMethods || ['totp'],
+          challengeToken: response.data.challengeToken,
+          message: response.data.message
+        };
+      }
       
       // Store token securely
       const { token, user } = response.data;
@@ -61,14 +78,173 @@ export const AuthProvider = ({ children }) => {
     }
   };
   
+  // Complete a two-factor login with an authenticator or recovery code, or an
+  // unusual sign-in with the code that was emailed
+  const verifyTwoFactor = async (challengeToken, { code, recoveryCode, emailCode }) => {
+    try {
+      setLoading(true);
+      setError(null);
+      
+      const response = emailCode
+        ? await secureApiClient.post('/auth/login/verify-code', {
+          challengeToken,
+          code: emailCode
+        })
+        : await secureApiClient.post('/auth/2fa/verify', {
+          challengeToken,
+          code,
+          recoveryCode
+        });
+      
+      // Store token securely
+      const { token, user } = response.data;
+      localStorage.setItem('auth_token', token);
+      
+      // Update state
+      setUser(user);
+      return user;
+    } catch (err) {
+      setError(err.response?.data?.message || 'Verification failed. Please try again.');
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  // Sign in with a passkey - passwordless, or as the second factor when a
+  // challengeToken from the password step is given
+  const loginWithPasskey = async (challengeToken) => {
+    try {
+      setLoading(true);
+      setError(null);
+      
+      const optionsResponse = await secureApiClient.post('/auth/passkeys/login/options', {
+        challengeToken
+      });
+      const { challengeId, options } = optionsResponse.data.data;
+      
+      const credential = await getPasskeyAssertion(options);
+      
+      const response = await secureApiClient.post('/auth/passkeys/login/verify', {
+        challengeId,
+        credential
+      });
+      
+      // Store token securely
+      const { token, user } = response.data;
+      localStorage.setItem('auth_token', token);
+      
+      // Update state
+      setUser(user);
+      return user;
+    } catch (err) {
+      setError(err.response?.data?.message || 'Passkey sign-in failed. Please try again.');
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  // Exchange the token from an emailed sign-in link for a session
+  const loginWithMagicLink = async (token) => {
+    try {
+      setLoading(true);
+      setError(null);
+      
+      const response = await secureApiClient.get(`/auth/magic-link/${token}`);
+      
+      // Link accepted but a second factor is required
+      if (response.data.twoFactorRequired) {
+        return {
+          twoFactorRequired: true,
+          twoFactorMethods: response.data.twoFactorMethods || ['totp'],
+          challengeToken: response.data.challengeToken
+        };
+      }
+      
+      // Store token securely
+      const { token: authToken, user } = response.data;
+      localStorage.setItem('auth_token', authToken);
+      
+      // Update state
+      setUser(user);
+      return user;
+    } catch (err) {
+      setError(err.response?.data?.message || 'Sign-in failed. Please try again.');
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  // Apply the server's answer to a social login step: a session, a request
+  // for the second factor, or a request to confirm linking an existing account
+  const handleSocialLoginResponse = (data) => {
+    if (data.twoFactorRequired) {
+      return {
+        twoFactorRequired: true,
+        twoFactorMethods: data.twoFactorMethods || ['totp'],
+        challengeToken: data.challengeToken
+      };
+    }
+    
+    if (data.linkRequired) {
+      return {
+        linkRequired: true,
+        email: data.data.email,
+        provider: data.data.provider
+      };
+    }
+    
+    // Store token securely
+    const { token, user } = data;
+    localStorage.setItem('auth_token', token);
+    
+    // Update state
+    setUser(user);
+    return user;
+  };
+  
+  // Redeem the ticket the identity provider callback handed back
+  const completeSocialLogin = async (ticket) => {
+    try {
+      setLoading(true);
+      setError(null);
+      
+      const response = await secureApiClient.post('/auth/oidc/complete', { ticket });
+      return handleSocialLoginResponse(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Sign-in failed. Please try again.');
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  // Confirm linking an external account to an existing one with its password
+  const linkSocialAccount = async (ticket, password) => {
+    try {
+      setLoading(true);
+      setError(null);
+      
+      const response = await secureApiClient.post('/auth/oidc/link', { ticket, password });
+      return handleSocialLoginResponse(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Linking failed. Please try again.');
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  };
+  
   // Register function
-  const register = async (userData) => {
+  const register = async (userData, { onChallenge } = {}) => {
     try {
       setLoading(true);
       setError(null);
       
       // Send registration request
-      const response = await secureApiClient.post('/auth/register', userData);
+      const response = await postWithProofOfWork('/auth/signup', userData, { onChallenge });
       
       // Automatically log in after registration
       const { token, user } = response.data;
@@ -85,8 +261,74 @@ export const AuthProvider = ({ children }) => {
     }
   };
   
+  // Set a new password from an emailed reset link - the server signs the user
+  // in once it's accepted
+  const resetPassword = async (token, password, passwordConfirm) => {
+    try {
+      setLoading(true);
+      setError(null);
+      
+      const response = await secureApiClient.patch(`/auth/reset-password/${token}`, {
+        password,
+        passwordConfirm
+      });
+      
+      // Store token securely
+      const { token: authToken, user } = response.data;
+      localStorage.setItem('auth_token', authToken);
+      
+      // Update state
+      setUser(user);
+      return user;
+    } catch (err) {
+      setError(err.response?.data?.message || 'Password reset failed. Please try again.');
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  // Start a support session as the customer with this email (staff only)
+  const startImpersonation = async (email, reason) => {
+    const response = await secureApiClient.post('/auth/admin/impersonation', { email, reason });
+    
+    localStorage.setItem('auth_token', response.data.token);
+    setUser(response.data.data.user);
+    setImpersonation(response.data.data.impersonation);
+  };
+  
+  // End the support session and go back to the staff member's own account,
+  // which is still held by their refresh cookie
+  const stopImpersonation = async () => {
+    try {
+      await secureApiClient.post('/auth/impersonation/stop');
+    } catch (err) {
+      // The session may already have expired - carry on restoring the account
+      console.error('Stop impersonation error:', err);
+    }
+    
+    setImpersonation(null);
+    
+    try {
+      const refreshResponse = await secureApiClient.post('/auth/refresh');
+      localStorage.setItem('auth_token', refreshResponse.data.token);
+      
+      const response = await secureApiClient.get('/auth/validate-token');
+      setUser(response.data.data.user);
+    } catch (err) {
+      localStorage.removeItem('auth_token');
+      setUser(null);
+    }
+  };
+  
   // Logout function
   const logout = async () => {
+    // Close a support session first so it doesn't linger until it expires
+    if (impersonation) {
+      await secureApiClient.post('/auth/impersonation/stop').catch(() => {});
+      setImpersonation(null);
+    }
+    
     try {
       // Call logout endpoint to invalidate token on server
       await secureApiClient.post('/auth/logout');
@@ -100,6 +342,11 @@ export const AuthProvider = ({ children }) => {
     }
   };
   
+  // Merge profile changes saved elsewhere (e.g. the profile page)
+  const updateUser = (changes) => {
+    setUser(prev => (prev ? { ...prev, ...changes } : prev));
+  };
+  
   // Check if user is authenticated
   const isAuthenticated = !!user;
   
@@ -109,8 +356,18 @@ export const AuthProvider = ({ children }) => {
     loading,
     error,
     login,
+    verifyTwoFactor,
+    loginWithPasskey,
+    loginWithMagicLink,
+    completeSocialLogin,
+    linkSocialAccount,
     register,
+    resetPassword,
     logout,
+    updateUser,
+    impersonation,
+    startImpersonation,
+    stopImpersonation,
     isAuthenticated
   };
   
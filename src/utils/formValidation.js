@@ -2,10 +2,11 @@
  * Form validation utilities for secure input handling
  */
 
+import { meetsPasswordPolicy } from './passwordPolicy';
+
 // Regular expressions for validation
 const VALIDATION_PATTERNS = {
     email: /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/,
-    password: /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[!@#$%^&*(),.?":{}|<>]).{8,}$/,
     name: /^[a-zA-Z0-9\s'-]{2,50}$/,
     phone: /^\+?[0-9]{10,15}$/,
     zip: /^[0-9]{5}(-[0-9]{4})?$/,
@@ -18,7 +19,7 @@ const VALIDATION_PATTERNS = {
   const ERROR_MESSAGES = {
     required: 'This field is required',
     email: 'Please enter a valid email address',
-    password: 'Password must be at least 8 characters and include uppercase, lowercase, number, and special character',
+    password: 'Password does not meet the password requirements',
     passwordMatch: 'Passwords do not match',
     name: 'Please enter a valid name (2-50 characters)',
     phone: 'Please enter a valid phone number',
@@ -42,6 +43,11 @@ const VALIDATION_PATTERNS = {
       return ERROR_MESSAGES.required;
     }
   
+    // Passwords follow the server's policy (pass it as rules.policy)
+    if (rules.type === 'password' && !meetsPasswordPolicy(value, rules.policy)) {
+      return ERROR_MESSAGES.password;
+    }
+  
     // Type-specific validation
     if (rules.type && VALIDATION_PATTERNS[rules.type]) {
       if (!VALIDATION_PATTERNS[rules.type].test(value)) {
@@ -0,0 +1,79 @@
+import { useState, useEffect } from 'react';
+import { secureApiClient } from './apiClient';
+
+// Used until the server's policy arrives, and if it can't be fetched. The
+// server always has the final say, so this only needs to be close.
+export const DEFAULT_PASSWORD_POLICY = {
+  minLength: 8,
+  maxLength: 64,
+  requiredClasses: [
+    { name: 'lowercase', label: 'a lowercase letter', pattern: '[a-z]' },
+    { name: 'uppercase', label: 'an uppercase letter', pattern: '[A-Z]' },
+    { name: 'number', label: 'a number', pattern: '[0-9]' },
+    { name: 'symbol', label: 'a special character', pattern: '[^A-Za-z0-9]' }
+  ],
+  historyDepth: 5
+};
+
+// The policy is the same for everyone, so fetch it once per page load
+let policyRequest = null;
+
+const fetchPasswordPolicy = () => {
+  if (!policyRequest) {
+    policyRequest = secureApiClient.get('/auth/password-policy')
+      .then(response => response.data?.data?.policy || DEFAULT_PASSWORD_POLICY)
+      .catch(() => {
+        policyRequest = null;
+        return DEFAULT_PASSWORD_POLICY;
+      });
+  }
+  
+  return policyRequest;
+};
+
+// The server's password policy, for forms that set a password
+export const usePasswordPolicy = () => {
+  const [policy, setPolicy] = useState(DEFAULT_PASSWORD_POLICY);
+  
+  useEffect(() => {
+    let cancelled = false;
+    
+    fetchPasswordPolicy().then(result => {
+      if (!cancelled) setPolicy(result);
+    });
+    
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+  
+  return policy;
+};
+
+// Each rule of the policy and whether the password meets it
+export const checkPasswordRules = (password, policy = DEFAULT_PASSWORD_POLICY) => [
+  {
+    label: `At least ${policy.minLength} characters`,
+    met: password.length >= policy.minLength && password.length <= policy.maxLength
+  },
+  ...policy.requiredClasses.map(characterClass => ({
+    label: `Contains ${characterClass.label}`,
+    met: new RegExp(characterClass.pattern).test(password)
+  }))
+];
+
+// Whether a password meets every rule of the policy
+export const meetsPasswordPolicy = (password, policy = DEFAULT_PASSWORD_POLICY) =>
+  typeof password === 'string' && checkPasswordRules(password, policy).every(rule => rule.met);
+
+// Strength from 0 to 5 for the meter: how much of the policy is met, with a
+// bump for passwords comfortably longer than the minimum
+export const passwordStrength = (password, policy = DEFAULT_PASSWORD_POLICY) => {
+  if (!password) return 0;
+  
+  const rules = checkPasswordRules(password, policy);
+  const met = rules.filter(rule => rule.met).length;
+  const strength = Math.round((met / rules.length) * 4);
+  
+  return met === rules.length && password.length >= policy.minLength + 4 ? strength + 1 : strength;
+};
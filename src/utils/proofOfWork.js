@@ -0,0 +1,53 @@
+import { secureApiClient } from './apiClient';
+
+/**
+ * Proof-of-work helpers
+ * When signup, login or password reset traffic looks abusive the server
+ * answers 428 with a puzzle; solve it in a worker and send the request again.
+ */
+
+// Rounds of puzzles to solve before giving up (a wrong or expired answer
+// gets a new one)
+const MAX_ROUNDS = 2;
+
+// Solve a challenge from the server in a Web Worker
+export const solveChallenge = (challenge) => new Promise((resolve, reject) => {
+  const worker = new Worker(new URL('./proofOfWork.worker.js', import.meta.url));
+  
+  worker.onmessage = (event) => {
+    worker.terminate();
+    
+    if (event.data.error) {
+      reject(new Error(event.data.error));
+    } else {
+      resolve(event.data.solution);
+    }
+  };
+  
+  worker.onerror = (event) => {
+    worker.terminate();
+    reject(new Error(event.message || 'Security check failed'));
+  };
+  
+  worker.postMessage({ challenge: challenge.challenge, difficulty: challenge.difficulty });
+});
+
+// POST that solves any proof-of-work challenge the server asks for.
+// onChallenge is called before solving so the page can show progress.
+export const postWithProofOfWork = async (url, data, { onChallenge } = {}) => {
+  let body = data;
+  
+  for (let round = 0; ; round++) {
+    try {
+      return await secureApiClient.post(url, body);
+    } catch (err) {
+      const challenge = err.response?.status === 428 && err.response.data?.challenge;
+      if (!challenge || round >= MAX_ROUNDS) throw err;
+      
+      if (onChallenge) onChallenge(challenge);
+      
+      const solution = await solveChallenge(challenge);
+      body = { ...data, proofOfWork: { challengeId: challenge.id, solution } };
+    }
+  }
+};
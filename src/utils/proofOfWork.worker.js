@@ -0,0 +1,40 @@
+/**
+ * Proof-of-work solver, run off the main thread so the page stays responsive
+ * Finds a number whose SHA-256 of "<challenge>:<number>" starts with
+ * `difficulty` zero bits - see server/services/proofOfWork
+ */
+
+const encoder = new TextEncoder();
+
+// Number of zero bits at the start of a hash
+const leadingZeroBits = (bytes) => {
+  let bits = 0;
+  
+  for (let i = 0; i < bytes.length; i++) {
+    if (bytes[i] === 0) {
+      bits += 8;
+      continue;
+    }
+    
+    return bits + Math.clz32(bytes[i]) - 24;
+  }
+  
+  return bits;
+};
+
+self.onmessage = async (event) => {
+  const { challenge, difficulty } = event.data;
+  
+  try {
+    for (let counter = 0; ; counter++) {
+      const digest = await crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${counter}`));
+      
+      if (leadingZeroBits(new Uint8Array(digest)) >= difficulty) {
+        self.postMessage({ solution: String(counter) });
+        return;
+      }
+    }
+  } catch (err) {
+    self.postMessage({ error: err.message });
+  }
+};
@@ -3,6 +3,8 @@
  * This file contains helper functions to enforce security best practices
  */
 
+import { meetsPasswordPolicy } from './passwordPolicy';
+
 // Generate a cryptographically secure random token
 export const generateSecureToken = (length = 32) => {
     const array = new Uint8Array(length);
@@ -56,25 +58,8 @@ export const generateSecureToken = (length = 32) => {
     return false;
   };
   
-  // Check for weak passwords
-  export const isStrongPassword = (password) => {
-    if (!password || typeof password !== 'string') return false;
-    
-    // Password should be at least 8 characters
-    if (password.length < 8) return false;
-    
-    // Check for complexity requirements
-    const hasUppercase = /[A-Z]/.test(password);
-    const hasLowercase = /[a-z]/.test(password);
-    const hasNumbers = /[0-9]/.test(password);
-    const hasSpecialChars = /[!@#$%^&*(),.?":{}|<>]/.test(password);
-    
-    // Require at least 3 of the 4 character types
-    const criteriaCount = [hasUppercase, hasLowercase, hasNumbers, hasSpecialChars]
-      .filter(Boolean).length;
-      
-    return criteriaCount >= 3;
-  };
+  // Check a password against the password policy (see utils/passwordPolicy)
+  export const isStrongPassword = (password, policy) => meetsPasswordPolicy(password, policy);
   
   // Safe parsing of JSON to prevent prototype pollution
   export const safeJsonParse = (jsonString) => {
@@ -253,10 +238,12 @@ export const generateSecureToken = (length = 32) => {
         signal: controller.signal
       };
       
-      // Add CSRF token if available
-      const csrfToken = document.querySelector('meta[name="csrf-token"]')?.getAttribute('content');
-      if (csrfToken) {
-        secureOptions.headers['X-CSRF-Token'] = csrfToken;
+      // Echo the CSRF cookie in the header the server checks (double submit)
+      const csrfCookie = document.cookie
+        .split('; ')
+        .find(cookie => cookie.startsWith('XSRF-TOKEN='));
+      if (csrfCookie) {
+        secureOptions.headers['X-CSRF-Token'] = decodeURIComponent(csrfCookie.slice('XSRF-TOKEN='.length));
       }
       
       const response = await fetch(url, secureOptions);
@@ -0,0 +1,90 @@
+/**
+ * WebAuthn helpers for passkey registration and sign-in
+ * The server sends and expects binary fields as base64url strings
+ */
+
+// Decode a base64url string to an ArrayBuffer
+const base64UrlToBuffer = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  const binary = atob(padded);
+  
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+};
+
+// Encode an ArrayBuffer as a base64url string
+const bufferToBase64Url = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+// Whether this browser can use passkeys at all
+export const isPasskeySupported = () =>
+  typeof window !== 'undefined' &&
+  typeof window.PublicKeyCredential === 'function' &&
+  !!navigator.credentials;
+
+// Create a new credential from the server's registration options
+export const createPasskey = async (options) => {
+  const credential = await navigator.credentials.create({
+    publicKey: {
+      ...options,
+      challenge: base64UrlToBuffer(options.challenge),
+      user: {
+        ...options.user,
+        id: base64UrlToBuffer(options.user.id)
+      },
+      excludeCredentials: (options.excludeCredentials || []).map(item => ({
+        ...item,
+        id: base64UrlToBuffer(item.id)
+      }))
+    }
+  });
+  
+  return {
+    id: credential.id,
+    type: credential.type,
+    response: {
+      clientDataJSON: bufferToBase64Url(credential.response.clientDataJSON),
+      attestationObject: bufferToBase64Url(credential.response.attestationObject),
+      transports: typeof credential.response.getTransports === 'function'
+        ? credential.response.getTransports()
+        : []
+    }
+  };
+};
+
+// Sign the server's challenge with an existing credential
+export const getPasskeyAssertion = async (options) => {
+  const credential = await navigator.credentials.get({
+    publicKey: {
+      ...options,
+      challenge: base64UrlToBuffer(options.challenge),
+      allowCredentials: (options.allowCredentials || []).map(item => ({
+        ...item,
+        id: base64UrlToBuffer(item.id)
+      }))
+    }
+  });
+  
+  return {
+    id: credential.id,
+    type: credential.type,
+    response: {
+      clientDataJSON: bufferToBase64Url(credential.response.clientDataJSON),
+      authenticatorData: bufferToBase64Url(credential.response.authenticatorData),
+      signature: bufferToBase64Url(credential.response.signature),
+      userHandle: credential.response.userHandle
+        ? bufferToBase64Url(credential.response.userHandle)
+        : null
+    }
+  };
+};